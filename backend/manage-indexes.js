@@ -6,11 +6,12 @@
  */
 
 const mongoose = require('mongoose');
-const { createIndexes, getIndexInfo, recreateIndexes } = require('./src/utils/indexMigration');
+const { createIndexes, dropLegacyIndexes, getIndexInfo, recreateIndexes } = require('./src/utils/indexMigration');
 const config = require('./src/config/index');
 
 const commands = {
   create: createIndexes,
+  migrate: dropLegacyIndexes,
   info: getIndexInfo,
   recreate: recreateIndexes
 };
@@ -26,11 +27,13 @@ Usage: node manage-indexes.js <command>
 
 Commands:
   create    - Create all indexes (safe, won't drop existing)
+  migrate   - Drop indexes left over from earlier versions (run once when upgrading)
   info      - Show current index information
   recreate  - Drop and recreate all indexes (⚠️  USE WITH CAUTION)
 
 Examples:
   node manage-indexes.js create
+  node manage-indexes.js migrate
   node manage-indexes.js info
   node manage-indexes.js recreate
     `);
@@ -6,6 +6,9 @@ const http = require("http");
 const securityMiddleware = require("./src/middleware/security");
 const { handleProcessErrors } = require("./src/middleware/errorHandler");
 const connectDB = require("./src/config/database");
+const { setupSocket } = require("./src/socket");
+const { attachRedisAdapter } = require("./src/socket/redisAdapter");
+const { startTrashPurgeJob } = require("./src/utils/trash");
 require("dotenv").config();
 
 // Set up process-level error handling
@@ -23,29 +26,20 @@ const io = socketIO(server, {
 securityMiddleware(app);
 
 // Middleware
-app.use(cors());
+// Expose ETag so browser clients can send it back as If-Match
+app.use(cors({ exposedHeaders: ["ETag"] }));
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
 // Database connection
 connectDB();
 
-// Socket.io for real-time updates
-io.on("connection", (socket) => {
-  console.log("New client connected");
+// Permanently delete trash older than the retention period
+startTrashPurgeJob();
 
-  socket.on("join-playlist", (playlistId) => {
-    socket.join(`playlist-${playlistId}`);
-  });
-
-  socket.on("leave-playlist", (playlistId) => {
-    socket.leave(`playlist-${playlistId}`);
-  });
-
-  socket.on("disconnect", () => {
-    console.log("Client disconnected");
-  });
-});
+// Socket.io for real-time updates, shared across instances through Redis
+attachRedisAdapter(io);
+setupSocket(io);
 
 // Make io accessible to routes
 app.set("io", io);
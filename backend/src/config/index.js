@@ -6,6 +6,12 @@ const config = {
       "mongodb://localhost:27017/collaborative-playlist",
     jwtSecret: process.env.JWT_SECRET || "dev-secret-key-change-in-production",
     frontendUrl: process.env.FRONTEND_URL || "http://localhost:3000",
+    undoWindowMinutes: parseInt(process.env.UNDO_WINDOW_MINUTES, 10) || 10,
+    trashRetentionDays: parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30,
+    importMaxFileSizeMb: parseInt(process.env.IMPORT_MAX_FILE_SIZE_MB, 10) || 5,
+    // Encrypts third-party OAuth tokens stored on users
+    tokenEncryptionKey: process.env.TOKEN_ENCRYPTION_KEY ||
+      "dev-token-key-change-in-production",
     redis: {
       host: process.env.REDIS_HOST || "localhost",
       port: process.env.REDIS_PORT || 6379,
@@ -18,16 +24,35 @@ const config = {
       redirectUri:
         process.env.SPOTIFY_REDIRECT_URI ||
         "http://localhost:5000/api/search/spotify/callback",
+      accountsUrl:
+        process.env.SPOTIFY_ACCOUNTS_URL || "https://accounts.spotify.com",
+      apiUrl: process.env.SPOTIFY_API_URL || "https://api.spotify.com/v1",
     },
     lastfm: {
       apiKey: process.env.LASTFM_API_KEY,
     },
+    youtube: {
+      apiKey: process.env.YOUTUBE_API_KEY,
+      apiUrl:
+        process.env.YOUTUBE_API_URL || "https://www.googleapis.com/youtube/v3",
+    },
+    musicbrainz: {
+      apiUrl: process.env.MUSICBRAINZ_API_URL || "https://musicbrainz.org/ws/2",
+      // MusicBrainz asks clients to identify themselves with contact details
+      userAgent:
+        process.env.MUSICBRAINZ_USER_AGENT ||
+        "collaborative-playlist-backend/1.0.0",
+    },
   },
   production: {
     port: process.env.PORT || 3001,
     mongoUri: process.env.MONGODB_URI,
     jwtSecret: process.env.JWT_SECRET,
     frontendUrl: process.env.FRONTEND_URL,
+    undoWindowMinutes: parseInt(process.env.UNDO_WINDOW_MINUTES, 10) || 10,
+    trashRetentionDays: parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30,
+    importMaxFileSizeMb: parseInt(process.env.IMPORT_MAX_FILE_SIZE_MB, 10) || 5,
+    tokenEncryptionKey: process.env.TOKEN_ENCRYPTION_KEY,
     redis: {
       host: process.env.REDIS_HOST || "localhost",
       port: process.env.REDIS_PORT || 6379,
@@ -38,10 +63,25 @@ const config = {
       clientId: process.env.SPOTIFY_CLIENT_ID,
       clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
       redirectUri: process.env.SPOTIFY_REDIRECT_URI,
+      accountsUrl:
+        process.env.SPOTIFY_ACCOUNTS_URL || "https://accounts.spotify.com",
+      apiUrl: process.env.SPOTIFY_API_URL || "https://api.spotify.com/v1",
     },
     lastfm: {
       apiKey: process.env.LASTFM_API_KEY,
     },
+    youtube: {
+      apiKey: process.env.YOUTUBE_API_KEY,
+      apiUrl:
+        process.env.YOUTUBE_API_URL || "https://www.googleapis.com/youtube/v3",
+    },
+    musicbrainz: {
+      apiUrl: process.env.MUSICBRAINZ_API_URL || "https://musicbrainz.org/ws/2",
+      // MusicBrainz asks clients to identify themselves with contact details
+      userAgent:
+        process.env.MUSICBRAINZ_USER_AGENT ||
+        "collaborative-playlist-backend/1.0.0",
+    },
   },
   test: {
     port: process.env.PORT || 5001,
@@ -50,6 +90,10 @@ const config = {
       "mongodb://localhost:27017/collaborative-playlist-test",
     jwtSecret: process.env.JWT_SECRET || "test-secret-key",
     frontendUrl: process.env.FRONTEND_URL || "http://localhost:3000",
+    undoWindowMinutes: parseInt(process.env.UNDO_WINDOW_MINUTES, 10) || 10,
+    trashRetentionDays: parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30,
+    importMaxFileSizeMb: parseInt(process.env.IMPORT_MAX_FILE_SIZE_MB, 10) || 5,
+    tokenEncryptionKey: process.env.TOKEN_ENCRYPTION_KEY || "test-token-key",
     redis: {
       host: process.env.REDIS_HOST || "localhost",
       port: process.env.REDIS_PORT || 6379,
@@ -60,10 +104,25 @@ const config = {
       clientId: process.env.SPOTIFY_CLIENT_ID,
       clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
       redirectUri: process.env.SPOTIFY_REDIRECT_URI,
+      accountsUrl:
+        process.env.SPOTIFY_ACCOUNTS_URL || "https://accounts.spotify.com",
+      apiUrl: process.env.SPOTIFY_API_URL || "https://api.spotify.com/v1",
     },
     lastfm: {
       apiKey: process.env.LASTFM_API_KEY,
     },
+    youtube: {
+      apiKey: process.env.YOUTUBE_API_KEY,
+      apiUrl:
+        process.env.YOUTUBE_API_URL || "https://www.googleapis.com/youtube/v3",
+    },
+    musicbrainz: {
+      apiUrl: process.env.MUSICBRAINZ_API_URL || "https://musicbrainz.org/ws/2",
+      // MusicBrainz asks clients to identify themselves with contact details
+      userAgent:
+        process.env.MUSICBRAINZ_USER_AGENT ||
+        "collaborative-playlist-backend/1.0.0",
+    },
   },
 };
 
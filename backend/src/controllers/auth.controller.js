@@ -211,21 +211,29 @@ exports.deleteAccount = asyncHandler(async (req, res, next) => {
     return next(new AppError("Password is incorrect", 401));
   }
 
-  // Delete user's playlists and songs
+  // Delete user's playlists and songs, including those in the trash
   const Playlist = require("../models/Playlist");
-  const Song = require("../models/Song");
+  const { purgePlaylist } = require("../utils/trash");
 
-  const userPlaylists = await Playlist.find({ creator: req.userId });
+  await Playlist.updateMany(
+    { creator: req.userId },
+    { deletedAt: new Date(), deletedBy: req.userId }
+  );
+  const userPlaylists = await Playlist.find({
+    creator: req.userId,
+    deletedAt: { $ne: null },
+  }).select("_id");
   for (const playlist of userPlaylists) {
-    await Song.deleteMany({ playlist: playlist._id });
-    await Playlist.findByIdAndDelete(playlist._id);
+    await purgePlaylist(playlist._id);
   }
 
-  // Remove user from other playlists' collaborators
-  await Playlist.updateMany(
-    { "collaborators.user": req.userId },
-    { $pull: { collaborators: { user: req.userId } } }
-  );
+  // Remove user from other playlists' collaborators, trashed ones too
+  for (const deletedAt of [null, { $ne: null }]) {
+    await Playlist.updateMany(
+      { "collaborators.user": req.userId, deletedAt },
+      { $pull: { collaborators: { user: req.userId } } }
+    );
+  }
 
   // Delete the user
   await User.findByIdAndDelete(req.userId);
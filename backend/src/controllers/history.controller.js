@@ -0,0 +1,587 @@
+const Playlist = require("../models/Playlist");
+const PlaylistRevision = require("../models/PlaylistRevision");
+const Song = require("../models/Song");
+const { AppError, asyncHandler } = require("../middleware/errorHandler");
+const cacheService = require("../services/cacheService");
+const config = require("../config/index");
+const { hasRole, canView } = require("../utils/playlistAccess");
+const {
+  formatETag,
+  getExpectedRevision,
+  claimRevision,
+  staleRevisionError,
+} = require("../utils/revision");
+const {
+  RECORDED_STATE,
+  recordChange,
+  loadSnapshot,
+  diffSnapshots,
+} = require("../utils/playlistHistory");
+const { orderAfter } = require("../utils/songOrder");
+const { trashSong, untrashSong } = require("../utils/trash");
+const {
+  findOrCreateTrack,
+  getRecordingConditions,
+} = require("../utils/trackCatalog");
+const { publishPlaylistEvent } = require("../socket/playlistEvents");
+
+// Changes a user can undo, and the subset that only changes song order
+const UNDOABLE_ACTIONS = [
+  "song-added",
+  "song-removed",
+  "song-moved",
+  "songs-reordered",
+];
+const ORDER_ACTIONS = ["song-moved", "songs-reordered"];
+
+// Helper function to load a playlist the caller may read, or an AppError
+const findViewablePlaylist = async (req) => {
+  const playlist = await Playlist.findById(req.params.id).select(
+    "creator collaborators isPublic revision settings"
+  );
+
+  if (!playlist) {
+    return { error: new AppError("Playlist not found", 404) };
+  }
+
+  if (!canView(playlist, req.userId)) {
+    return { error: new AppError("Access denied: This playlist is private", 403) };
+  }
+
+  return { playlist };
+};
+
+// Helper function to explain why a change can no longer be undone, or null
+const findUndoConflict = async (playlist, entry) => {
+  const playlistId = playlist._id;
+  const { details } = entry;
+  const { songId } = details;
+  const later = { playlist: playlistId, revision: { $gt: entry.revision } };
+
+  // Entries recorded before undo existed lack what's needed to reverse them
+  if (
+    (entry.action === "song-removed" && details.duration === undefined) ||
+    (entry.action === "song-moved" && details.previousAfterSongId === undefined) ||
+    (entry.action === "songs-reordered" && !Array.isArray(details.previousOrders))
+  ) {
+    return "This change was recorded without undo information";
+  }
+
+  if (await PlaylistRevision.exists({ ...later, action: "playlist-restored" })) {
+    return "The playlist has been restored to another revision since";
+  }
+
+  if (entry.action === "song-added") {
+    const stillThere = await Song.exists({ _id: songId, playlist: playlistId });
+    return stillThere ? null : "The song has already been removed";
+  }
+
+  if (entry.action === "song-removed") {
+    const { title, artist, spotifyId } = details;
+    const readded = await Song.exists({
+      playlist: playlistId,
+      $or: [
+        { _id: songId },
+        { title, artist },
+        ...getRecordingConditions(details),
+      ],
+    });
+    if (readded) {
+      return "The song has already been re-added";
+    }
+    if (
+      !playlist.settings.allowDuplicates &&
+      spotifyId &&
+      (await Song.exists({ playlist: playlistId, spotifyId }))
+    ) {
+      return "The song's Spotify ID is now used by another song";
+    }
+    const songCount = await Song.countDocuments({ playlist: playlistId });
+    return songCount >= playlist.settings.maxSongs
+      ? `Playlist song limit reached (${playlist.settings.maxSongs} songs)`
+      : null;
+  }
+
+  // Moves and reorders: anyone reordering since would be silently overridden.
+  // Later changes that were themselves undone cancel out and don't count.
+  const laterReorder = await PlaylistRevision.exists({
+    ...later,
+    $or: [
+      { action: "songs-reordered", undoneAt: null },
+      entry.action === "song-moved"
+        ? { action: "song-moved", undoneAt: null, "details.songId": songId }
+        : { action: "song-moved", undoneAt: null },
+      {
+        action: "action-undone",
+        "details.undoneAction": { $in: ORDER_ACTIONS },
+        "details.undoneRevision": { $lt: entry.revision },
+      },
+    ],
+  });
+  if (laterReorder) {
+    return "Songs have been reordered since";
+  }
+
+  if (entry.action === "song-moved") {
+    const { previousAfterSongId } = details;
+    if (!(await Song.exists({ _id: songId, playlist: playlistId }))) {
+      return "The song has been removed since";
+    }
+    if (
+      previousAfterSongId &&
+      !(await Song.exists({ _id: previousAfterSongId, playlist: playlistId }))
+    ) {
+      return "The song it used to follow has been removed since";
+    }
+  }
+
+  return null;
+};
+
+// Reverse a change, returning the event that tells clients about it
+const undoHandlers = {
+  "song-added": async (req, playlist, { songId }) => {
+    const song = await Song.findOne({ _id: songId, playlist: playlist._id });
+    await trashSong(song, req.userId);
+
+    return { event: "song-removed", payload: { songId } };
+  },
+
+  "song-removed": async (req, playlist, details) => {
+    const playlistId = playlist._id.toString();
+    const { songId, afterSongId, ...fields } = details;
+
+    // Still in the trash: bring it back in place
+    const trashed = await Song.findOne({
+      _id: songId,
+      playlist: playlistId,
+      deletedAt: { $ne: null },
+    });
+    if (trashed) {
+      await untrashSong(req.app.get("io"), trashed);
+      const song = await Song.findById(songId).populate("addedBy", "username");
+      return { event: "song-added", payload: { song } };
+    }
+
+    // Already purged: recreate it from the history entry. Put the song back after its old neighbour, or at the end if that's gone
+    let placeAfter = afterSongId;
+    if (
+      afterSongId &&
+      !(await Song.exists({ _id: afterSongId, playlist: playlistId }))
+    ) {
+      const lastSong = await Song.findOne({ playlist: playlistId })
+        .sort({ order: -1 })
+        .select("_id")
+        .lean();
+      placeAfter = lastSong ? lastSong._id.toString() : null;
+    }
+
+    const order = await orderAfter(
+      req.app.get("io"),
+      playlistId,
+      songId,
+      placeAfter
+    );
+
+    const track = await findOrCreateTrack(fields);
+    await Song.create({
+      _id: songId,
+      track: track._id,
+      title: fields.title,
+      artist: fields.artist,
+      album: fields.album,
+      duration: fields.duration,
+      spotifyId: fields.spotifyId,
+      youtubeId: fields.youtubeId,
+      isrc: fields.isrc,
+      mbid: fields.mbid,
+      addedBy: fields.addedBy,
+      addedAt: fields.addedAt,
+      playlist: playlistId,
+      order,
+    });
+    await Playlist.updateOne(
+      { _id: playlistId },
+      { $push: { songs: songId }, updatedAt: Date.now() }
+    );
+
+    const song = await Song.findById(songId).populate("addedBy", "username");
+    return { event: "song-added", payload: { song } };
+  },
+
+  "song-moved": async (req, playlist, { songId, previousAfterSongId }) => {
+    const playlistId = playlist._id.toString();
+    const order = await orderAfter(
+      req.app.get("io"),
+      playlistId,
+      songId,
+      previousAfterSongId
+    );
+
+    await Song.updateOne({ _id: songId, playlist: playlistId }, { order });
+
+    return {
+      event: "song-moved",
+      payload: { songId, afterSongId: previousAfterSongId, order },
+    };
+  },
+
+  "songs-reordered": async (req, playlist, { previousOrders }) => {
+    await Song.bulkWrite(
+      previousOrders.map(({ songId, order }) => ({
+        updateOne: {
+          filter: { _id: songId, playlist: playlist._id },
+          update: { $set: { order } },
+        },
+      }))
+    );
+
+    return { event: "songs-reordered", payload: { songOrders: previousOrders } };
+  },
+};
+
+// Get a playlist's change history, newest first
+exports.getHistory = asyncHandler(async (req, res, next) => {
+  const { limit = 50, before } = req.query;
+
+  const { error } = await findViewablePlaylist(req);
+  if (error) {
+    return next(error);
+  }
+
+  const filter = { playlist: req.params.id };
+  if (before !== undefined) {
+    filter.revision = { $lt: before };
+  }
+
+  // Fetch one extra entry to tell whether there is another page
+  const entries = await PlaylistRevision.find(filter)
+    .sort({ revision: -1 })
+    .limit(limit + 1)
+    .select("-snapshot -changes")
+    .populate("user", "username");
+
+  res.json({
+    success: true,
+    data: {
+      history: entries.slice(0, limit),
+      hasMore: entries.length > limit,
+    },
+  });
+});
+
+// Compare the playlist at two recorded revisions
+exports.getHistoryDiff = asyncHandler(async (req, res, next) => {
+  const { from, to } = req.query;
+
+  const { error } = await findViewablePlaylist(req);
+  if (error) {
+    return next(error);
+  }
+
+  // Without `to`, compare against the latest revision with a recorded state
+  const toFilter =
+    to === undefined
+      ? { playlist: req.params.id, ...RECORDED_STATE }
+      : { playlist: req.params.id, revision: to };
+
+  const toEntry = await PlaylistRevision.findOne(toFilter)
+    .sort({ revision: -1 })
+    .select("revision")
+    .lean();
+
+  const [fromState, toState] = await Promise.all([
+    loadSnapshot(req.params.id, from),
+    toEntry && loadSnapshot(req.params.id, toEntry.revision),
+  ]);
+
+  if (!fromState || !toState) {
+    return next(
+      new AppError("Revision not found in this playlist's history", 404)
+    );
+  }
+
+  res.json({
+    success: true,
+    data: {
+      from,
+      to: toEntry.revision,
+      ...diffSnapshots(fromState.snapshot, toState.snapshot),
+    },
+  });
+});
+
+// Restore a playlist's name, description and songs to a recorded revision
+exports.restoreRevision = asyncHandler(async (req, res, next) => {
+  const playlistId = req.params.id;
+  const targetRevision = req.params.revision;
+
+  const { playlist, error } = await findViewablePlaylist(req);
+  if (error) {
+    return next(error);
+  }
+
+  if (!hasRole(playlist, req.userId, "admin")) {
+    return next(
+      new AppError(
+        "Access denied: Only the owner or an admin can restore this playlist",
+        403
+      )
+    );
+  }
+
+  const recorded = await loadSnapshot(playlistId, targetRevision);
+  if (!recorded) {
+    return next(
+      new AppError("Revision not found in this playlist's history", 404)
+    );
+  }
+
+  const target = recorded.snapshot;
+  if (target.songs.length > playlist.settings.maxSongs) {
+    return next(
+      new AppError(
+        `Playlist song limit reached (${playlist.settings.maxSongs} songs)`,
+        409
+      )
+    );
+  }
+
+  const currentSongs = await Song.find({ playlist: playlistId })
+    .select("_id")
+    .lean();
+  const currentIds = new Set(currentSongs.map((song) => song._id.toString()));
+  const targetIds = new Set(target.songs.map((song) => song.song.toString()));
+
+  const toRemove = [...currentIds].filter((id) => !targetIds.has(id));
+  const toRecreate = target.songs.filter(
+    (song) => !currentIds.has(song.song.toString())
+  );
+
+  // Claim the next revision first so a stale restore never touches songs
+  const revision = await claimRevision(playlistId, getExpectedRevision(req));
+  if (revision === null) {
+    return next(await staleRevisionError(playlistId));
+  }
+
+  await Song.updateMany(
+    { _id: { $in: toRemove }, playlist: playlistId },
+    { deletedAt: new Date(), deletedBy: req.userId }
+  );
+
+  // Songs still in the trash come back as they were
+  const recreateIds = toRecreate.map(({ song }) => song);
+  await Song.updateMany(
+    {
+      _id: { $in: recreateIds },
+      playlist: playlistId,
+      deletedAt: { $ne: null },
+    },
+    { deletedAt: null, $unset: { deletedBy: 1, deletedAfter: 1 } }
+  );
+
+  // Purged songs are recreated with their original IDs; votes are not restored
+  const restored = await Song.find({ _id: { $in: recreateIds } })
+    .select("_id")
+    .lean();
+  const restoredIds = new Set(restored.map((song) => song._id.toString()));
+  const toInsert = toRecreate.filter(
+    ({ song }) => !restoredIds.has(song.toString())
+  );
+  const tracks = [];
+  for (const fields of toInsert) {
+    tracks.push(await findOrCreateTrack(fields));
+  }
+  await Song.insertMany(
+    toInsert.map(({ song, ...fields }, index) => ({
+      ...fields,
+      _id: song,
+      track: tracks[index]._id,
+      playlist: playlistId,
+    }))
+  );
+
+  await Song.bulkWrite(
+    target.songs.map(({ song }, order) => ({
+      updateOne: {
+        filter: { _id: song, playlist: playlistId },
+        update: { $set: { order } },
+      },
+    }))
+  );
+
+  await Playlist.updateOne(
+    { _id: playlistId },
+    {
+      name: target.name,
+      description: target.description,
+      songs: target.songs.map(({ song }) => song),
+      updatedAt: Date.now(),
+    }
+  );
+
+  // Invalidate relevant caches
+  await cacheService.invalidate(cacheService.keys.playlistSongs(playlistId));
+  await cacheService.invalidate(cacheService.keys.playlist(playlistId));
+
+  const restoredPlaylist = await Playlist.findById(playlistId)
+    .populate("creator", "username")
+    .populate("collaborators.user", "username")
+    .populate({
+      path: "songs",
+      populate: {
+        path: "addedBy",
+        select: "username",
+      },
+      options: { sort: { order: 1, addedAt: 1 } },
+    });
+
+  // Live clients replace their copy of the playlist
+  await publishPlaylistEvent(
+    req.app.get("io"),
+    playlistId,
+    "playlist-restored",
+    { playlistId, restoredFrom: targetRevision, playlist: restoredPlaylist },
+    revision
+  );
+
+  recordChange(playlistId, {
+    revision,
+    action: "playlist-restored",
+    user: req.userId,
+    details: {
+      restoredFrom: targetRevision,
+      added: toRecreate.length,
+      removed: toRemove.length,
+    },
+  });
+
+  console.log(
+    `✅ Playlist ${playlistId} restored to revision ${targetRevision} by user ${req.userId}`
+  );
+
+  res.set("ETag", formatETag(revision));
+  res.json({
+    success: true,
+    message: `Playlist restored to revision ${targetRevision}`,
+    data: { playlist: restoredPlaylist, revision },
+  });
+});
+
+// Undo the caller's most recent song add, remove, move or reorder
+exports.undoLastAction = asyncHandler(async (req, res, next) => {
+  const playlistId = req.params.id;
+
+  const playlist = await Playlist.findById(playlistId);
+
+  if (!playlist) {
+    return next(new AppError("Playlist not found", 404));
+  }
+
+  if (!hasRole(playlist, req.userId, "editor")) {
+    return next(
+      new AppError("Access denied: Not authorized to edit this playlist", 403)
+    );
+  }
+
+  const windowStart = new Date(
+    Date.now() - config.undoWindowMinutes * 60 * 1000
+  );
+  const entry = await PlaylistRevision.findOne({
+    playlist: playlistId,
+    user: req.userId,
+    action: { $in: UNDOABLE_ACTIONS },
+    undoneAt: null,
+    createdAt: { $gte: windowStart },
+  })
+    .sort({ revision: -1 })
+    .select("-snapshot -changes")
+    .lean();
+
+  if (!entry) {
+    return next(
+      new AppError(
+        `Nothing to undo from the last ${config.undoWindowMinutes} minutes`,
+        404
+      )
+    );
+  }
+
+  const undone = {
+    revision: entry.revision,
+    action: entry.action,
+    details: entry.details,
+  };
+
+  const conflict = await findUndoConflict(playlist, entry);
+  if (conflict) {
+    return next(
+      new AppError(`Cannot undo ${entry.action}: ${conflict}`, 409, [undone])
+    );
+  }
+
+  // Claim the entry first so two undo requests can't both reverse it
+  const claim = await PlaylistRevision.updateOne(
+    { _id: entry._id, undoneAt: null },
+    { undoneAt: new Date() }
+  );
+  if (claim.modifiedCount === 0) {
+    return next(new AppError("This change has already been undone", 409));
+  }
+
+  let reversal;
+  try {
+    reversal = await undoHandlers[entry.action](req, playlist, entry.details);
+  } catch (error) {
+    // Release the claim so the change can be undone once the problem is fixed
+    await PlaylistRevision.updateOne(
+      { _id: entry._id },
+      { $unset: { undoneAt: 1 } }
+    );
+    throw error;
+  }
+
+  // Invalidate relevant caches
+  await cacheService.invalidate(cacheService.keys.playlistSongs(playlistId));
+  await cacheService.invalidate(cacheService.keys.playlist(playlistId));
+
+  // Live clients apply the reversal like any other change
+  const revision = await publishPlaylistEvent(
+    req.app.get("io"),
+    playlistId,
+    reversal.event,
+    {
+      playlistId,
+      ...reversal.payload,
+      undo: {
+        revision: entry.revision,
+        action: entry.action,
+        user: req.userId,
+      },
+    }
+  );
+
+  recordChange(playlistId, {
+    revision,
+    action: "action-undone",
+    user: req.userId,
+    details: {
+      undoneRevision: entry.revision,
+      undoneAction: entry.action,
+      songId: entry.details.songId,
+      title: entry.details.title,
+      artist: entry.details.artist,
+    },
+  });
+
+  console.log(
+    `↩️  Undid ${entry.action} (revision ${entry.revision}) in playlist ${playlistId}`
+  );
+
+  res.set("ETag", formatETag(revision));
+  res.json({
+    success: true,
+    message: "Last change undone",
+    data: { undone, revision },
+  });
+});
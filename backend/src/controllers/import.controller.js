@@ -0,0 +1,355 @@
+const path = require("path");
+const Playlist = require("../models/Playlist");
+const PlaylistRevision = require("../models/PlaylistRevision");
+const { AppError, asyncHandler } = require("../middleware/errorHandler");
+const cacheService = require("../services/cacheService");
+const spotifyService = require("../services/spotifyService");
+const { hasRole, canView } = require("../utils/playlistAccess");
+const { userRoom } = require("../socket");
+const { recordChange } = require("../utils/playlistHistory");
+const {
+  detectFormat,
+  decodeUpload,
+  parsePlaylistFile,
+} = require("../utils/playlistImport");
+const {
+  IMPORT_SYNC_LIMIT,
+  planImport,
+  createImportJob,
+  runImportJob,
+  runDeferredImportJob,
+  getImportJob,
+} = require("../utils/importJobs");
+const { requireSpotifyToken } = require("../utils/spotifyAccount");
+const { loadSpotifyPlaylistSongs } = require("../utils/spotifyImport");
+
+// Helper function to parse the uploaded playlist file
+const readUpload = (file) => {
+  if (!file) {
+    return {
+      error: new AppError("A playlist file is required in the 'file' field", 400),
+    };
+  }
+
+  const text = decodeUpload(file.buffer);
+  const format = detectFormat(file.originalname, text);
+  const parsed = parsePlaylistFile(format, text);
+
+  if (parsed.songs.length === 0) {
+    return {
+      error: new AppError(
+        "No songs could be read from the file",
+        400,
+        parsed.errors
+      ),
+    };
+  }
+
+  return { format, parsed };
+};
+
+// Helper function to add the parsed songs now, or in the background for
+// large files, and respond with the import job
+const startImport = async (req, res, next, playlist, upload, status) => {
+  const { format, parsed } = upload;
+  const { accepted, skipped } = await planImport(
+    playlist,
+    parsed.songs,
+    req.userId
+  );
+
+  const job = await createImportJob({
+    playlistId: playlist._id,
+    userId: req.userId,
+    fileName: req.file.originalname,
+    format,
+    songs: accepted,
+    skipped,
+    errors: parsed.errors,
+  });
+
+  const io = req.app.get("io");
+
+  // Large imports report progress on the playlist room instead
+  if (accepted.length > IMPORT_SYNC_LIMIT) {
+    runImportJob(io, job, accepted);
+
+    return res.status(202).json({
+      success: true,
+      message: "Import started",
+      data: { playlistId: playlist._id, job },
+    });
+  }
+
+  await runImportJob(io, job, accepted);
+
+  if (job.status === "failed") {
+    return next(new AppError(`Import failed: ${job.error}`, 500));
+  }
+
+  res.status(status).json({
+    success: true,
+    message: `Imported ${job.added} songs`,
+    data: { playlistId: playlist._id, job },
+  });
+};
+
+// Helper function to create the empty playlist an import fills
+const createImportedPlaylist = async (req, fields, importedFrom) => {
+  const playlist = await Playlist.create({
+    ...fields,
+    creator: req.userId,
+    isPublic: req.body.isPublic || false,
+    songs: [],
+  });
+
+  // Wait for the entry so it shows the empty playlist, not the first batch
+  await recordChange(playlist._id, {
+    revision: playlist.revision,
+    action: "playlist-created",
+    user: req.userId,
+    details: { name: playlist.name, importedFrom },
+  });
+
+  const populatedPlaylist = await Playlist.findById(playlist._id)
+    .populate("creator", "username")
+    .populate("collaborators.user", "username");
+
+  // Invalidate relevant caches
+  await cacheService.invalidate(cacheService.keys.userPlaylists(req.userId));
+  if (playlist.isPublic) {
+    await cacheService.invalidate('public:playlists:*');
+  }
+
+  // Notify clients about the new playlist; private playlists only reach the creator
+  const io = req.app.get("io");
+  if (io) {
+    if (populatedPlaylist.isPublic) {
+      io.emit("playlist-created", populatedPlaylist);
+    } else {
+      io.to(userRoom(req.userId)).emit("playlist-created", populatedPlaylist);
+    }
+  }
+
+  return playlist;
+};
+
+// Remove a playlist made for an import that failed before adding any songs,
+// e.g. because Spotify couldn't be read, so it doesn't linger empty
+const discardImportedPlaylist = async (req, playlist) => {
+  const playlistId = playlist._id.toString();
+  const { deletedCount } = await Playlist.deleteOne({
+    _id: playlistId,
+    songs: { $size: 0 },
+  });
+  if (deletedCount === 0) {
+    return;
+  }
+  await PlaylistRevision.deleteMany({ playlist: playlistId });
+
+  // Invalidate relevant caches
+  await cacheService.invalidate(cacheService.keys.playlist(playlistId));
+  await cacheService.invalidate(cacheService.keys.userPlaylists(req.userId));
+  if (playlist.isPublic) {
+    await cacheService.invalidate('public:playlists:*');
+  }
+
+  // Tell whoever heard about the playlist that it's gone
+  const io = req.app.get("io");
+  if (io) {
+    if (playlist.isPublic) {
+      io.emit("playlist-deleted", playlistId);
+    } else {
+      io.to(`playlist-${playlistId}`)
+        .to(userRoom(req.userId))
+        .emit("playlist-deleted", playlistId);
+    }
+    io.in(`playlist-${playlistId}`).socketsLeave(`playlist-${playlistId}`);
+  }
+
+  console.log(`🗑️  Removed empty imported playlist: ${playlist.name}`);
+};
+
+// Create a playlist from an uploaded M3U, M3U8, XSPF or CSV file
+exports.importPlaylist = asyncHandler(async (req, res, next) => {
+  const upload = readUpload(req.file);
+  if (upload.error) {
+    return next(upload.error);
+  }
+
+  const fileName = path.basename(
+    req.file.originalname,
+    path.extname(req.file.originalname)
+  );
+  const name = (
+    req.body.name?.trim() ||
+    upload.parsed.name ||
+    fileName ||
+    "Imported playlist"
+  ).slice(0, 100);
+
+  const playlist = await createImportedPlaylist(
+    req,
+    { name, description: req.body.description?.trim() || "" },
+    req.file.originalname
+  );
+
+  console.log(
+    `📥 Importing ${req.file.originalname} into new playlist ${playlist.name}`
+  );
+
+  await startImport(req, res, next, playlist, upload, 201);
+});
+
+// Create a playlist from one of the user's Spotify playlists
+exports.importSpotifyPlaylist = asyncHandler(async (req, res, next) => {
+  const { accessToken, error } = await requireSpotifyToken(req.userId);
+  if (error) {
+    return next(error);
+  }
+
+  let spotifyPlaylist;
+  try {
+    spotifyPlaylist = await spotifyService.getPlaylist(
+      accessToken,
+      req.body.spotifyPlaylistId
+    );
+  } catch (error) {
+    return next(
+      error.notFound
+        ? new AppError("Spotify playlist not found", 404)
+        : new AppError("Failed to get playlist from Spotify", 502)
+    );
+  }
+
+  const playlist = await createImportedPlaylist(
+    req,
+    {
+      name: (
+        req.body.name?.trim() ||
+        spotifyPlaylist.name ||
+        "Spotify playlist"
+      ).slice(0, 100),
+      description: (
+        req.body.description?.trim() ?? spotifyPlaylist.description
+      ).slice(0, 500),
+      coverImage: spotifyPlaylist.image || "",
+    },
+    `spotify:playlist:${spotifyPlaylist.id}`
+  );
+
+  const job = await createImportJob({
+    playlistId: playlist._id,
+    userId: req.userId,
+    source: "spotify",
+    sourceId: spotifyPlaylist.id,
+    format: "spotify",
+  });
+
+  const io = req.app.get("io");
+  const loadSongs = (onProgress) =>
+    loadSpotifyPlaylistSongs(accessToken, spotifyPlaylist, onProgress);
+  const runImport = async () => {
+    await runDeferredImportJob(io, job, playlist, loadSongs);
+    if (job.status === "failed" && job.added === 0) {
+      await discardImportedPlaylist(req, playlist);
+    }
+  };
+
+  console.log(
+    `📥 Importing Spotify playlist ${spotifyPlaylist.id} into new playlist ${playlist.name}`
+  );
+
+  // Large playlists report progress on the playlist room instead
+  if (spotifyPlaylist.trackCount > IMPORT_SYNC_LIMIT) {
+    runImport().catch((error) =>
+      console.error(`❌ Import ${job.id} cleanup failed:`, error.message)
+    );
+
+    return res.status(202).json({
+      success: true,
+      message: "Import started",
+      data: { playlistId: playlist._id, job },
+    });
+  }
+
+  await runImport();
+
+  if (job.status === "failed") {
+    return next(new AppError(`Import failed: ${job.error}`, 500));
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `Imported ${job.added} songs`,
+    data: { playlistId: playlist._id, job },
+  });
+});
+
+// Append songs from an uploaded file to an existing playlist
+exports.importIntoPlaylist = asyncHandler(async (req, res, next) => {
+  const playlist = await Playlist.findById(req.params.id);
+
+  if (!playlist) {
+    return next(new AppError("Playlist not found", 404));
+  }
+
+  if (!hasRole(playlist, req.userId, "editor")) {
+    return next(
+      new AppError(
+        "Access denied: Not authorized to add songs to this playlist",
+        403
+      )
+    );
+  }
+
+  // Imports skip the approval queue, so only admins may import there
+  if (
+    playlist.settings.requireApproval &&
+    !hasRole(playlist, req.userId, "admin")
+  ) {
+    return next(
+      new AppError(
+        "Access denied: Songs added to this playlist require approval",
+        403
+      )
+    );
+  }
+
+  const upload = readUpload(req.file);
+  if (upload.error) {
+    return next(upload.error);
+  }
+
+  console.log(
+    `📥 Importing ${req.file.originalname} into playlist ${playlist.name}`
+  );
+
+  await startImport(req, res, next, playlist, upload, 200);
+});
+
+// Get the progress of an import job
+exports.getImportStatus = asyncHandler(async (req, res, next) => {
+  const playlist = await Playlist.findById(req.params.id).select(
+    "creator collaborators isPublic"
+  );
+
+  if (!playlist) {
+    return next(new AppError("Playlist not found", 404));
+  }
+
+  if (!canView(playlist, req.userId)) {
+    return next(new AppError("Access denied: This playlist is private", 403));
+  }
+
+  const job = await getImportJob(req.params.jobId);
+
+  if (!job || job.playlistId !== req.params.id) {
+    return next(new AppError("Import job not found", 404));
+  }
+
+  res.json({
+    success: true,
+    data: { job },
+  });
+});
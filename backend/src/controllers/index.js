@@ -6,14 +6,29 @@
 const authController = require("./auth.controller");
 const playlistController = require("./playlist.controller");
 const songController = require("./song.controller");
+const invitationController = require("./invitation.controller");
+const historyController = require("./history.controller");
+const trashController = require("./trash.controller");
+const importController = require("./import.controller");
+const spotifyController = require("./spotify.controller");
 
 module.exports = {
   auth: authController,
   playlist: playlistController,
   song: songController,
+  invitation: invitationController,
+  history: historyController,
+  trash: trashController,
+  import: importController,
+  spotify: spotifyController,
 };
 
 // Alternative export style for destructuring
 module.exports.authController = authController;
 module.exports.playlistController = playlistController;
 module.exports.songController = songController;
+module.exports.invitationController = invitationController;
+module.exports.historyController = historyController;
+module.exports.trashController = trashController;
+module.exports.importController = importController;
+module.exports.spotifyController = spotifyController;
@@ -0,0 +1,493 @@
+const Invitation = require("../models/Invitation");
+const Playlist = require("../models/Playlist");
+const ShareLink = require("../models/ShareLink");
+const User = require("../models/User");
+const { AppError, asyncHandler } = require("../middleware/errorHandler");
+const cacheService = require("../services/cacheService");
+const config = require("../config/index");
+const {
+  getRole,
+  hasRole,
+  canManageRole,
+} = require("../utils/playlistAccess");
+
+// Helper function to mark a stale pending invitation as expired
+const expireIfStale = async (req, invitation) => {
+  if (!invitation.isExpired()) {
+    return false;
+  }
+
+  invitation.status = "expired";
+  await invitation.save();
+
+  const playlistId = (invitation.playlist._id || invitation.playlist).toString();
+  const io = req.app.get("io");
+  if (io) {
+    io.to(`playlist-${playlistId}`).emit("invite-expired", {
+      playlistId,
+      invitationId: invitation._id,
+    });
+  }
+
+  return true;
+};
+
+// Helper function to format a share link with its signed token
+const formatShareLink = (link) => {
+  const token = link.getToken();
+  return {
+    id: link._id,
+    playlist: link.playlist,
+    createdBy: link.createdBy,
+    role: link.role,
+    expiresAt: link.expiresAt,
+    maxUses: link.maxUses,
+    uses: link.uses,
+    revokedAt: link.revokedAt,
+    createdAt: link.createdAt,
+    token,
+    url: `${config.frontendUrl}/join/${token}`,
+  };
+};
+
+// Helper function to find a user by ID, username or email
+const findInvitee = ({ userId, username, email }) => {
+  if (userId) {
+    return User.findById(userId);
+  }
+  if (username) {
+    return User.findOne({ username: username.trim() });
+  }
+  return User.findOne({ email: email.trim().toLowerCase() });
+};
+
+// Invite a user to collaborate on a playlist
+exports.createInvitation = asyncHandler(async (req, res, next) => {
+  const { userId, username, email, role = "editor" } = req.body;
+  const playlistId = req.params.id;
+
+  if (!userId && !username && !email) {
+    return next(new AppError("User ID, username or email is required", 400));
+  }
+
+  const playlist = await Playlist.findById(playlistId);
+
+  if (!playlist) {
+    return next(new AppError("Playlist not found", 404));
+  }
+
+  // Owners can invite any role; admins can invite editors or viewers
+  if (!canManageRole(playlist, req.userId, role)) {
+    return next(
+      new AppError(
+        `Access denied: Not authorized to invite ${role} collaborators`,
+        403
+      )
+    );
+  }
+
+  const invitee = await findInvitee({ userId, username, email });
+  if (!invitee) {
+    return next(new AppError("User not found", 404));
+  }
+
+  const inviteeId = invitee._id.toString();
+
+  if (getRole(playlist, inviteeId)) {
+    return next(new AppError("User is already a collaborator", 400));
+  }
+
+  const existingInvitation = await Invitation.findOne({
+    playlist: playlistId,
+    invitee: inviteeId,
+    status: "pending",
+  });
+
+  if (existingInvitation && !(await expireIfStale(req, existingInvitation))) {
+    return next(new AppError("User already has a pending invitation", 409));
+  }
+
+  const invitation = await Invitation.create({
+    playlist: playlistId,
+    invitedBy: req.userId,
+    invitee: inviteeId,
+    role,
+  });
+
+  const populatedInvitation = await Invitation.findById(invitation._id)
+    .populate("invitedBy", "username")
+    .populate("invitee", "username");
+
+  // Notify clients about the new invitation
+  const io = req.app.get("io");
+  if (io) {
+    io.to(`playlist-${playlistId}`).emit("invite-sent", {
+      playlistId,
+      invitation: populatedInvitation,
+    });
+  }
+
+  console.log(
+    `✉️  Invitation sent for playlist ${playlist.name}: ${invitee.username} (${role})`
+  );
+
+  res.status(201).json({
+    success: true,
+    message: "Invitation sent successfully",
+    data: { invitation: populatedInvitation },
+  });
+});
+
+// List invitations sent for a playlist
+exports.getPlaylistInvitations = asyncHandler(async (req, res, next) => {
+  const { status = "pending" } = req.query;
+  const playlist = await Playlist.findById(req.params.id);
+
+  if (!playlist) {
+    return next(new AppError("Playlist not found", 404));
+  }
+
+  if (!hasRole(playlist, req.userId, "admin")) {
+    return next(
+      new AppError(
+        "Access denied: Not authorized to view invitations for this playlist",
+        403
+      )
+    );
+  }
+
+  const invitations = await Invitation.find({
+    playlist: req.params.id,
+    status,
+  })
+    .populate("invitedBy", "username")
+    .populate("invitee", "username")
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    data: { invitations },
+  });
+});
+
+// List the current user's incoming invitations
+exports.getMyInvitations = asyncHandler(async (req, res, next) => {
+  const { status = "pending" } = req.query;
+
+  // Expire stale invitations before listing
+  const stale = await Invitation.find({
+    invitee: req.userId,
+    status: "pending",
+    expiresAt: { $lte: new Date() },
+  });
+  for (const invitation of stale) {
+    await expireIfStale(req, invitation);
+  }
+
+  const invitations = await Invitation.find({ invitee: req.userId, status })
+    .populate("playlist", "name description coverImage")
+    .populate("invitedBy", "username")
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    data: { invitations },
+  });
+});
+
+// Accept or decline an invitation
+const respondToInvitation = (decision) =>
+  asyncHandler(async (req, res, next) => {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation || invitation.invitee.toString() !== req.userId) {
+      return next(new AppError("Invitation not found", 404));
+    }
+
+    if (await expireIfStale(req, invitation)) {
+      return next(new AppError("Invitation has expired", 410));
+    }
+
+    if (invitation.status !== "pending") {
+      return next(
+        new AppError(`Invitation has already been ${invitation.status}`, 409)
+      );
+    }
+
+    const playlistId = invitation.playlist.toString();
+    const playlist = await Playlist.findById(playlistId);
+
+    if (!playlist) {
+      return next(new AppError("Playlist not found", 404));
+    }
+
+    if (decision === "accepted") {
+      if (!getRole(playlist, req.userId)) {
+        playlist.collaborators.push({
+          user: req.userId,
+          role: invitation.role,
+          joinedAt: new Date(),
+        });
+        await playlist.save();
+      }
+
+      // Invalidate relevant caches
+      await cacheService.invalidate(cacheService.keys.playlist(playlistId));
+      await cacheService.invalidate(
+        cacheService.keys.userPlaylists(req.userId)
+      );
+    }
+
+    invitation.status = decision;
+    invitation.respondedAt = Date.now();
+    await invitation.save();
+
+    // Notify clients about the response
+    const io = req.app.get("io");
+    if (io) {
+      io.to(`playlist-${playlistId}`).emit(
+        decision === "accepted" ? "invite-accepted" : "invite-declined",
+        { playlistId, invitationId: invitation._id, userId: req.userId }
+      );
+
+      if (decision === "accepted") {
+        io.to(`playlist-${playlistId}`).emit("collaborator-added", {
+          playlistId,
+          userId: req.userId,
+          role: invitation.role,
+        });
+      }
+    }
+
+    console.log(
+      `✅ Invitation ${decision} for playlist ${playlist.name} by user ${req.userId}`
+    );
+
+    res.json({
+      success: true,
+      message: `Invitation ${decision} successfully`,
+      data: { invitation },
+    });
+  });
+
+exports.acceptInvitation = respondToInvitation("accepted");
+exports.declineInvitation = respondToInvitation("declined");
+
+// Create a shareable invite link for a playlist
+exports.createShareLink = asyncHandler(async (req, res, next) => {
+  const { role = "viewer", expiresInHours = 168, maxUses = 25 } = req.body;
+  const playlistId = req.params.id;
+
+  const playlist = await Playlist.findById(playlistId);
+
+  if (!playlist) {
+    return next(new AppError("Playlist not found", 404));
+  }
+
+  if (!canManageRole(playlist, req.userId, role)) {
+    return next(
+      new AppError(
+        `Access denied: Not authorized to share ${role} access to this playlist`,
+        403
+      )
+    );
+  }
+
+  const link = await ShareLink.create({
+    playlist: playlistId,
+    createdBy: req.userId,
+    role,
+    expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000),
+    maxUses,
+  });
+
+  // Notify clients about the new link
+  const io = req.app.get("io");
+  if (io) {
+    io.to(`playlist-${playlistId}`).emit("share-link-created", {
+      playlistId,
+      linkId: link._id,
+      role,
+      expiresAt: link.expiresAt,
+    });
+  }
+
+  console.log(
+    `🔗 Share link created for playlist ${playlist.name} (${role}, ${maxUses} uses)`
+  );
+
+  res.status(201).json({
+    success: true,
+    message: "Share link created successfully",
+    data: { link: formatShareLink(link) },
+  });
+});
+
+// List active share links for a playlist
+exports.getShareLinks = asyncHandler(async (req, res, next) => {
+  const playlist = await Playlist.findById(req.params.id);
+
+  if (!playlist) {
+    return next(new AppError("Playlist not found", 404));
+  }
+
+  if (!hasRole(playlist, req.userId, "admin")) {
+    return next(
+      new AppError(
+        "Access denied: Not authorized to view share links for this playlist",
+        403
+      )
+    );
+  }
+
+  const links = await ShareLink.find({
+    playlist: req.params.id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+    $expr: { $lt: ["$uses", "$maxUses"] },
+  })
+    .populate("createdBy", "username")
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    data: { links: links.map(formatShareLink) },
+  });
+});
+
+// Revoke a share link
+exports.revokeShareLink = asyncHandler(async (req, res, next) => {
+  const { id: playlistId, linkId } = req.params;
+
+  const playlist = await Playlist.findById(playlistId);
+
+  if (!playlist) {
+    return next(new AppError("Playlist not found", 404));
+  }
+
+  const link = await ShareLink.findOne({ _id: linkId, playlist: playlistId });
+
+  if (!link) {
+    return next(new AppError("Share link not found", 404));
+  }
+
+  // The owner can revoke any link; other managers only their own
+  const isLinkCreator = link.createdBy.toString() === req.userId;
+  if (getRole(playlist, req.userId) !== "owner" && !isLinkCreator) {
+    return next(
+      new AppError("Access denied: Not authorized to revoke this link", 403)
+    );
+  }
+
+  if (!link.revokedAt) {
+    link.revokedAt = Date.now();
+    await link.save();
+  }
+
+  // Notify clients about the revoked link
+  const io = req.app.get("io");
+  if (io) {
+    io.to(`playlist-${playlistId}`).emit("share-link-revoked", {
+      playlistId,
+      linkId,
+    });
+  }
+
+  res.json({
+    success: true,
+    message: "Share link revoked successfully",
+  });
+});
+
+// Join a playlist through a share link
+exports.redeemShareLink = asyncHandler(async (req, res, next) => {
+  const linkId = ShareLink.verifyToken(req.body.token);
+
+  if (!linkId) {
+    return next(new AppError("Invalid share link", 400));
+  }
+
+  const link = await ShareLink.findById(linkId);
+
+  if (!link) {
+    return next(new AppError("Share link not found", 404));
+  }
+
+  const playlistId = link.playlist.toString();
+  const playlist = await Playlist.findById(playlistId);
+
+  if (!playlist) {
+    return next(new AppError("Playlist not found", 404));
+  }
+
+  // Existing members keep their role and don't use up the link
+  const existingRole = getRole(playlist, req.userId);
+  if (existingRole) {
+    return res.json({
+      success: true,
+      message: "You are already a collaborator on this playlist",
+      data: { playlistId, role: existingRole },
+    });
+  }
+
+  if (!link.isActive()) {
+    return next(new AppError("Share link has expired or been revoked", 410));
+  }
+
+  // Claim a use atomically so concurrent redemptions can't exceed maxUses
+  const claimed = await ShareLink.findOneAndUpdate(
+    {
+      _id: linkId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+      $expr: { $lt: ["$uses", "$maxUses"] },
+    },
+    {
+      $inc: { uses: 1 },
+      $push: { redeemedBy: { user: req.userId, redeemedAt: new Date() } },
+    },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return next(new AppError("Share link has expired or been revoked", 410));
+  }
+
+  await Playlist.updateOne(
+    { _id: playlistId, "collaborators.user": { $ne: req.userId } },
+    {
+      $push: {
+        collaborators: {
+          user: req.userId,
+          role: link.role,
+          joinedAt: new Date(),
+        },
+      },
+    }
+  );
+
+  // Invalidate relevant caches
+  await cacheService.invalidate(cacheService.keys.playlist(playlistId));
+  await cacheService.invalidate(cacheService.keys.userPlaylists(req.userId));
+
+  // Notify clients about the new collaborator
+  const io = req.app.get("io");
+  if (io) {
+    io.to(`playlist-${playlistId}`).emit("collaborator-added", {
+      playlistId,
+      userId: req.userId,
+      role: link.role,
+      via: "share-link",
+    });
+  }
+
+  console.log(
+    `🔗 Share link redeemed for playlist ${playlist.name} by user ${req.userId}`
+  );
+
+  res.json({
+    success: true,
+    message: "Joined playlist successfully",
+    data: { playlistId, role: link.role },
+  });
+});
@@ -1,7 +1,52 @@
 const Playlist = require("../models/Playlist");
+const Song = require("../models/Song");
 const User = require("../models/User");
 const { AppError, asyncHandler } = require("../middleware/errorHandler");
 const cacheService = require("../services/cacheService");
+const {
+  getRole,
+  hasRole,
+  canView,
+  canManageRole,
+} = require("../utils/playlistAccess");
+const { evictUnauthorized, userRoom } = require("../socket");
+const { getPresence } = require("../socket/presence");
+const { publishPlaylistEvent } = require("../socket/playlistEvents");
+const {
+  formatETag,
+  getExpectedRevision,
+  revisionFilter,
+  staleRevisionError,
+} = require("../utils/revision");
+const { recordChange } = require("../utils/playlistHistory");
+const { getPurgeDate } = require("../utils/trash");
+const { SONG_ORDER_SORT } = require("../utils/songOrder");
+const { streamExport } = require("../utils/playlistExport");
+
+// Ancestors kept in a fork's lineage
+const MAX_FORK_LINEAGE = 20;
+
+// Helper function to list the creator and collaborator IDs of a playlist
+const getMemberIds = (playlist) => [
+  playlist.creator.toString(),
+  ...playlist.collaborators.map((collab) => collab.user.toString()),
+];
+
+// Helper function to list the playlist fields an update actually changed
+const describeChanges = (before, after) => {
+  const fields = ["name", "description", "isPublic"].map((field) => [
+    field,
+    before[field],
+    after[field],
+  ]);
+  Object.keys(after.settings || {}).forEach((key) => {
+    fields.push([`settings.${key}`, before.settings?.[key], after.settings[key]]);
+  });
+
+  return fields
+    .filter(([, from, to]) => from !== to)
+    .map(([field, from, to]) => ({ field, from, to }));
+};
 
 // Get all playlists
 exports.getPlaylists = asyncHandler(async (req, res, next) => {
@@ -60,16 +105,27 @@ exports.createPlaylist = asyncHandler(async (req, res, next) => {
     .populate("creator", "username")
     .populate("collaborators.user", "username");
 
+  recordChange(playlist._id, {
+    revision: playlist.revision,
+    action: "playlist-created",
+    user: req.userId,
+    details: { name: playlist.name },
+  });
+
   // Invalidate relevant caches
   await cacheService.invalidate(cacheService.keys.userPlaylists(req.userId));
   if (isPublic) {
     await cacheService.invalidate('public:playlists:*');
   }
 
-  // Notify clients about the new playlist
+  // Notify clients about the new playlist; private playlists only reach the creator
   const io = req.app.get("io");
   if (io) {
-    io.emit("playlist-created", populatedPlaylist);
+    if (populatedPlaylist.isPublic) {
+      io.emit("playlist-created", populatedPlaylist);
+    } else {
+      io.to(userRoom(req.userId)).emit("playlist-created", populatedPlaylist);
+    }
   }
 
   console.log(
@@ -92,15 +148,11 @@ exports.getPlaylistById = asyncHandler(async (req, res, next) => {
   const cachedPlaylist = await cacheService.get(cacheKey);
   if (cachedPlaylist) {
     // Still need to check access control even with cached data
-    const isCreator = cachedPlaylist.creator._id.toString() === req.userId;
-    const isCollaborator = cachedPlaylist.collaborators.some(
-      (collab) => collab.user._id.toString() === req.userId
-    );
-
-    if (!cachedPlaylist.isPublic && !isCreator && !isCollaborator) {
+    if (!canView(cachedPlaylist, req.userId)) {
       return next(new AppError("Access denied: This playlist is private", 403));
     }
 
+    res.set("ETag", formatETag(cachedPlaylist.revision));
     return res.json({
       success: true,
       data: { playlist: cachedPlaylist },
@@ -111,6 +163,13 @@ exports.getPlaylistById = asyncHandler(async (req, res, next) => {
   const playlist = await Playlist.findById(playlistId)
     .populate("creator", "username")
     .populate("collaborators.user", "username")
+    // Only public ancestors are shown; private or trashed ones drop out
+    .populate({
+      path: "forkLineage",
+      match: { isPublic: true },
+      select: "name creator forkCount",
+      populate: { path: "creator", select: "username" },
+    })
     .populate({
       path: "songs",
       populate: {
@@ -125,18 +184,14 @@ exports.getPlaylistById = asyncHandler(async (req, res, next) => {
   }
 
   // Check if user has access to this playlist
-  const isCreator = playlist.creator._id.toString() === req.userId;
-  const isCollaborator = playlist.collaborators.some(
-    (collab) => collab.user._id.toString() === req.userId
-  );
-
-  if (!playlist.isPublic && !isCreator && !isCollaborator) {
+  if (!canView(playlist, req.userId)) {
     return next(new AppError("Access denied: This playlist is private", 403));
   }
 
   // Cache the playlist for 10 minutes
   await cacheService.set(cacheKey, playlist, 600);
 
+  res.set("ETag", formatETag(playlist.revision));
   res.json({
     success: true,
     data: { playlist },
@@ -145,7 +200,9 @@ exports.getPlaylistById = asyncHandler(async (req, res, next) => {
 
 // Update a playlist
 exports.updatePlaylist = asyncHandler(async (req, res, next) => {
-  const { name, description, isPublic, collaborators } = req.body;
+  // Collaborators are managed through the collaborator endpoints only
+  const { name, description, isPublic, settings } = req.body;
+  const expectedRevision = getExpectedRevision(req);
 
   const playlist = await Playlist.findById(req.params.id);
 
@@ -153,10 +210,25 @@ exports.updatePlaylist = asyncHandler(async (req, res, next) => {
     return next(new AppError("Playlist not found", 404));
   }
 
-  // Verify ownership
-  if (playlist.creator.toString() !== req.userId) {
+  // Owners and admins can edit details; visibility and settings are owner-only
+  if (!hasRole(playlist, req.userId, "admin")) {
     return next(
-      new AppError("Access denied: You can only update your own playlists", 403)
+      new AppError(
+        "Access denied: Not authorized to update this playlist",
+        403
+      )
+    );
+  }
+
+  if (
+    getRole(playlist, req.userId) !== "owner" &&
+    (isPublic !== undefined || settings !== undefined)
+  ) {
+    return next(
+      new AppError(
+        "Access denied: Only the owner can change visibility or settings",
+        403
+      )
     );
   }
 
@@ -164,34 +236,76 @@ exports.updatePlaylist = asyncHandler(async (req, res, next) => {
     return next(new AppError("Playlist name cannot be empty", 400));
   }
 
-  const updatedPlaylist = await Playlist.findByIdAndUpdate(
-    req.params.id,
-    {
-      name: name ? name.trim() : playlist.name,
-      description:
-        description !== undefined ? description.trim() : playlist.description,
-      isPublic: isPublic !== undefined ? isPublic : playlist.isPublic,
-      collaborators: collaborators || playlist.collaborators,
-      updatedAt: Date.now(),
-    },
+  const updates = {
+    name: name ? name.trim() : playlist.name,
+    description:
+      description !== undefined ? description.trim() : playlist.description,
+    isPublic: isPublic !== undefined ? isPublic : playlist.isPublic,
+    updatedAt: Date.now(),
+  };
+
+  // Only overwrite the settings that were provided
+  if (settings) {
+    [
+      "allowDuplicates",
+      "requireApproval",
+      "maxSongs",
+      "maxSongsPerCollaborator",
+    ].forEach((key) => {
+      if (settings[key] !== undefined) {
+        updates[`settings.${key}`] = settings[key];
+      }
+    });
+  }
+
+  // Only apply the update if nobody else changed the playlist meanwhile
+  const updatedPlaylist = await Playlist.findOneAndUpdate(
+    { _id: req.params.id, ...revisionFilter(expectedRevision) },
+    { ...updates, $inc: { revision: 1 } },
     { new: true, runValidators: true }
   )
     .populate("creator", "username")
-    .populate("collaborators", "username");
+    .populate("collaborators.user", "username");
+
+  if (!updatedPlaylist) {
+    return next(await staleRevisionError(req.params.id));
+  }
+
+  // Invalidate relevant caches
+  await cacheService.invalidate(cacheService.keys.playlist(req.params.id));
 
   // Notify clients about the playlist update
   const io = req.app.get("io");
-  if (io) {
-    io.to(`playlist-${req.params.id}`).emit(
-      "playlist-updated",
-      updatedPlaylist
-    );
+  await publishPlaylistEvent(
+    io,
+    req.params.id,
+    "playlist-updated",
+    updatedPlaylist,
+    updatedPlaylist.revision
+  );
+
+  recordChange(req.params.id, {
+    revision: updatedPlaylist.revision,
+    action: "playlist-updated",
+    user: req.userId,
+    details: {
+      changes: describeChanges(
+        playlist.toObject(),
+        updatedPlaylist.toObject({ depopulate: true })
+      ),
+    },
+  });
+
+  // Drop non-members from the room when the playlist becomes private
+  if (!updatedPlaylist.isPublic) {
+    await evictUnauthorized(io, updatedPlaylist, req.params.id);
   }
 
   console.log(
     `✅ Playlist updated: ${updatedPlaylist.name} by user ${req.userId}`
   );
 
+  res.set("ETag", formatETag(updatedPlaylist.revision));
   res.json({
     success: true,
     message: "Playlist updated successfully",
@@ -201,6 +315,7 @@ exports.updatePlaylist = asyncHandler(async (req, res, next) => {
 
 // Delete a playlist
 exports.deletePlaylist = asyncHandler(async (req, res, next) => {
+  const expectedRevision = getExpectedRevision(req);
   const playlist = await Playlist.findById(req.params.id);
 
   if (!playlist) {
@@ -208,29 +323,391 @@ exports.deletePlaylist = asyncHandler(async (req, res, next) => {
   }
 
   // Verify ownership
-  if (playlist.creator.toString() !== req.userId) {
+  if (getRole(playlist, req.userId) !== "owner") {
     return next(
       new AppError("Access denied: You can only delete your own playlists", 403)
     );
   }
 
-  // Delete all songs in the playlist first
-  const Song = require("../models/Song");
-  await Song.deleteMany({ playlist: req.params.id });
+  // Move the playlist to the trash unless it changed since the client read it.
+  // Songs and history stay with it until it is restored or purged.
+  const { modifiedCount } = await Playlist.updateOne(
+    { _id: req.params.id, ...revisionFilter(expectedRevision) },
+    { deletedAt: new Date(), deletedBy: req.userId }
+  );
 
-  // Delete the playlist
-  await Playlist.findByIdAndDelete(req.params.id);
+  if (modifiedCount === 0) {
+    return next(await staleRevisionError(req.params.id));
+  }
+
+  // Invalidate relevant caches
+  await cacheService.invalidate(cacheService.keys.playlist(req.params.id));
+  await cacheService.invalidate(cacheService.keys.playlistSongs(req.params.id));
+  // Public playlists appear in every user's list
+  const listOwners = playlist.isPublic ? ["*"] : getMemberIds(playlist);
+  for (const userId of listOwners) {
+    await cacheService.invalidate(cacheService.keys.userPlaylists(userId));
+  }
 
   // Notify clients about the deletion
   const io = req.app.get("io");
   if (io) {
     io.to(`playlist-${req.params.id}`).emit("playlist-deleted", req.params.id);
+    io.in(`playlist-${req.params.id}`).socketsLeave(`playlist-${req.params.id}`);
+  }
+
+  console.log(`🗑️  Playlist moved to trash: ${playlist.name} by user ${req.userId}`);
+
+  res.json({
+    success: true,
+    message: "Playlist moved to trash",
+    data: { purgeAt: getPurgeDate(new Date()) },
+  });
+});
+
+// Change a collaborator's role
+exports.updateCollaboratorRole = asyncHandler(async (req, res, next) => {
+  const { userId } = req.params;
+  const { role } = req.body;
+  const expectedRevision = getExpectedRevision(req);
+
+  const playlist = await Playlist.findById(req.params.id);
+
+  if (!playlist) {
+    return next(new AppError("Playlist not found", 404));
+  }
+
+  const collaborator = playlist.collaborators.find(
+    (collab) => collab.user.toString() === userId
+  );
+
+  if (!collaborator) {
+    return next(new AppError("Collaborator not found", 404));
+  }
+
+  // The manager must be allowed to both revoke the old role and grant the new one
+  if (
+    !canManageRole(playlist, req.userId, collaborator.role) ||
+    !canManageRole(playlist, req.userId, role)
+  ) {
+    return next(
+      new AppError(
+        "Access denied: Not authorized to change this collaborator's role",
+        403
+      )
+    );
+  }
+
+  const previousRole = collaborator.role;
+
+  // Only change the role if nobody else changed the playlist meanwhile
+  const updatedPlaylist = await Playlist.findOneAndUpdate(
+    {
+      _id: req.params.id,
+      ...revisionFilter(expectedRevision),
+      "collaborators.user": userId,
+    },
+    { $set: { "collaborators.$.role": role }, $inc: { revision: 1 } },
+    { new: true, projection: { revision: 1 } }
+  ).lean();
+
+  if (!updatedPlaylist) {
+    return next(await staleRevisionError(req.params.id));
+  }
+
+  // Invalidate relevant caches
+  await cacheService.invalidate(cacheService.keys.playlist(req.params.id));
+
+  // Notify clients about the role change
+  await publishPlaylistEvent(
+    req.app.get("io"),
+    req.params.id,
+    "collaborator-role-updated",
+    { playlistId: req.params.id, userId, role, previousRole },
+    updatedPlaylist.revision
+  );
+
+  console.log(
+    `✅ Collaborator role updated in playlist ${playlist.name}: ${userId} ${previousRole} -> ${role}`
+  );
+
+  res.set("ETag", formatETag(updatedPlaylist.revision));
+  res.json({
+    success: true,
+    message: "Collaborator role updated successfully",
+    data: { userId, role, previousRole, revision: updatedPlaylist.revision },
+  });
+});
+
+// Remove a collaborator from a playlist
+exports.removeCollaborator = asyncHandler(async (req, res, next) => {
+  const { userId } = req.params;
+  const expectedRevision = getExpectedRevision(req);
+
+  const playlist = await Playlist.findById(req.params.id);
+
+  if (!playlist) {
+    return next(new AppError("Playlist not found", 404));
+  }
+
+  const collaborator = playlist.collaborators.find(
+    (collab) => collab.user.toString() === userId
+  );
+
+  if (!collaborator) {
+    return next(new AppError("Collaborator not found", 404));
+  }
+
+  // Owners can remove anyone; admins can remove editors and viewers
+  if (!canManageRole(playlist, req.userId, collaborator.role)) {
+    return next(
+      new AppError(
+        "Access denied: Not authorized to remove this collaborator",
+        403
+      )
+    );
+  }
+
+  // Only remove the collaborator if nobody else changed the playlist meanwhile
+  const updatedPlaylist = await Playlist.findOneAndUpdate(
+    {
+      _id: req.params.id,
+      ...revisionFilter(expectedRevision),
+      "collaborators.user": userId,
+    },
+    { $pull: { collaborators: { user: userId } }, $inc: { revision: 1 } },
+    { new: true }
+  );
+
+  if (!updatedPlaylist) {
+    return next(await staleRevisionError(req.params.id));
   }
 
-  console.log(`✅ Playlist deleted: ${playlist.name} by user ${req.userId}`);
+  // Invalidate relevant caches
+  await cacheService.invalidate(cacheService.keys.playlist(req.params.id));
+  await cacheService.invalidate(cacheService.keys.userPlaylists(userId));
+
+  // Notify clients about the removed collaborator
+  const io = req.app.get("io");
+  await publishPlaylistEvent(
+    io,
+    req.params.id,
+    "collaborator-removed",
+    { playlistId: req.params.id, userId },
+    updatedPlaylist.revision
+  );
+
+  // The removed user's sockets lose the room unless the playlist is public
+  await evictUnauthorized(io, updatedPlaylist, req.params.id);
+
+  console.log(
+    `✅ Collaborator removed from playlist ${playlist.name}: ${userId}`
+  );
+
+  res.set("ETag", formatETag(updatedPlaylist.revision));
+  res.json({
+    success: true,
+    message: "Collaborator removed successfully",
+    data: { userId, revision: updatedPlaylist.revision },
+  });
+});
+
+// Get the users currently connected to a playlist room
+exports.getPlaylistPresence = asyncHandler(async (req, res, next) => {
+  const playlist = await Playlist.findById(req.params.id).select(
+    "creator collaborators isPublic"
+  );
+
+  if (!playlist) {
+    return next(new AppError("Playlist not found", 404));
+  }
+
+  if (!canView(playlist, req.userId)) {
+    return next(new AppError("Access denied: This playlist is private", 403));
+  }
+
+  const users = await getPresence(req.params.id);
+
+  res.json({
+    success: true,
+    data: { playlistId: req.params.id, users },
+  });
+});
+
+// Copy a readable playlist and its songs into a new playlist owned by the caller
+exports.forkPlaylist = asyncHandler(async (req, res, next) => {
+  const { name, isPublic } = req.body;
+  const source = await Playlist.findById(req.params.id);
+
+  if (!source) {
+    return next(new AppError("Playlist not found", 404));
+  }
+
+  if (!canView(source, req.userId)) {
+    return next(new AppError("Access denied: This playlist is private", 403));
+  }
+
+  const sourceSongs = await Song.find({ playlist: source._id })
+    .sort(SONG_ORDER_SORT)
+    .lean();
+
+  const fork = await Playlist.create({
+    name: name?.trim() || source.name,
+    description: source.description,
+    creator: req.userId,
+    isPublic: isPublic || false,
+    settings: source.settings,
+    tags: source.tags,
+    coverImage: source.coverImage,
+    forkedFrom: source._id,
+    forkLineage: [source._id, ...source.forkLineage].slice(0, MAX_FORK_LINEAGE),
+  });
+
+  // Songs are copied with new IDs; contributors are kept, votes are not
+  let songs;
+  try {
+    songs = await Song.insertMany(
+      sourceSongs.map((song, order) => ({
+        track: song.track,
+        title: song.title,
+        artist: song.artist,
+        album: song.album,
+        duration: song.duration,
+        spotifyId: song.spotifyId,
+        youtubeId: song.youtubeId,
+        isrc: song.isrc,
+        mbid: song.mbid,
+        metadata: song.metadata,
+        addedBy: song.addedBy,
+        addedAt: song.addedAt,
+        playlist: fork._id,
+        order,
+      }))
+    );
+  } catch (error) {
+    await Song.deleteMany({ playlist: fork._id });
+    await Playlist.deleteOne({ _id: fork._id });
+    throw error;
+  }
+
+  fork.songs = songs.map((song) => song._id);
+  await fork.save();
+
+  await Playlist.updateOne({ _id: source._id }, { $inc: { forkCount: 1 } });
+
+  recordChange(fork._id, {
+    revision: fork.revision,
+    action: "playlist-created",
+    user: req.userId,
+    details: {
+      name: fork.name,
+      forkedFrom: source._id.toString(),
+      forkedFromRevision: source.revision,
+    },
+  });
+
+  const populatedFork = await Playlist.findById(fork._id)
+    .populate("creator", "username")
+    .populate("collaborators.user", "username");
+
+  // Invalidate relevant caches; the source's fork count changed
+  await cacheService.invalidate(cacheService.keys.playlist(req.params.id));
+  await cacheService.invalidate(cacheService.keys.userPlaylists(req.userId));
+  if (populatedFork.isPublic) {
+    await cacheService.invalidate('public:playlists:*');
+  }
+
+  // Notify clients about the new playlist; private forks only reach the caller
+  const io = req.app.get("io");
+  if (io) {
+    if (populatedFork.isPublic) {
+      io.emit("playlist-created", populatedFork);
+    } else {
+      io.to(userRoom(req.userId)).emit("playlist-created", populatedFork);
+    }
+  }
+
+  console.log(
+    `🍴 Playlist forked: ${source.name} -> ${fork.name} by user ${req.userId}`
+  );
+
+  res.status(201).json({
+    success: true,
+    message: "Playlist forked successfully",
+    data: { playlist: populatedFork },
+  });
+});
+
+// List the forks of a playlist the caller can see
+exports.getPlaylistForks = asyncHandler(async (req, res, next) => {
+  const { limit = 20 } = req.query;
+  const source = await Playlist.findById(req.params.id).select(
+    "creator collaborators isPublic forkCount"
+  );
+
+  if (!source) {
+    return next(new AppError("Playlist not found", 404));
+  }
+
+  if (!canView(source, req.userId)) {
+    return next(new AppError("Access denied: This playlist is private", 403));
+  }
+
+  const forks = await Playlist.find({
+    forkedFrom: source._id,
+    $or: [
+      { creator: req.userId },
+      { "collaborators.user": req.userId },
+      { isPublic: true },
+    ],
+  })
+    .select("name description creator isPublic forkCount songs createdAt")
+    .populate("creator", "username")
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
 
   res.json({
     success: true,
-    message: "Playlist deleted successfully",
+    data: {
+      forkCount: source.forkCount,
+      forks: forks.map(({ songs, ...fork }) => ({
+        ...fork,
+        songCount: songs.length,
+      })),
+    },
   });
 });
+
+// Download a playlist as M3U8, XSPF, CSV or JSON
+exports.exportPlaylist = asyncHandler(async (req, res, next) => {
+  const { format = "json" } = req.query;
+  const playlist = await Playlist.findById(req.params.id)
+    .select("name description tags creator collaborators isPublic")
+    .populate("creator", "username");
+
+  if (!playlist) {
+    return next(new AppError("Playlist not found", 404));
+  }
+
+  // Same access rule as getPlaylistById
+  if (!canView(playlist, req.userId)) {
+    return next(new AppError("Access denied: This playlist is private", 403));
+  }
+
+  // Songs are read with a cursor and written as they arrive
+  const songs = Song.find({ playlist: playlist._id })
+    .select(
+      "title artist album duration spotifyId youtubeId isrc mbid addedBy addedAt"
+    )
+    .populate("addedBy", "username")
+    .sort(SONG_ORDER_SORT)
+    .lean()
+    .cursor();
+
+  const count = await streamExport(res, format, playlist, songs);
+
+  console.log(
+    `📤 Playlist exported: ${playlist.name} as ${format} (${count} songs)`
+  );
+});
@@ -1,11 +1,213 @@
 const Playlist = require("../models/Playlist");
 const Song = require("../models/Song");
+const SongSuggestion = require("../models/SongSuggestion");
+const Track = require("../models/Track");
 const { AppError, asyncHandler } = require("../middleware/errorHandler");
 const cacheService = require("../services/cacheService");
+const youtubeService = require("../services/youtubeService");
+const { hasRole, canView } = require("../utils/playlistAccess");
+const { publishPlaylistEvent } = require("../socket/playlistEvents");
+const {
+  formatETag,
+  getExpectedRevision,
+  claimRevision,
+  staleRevisionError,
+} = require("../utils/revision");
+const { orderAfterClaimed, findPreviousSongId } = require("../utils/songOrder");
+const { recordChange } = require("../utils/playlistHistory");
+const {
+  getPurgeDate,
+  trashSong,
+  untrashSong,
+} = require("../utils/trash");
+const {
+  findOrCreateTrack,
+  getEntryFields,
+  getRecordingConditions,
+} = require("../utils/trackCatalog");
+const { MATCH_THRESHOLD, scoreMatch } = require("../utils/trackMatch");
+
+// Helper function to tally up/down votes on a song
+const tallyVotes = (votes = []) => {
+  const up = votes.filter((vote) => vote.type === "up").length;
+  const down = votes.filter((vote) => vote.type === "down").length;
+  return { up, down, score: up - down };
+};
+
+// Helper function to order songs by vote score, keeping playlist order on ties
+const sortByScore = (songs) => {
+  return [...songs].sort(
+    (a, b) => tallyVotes(b.votes).score - tallyVotes(a.votes).score
+  );
+};
+
+// Helper function to describe a YouTube video as a candidate for a song
+const toYouTubeMatch = (song, video) => ({
+  youtubeId: video.id,
+  title: video.title,
+  channel: video.channel,
+  duration: video.duration,
+  url: video.url,
+  confidence: scoreMatch(song, video),
+});
+
+// Helper function to queue a song for approval and notify clients
+const suggestSong = async (req, playlist, fields) => {
+  const playlistId = playlist._id.toString();
+
+  const suggestion = await SongSuggestion.create({
+    ...fields,
+    playlist: playlistId,
+    suggestedBy: req.userId,
+  });
+
+  const populatedSuggestion = await SongSuggestion.findById(
+    suggestion._id
+  ).populate("suggestedBy", "username");
+
+  // Notify clients about the new suggestion
+  const io = req.app.get("io");
+  if (io) {
+    io.to(`playlist-${playlistId}`).emit("song-suggested", {
+      playlistId,
+      suggestion: populatedSuggestion,
+    });
+  }
+
+  console.log(
+    `📝 Song suggested for playlist: ${suggestion.title} by ${suggestion.artist}`
+  );
+
+  return populatedSuggestion;
+};
+
+// Helper function to append a song at the end of a playlist and notify clients.
+// The song's track is looked up in (or added to) the shared catalog.
+const insertSong = async (req, playlist, { addedBy, ...fields }) => {
+  const playlistId = playlist._id.toString();
+  const track = await findOrCreateTrack(fields);
+
+  // Get the next order number
+  const lastSong = await Song.findOne({ playlist: playlistId }).sort({
+    order: -1,
+  });
+  const nextOrder = lastSong ? lastSong.order + 1 : 0;
+
+  const savedSong = await Song.create({
+    ...getEntryFields(track),
+    addedBy,
+    playlist: playlistId,
+    order: nextOrder,
+  });
+
+  // Add song reference to playlist
+  playlist.songs.push(savedSong._id);
+  playlist.updatedAt = Date.now();
+  await playlist.save();
+
+  // Populate the saved song with user info
+  const populatedSong = await Song.findById(savedSong._id).populate(
+    "addedBy",
+    "username"
+  );
+
+  // Claim the revision before clearing the caches, so a read in between
+  // can't cache the new song under the old revision
+  const revision = await claimRevision(playlistId, null);
+
+  // Invalidate relevant caches
+  await cacheService.invalidate(cacheService.keys.playlistSongs(playlistId));
+  await cacheService.invalidate(cacheService.keys.playlist(playlistId));
+
+  // Notify clients about the new song
+  if (revision !== null) {
+    await publishPlaylistEvent(
+      req.app.get("io"),
+      playlistId,
+      "song-added",
+      { playlistId, song: populatedSong },
+      revision
+    );
+  }
+
+  recordChange(playlistId, {
+    revision,
+    action: "song-added",
+    user: req.userId,
+    details: {
+      songId: savedSong._id.toString(),
+      title: savedSong.title,
+      artist: savedSong.artist,
+      addedBy: savedSong.addedBy,
+    },
+  });
+
+  return populatedSong;
+};
+
+// Helper function to check playlist capacity and the per-collaborator quota.
+// Pass a null userId to check capacity only. Returns an AppError describing
+// the limit that was hit, or null.
+const checkSongLimits = async (playlist, userId, count = 1) => {
+  const { maxSongs, maxSongsPerCollaborator } = playlist.settings;
+
+  const songCount = await Song.countDocuments({ playlist: playlist._id });
+  if (songCount + count > maxSongs) {
+    return new AppError(
+      `Playlist song limit reached (${maxSongs} songs)`,
+      409,
+      [
+        {
+          limit: "maxSongs",
+          max: maxSongs,
+          used: songCount,
+          remaining: Math.max(maxSongs - songCount, 0),
+        },
+      ]
+    );
+  }
+
+  // The creator is not subject to the per-collaborator quota
+  if (
+    !maxSongsPerCollaborator ||
+    !userId ||
+    playlist.creator.toString() === userId
+  ) {
+    return null;
+  }
+
+  // Pending suggestions count towards the quota so the queue can't be flooded
+  const [addedCount, pendingCount] = await Promise.all([
+    Song.countDocuments({ playlist: playlist._id, addedBy: userId }),
+    SongSuggestion.countDocuments({
+      playlist: playlist._id,
+      suggestedBy: userId,
+      status: "pending",
+    }),
+  ]);
+  const used = addedCount + pendingCount;
+
+  if (used + count > maxSongsPerCollaborator) {
+    return new AppError(
+      `Contribution limit reached (${maxSongsPerCollaborator} songs per collaborator)`,
+      409,
+      [
+        {
+          limit: "maxSongsPerCollaborator",
+          max: maxSongsPerCollaborator,
+          used,
+          remaining: Math.max(maxSongsPerCollaborator - used, 0),
+        },
+      ]
+    );
+  }
+
+  return null;
+};
 
 // Get all songs from a playlist
 exports.getSongs = asyncHandler(async (req, res, next) => {
-  const { playlistId } = req.query;
+  const { playlistId, sort = "order" } = req.query;
 
   if (!playlistId) {
     return next(new AppError("Playlist ID is required", 400));
@@ -18,7 +220,7 @@ exports.getSongs = asyncHandler(async (req, res, next) => {
   if (cachedSongs) {
     return res.json({
       success: true,
-      data: { songs: cachedSongs },
+      data: { songs: sort === "score" ? sortByScore(cachedSongs) : cachedSongs },
       cached: true
     });
   }
@@ -37,12 +239,7 @@ exports.getSongs = asyncHandler(async (req, res, next) => {
   }
 
   // Check if user has access to this playlist
-  const isCreator = playlist.creator.toString() === req.userId;
-  const isCollaborator = playlist.collaborators.some(
-    (collab) => collab.user.toString() === req.userId
-  );
-
-  if (!playlist.isPublic && !isCreator && !isCollaborator) {
+  if (!canView(playlist, req.userId)) {
     return next(new AppError("Access denied: This playlist is private", 403));
   }
 
@@ -51,14 +248,25 @@ exports.getSongs = asyncHandler(async (req, res, next) => {
 
   res.json({
     success: true,
-    data: { songs: playlist.songs },
+    data: {
+      songs: sort === "score" ? sortByScore(playlist.songs) : playlist.songs,
+    },
   });
 });
 
 // Add a song to a playlist
 exports.addSong = asyncHandler(async (req, res, next) => {
-  const { playlistId, title, artist, album, duration, spotifyId, youtubeId } =
-    req.body;
+  const {
+    playlistId,
+    title,
+    artist,
+    album,
+    duration,
+    spotifyId,
+    youtubeId,
+    isrc,
+    mbid,
+  } = req.body;
 
   if (!playlistId || !title || !artist || !duration) {
     return next(
@@ -76,14 +284,7 @@ exports.addSong = asyncHandler(async (req, res, next) => {
   }
 
   // Check if user has permission to add songs
-  const isCreator = playlist.creator.toString() === req.userId;
-  const isCollaborator = playlist.collaborators.some(
-    (collab) =>
-      collab.user.toString() === req.userId &&
-      (collab.role === "admin" || collab.role === "editor")
-  );
-
-  if (!isCreator && !isCollaborator) {
+  if (!hasRole(playlist, req.userId, "editor")) {
     return next(
       new AppError(
         "Access denied: Not authorized to add songs to this playlist",
@@ -92,65 +293,79 @@ exports.addSong = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Check for duplicates if not allowed
+  // Enforce playlist capacity and contribution quotas
+  const limitError = await checkSongLimits(playlist, req.userId);
+  if (limitError) {
+    return next(limitError);
+  }
+
+  // Check for duplicates if not allowed; a shared MBID or ISRC is the same
+  // recording even under another title
   if (!playlist.settings.allowDuplicates) {
+    const sameSong = [
+      { title: title, artist: artist },
+      ...getRecordingConditions({ isrc, mbid }),
+    ];
+
     const existingSong = await Song.findOne({
       playlist: playlistId,
-      title: title,
-      artist: artist,
+      $or: sameSong,
     });
 
     if (existingSong) {
       return next(new AppError("Song already exists in playlist", 400));
     }
+
+    const pendingSuggestion = await SongSuggestion.findOne({
+      playlist: playlistId,
+      $or: sameSong,
+      status: "pending",
+    });
+
+    if (pendingSuggestion) {
+      return next(
+        new AppError("Song is already awaiting approval for this playlist", 400)
+      );
+    }
   }
 
-  // Get the next order number
-  const lastSong = await Song.findOne({ playlist: playlistId }).sort({
-    order: -1,
-  });
-  const nextOrder = lastSong ? lastSong.order + 1 : 0;
+  // Editors go through the approval queue when the playlist requires it
+  if (
+    playlist.settings.requireApproval &&
+    !hasRole(playlist, req.userId, "admin")
+  ) {
+    const populatedSuggestion = await suggestSong(req, playlist, {
+      title: title.trim(),
+      artist: artist.trim(),
+      album: album?.trim() || "",
+      duration,
+      spotifyId,
+      youtubeId,
+      isrc,
+      mbid,
+    });
+
+    return res.status(202).json({
+      success: true,
+      message: "Song submitted for approval",
+      data: { suggestion: populatedSuggestion },
+    });
+  }
 
-  const newSong = new Song({
+  const populatedSong = await insertSong(req, playlist, {
     title: title.trim(),
     artist: artist.trim(),
     album: album?.trim() || "",
     duration,
     spotifyId,
     youtubeId,
+    isrc,
+    mbid,
     addedBy: req.userId,
-    playlist: playlistId,
-    order: nextOrder,
   });
 
-  const savedSong = await newSong.save();
-
-  // Add song reference to playlist
-  playlist.songs.push(savedSong._id);
-  playlist.updatedAt = Date.now();
-  await playlist.save();
-
-  // Populate the saved song with user info
-  const populatedSong = await Song.findById(savedSong._id).populate(
-    "addedBy",
-    "username"
-  );
-
-  // Invalidate relevant caches
-  await cacheService.invalidate(cacheService.keys.playlistSongs(playlistId));
-  await cacheService.invalidate(cacheService.keys.playlist(playlistId));
-
-  // Notify clients about the new song
-  const io = req.app.get("io");
-  if (io) {
-    io.to(`playlist-${playlistId}`).emit("song-added", {
-      playlistId,
-      song: populatedSong,
-    });
-  }
-
   console.log(
-    `✅ Song added to playlist: ${savedSong.title} by ${savedSong.artist}`
+    `✅ Song added to playlist: ${populatedSong.title} by ${populatedSong.artist}`
   );
 
   res.status(201).json({
@@ -176,14 +391,7 @@ exports.removeSong = asyncHandler(async (req, res, next) => {
   }
 
   // Check if user has permission to remove songs
-  const isCreator = playlist.creator.toString() === req.userId;
-  const isCollaborator = playlist.collaborators.some(
-    (collab) =>
-      collab.user.toString() === req.userId &&
-      (collab.role === "admin" || collab.role === "editor")
-  );
-
-  if (!isCreator && !isCollaborator) {
+  if (!hasRole(playlist, req.userId, "editor")) {
     return next(
       new AppError(
         "Access denied: Not authorized to remove songs from this playlist",
@@ -199,28 +407,55 @@ exports.removeSong = asyncHandler(async (req, res, next) => {
     return next(new AppError("Song not found in playlist", 404));
   }
 
-  // Remove song document
-  await Song.findByIdAndDelete(songId);
+  // Claim the next revision first so a stale removal never touches the song
+  const revision = await claimRevision(playlistId, getExpectedRevision(req));
+  if (revision === null) {
+    return next(await staleRevisionError(playlistId));
+  }
+
+  // Move the song to the trash; it remembers its position for restoring
+  await trashSong(song, req.userId);
 
-  // Remove song reference from playlist
-  playlist.songs = playlist.songs.filter((id) => id.toString() !== songId);
-  playlist.updatedAt = Date.now();
-  await playlist.save();
+  // Invalidate relevant caches
+  await cacheService.invalidate(cacheService.keys.playlistSongs(playlistId));
+  await cacheService.invalidate(cacheService.keys.playlist(playlistId));
 
   // Notify clients about the removed song
-  const io = req.app.get("io");
-  if (io) {
-    io.to(`playlist-${playlistId}`).emit("song-removed", {
-      playlistId,
+  await publishPlaylistEvent(
+    req.app.get("io"),
+    playlistId,
+    "song-removed",
+    { playlistId, songId },
+    revision
+  );
+
+  recordChange(playlistId, {
+    revision,
+    action: "song-removed",
+    user: req.userId,
+    details: {
       songId,
-    });
-  }
+      title: song.title,
+      artist: song.artist,
+      album: song.album,
+      duration: song.duration,
+      spotifyId: song.spotifyId,
+      youtubeId: song.youtubeId,
+      isrc: song.isrc,
+      mbid: song.mbid,
+      addedBy: song.addedBy,
+      addedAt: song.addedAt,
+      afterSongId: song.deletedAfter ? song.deletedAfter.toString() : null,
+    },
+  });
 
   console.log(`✅ Song removed from playlist: ${song.title} by ${song.artist}`);
 
+  res.set("ETag", formatETag(revision));
   res.json({
     success: true,
     message: "Song removed successfully",
+    data: { songId, purgeAt: getPurgeDate(song.deletedAt), revision },
   });
 });
 
@@ -239,12 +474,7 @@ exports.searchSongs = asyncHandler(async (req, res, next) => {
   }
 
   // Check if user has access to this playlist
-  const isCreator = playlist.creator.toString() === req.userId;
-  const isCollaborator = playlist.collaborators.some(
-    (collab) => collab.user.toString() === req.userId
-  );
-
-  if (!playlist.isPublic && !isCreator && !isCollaborator) {
+  if (!canView(playlist, req.userId)) {
     return next(new AppError("Access denied: This playlist is private", 403));
   }
 
@@ -284,14 +514,7 @@ exports.reorderSongs = asyncHandler(async (req, res, next) => {
   }
 
   // Check if user has permission to reorder songs
-  const isCreator = playlist.creator.toString() === req.userId;
-  const isCollaborator = playlist.collaborators.some(
-    (collab) =>
-      collab.user.toString() === req.userId &&
-      (collab.role === "admin" || collab.role === "editor")
-  );
-
-  if (!isCreator && !isCollaborator) {
+  if (!hasRole(playlist, req.userId, "editor")) {
     return next(
       new AppError(
         "Access denied: Not authorized to reorder songs in this playlist",
@@ -307,26 +530,675 @@ exports.reorderSongs = asyncHandler(async (req, res, next) => {
     return next(new AppError("Invalid song order format", 400));
   }
 
-  // Update song orders
-  const updatePromises = songOrders.map(({ songId, order }) =>
-    Song.findByIdAndUpdate(songId, { order }, { new: true })
+  // Every song must belong to this playlist
+  const songIds = [...new Set(songOrders.map(({ songId }) => songId))];
+  const matchingCount = await Song.countDocuments({
+    _id: { $in: songIds },
+    playlist: playlistId,
+  });
+  if (matchingCount !== songIds.length) {
+    return next(new AppError("Some songs are not in this playlist", 400));
+  }
+
+  // Claim the next revision first so a stale reorder never touches songs
+  const revision = await claimRevision(playlistId, getExpectedRevision(req));
+  if (revision === null) {
+    return next(await staleRevisionError(playlistId));
+  }
+
+  // Remember the current orders so the reorder can be undone
+  const previousOrders = (
+    await Song.find({ _id: { $in: songIds } }).select("order").lean()
+  ).map((song) => ({ songId: song._id.toString(), order: song.order }));
+
+  // Update song orders in a single round trip
+  await Song.bulkWrite(
+    songOrders.map(({ songId, order }) => ({
+      updateOne: {
+        filter: { _id: songId, playlist: playlistId },
+        update: { $set: { order } },
+      },
+    }))
   );
 
-  await Promise.all(updatePromises);
+  // Invalidate relevant caches
+  await cacheService.invalidate(cacheService.keys.playlistSongs(playlistId));
+  await cacheService.invalidate(cacheService.keys.playlist(playlistId));
 
   // Notify clients about the reorder
+  await publishPlaylistEvent(
+    req.app.get("io"),
+    playlistId,
+    "songs-reordered",
+    { playlistId, songOrders },
+    revision
+  );
+
+  recordChange(playlistId, {
+    revision,
+    action: "songs-reordered",
+    user: req.userId,
+    details: { count: songOrders.length, previousOrders },
+  });
+
+  console.log(`✅ Songs reordered in playlist: ${playlistId}`);
+
+  res.set("ETag", formatETag(revision));
+  res.json({
+    success: true,
+    message: "Songs reordered successfully",
+    data: { revision },
+  });
+});
+
+// Move a song after another song (or to the top) without touching the rest
+exports.moveSong = asyncHandler(async (req, res, next) => {
+  const { playlistId, afterSongId = null } = req.body;
+  const songId = req.params.id;
+  const expectedRevision = getExpectedRevision(req);
+
+  if (!playlistId) {
+    return next(new AppError("Playlist ID is required", 400));
+  }
+
+  if (afterSongId === songId) {
+    return next(new AppError("A song cannot be moved after itself", 400));
+  }
+
+  const playlist = await Playlist.findById(playlistId);
+
+  if (!playlist) {
+    return next(new AppError("Playlist not found", 404));
+  }
+
+  if (!hasRole(playlist, req.userId, "editor")) {
+    return next(
+      new AppError(
+        "Access denied: Not authorized to reorder songs in this playlist",
+        403
+      )
+    );
+  }
+
+  const song = await Song.findOne({ _id: songId, playlist: playlistId });
+
+  if (!song) {
+    return next(new AppError("Song not found in this playlist", 404));
+  }
+
+  if (
+    afterSongId &&
+    !(await Song.exists({ _id: afterSongId, playlist: playlistId }))
+  ) {
+    return next(new AppError("Target song not found in this playlist", 404));
+  }
+
+  // Remember where the song was so the move can be undone
+  const previousAfterSongId = await findPreviousSongId(playlistId, song);
+
+  // Claim the revision before placing the song, so a stale move changes
+  // nothing; a renumber needed to place it is part of the same revision
+  const revision = await claimRevision(playlistId, expectedRevision);
+  if (revision === null) {
+    return next(await staleRevisionError(playlistId));
+  }
+
+  const io = req.app.get("io");
+  const { order, songOrders } = await orderAfterClaimed(
+    io,
+    playlistId,
+    songId,
+    afterSongId
+  );
+
+  song.order = order;
+  await song.save();
+
+  // Invalidate relevant caches
+  await cacheService.invalidate(cacheService.keys.playlistSongs(playlistId));
+  await cacheService.invalidate(cacheService.keys.playlist(playlistId));
+
+  // Notify clients about the move, as a reorder if other songs were renumbered
+  if (songOrders.length > 0) {
+    await publishPlaylistEvent(
+      io,
+      playlistId,
+      "songs-reordered",
+      { playlistId, songOrders: [...songOrders, { songId, order }] },
+      revision
+    );
+  } else {
+    await publishPlaylistEvent(
+      io,
+      playlistId,
+      "song-moved",
+      { playlistId, songId, afterSongId, order },
+      revision
+    );
+  }
+
+  recordChange(playlistId, {
+    revision,
+    action: "song-moved",
+    user: req.userId,
+    details: {
+      songId,
+      title: song.title,
+      artist: song.artist,
+      afterSongId,
+      previousAfterSongId,
+    },
+  });
+
+  console.log(`✅ Song moved in playlist: ${playlistId}`);
+
+  res.set("ETag", formatETag(revision));
+  res.json({
+    success: true,
+    message: "Song moved successfully",
+    data: { song: { _id: song._id, order }, revision },
+  });
+});
+
+// Cast or clear a vote on a song
+exports.voteSong = asyncHandler(async (req, res, next) => {
+  const playlistId = req.body.playlistId || req.query.playlistId;
+  const songId = req.params.id;
+  // A DELETE request clears the caller's vote
+  const type = req.method === "DELETE" ? null : req.body.type;
+
+  if (!playlistId) {
+    return next(new AppError("Playlist ID is required", 400));
+  }
+
+  if (type !== null && type !== "up" && type !== "down") {
+    return next(new AppError("Vote type must be 'up' or 'down'", 400));
+  }
+
+  const playlist = await Playlist.findById(playlistId);
+
+  if (!playlist) {
+    return next(new AppError("Playlist not found", 404));
+  }
+
+  // Any member of the playlist may vote
+  if (!hasRole(playlist, req.userId, "viewer")) {
+    return next(
+      new AppError(
+        "Access denied: Not authorized to vote on songs in this playlist",
+        403
+      )
+    );
+  }
+
+  const song = await Song.findOne({ _id: songId, playlist: playlistId });
+
+  if (!song) {
+    return next(new AppError("Song not found in playlist", 404));
+  }
+
+  // Replace any previous vote from this user
+  song.votes = song.votes.filter(
+    (vote) => vote.user.toString() !== req.userId
+  );
+  if (type) {
+    song.votes.push({ user: req.userId, type });
+  }
+  await song.save();
+
+  const votes = tallyVotes(song.votes);
+
+  // Invalidate relevant caches
+  await cacheService.invalidate(cacheService.keys.playlistSongs(playlistId));
+  await cacheService.invalidate(cacheService.keys.playlist(playlistId));
+
+  // Notify clients about the new tally. Votes don't take a playlist revision,
+  // so they never make an editor's If-Match stale
   const io = req.app.get("io");
   if (io) {
-    io.to(`playlist-${playlistId}`).emit("songs-reordered", {
+    io.to(`playlist-${playlistId}`).emit("song-voted", {
       playlistId,
-      songOrders,
+      songId,
+      votes,
     });
   }
 
-  console.log(`✅ Songs reordered in playlist: ${playlistId}`);
+  res.json({
+    success: true,
+    message: type ? "Vote recorded successfully" : "Vote cleared successfully",
+    data: { songId, votes, userVote: type },
+  });
+});
+
+// Find a song's YouTube video by title, artist and duration, or set a chosen one
+exports.resolveYouTubeId = asyncHandler(async (req, res, next) => {
+  const { playlistId, youtubeId } = req.body;
+
+  const playlist = await Playlist.findById(playlistId);
+
+  if (!playlist) {
+    return next(new AppError("Playlist not found", 404));
+  }
+
+  if (!hasRole(playlist, req.userId, "editor")) {
+    return next(
+      new AppError(
+        "Access denied: Not authorized to edit songs in this playlist",
+        403
+      )
+    );
+  }
+
+  const song = await Song.findOne({ _id: req.params.id, playlist: playlistId });
+
+  if (!song) {
+    return next(new AppError("Song not found in playlist", 404));
+  }
+
+  // Searching again could replace a video someone picked by hand
+  if (song.youtubeId && !youtubeId) {
+    return next(new AppError("Song already has a YouTube video", 409));
+  }
+
+  let match;
+  let candidates = [];
+  if (youtubeId) {
+    try {
+      match = toYouTubeMatch(song, await youtubeService.getVideo(youtubeId));
+    } catch (error) {
+      return next(
+        error.notFound
+          ? new AppError("YouTube video not found", 404)
+          : new AppError("Failed to get video from YouTube", 502)
+      );
+    }
+  } else {
+    try {
+      const videos = await youtubeService.searchTracks(
+        `${song.artist} ${song.title}`,
+        5
+      );
+      candidates = videos
+        .map((video) => toYouTubeMatch(song, video))
+        .sort((a, b) => b.confidence - a.confidence);
+    } catch (error) {
+      return next(new AppError("Failed to search YouTube", 502));
+    }
+
+    match = candidates[0];
+    if (!match || match.confidence < MATCH_THRESHOLD) {
+      return next(
+        new AppError(
+          "No confident YouTube match found; choose a video by youtubeId",
+          422,
+          candidates
+        )
+      );
+    }
+  }
+
+  song.youtubeId = match.youtubeId;
+  await song.save();
+
+  // Give the catalog track the video too, unless it has one or another track does
+  if (song.track) {
+    try {
+      await Track.updateOne(
+        { _id: song.track, youtubeId: null },
+        { youtubeId: match.youtubeId }
+      );
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  const revision = await claimRevision(playlistId, null);
+
+  // Invalidate relevant caches
+  await cacheService.invalidate(cacheService.keys.playlistSongs(playlistId));
+  await cacheService.invalidate(cacheService.keys.playlist(playlistId));
+
+  // Notify clients about the changed song
+  if (revision !== null) {
+    await publishPlaylistEvent(
+      req.app.get("io"),
+      playlistId,
+      "song-updated",
+      { playlistId, songId: song._id, changes: { youtubeId: match.youtubeId } },
+      revision
+    );
+  }
+
+  console.log(
+    `🎬 Resolved ${song.artist} - ${song.title} to YouTube video ${match.youtubeId} (${match.confidence})`
+  );
 
   res.json({
     success: true,
-    message: "Songs reordered successfully",
+    message: "YouTube video set",
+    data: {
+      song: { _id: song._id, youtubeId: song.youtubeId },
+      match,
+      candidates,
+    },
+  });
+});
+
+// Get song suggestions awaiting review for a playlist
+exports.getSuggestions = asyncHandler(async (req, res, next) => {
+  const { playlistId, status = "pending" } = req.query;
+
+  if (!playlistId) {
+    return next(new AppError("Playlist ID is required", 400));
+  }
+
+  const playlist = await Playlist.findById(playlistId);
+
+  if (!playlist) {
+    return next(new AppError("Playlist not found", 404));
+  }
+
+  // Check if user has access to this playlist
+  if (!hasRole(playlist, req.userId, "viewer")) {
+    return next(
+      new AppError(
+        "Access denied: Not authorized to view suggestions for this playlist",
+        403
+      )
+    );
+  }
+
+  const suggestions = await SongSuggestion.find({ playlist: playlistId, status })
+    .populate("suggestedBy", "username")
+    .populate("reviewedBy", "username")
+    .sort({ createdAt: 1 });
+
+  res.json({
+    success: true,
+    data: { suggestions },
+  });
+});
+
+// Approve or reject a pending song suggestion
+const reviewSuggestion = (decision) =>
+  asyncHandler(async (req, res, next) => {
+    const suggestion = await SongSuggestion.findById(req.params.id);
+
+    if (!suggestion) {
+      return next(new AppError("Suggestion not found", 404));
+    }
+
+    if (suggestion.status !== "pending") {
+      return next(
+        new AppError(`Suggestion has already been ${suggestion.status}`, 409)
+      );
+    }
+
+    const playlistId = suggestion.playlist.toString();
+    const playlist = await Playlist.findById(playlistId);
+
+    if (!playlist) {
+      return next(new AppError("Playlist not found", 404));
+    }
+
+    // Only the creator or an admin collaborator can review suggestions
+    if (!hasRole(playlist, req.userId, "admin")) {
+      return next(
+        new AppError(
+          "Access denied: Not authorized to review suggestions for this playlist",
+          403
+        )
+      );
+    }
+
+    if (decision === "approved") {
+      // The suggester's quota was checked on submission; only capacity remains
+      const limitError = await checkSongLimits(playlist, null);
+      if (limitError) {
+        return next(limitError);
+      }
+    }
+
+    if (decision === "approved" && !playlist.settings.allowDuplicates) {
+      const existingSong = await Song.findOne({
+        playlist: playlistId,
+        $or: [
+          { title: suggestion.title, artist: suggestion.artist },
+          ...getRecordingConditions(suggestion),
+        ],
+      });
+
+      if (existingSong) {
+        return next(new AppError("Song already exists in playlist", 409));
+      }
+    }
+
+    suggestion.status = decision;
+    suggestion.reviewedBy = req.userId;
+    suggestion.reviewedAt = Date.now();
+
+    if (decision === "approved") {
+      // The song takes the next order slot at approval time
+      const song = await insertSong(req, playlist, {
+        title: suggestion.title,
+        artist: suggestion.artist,
+        album: suggestion.album,
+        duration: suggestion.duration,
+        spotifyId: suggestion.spotifyId,
+        youtubeId: suggestion.youtubeId,
+        isrc: suggestion.isrc,
+        mbid: suggestion.mbid,
+        addedBy: suggestion.suggestedBy,
+      });
+      suggestion.song = song._id;
+    } else {
+      suggestion.rejectionReason = req.body.reason?.trim() || "";
+    }
+
+    await suggestion.save();
+
+    const populatedSuggestion = await SongSuggestion.findById(suggestion._id)
+      .populate("suggestedBy", "username")
+      .populate("reviewedBy", "username")
+      .populate("song");
+
+    // Notify clients about the decision
+    const io = req.app.get("io");
+    if (io) {
+      io.to(`playlist-${playlistId}`).emit(
+        decision === "approved" ? "suggestion-approved" : "suggestion-rejected",
+        { playlistId, suggestion: populatedSuggestion }
+      );
+    }
+
+    console.log(
+      `✅ Suggestion ${decision}: ${suggestion.title} by ${suggestion.artist}`
+    );
+
+    res.json({
+      success: true,
+      message: `Suggestion ${decision} successfully`,
+      data: { suggestion: populatedSuggestion },
+    });
+  });
+
+exports.approveSuggestion = reviewSuggestion("approved");
+exports.rejectSuggestion = reviewSuggestion("rejected");
+
+// Restore a song from the trash into its playlist
+exports.restoreTrashedSong = asyncHandler(async (req, res, next) => {
+  const song = await Song.findOne({
+    _id: req.params.id,
+    deletedAt: { $ne: null },
+  });
+
+  if (!song) {
+    return next(new AppError("Song not found in trash", 404));
+  }
+
+  const playlistId = song.playlist.toString();
+  const playlist = await Playlist.findById(playlistId);
+
+  // Songs of a trashed playlist come back with the playlist
+  if (!playlist) {
+    return next(new AppError("Playlist not found", 404));
+  }
+
+  // Whoever trashed the song or a playlist admin may restore it
+  const isAdmin = hasRole(playlist, req.userId, "admin");
+  const isDeleter = song.deletedBy?.toString() === req.userId;
+  if (!isAdmin && !(isDeleter && hasRole(playlist, req.userId, "editor"))) {
+    return next(
+      new AppError("Access denied: Not authorized to restore this song", 403)
+    );
+  }
+
+  const limitError = await checkSongLimits(playlist, null);
+  if (limitError) {
+    return next(limitError);
+  }
+
+  if (
+    !playlist.settings.allowDuplicates &&
+    (await Song.exists({
+      playlist: playlistId,
+      $or: [
+        { title: song.title, artist: song.artist },
+        ...getRecordingConditions(song),
+      ],
+    }))
+  ) {
+    return next(new AppError("Song already exists in playlist", 409));
+  }
+
+  if (
+    !playlist.settings.allowDuplicates &&
+    song.spotifyId &&
+    (await Song.exists({ playlist: playlistId, spotifyId: song.spotifyId }))
+  ) {
+    return next(
+      new AppError("Another song in this playlist uses this Spotify ID", 409)
+    );
+  }
+
+  // Editors go through the approval queue when the playlist requires it; the
+  // removed song stays in the trash
+  if (playlist.settings.requireApproval && !isAdmin) {
+    if (
+      !playlist.settings.allowDuplicates &&
+      (await SongSuggestion.exists({
+        playlist: playlistId,
+        $or: [
+          { title: song.title, artist: song.artist },
+          ...getRecordingConditions(song),
+        ],
+        status: "pending",
+      }))
+    ) {
+      return next(
+        new AppError("Song is already awaiting approval for this playlist", 409)
+      );
+    }
+
+    const populatedSuggestion = await suggestSong(req, playlist, {
+      title: song.title,
+      artist: song.artist,
+      album: song.album,
+      duration: song.duration,
+      spotifyId: song.spotifyId,
+      youtubeId: song.youtubeId,
+      isrc: song.isrc,
+      mbid: song.mbid,
+    });
+
+    return res.status(202).json({
+      success: true,
+      message: "Song submitted for approval",
+      data: { suggestion: populatedSuggestion },
+    });
+  }
+
+  await untrashSong(req.app.get("io"), song);
+  const populatedSong = await Song.findById(song._id).populate(
+    "addedBy",
+    "username"
+  );
+
+  const revision = await claimRevision(playlistId, null);
+
+  // Invalidate relevant caches
+  await cacheService.invalidate(cacheService.keys.playlistSongs(playlistId));
+  await cacheService.invalidate(cacheService.keys.playlist(playlistId));
+
+  // Notify clients about the restored song
+  if (revision !== null) {
+    await publishPlaylistEvent(
+      req.app.get("io"),
+      playlistId,
+      "song-added",
+      { playlistId, song: populatedSong },
+      revision
+    );
+  }
+
+  recordChange(playlistId, {
+    revision,
+    action: "song-added",
+    user: req.userId,
+    details: {
+      songId: song._id.toString(),
+      title: song.title,
+      artist: song.artist,
+      addedBy: song.addedBy,
+      restoredFromTrash: true,
+    },
+  });
+
+  console.log(`♻️  Song restored from trash: ${song.title} by ${song.artist}`);
+
+  res.json({
+    success: true,
+    message: "Song restored successfully",
+    data: { song: populatedSong },
+  });
+});
+
+// Permanently delete a song from the trash
+exports.purgeTrashedSong = asyncHandler(async (req, res, next) => {
+  const song = await Song.findOne({
+    _id: req.params.id,
+    deletedAt: { $ne: null },
+  });
+
+  if (!song) {
+    return next(new AppError("Song not found in trash", 404));
+  }
+
+  const playlist = await Playlist.findById(song.playlist);
+
+  if (!playlist) {
+    return next(new AppError("Playlist not found", 404));
+  }
+
+  // Whoever trashed the song or a playlist admin may purge it
+  const isDeleter = song.deletedBy?.toString() === req.userId;
+  if (
+    !hasRole(playlist, req.userId, "admin") &&
+    !(isDeleter && hasRole(playlist, req.userId, "editor"))
+  ) {
+    return next(
+      new AppError("Access denied: Not authorized to purge this song", 403)
+    );
+  }
+
+  await Song.deleteOne({ _id: song._id, deletedAt: { $ne: null } });
+
+  console.log(`🗑️  Song purged from trash: ${song.title} by ${song.artist}`);
+
+  res.json({
+    success: true,
+    message: "Song permanently deleted",
   });
 });
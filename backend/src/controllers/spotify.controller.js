@@ -0,0 +1,238 @@
+const User = require("../models/User");
+const Playlist = require("../models/Playlist");
+const { AppError, asyncHandler } = require("../middleware/errorHandler");
+const spotifyService = require("../services/spotifyService");
+const { canView } = require("../utils/playlistAccess");
+const {
+  loadSyncSongs,
+  needsSyncJob,
+  syncPlaylistToSpotify,
+  createSyncJob,
+  runSyncJob,
+  getSyncJob,
+} = require("../utils/spotifySync");
+const {
+  createAuthState,
+  consumeAuthState,
+  saveSpotifyAccount,
+  disconnectSpotify,
+  requireSpotifyToken,
+} = require("../utils/spotifyAccount");
+
+// Scopes needed to create and change playlists in the user's account
+const MODIFY_SCOPES = ["playlist-modify-private", "playlist-modify-public"];
+
+// Start linking a Spotify account
+exports.getSpotifyAuthUrl = asyncHandler(async (req, res, next) => {
+  const state = await createAuthState(req.userId);
+
+  if (!state) {
+    return next(
+      new AppError("Spotify authorization is temporarily unavailable", 503)
+    );
+  }
+
+  res.json({
+    success: true,
+    data: {
+      authUrl: spotifyService.getAuthURL(state),
+      state,
+    },
+  });
+});
+
+// Finish linking: verify the state, exchange the code and store the tokens
+exports.spotifyCallback = asyncHandler(async (req, res, next) => {
+  const { code, state, error: denied } = req.query;
+
+  // The state identifies the user, since Spotify's redirect carries no JWT
+  const userId = await consumeAuthState(state);
+  if (!userId) {
+    return next(new AppError("Invalid or expired authorization state", 400));
+  }
+
+  if (denied) {
+    return next(new AppError(`Spotify authorization failed: ${denied}`, 400));
+  }
+
+  if (!code) {
+    return next(new AppError("Authorization code not provided", 400));
+  }
+
+  let tokens;
+  let profile;
+  try {
+    tokens = await spotifyService.exchangeCodeForToken(code);
+    profile = await spotifyService.getCurrentUser(tokens.access_token);
+  } catch (error) {
+    return next(new AppError("Failed to complete Spotify authorization", 502));
+  }
+
+  if (!tokens.refresh_token) {
+    return next(new AppError("Spotify did not return a refresh token", 502));
+  }
+
+  const linkedUser = await User.exists({
+    spotifyId: profile.id,
+    _id: { $ne: userId },
+  });
+  if (linkedUser) {
+    return next(
+      new AppError("This Spotify account is linked to another user", 409)
+    );
+  }
+
+  const user = await saveSpotifyAccount(userId, profile.id, tokens);
+
+  if (!user) {
+    return next(new AppError("User not found", 404));
+  }
+
+  console.log(`🎧 User ${user.username} linked Spotify account ${profile.id}`);
+
+  res.json({
+    success: true,
+    message: "Spotify authorization successful",
+    data: {
+      spotifyId: profile.id,
+      displayName: profile.displayName,
+      scope: user.spotifyAuth.scope,
+      hasAccess: true,
+    },
+  });
+});
+
+// Unlink the current user's Spotify account
+exports.disconnectSpotifyAccount = asyncHandler(async (req, res, next) => {
+  const disconnected = await disconnectSpotify(req.userId);
+
+  if (!disconnected) {
+    return next(new AppError("No Spotify account is linked", 404));
+  }
+
+  console.log(`🔌 User ${req.userId} disconnected Spotify`);
+
+  res.json({
+    success: true,
+    message: "Spotify account disconnected",
+  });
+});
+
+// List the playlists in the user's Spotify account
+exports.getSpotifyPlaylists = asyncHandler(async (req, res, next) => {
+  const { accessToken, error } = await requireSpotifyToken(req.userId);
+  if (error) {
+    return next(error);
+  }
+
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const offset = parseInt(req.query.offset, 10) || 0;
+
+  let result;
+  try {
+    result = await spotifyService.getUserPlaylists(accessToken, limit, offset);
+  } catch (error) {
+    return next(new AppError("Failed to get playlists from Spotify", 502));
+  }
+
+  res.json({
+    success: true,
+    data: result,
+  });
+});
+
+// Create or update the user's Spotify copy of a playlist
+exports.pushPlaylistToSpotify = asyncHandler(async (req, res, next) => {
+  const playlist = await Playlist.findById(req.params.id).select(
+    "+spotifyExports"
+  );
+
+  if (!playlist) {
+    return next(new AppError("Playlist not found", 404));
+  }
+
+  if (!canView(playlist, req.userId)) {
+    return next(new AppError("Access denied: This playlist is private", 403));
+  }
+
+  const { accessToken, error } = await requireSpotifyToken(req.userId);
+  if (error) {
+    return next(error);
+  }
+
+  // Accounts linked before playlist changes were requested lack the scopes
+  const user = await User.findById(req.userId).select(
+    "spotifyId spotifyAuth.scope"
+  );
+  const scopes = (user.spotifyAuth?.scope || "").split(" ");
+  if (!MODIFY_SCOPES.every((scope) => scopes.includes(scope))) {
+    return next(
+      new AppError(
+        "Reconnect your Spotify account to allow playlist changes",
+        403
+      )
+    );
+  }
+
+  const songs = await loadSyncSongs(playlist._id);
+  const options = {
+    playlist,
+    userId: req.userId,
+    spotifyUserId: user.spotifyId,
+    accessToken,
+    songs,
+  };
+
+  // Syncs needing many searches report progress on the user's room instead
+  if (needsSyncJob(songs)) {
+    const job = await createSyncJob({
+      playlistId: playlist._id,
+      userId: req.userId,
+      total: songs.length,
+    });
+    runSyncJob(req.app.get("io"), job, options);
+
+    console.log(
+      `🎧 Syncing playlist ${playlist.name} to Spotify in the background (${songs.length} songs)`
+    );
+
+    return res.status(202).json({
+      success: true,
+      message: "Spotify sync started",
+      data: { job },
+    });
+  }
+
+  let report;
+  try {
+    report = await syncPlaylistToSpotify(options);
+  } catch (error) {
+    console.error("❌ Spotify sync failed:", error.message);
+    return next(new AppError("Failed to sync playlist to Spotify", 502));
+  }
+
+  console.log(
+    `🎧 Synced playlist ${playlist.name} to Spotify playlist ${report.spotifyPlaylistId} (${report.synced}/${report.total} songs)`
+  );
+
+  res.status(report.created ? 201 : 200).json({
+    success: true,
+    message: `Synced ${report.synced} of ${report.total} songs to Spotify`,
+    data: { spotify: report },
+  });
+});
+
+// Get the progress of a background Spotify sync
+exports.getSpotifySyncStatus = asyncHandler(async (req, res, next) => {
+  const job = await getSyncJob(req.params.jobId);
+
+  // Syncs belong to the user whose Spotify account they fill
+  if (!job || job.playlistId !== req.params.id || job.userId !== req.userId) {
+    return next(new AppError("Spotify sync not found", 404));
+  }
+
+  res.json({
+    success: true,
+    data: { job },
+  });
+});
@@ -0,0 +1,160 @@
+const Playlist = require("../models/Playlist");
+const Song = require("../models/Song");
+const { AppError, asyncHandler } = require("../middleware/errorHandler");
+const cacheService = require("../services/cacheService");
+const { getRole, hasRole } = require("../utils/playlistAccess");
+const { userRoom } = require("../socket");
+const { getPurgeDate, purgePlaylist } = require("../utils/trash");
+
+// Helper function to check the current user may manage a trashed playlist
+const checkTrashedPlaylist = (playlist, userId) => {
+  if (!playlist) {
+    return new AppError("Playlist not found in trash", 404);
+  }
+
+  if (getRole(playlist, userId) !== "owner") {
+    return new AppError(
+      "Access denied: Only the playlist owner can manage it in the trash",
+      403
+    );
+  }
+
+  return null;
+};
+
+// Helper function to list the users who can see a playlist
+const getMemberIds = (playlist) => [
+  playlist.creator.toString(),
+  ...playlist.collaborators.map((collab) => collab.user.toString()),
+];
+
+// List the current user's trashed playlists and songs they can restore
+exports.getTrash = asyncHandler(async (req, res) => {
+  const playlists = await Playlist.find({
+    creator: req.userId,
+    deletedAt: { $ne: null },
+  })
+    .select("name description isPublic songs deletedAt deletedBy")
+    .sort({ deletedAt: -1 })
+    .lean();
+
+  // Admins can restore any removed song; editors only the ones they removed
+  const memberOf = await Playlist.find({
+    $or: [{ creator: req.userId }, { "collaborators.user": req.userId }],
+  }).select("name creator collaborators");
+
+  const restorableFrom = memberOf.filter((playlist) =>
+    hasRole(playlist, req.userId, "editor")
+  );
+  const trashedSongs = await Song.find({
+    playlist: { $in: restorableFrom.map((playlist) => playlist._id) },
+    deletedAt: { $ne: null },
+  })
+    .populate("addedBy", "username")
+    .populate("deletedBy", "username")
+    .sort({ deletedAt: -1 })
+    .lean();
+
+  const playlistsById = new Map(
+    restorableFrom.map((playlist) => [playlist._id.toString(), playlist])
+  );
+  const songs = trashedSongs
+    .filter((song) => {
+      const playlist = playlistsById.get(song.playlist.toString());
+      return (
+        hasRole(playlist, req.userId, "admin") ||
+        song.deletedBy?._id.toString() === req.userId
+      );
+    })
+    .map((song) => ({
+      ...song,
+      playlistName: playlistsById.get(song.playlist.toString()).name,
+      purgeAt: getPurgeDate(song.deletedAt),
+    }));
+
+  res.json({
+    success: true,
+    data: {
+      playlists: playlists.map((playlist) => ({
+        ...playlist,
+        songCount: playlist.songs.length,
+        songs: undefined,
+        purgeAt: getPurgeDate(playlist.deletedAt),
+      })),
+      songs,
+    },
+  });
+});
+
+// Restore a trashed playlist
+exports.restorePlaylist = asyncHandler(async (req, res, next) => {
+  const playlist = await Playlist.findOne({
+    _id: req.params.id,
+    deletedAt: { $ne: null },
+  });
+
+  const accessError = checkTrashedPlaylist(playlist, req.userId);
+  if (accessError) {
+    return next(accessError);
+  }
+
+  await Playlist.updateOne(
+    { _id: playlist._id, deletedAt: { $ne: null } },
+    { deletedAt: null, $unset: { deletedBy: 1 } }
+  );
+
+  const restoredPlaylist = await Playlist.findById(playlist._id)
+    .populate("creator", "username email")
+    .populate("collaborators.user", "username");
+
+  // Invalidate relevant caches
+  const listOwners = playlist.isPublic ? ["*"] : getMemberIds(playlist);
+  for (const userId of listOwners) {
+    await cacheService.invalidate(cacheService.keys.userPlaylists(userId));
+  }
+  if (playlist.isPublic) {
+    await cacheService.invalidate("public:playlists:*");
+  }
+
+  // Notify clients; private playlists only reach their members
+  const io = req.app.get("io");
+  if (io) {
+    if (playlist.isPublic) {
+      io.emit("playlist-recovered", restoredPlaylist);
+    } else {
+      getMemberIds(playlist).forEach((userId) => {
+        io.to(userRoom(userId)).emit("playlist-recovered", restoredPlaylist);
+      });
+    }
+  }
+
+  console.log(`♻️  Playlist restored from trash: ${playlist.name}`);
+
+  res.json({
+    success: true,
+    message: "Playlist restored successfully",
+    data: { playlist: restoredPlaylist },
+  });
+});
+
+// Permanently delete a trashed playlist
+exports.purgePlaylist = asyncHandler(async (req, res, next) => {
+  const playlist = await Playlist.findOne({
+    _id: req.params.id,
+    deletedAt: { $ne: null },
+  });
+
+  const accessError = checkTrashedPlaylist(playlist, req.userId);
+  if (accessError) {
+    return next(accessError);
+  }
+
+  await purgePlaylist(playlist._id);
+
+  console.log(`🗑️  Playlist purged from trash: ${playlist.name}`);
+
+  res.json({
+    success: true,
+    message: "Playlist permanently deleted",
+  });
+});
@@ -148,6 +148,11 @@ const errorHandler = (err, req, res, next) => {
     response.error.validation = error.errors;
   }
 
+  // Add current resource state if present (e.g. stale revision conflicts)
+  if (error.data) {
+    response.data = error.data;
+  }
+
   // Send error response
   res.status(statusCode).json(response);
 };
@@ -0,0 +1,29 @@
+const jwt = require("jsonwebtoken");
+const config = require("../config/index");
+
+/**
+ * @fileoverview Socket.IO handshake authentication
+ * @module middleware/socketAuth
+ * @requires jsonwebtoken
+ * @requires ../config/index
+ * @description Verifies the same JWT as middleware/auth. Clients send it as
+ * `auth.token` in the handshake or as an `Authorization: Bearer` header.
+ */
+
+module.exports = (socket, next) => {
+  const token =
+    socket.handshake.auth?.token ||
+    socket.handshake.headers?.authorization?.replace("Bearer ", "");
+
+  if (!token) {
+    return next(new Error("No token, authorization denied"));
+  }
+
+  try {
+    const decoded = jwt.verify(token, config.jwtSecret);
+    socket.data.userId = decoded.userId;
+    next();
+  } catch (error) {
+    next(new Error("Token is not valid"));
+  }
+};
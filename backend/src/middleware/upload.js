@@ -0,0 +1,42 @@
+const path = require("path");
+const multer = require("multer");
+const { AppError } = require("./errorHandler");
+const config = require("../config/index");
+const { IMPORT_FORMATS } = require("../utils/playlistImport");
+
+/**
+ * @fileoverview File upload middleware
+ * @module middleware/upload
+ * @requires path
+ * @requires multer
+ * @requires ./errorHandler
+ * @requires ../config/index
+ * @requires ../utils/playlistImport
+ * @description Accepts a single playlist file in the "file" field, kept in
+ * memory. Size and field errors are turned into 400 responses by the global
+ * error handler.
+ */
+
+const playlistFileUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.importMaxFileSizeMb * 1024 * 1024,
+    files: 1,
+  },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).slice(1).toLowerCase();
+    if (!IMPORT_FORMATS.includes(extension)) {
+      return cb(
+        new AppError(
+          "Unsupported file type: upload an .m3u, .m3u8, .xspf or .csv file",
+          400
+        )
+      );
+    }
+    cb(null, true);
+  },
+}).single("file");
+
+module.exports = {
+  playlistFileUpload,
+};
@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+
+// Invitations stay open for a week unless answered
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const invitationSchema = new mongoose.Schema(
+  {
+    playlist: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Playlist",
+      required: true,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    invitee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ["admin", "editor", "viewer"],
+      default: "editor",
+    },
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "declined", "expired"],
+      default: "pending",
+    },
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + INVITATION_TTL_MS),
+    },
+    respondedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+invitationSchema.methods.isExpired = function () {
+  return this.status === "pending" && this.expiresAt.getTime() <= Date.now();
+};
+
+// Database indexes for performance optimization
+invitationSchema.index({ invitee: 1, status: 1, createdAt: -1 });
+invitationSchema.index({ playlist: 1, status: 1 });
+// Only one open invitation per user and playlist
+invitationSchema.index(
+  { playlist: 1, invitee: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" } }
+);
+
+module.exports = mongoose.model("Invitation", invitationSchema);
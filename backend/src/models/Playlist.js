@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const softDelete = require("./plugins/softDelete");
 
 const playlistSchema = new mongoose.Schema(
   {
@@ -57,18 +58,66 @@ const playlistSchema = new mongoose.Schema(
         type: Number,
         default: 1000,
       },
+      // Songs each collaborator may contribute (null means no limit)
+      maxSongsPerCollaborator: {
+        type: Number,
+        default: null,
+      },
     },
     tags: [String],
     coverImage: {
       type: String,
       default: "",
     },
+    // Playlist this one was copied from, if it is a fork
+    forkedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Playlist",
+      default: null,
+    },
+    // Every playlist up the fork chain, nearest first
+    forkLineage: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Playlist",
+      },
+    ],
+    forkCount: {
+      type: Number,
+      default: 0,
+    },
+    // Copies pushed to users' Spotify accounts, one per user
+    spotifyExports: {
+      type: [
+        {
+          user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+          },
+          spotifyUserId: String,
+          spotifyPlaylistId: String,
+          snapshotId: String,
+          syncedAt: Date,
+          _id: false,
+        },
+      ],
+      select: false,
+    },
+    // Incremented on every change broadcast to the playlist room
+    revision: {
+      type: Number,
+      default: 0,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// Trashed playlists are hidden from queries until restored or purged
+playlistSchema.plugin(softDelete);
+
 // Database indexes for performance optimization
 playlistSchema.index({ creator: 1, createdAt: -1 });
 playlistSchema.index({ 'collaborators.user': 1 });
@@ -78,5 +127,7 @@ playlistSchema.index({ tags: 1 });
 playlistSchema.index({ creator: 1, 'collaborators.user': 1, isPublic: 1 });
 // Index for public playlist discovery
 playlistSchema.index({ isPublic: 1, tags: 1, createdAt: -1 });
+// Index for listing a playlist's forks
+playlistSchema.index({ forkedFrom: 1, createdAt: -1 });
 
 module.exports = mongoose.model("Playlist", playlistSchema);
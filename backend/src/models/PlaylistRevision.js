@@ -0,0 +1,132 @@
+const mongoose = require("mongoose");
+
+// Song as it appeared in the playlist at a revision, in playlist order
+const snapshotSongSchema = new mongoose.Schema(
+  {
+    song: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Song",
+      required: true,
+    },
+    title: String,
+    artist: String,
+    album: String,
+    duration: Number,
+    spotifyId: String,
+    youtubeId: String,
+    isrc: String,
+    mbid: String,
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    addedAt: Date,
+  },
+  { _id: false }
+);
+
+// A song placed after another; `after` is null for the first song
+const songMoveSchema = new mongoose.Schema(
+  {
+    song: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Song",
+      required: true,
+    },
+    after: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Song",
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// What changed since the base entry, stored instead of a snapshot between
+// checkpoints
+const revisionChangesSchema = new mongoose.Schema(
+  {
+    // Revision of the entry the changes apply to
+    base: {
+      type: Number,
+      required: true,
+    },
+    name: String,
+    description: String,
+    removed: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Song",
+      },
+    ],
+    // Songs added or edited, with their fields at this revision
+    songs: [snapshotSongSchema],
+    // Songs that changed position, in playlist order
+    moves: [songMoveSchema],
+  },
+  { _id: false }
+);
+
+const playlistRevisionSchema = new mongoose.Schema(
+  {
+    playlist: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Playlist",
+      required: true,
+    },
+    revision: {
+      type: Number,
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: [
+        "playlist-created",
+        "playlist-updated",
+        "song-added",
+        "song-removed",
+        "song-moved",
+        "songs-reordered",
+        "songs-imported",
+        "playlist-restored",
+        "action-undone",
+      ],
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // What changed, e.g. the song added or the metadata fields edited
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Set when the change's author undoes it
+    undoneAt: {
+      type: Date,
+    },
+    // Full snapshot, kept on checkpoint entries
+    snapshot: {
+      name: String,
+      description: String,
+      songs: {
+        type: [snapshotSongSchema],
+        default: undefined,
+      },
+    },
+    // Changes since an earlier entry, kept on the entries between checkpoints
+    changes: revisionChangesSchema,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Database indexes for performance optimization
+playlistRevisionSchema.index({ playlist: 1, revision: -1 }, { unique: true });
+playlistRevisionSchema.index({ user: 1, createdAt: -1 });
+playlistRevisionSchema.index({ playlist: 1, user: 1, revision: -1 });
+
+module.exports = mongoose.model("PlaylistRevision", playlistRevisionSchema);
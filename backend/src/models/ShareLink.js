@@ -0,0 +1,103 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const config = require("../config/index");
+
+const shareLinkSchema = new mongoose.Schema(
+  {
+    playlist: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Playlist",
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ["editor", "viewer"],
+      default: "viewer",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    maxUses: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    uses: {
+      type: Number,
+      default: 0,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    redeemedBy: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        redeemedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Sign a link ID so that links can't be forged by guessing ObjectIds
+const sign = (linkId) =>
+  crypto
+    .createHmac("sha256", `${config.jwtSecret}:share-link`)
+    .update(linkId)
+    .digest("base64url");
+
+shareLinkSchema.methods.getToken = function () {
+  const linkId = this._id.toString();
+  return `${linkId}.${sign(linkId)}`;
+};
+
+shareLinkSchema.methods.isActive = function () {
+  return (
+    !this.revokedAt &&
+    this.expiresAt.getTime() > Date.now() &&
+    this.uses < this.maxUses
+  );
+};
+
+/**
+ * Verify a share link token
+ * @param {string} token - Token produced by getToken()
+ * @returns {string|null} Link ID if the signature is valid
+ */
+shareLinkSchema.statics.verifyToken = function (token) {
+  const [linkId, signature] = String(token).split(".");
+  if (!linkId || !signature || !mongoose.isValidObjectId(linkId)) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(linkId));
+  const received = Buffer.from(signature);
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    return null;
+  }
+
+  return linkId;
+};
+
+// Database indexes for performance optimization
+shareLinkSchema.index({ playlist: 1, revokedAt: 1, expiresAt: 1 });
+
+module.exports = mongoose.model("ShareLink", shareLinkSchema);
@@ -1,7 +1,14 @@
 const mongoose = require("mongoose");
+const softDelete = require("./plugins/softDelete");
 
+// A track's entry in one playlist. Track fields are copied from the shared
+// catalog when the entry is created, so listings and search need no join.
 const songSchema = new mongoose.Schema(
   {
+    track: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Track",
+    },
     title: {
       type: String,
       required: true,
@@ -22,13 +29,17 @@ const songSchema = new mongoose.Schema(
     },
     spotifyId: {
       type: String,
-      unique: true,
-      sparse: true,
     },
     youtubeId: {
       type: String,
       sparse: true,
     },
+    isrc: {
+      type: String,
+    },
+    mbid: {
+      type: String,
+    },
     addedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -65,19 +76,41 @@ const songSchema = new mongoose.Schema(
       explicit: Boolean,
       popularity: Number,
     },
+    // Song this one followed when it was trashed, to restore it in place
+    deletedAfter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Song",
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// Removed songs go to the trash and are hidden from queries
+songSchema.plugin(softDelete);
+
 // Database indexes for performance optimization
 songSchema.index({ playlist: 1, order: 1 });
 songSchema.index({ playlist: 1, addedAt: -1 });
 songSchema.index({ title: 'text', artist: 'text', album: 'text' }); // Text search
-// Note: spotifyId already has unique index from schema definition
+// Duplicate checks look songs up by Spotify ID within a playlist
+songSchema.index(
+  { playlist: 1, spotifyId: 1 },
+  { partialFilterExpression: { spotifyId: { $type: "string" } } }
+);
 songSchema.index({ youtubeId: 1 }, { sparse: true });
+// Duplicate checks look songs up by recording ID within a playlist
+songSchema.index(
+  { playlist: 1, mbid: 1 },
+  { partialFilterExpression: { mbid: { $type: "string" } } }
+);
+songSchema.index(
+  { playlist: 1, isrc: 1 },
+  { partialFilterExpression: { isrc: { $type: "string" } } }
+);
 songSchema.index({ addedBy: 1, addedAt: -1 });
+songSchema.index({ track: 1 });
 // Compound index for playlist queries with ordering
 songSchema.index({ playlist: 1, order: 1, addedAt: -1 });
 
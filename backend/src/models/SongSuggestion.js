@@ -0,0 +1,76 @@
+const mongoose = require("mongoose");
+
+const songSuggestionSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    artist: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    album: {
+      type: String,
+      trim: true,
+    },
+    duration: {
+      type: Number, // in seconds
+      required: true,
+    },
+    spotifyId: {
+      type: String,
+    },
+    youtubeId: {
+      type: String,
+    },
+    isrc: {
+      type: String,
+    },
+    mbid: {
+      type: String,
+    },
+    playlist: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Playlist",
+      required: true,
+    },
+    suggestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    rejectionReason: {
+      type: String,
+      maxlength: 500,
+    },
+    // Song created when the suggestion is approved
+    song: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Song",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Database indexes for performance optimization
+songSuggestionSchema.index({ playlist: 1, status: 1, createdAt: 1 });
+songSuggestionSchema.index({ suggestedBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model("SongSuggestion", songSuggestionSchema);
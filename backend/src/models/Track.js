@@ -0,0 +1,77 @@
+const mongoose = require("mongoose");
+
+// A recording, shared by every playlist entry (Song) that features it
+const trackSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    artist: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    album: {
+      type: String,
+      trim: true,
+    },
+    duration: {
+      type: Number, // in seconds
+      required: true,
+    },
+    spotifyId: {
+      type: String,
+    },
+    youtubeId: {
+      type: String,
+    },
+    // Recording IDs shared across services: ISRC and MusicBrainz recording ID
+    isrc: {
+      type: String,
+    },
+    mbid: {
+      type: String,
+    },
+    // Normalized "artist / title", to match tracks added without external IDs
+    fingerprint: {
+      type: String,
+      required: true,
+    },
+    metadata: {
+      genre: String,
+      year: Number,
+      explicit: Boolean,
+      popularity: Number,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Database indexes for performance optimization
+// Each external ID identifies one track in the catalog
+trackSchema.index(
+  { spotifyId: 1 },
+  { unique: true, partialFilterExpression: { spotifyId: { $type: "string" } } }
+);
+trackSchema.index(
+  { youtubeId: 1 },
+  { unique: true, partialFilterExpression: { youtubeId: { $type: "string" } } }
+);
+trackSchema.index(
+  { mbid: 1 },
+  { unique: true, partialFilterExpression: { mbid: { $type: "string" } } }
+);
+// A recording can have several catalog tracks under one ISRC (an album and a
+// single release on Spotify, say), so ISRCs aren't unique
+trackSchema.index(
+  { isrc: 1 },
+  { partialFilterExpression: { isrc: { $type: "string" } } }
+);
+trackSchema.index({ fingerprint: 1 });
+trackSchema.index({ title: 'text', artist: 'text', album: 'text' }); // Text search
+
+module.exports = mongoose.model("Track", trackSchema);
@@ -30,6 +30,20 @@ const userSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    // Linked Spotify account; tokens are encrypted (see utils/tokenCrypto)
+    spotifyAuth: {
+      accessToken: {
+        type: String,
+        select: false,
+      },
+      refreshToken: {
+        type: String,
+        select: false,
+      },
+      expiresAt: Date,
+      scope: String,
+      connectedAt: Date,
+    },
     preferences: {
       theme: {
         type: String,
@@ -60,6 +74,15 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
 // Database indexes for performance optimization
 // Note: email and username already have unique indexes from schema definitions
 userSchema.index({ createdAt: -1 });
-userSchema.index({ spotifyId: 1 }, { sparse: true });
+// A Spotify account can be linked to one user at a time. Named so it doesn't
+// clash with the old non-unique spotifyId_1 index (dropped by migrate)
+userSchema.index(
+  { spotifyId: 1 },
+  {
+    name: "spotifyId_linked",
+    unique: true,
+    partialFilterExpression: { spotifyId: { $type: "string" } },
+  }
+);
 
 module.exports = mongoose.model("User", userSchema);
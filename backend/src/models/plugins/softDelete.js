@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+/**
+ * @fileoverview Soft deletion plugin for Mongoose schemas
+ * @module models/plugins/softDelete
+ * @description Adds deletedAt/deletedBy fields and hides trashed documents
+ * from queries. A query that filters on deletedAt itself is left alone, so
+ * trash listings and purges ask for trashed documents explicitly, e.g.
+ * `{ deletedAt: { $ne: null } }`.
+ */
+
+// Query operations that should not see trashed documents by default
+const FILTERED_QUERIES = [
+  "count",
+  "countDocuments",
+  "distinct",
+  "find",
+  "findOne",
+  "findOneAndDelete",
+  "findOneAndReplace",
+  "findOneAndUpdate",
+  "replaceOne",
+  "updateOne",
+  "updateMany",
+  "deleteOne",
+  "deleteMany",
+];
+
+/**
+ * Register soft deletion on a schema
+ * @param {mongoose.Schema} schema - Schema to extend
+ * @returns {void}
+ */
+const softDelete = (schema) => {
+  schema.add({
+    // Set when the document is moved to the trash
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  });
+
+  schema.pre(FILTERED_QUERIES, function excludeDeleted() {
+    if (this.getFilter().deletedAt === undefined) {
+      this.where({ deletedAt: null });
+    }
+  });
+
+  // Lets the purge job find expired items without scanning live ones
+  schema.index(
+    { deletedAt: 1 },
+    { partialFilterExpression: { deletedAt: { $type: "date" } } }
+  );
+};
+
+module.exports = softDelete;
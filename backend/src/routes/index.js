@@ -8,6 +8,8 @@ const playlistRoutes = require('./playlists');
 const songRoutes = require('./songs');
 const searchRoutes = require('./search');
 const cacheRoutes = require('./cache');
+const invitationRoutes = require('./invitations');
+const trashRoutes = require('./trash');
 
 module.exports = (app) => {
   // API routes
@@ -16,6 +18,8 @@ module.exports = (app) => {
   app.use('/api/songs', songRoutes);
   app.use('/api/search', searchRoutes);
   app.use('/api/cache', cacheRoutes);
+  app.use('/api/invitations', invitationRoutes);
+  app.use('/api/trash', trashRoutes);
 
   // Health check endpoint
   app.get('/health', (req, res) => {
@@ -53,22 +57,64 @@ module.exports = (app) => {
             'POST /api/playlists': 'Create a playlist',
             'GET /api/playlists/:id': 'Get playlist by ID',
             'PUT /api/playlists/:id': 'Update playlist',
-            'DELETE /api/playlists/:id': 'Delete playlist',
-            'POST /api/playlists/:id/collaborators': 'Add collaborator',
+            'DELETE /api/playlists/:id': 'Move playlist to the trash',
+            'GET /api/playlists/:id/presence': 'Get users currently in the playlist',
+            'POST /api/playlists/:id/fork': 'Copy a playlist and its songs into a new playlist',
+            'GET /api/playlists/:id/forks': 'List forks of a playlist',
+            'GET /api/playlists/:id/export?format=:format': 'Download playlist as m3u8, xspf, csv or json',
+            'POST /api/playlists/:id/export/spotify': 'Create or re-sync a copy in your Spotify account',
+            'POST /api/playlists/import': 'Create a playlist from an m3u, m3u8, xspf or csv upload',
+            'POST /api/playlists/import/spotify': 'Create a playlist from one of your Spotify playlists',
+            'POST /api/playlists/:id/import': 'Append songs from an m3u, m3u8, xspf or csv upload',
+            'GET /api/playlists/:id/imports/:jobId': 'Get import job progress',
+            'GET /api/playlists/:id/history': 'List playlist change history',
+            'GET /api/playlists/:id/history/diff?from=:rev&to=:rev': 'Compare two playlist revisions',
+            'POST /api/playlists/:id/history/:revision/restore': 'Restore playlist to an earlier revision',
+            'POST /api/playlists/:id/undo': 'Undo your last song add, remove or reorder',
+            'POST /api/playlists/:id/collaborators': 'Invite collaborator by user ID, username or email',
+            'GET /api/playlists/:id/invitations': 'List invitations sent for a playlist',
+            'POST /api/playlists/:id/share-links': 'Create a share link',
+            'GET /api/playlists/:id/share-links': 'List active share links',
+            'DELETE /api/playlists/:id/share-links/:linkId': 'Revoke a share link',
+            'PUT /api/playlists/:id/collaborators/:userId': 'Change collaborator role',
             'DELETE /api/playlists/:id/collaborators/:userId': 'Remove collaborator'
           },
+          invitations: {
+            'GET /api/invitations': 'List incoming invitations',
+            'POST /api/invitations/:id/accept': 'Accept an invitation',
+            'POST /api/invitations/:id/decline': 'Decline an invitation',
+            'POST /api/invitations/redeem': 'Join a playlist through a share link'
+          },
           songs: {
-            'GET /api/songs?playlistId=:id': 'Get songs from playlist',
+            'GET /api/songs?playlistId=:id&sort=:sort': 'Get songs from playlist (sort: order or score)',
             'POST /api/songs': 'Add song to playlist',
-            'DELETE /api/songs/:id?playlistId=:id': 'Remove song from playlist',
+            'DELETE /api/songs/:id?playlistId=:id': 'Move song to the trash',
             'GET /api/songs/search?playlistId=:id&q=:query': 'Search songs in playlist',
-            'PUT /api/songs/reorder': 'Reorder songs in playlist'
+            'PUT /api/songs/reorder': 'Set the order of many songs at once',
+            'PUT /api/songs/:id/move': 'Move a song after another song or to the top',
+            'POST /api/songs/:id/vote': 'Upvote or downvote a song',
+            'DELETE /api/songs/:id/vote?playlistId=:id': 'Clear vote on a song',
+            'POST /api/songs/:id/resolve-youtube': 'Find and set the YouTube video for a song',
+            'GET /api/songs/suggestions?playlistId=:id': 'List song suggestions awaiting approval',
+            'POST /api/songs/suggestions/:id/approve': 'Approve a song suggestion',
+            'POST /api/songs/suggestions/:id/reject': 'Reject a song suggestion'
+          },
+          trash: {
+            'GET /api/trash': 'List trashed playlists and songs',
+            'POST /api/trash/playlists/:id/restore': 'Restore a trashed playlist',
+            'DELETE /api/trash/playlists/:id': 'Permanently delete a trashed playlist',
+            'POST /api/trash/songs/:id/restore': 'Restore a trashed song',
+            'DELETE /api/trash/songs/:id': 'Permanently delete a trashed song'
           },
           search: {
-            'GET /api/search/tracks?q=:query': 'Search tracks (Spotify/Last.fm)',
-            'GET /api/search/artist?name=:name': 'Get artist info',
+            'GET /api/search/tracks?q=:query&service=:service': 'Search tracks on one or all providers',
+            'GET /api/search/track/:service/:id': 'Get track details from a provider',
+            'GET /api/search/artist?name=:name&service=:service': 'Get artist info',
+            'GET /api/search/providers': 'List music providers and their capabilities',
             'GET /api/search/spotify/auth': 'Get Spotify auth URL',
-            'GET /api/search/spotify/callback': 'Spotify OAuth callback'
+            'GET /api/search/spotify/callback': 'Spotify OAuth callback (links the account)',
+            'DELETE /api/search/spotify/auth': 'Disconnect linked Spotify account',
+            'GET /api/search/spotify/playlists': 'List playlists in your linked Spotify account'
           }
         }
       }
@@ -0,0 +1,152 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const {
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+  redeemShareLink
+} = require('../controllers/invitation.controller');
+
+/**
+ * @fileoverview Routes for responding to playlist invitations and share links
+ * @module routes/invitations
+ * @requires express
+ * @requires express-validator
+ * @requires ../middleware/auth
+ * @requires ../controllers/invitation.controller
+ */
+
+// Validation middleware
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+// Apply auth middleware to all invitation routes
+router.use(auth);
+
+/**
+ * @route   GET /api/invitations?status=:status
+ * @desc    List the current user's incoming invitations
+ * @access  Private
+ * @param   {string} [status=pending] - Invitation status ('pending', 'accepted', 'declined', 'expired')
+ * @returns {Object} 200 - Array of invitations, newest first
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 401 - Unauthorized
+ * @returns {Object} 500 - Server error
+ * @example
+ * // Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "invitations": [
+ *       {
+ *         "_id": "invitation_id",
+ *         "playlist": { "_id": "playlist_id", "name": "Road Trip" },
+ *         "invitedBy": { "_id": "user_id", "username": "johndoe" },
+ *         "role": "editor",
+ *         "status": "pending",
+ *         "expiresAt": "2025-07-18T12:00:00.000Z"
+ *       }
+ *     ]
+ *   }
+ * }
+ */
+router.get('/', 
+  [
+    query('status').optional().isIn(['pending', 'accepted', 'declined', 'expired']).withMessage('Invalid invitation status'),
+    validateRequest
+  ],
+  getMyInvitations
+);
+
+/**
+ * @route   POST /api/invitations/:id/accept
+ * @desc    Accept an invitation and join the playlist with the invited role
+ * @access  Private (invitee only)
+ * @param   {string} id - Invitation ID (MongoDB ObjectId)
+ * @returns {Object} 200 - Invitation accepted
+ * @returns {Object} 400 - Invalid invitation ID
+ * @returns {Object} 401 - Unauthorized
+ * @returns {Object} 404 - Invitation or playlist not found
+ * @returns {Object} 409 - Invitation already answered
+ * @returns {Object} 410 - Invitation expired
+ * @returns {Object} 500 - Server error
+ * @example
+ * // Response:
+ * {
+ *   "success": true,
+ *   "message": "Invitation accepted successfully",
+ *   "data": {
+ *     "invitation": { "_id": "invitation_id", "status": "accepted", "role": "editor" }
+ *   }
+ * }
+ */
+router.post('/:id/accept', 
+  [
+    param('id').isMongoId().withMessage('Invalid invitation ID'),
+    validateRequest
+  ],
+  acceptInvitation
+);
+
+/**
+ * @route   POST /api/invitations/:id/decline
+ * @desc    Decline an invitation
+ * @access  Private (invitee only)
+ * @param   {string} id - Invitation ID (MongoDB ObjectId)
+ * @returns {Object} 200 - Invitation declined
+ * @returns {Object} 400 - Invalid invitation ID
+ * @returns {Object} 401 - Unauthorized
+ * @returns {Object} 404 - Invitation not found
+ * @returns {Object} 409 - Invitation already answered
+ * @returns {Object} 410 - Invitation expired
+ * @returns {Object} 500 - Server error
+ */
+router.post('/:id/decline', 
+  [
+    param('id').isMongoId().withMessage('Invalid invitation ID'),
+    validateRequest
+  ],
+  declineInvitation
+);
+
+/**
+ * @route   POST /api/invitations/redeem
+ * @desc    Join a playlist through a share link
+ * @access  Private
+ * @param   {Object} body - Redemption data
+ * @param   {string} body.token - Share link token (required)
+ * @returns {Object} 200 - Joined playlist, or already a collaborator
+ * @returns {Object} 400 - Invalid or tampered token
+ * @returns {Object} 401 - Unauthorized
+ * @returns {Object} 404 - Share link or playlist not found
+ * @returns {Object} 410 - Link expired, revoked or used up
+ * @returns {Object} 500 - Server error
+ * @example
+ * // Request body:
+ * {
+ *   "token": "link_id.signature"
+ * }
+ * 
+ * // Response:
+ * {
+ *   "success": true,
+ *   "message": "Joined playlist successfully",
+ *   "data": { "playlistId": "playlist_id", "role": "editor" }
+ * }
+ */
+router.post('/redeem', 
+  [
+    body('token').isString().isLength({ min: 1 }).withMessage('Share link token is required'),
+    validateRequest
+  ],
+  redeemShareLink
+);
+
+module.exports = router;
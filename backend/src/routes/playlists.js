@@ -1,10 +1,44 @@
 const express = require('express');
 const router = express.Router();
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
-const { getPlaylists, createPlaylist, getPlaylistById, updatePlaylist, deletePlaylist } = require('../controllers/playlist.controller');
-const Playlist = require('../models/Playlist');
-const User = require('../models/User');
+const { playlistFileUpload } = require('../middleware/upload');
+const {
+  getPlaylists,
+  createPlaylist,
+  getPlaylistById,
+  updatePlaylist,
+  deletePlaylist,
+  updateCollaboratorRole,
+  removeCollaborator,
+  getPlaylistPresence,
+  forkPlaylist,
+  getPlaylistForks,
+  exportPlaylist
+} = require('../controllers/playlist.controller');
+const {
+  createInvitation,
+  getPlaylistInvitations,
+  createShareLink,
+  getShareLinks,
+  revokeShareLink
+} = require('../controllers/invitation.controller');
+const {
+  getHistory,
+  getHistoryDiff,
+  restoreRevision,
+  undoLastAction
+} = require('../controllers/history.controller');
+const {
+  importPlaylist,
+  importIntoPlaylist,
+  importSpotifyPlaylist,
+  getImportStatus
+} = require('../controllers/import.controller');
+const {
+  pushPlaylistToSpotify,
+  getSpotifySyncStatus
+} = require('../controllers/spotify.controller');
 
 /**
  * @fileoverview Playlist management routes
@@ -12,7 +46,12 @@ const User = require('../models/User');
  * @requires express
  * @requires express-validator
  * @requires ../middleware/auth
+ * @requires ../middleware/upload
  * @requires ../controllers/playlist.controller
+ * @requires ../controllers/invitation.controller
+ * @requires ../controllers/history.controller
+ * @requires ../controllers/import.controller
+ * @requires ../controllers/spotify.controller
  */
 
 // Validation middleware
@@ -104,12 +143,130 @@ router.post('/',
   createPlaylist
 );
 
+/**
+ * @route   POST /api/playlists/import
+ * @desc    Create a playlist from an uploaded M3U, M3U8, XSPF or CSV file
+ *          (multipart/form-data, file in the "file" field). CSV files need a
+ *          header row with at least title and artist columns; songs without
+ *          a duration can't be imported. Files with more than 200 songs to
+ *          add import in the background: the response is 202 and progress
+ *          arrives as import-progress events on the playlist room
+ * @access  Private
+ * @param   {Object} body - Form fields
+ * @param   {File} body.file - Playlist file (max IMPORT_MAX_FILE_SIZE_MB, default 5 MB)
+ * @param   {string} [body.name] - Playlist name (defaults to the file's title or name)
+ * @param   {string} [body.description] - Playlist description
+ * @param   {boolean} [body.isPublic=false] - Whether the playlist is public
+ * @returns {Object} 201 - Playlist created and songs imported
+ * @returns {Object} 202 - Playlist created; songs importing in the background
+ * @returns {Object} 400 - Missing or unsupported file, file too large, or no readable songs
+ * @returns {Object} 401 - Unauthorized
+ * @returns {Object} 500 - Server error
+ * @example
+ * // Response:
+ * {
+ *   "success": true,
+ *   "message": "Imported 2 songs",
+ *   "data": {
+ *     "playlistId": "playlist_id",
+ *     "job": {
+ *       "id": "job_id",
+ *       "status": "completed",
+ *       "total": 2,
+ *       "processed": 2,
+ *       "added": 2,
+ *       "skipped": [
+ *         { "row": 4, "entry": "Artist Name - Song Title", "reason": "Song already exists in playlist" }
+ *       ],
+ *       "errors": [
+ *         { "row": 7, "entry": "Artist Name - Other Song", "reason": "Missing or invalid duration" }
+ *       ]
+ *     }
+ *   }
+ * }
+ */
+router.post('/import', 
+  playlistFileUpload,
+  [
+    body('name').optional().isLength({ min: 1, max: 100 }).trim().withMessage('Name must be 1-100 characters'),
+    body('description').optional().isLength({ max: 500 }).trim().withMessage('Description must be less than 500 characters'),
+    body('isPublic').optional().isBoolean().withMessage('isPublic must be a boolean').toBoolean(),
+    validateRequest
+  ],
+  importPlaylist
+);
+
+/**
+ * @route   POST /api/playlists/import/spotify
+ * @desc    Create a playlist from one of the user's Spotify playlists. Each
+ *          track becomes a song; podcast episodes and tracks no longer on
+ *          Spotify are reported as errors. Playlists with more than 200
+ *          tracks import in the background: the response is 202 and progress
+ *          arrives as import-progress events on the playlist room, first with
+ *          `fetched` while tracks are read from Spotify, then with `processed`
+ * @access  Private (Spotify account linked)
+ * @param   {Object} body - Request body
+ * @param   {string} body.spotifyPlaylistId - Spotify playlist ID, URI or open.spotify.com link
+ * @param   {string} [body.name] - Playlist name (defaults to the Spotify playlist's name)
+ * @param   {string} [body.description] - Playlist description (defaults to Spotify's)
+ * @param   {boolean} [body.isPublic=false] - Whether the playlist is public
+ * @returns {Object} 201 - Playlist created and songs imported
+ * @returns {Object} 202 - Playlist created; songs importing in the background
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 401 - Unauthorized
+ * @returns {Object} 403 - No Spotify account linked
+ * @returns {Object} 404 - Spotify playlist not found
+ * @returns {Object} 502 - Spotify request failed
+ * @example
+ * // Request body:
+ * {
+ *   "spotifyPlaylistId": "https://open.spotify.com/playlist/37i9dQZF1DXcBWIGoYBM5M",
+ *   "isPublic": true
+ * }
+ *
+ * // Response (202):
+ * {
+ *   "success": true,
+ *   "message": "Import started",
+ *   "data": {
+ *     "playlistId": "playlist_id",
+ *     "job": {
+ *       "id": "job_id",
+ *       "source": "spotify",
+ *       "sourceId": "37i9dQZF1DXcBWIGoYBM5M",
+ *       "status": "queued",
+ *       "total": 0,
+ *       "processed": 0,
+ *       "added": 0
+ *     }
+ *   }
+ * }
+ */
+router.post('/import/spotify',
+  [
+    body('spotifyPlaylistId')
+      .isString()
+      .trim()
+      // Accept spotify:playlist:<id> URIs and open.spotify.com links
+      .customSanitizer((value) => String(value ?? '').match(/(?:playlist[:/])?([A-Za-z0-9]{1,64})(?:\?.*)?$/)?.[1] || value)
+      .matches(/^[A-Za-z0-9]{1,64}$/)
+      .withMessage('A Spotify playlist ID, URI or link is required'),
+    body('name').optional().isLength({ min: 1, max: 100 }).trim().withMessage('Name must be 1-100 characters'),
+    body('description').optional().isLength({ max: 500 }).trim().withMessage('Description must be less than 500 characters'),
+    body('isPublic').optional().isBoolean().withMessage('isPublic must be a boolean').toBoolean(),
+    validateRequest
+  ],
+  importSpotifyPlaylist
+);
+
 /**
  * @route   GET /api/playlists/:id
  * @desc    Get a specific playlist by ID with songs
  * @access  Private (must have access to playlist)
  * @param   {string} id - Playlist ID (MongoDB ObjectId)
- * @returns {Object} 200 - Playlist object with populated songs
+ * @returns {Object} 200 - Playlist object with populated songs; the ETag
+ *          header carries the playlist revision for conditional writes.
+ *          Forks list their public ancestors in forkLineage, nearest first
  * @returns {Object} 400 - Invalid playlist ID
  * @returns {Object} 401 - Unauthorized
  * @returns {Object} 403 - Access denied (private playlist)
@@ -133,7 +290,18 @@ router.post('/',
  *           "order": 0
  *         }
  *       ],
- *       "collaborators": []
+ *       "collaborators": [],
+ *       "forkedFrom": "source_playlist_id",
+ *       "forkLineage": [
+ *         {
+ *           "_id": "source_playlist_id",
+ *           "name": "Original Playlist",
+ *           "creator": { "_id": "user_id", "username": "janedoe" },
+ *           "forkCount": 3
+ *         }
+ *       ],
+ *       "forkCount": 0,
+ *       "revision": 12
  *     }
  *   }
  * }
@@ -148,22 +316,29 @@ router.get('/:id',
 
 /**
  * @route   PUT /api/playlists/:id
- * @desc    Update playlist information
- * @access  Private (creator or collaborator with edit permissions)
+ * @desc    Update playlist information. Collaborators are managed through
+ *          the collaborator endpoints and are not accepted here.
+ * @access  Private (creator or admin; isPublic and settings are creator only)
  * @param   {string} id - Playlist ID (MongoDB ObjectId)
  * @param   {Object} body - Updated playlist data
  * @param   {string} [body.name] - New playlist name (1-100 characters)
  * @param   {string} [body.description] - New description (max 500 characters)
  * @param   {boolean} [body.isPublic] - New public status
- * @param   {Array} [body.collaborators] - Array of collaborator IDs
- * @returns {Object} 200 - Updated playlist object
+ * @param   {Object} [body.settings] - Playlist settings to change
+ * @param   {boolean} [body.settings.allowDuplicates] - Allow the same song more than once
+ * @param   {boolean} [body.settings.requireApproval] - Queue songs from editors for approval
+ * @param   {number} [body.settings.maxSongs] - Maximum number of songs
+ * @param   {number|null} [body.settings.maxSongsPerCollaborator] - Songs each collaborator may add (null for no limit)
+ * @param   {number} [body.revision] - Revision the change is based on (or send an If-Match header)
+ * @returns {Object} 200 - Updated playlist object with its new revision as ETag
  * @returns {Object} 400 - Validation error
  * @returns {Object} 401 - Unauthorized
  * @returns {Object} 403 - Access denied (insufficient permissions)
  * @returns {Object} 404 - Playlist not found
+ * @returns {Object} 409 - Stale revision; data holds the current playlist
  * @returns {Object} 500 - Server error
  * @example
- * // Request body:
+ * // Request (If-Match: "12") body:
  * {
  *   "name": "Updated Playlist Name",
  *   "description": "Updated description",
@@ -179,7 +354,8 @@ router.get('/:id',
  *       "_id": "playlist_id",
  *       "name": "Updated Playlist Name",
  *       "description": "Updated description",
- *       "isPublic": false
+ *       "isPublic": false,
+ *       "revision": 13
  *     }
  *   }
  * }
@@ -190,8 +366,11 @@ router.put('/:id',
     body('name').optional().isLength({ min: 1, max: 100 }).trim().withMessage('Name must be 1-100 characters'),
     body('description').optional().isLength({ max: 500 }).trim().withMessage('Description must be less than 500 characters'),
     body('isPublic').optional().isBoolean().withMessage('isPublic must be a boolean'),
-    body('collaborators').optional().isArray().withMessage('Collaborators must be an array'),
-    body('collaborators.*').optional().isMongoId().withMessage('Invalid collaborator ID'),
+    body('settings.allowDuplicates').optional().isBoolean().withMessage('allowDuplicates must be a boolean'),
+    body('settings.requireApproval').optional().isBoolean().withMessage('requireApproval must be a boolean'),
+    body('settings.maxSongs').optional().isInt({ min: 1 }).withMessage('maxSongs must be a positive integer'),
+    body('settings.maxSongsPerCollaborator').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('maxSongsPerCollaborator must be a positive integer or null'),
+    body('revision').optional().isInt({ min: 0 }).withMessage('Revision must be a non-negative integer').toInt(),
     validateRequest
   ],
   updatePlaylist
@@ -202,11 +381,14 @@ router.put('/:id',
  * @desc    Delete a playlist and all its songs
  * @access  Private (creator only)
  * @param   {string} id - Playlist ID (MongoDB ObjectId)
+ * @param   {number} [revision] - Revision the delete is based on, as body
+ *          field or query parameter (or send an If-Match header)
  * @returns {Object} 200 - Success message
  * @returns {Object} 400 - Invalid playlist ID
  * @returns {Object} 401 - Unauthorized
  * @returns {Object} 403 - Access denied (not creator)
  * @returns {Object} 404 - Playlist not found
+ * @returns {Object} 409 - Stale revision; data holds the current playlist
  * @returns {Object} 500 - Server error
  * @example
  * // Response:
@@ -218,141 +400,707 @@ router.put('/:id',
 router.delete('/:id', 
   [
     param('id').isMongoId().withMessage('Invalid playlist ID'),
+    body('revision').optional().isInt({ min: 0 }).withMessage('Revision must be a non-negative integer').toInt(),
+    query('revision').optional().isInt({ min: 0 }).withMessage('Revision must be a non-negative integer').toInt(),
     validateRequest
   ],
   deletePlaylist
 );
 
+/**
+ * @route   GET /api/playlists/:id/presence
+ * @desc    Get the users currently connected to the playlist's socket room
+ * @access  Private (must have access to playlist)
+ * @param   {string} id - Playlist ID (MongoDB ObjectId)
+ * @returns {Object} 200 - Present users, one entry per user across all tabs and servers
+ * @returns {Object} 400 - Invalid playlist ID
+ * @returns {Object} 401 - Unauthorized
+ * @returns {Object} 403 - Access denied (private playlist)
+ * @returns {Object} 404 - Playlist not found
+ * @returns {Object} 500 - Server error
+ * @example
+ * // Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "playlistId": "playlist_id",
+ *     "users": [
+ *       {
+ *         "userId": "user_id",
+ *         "username": "johndoe",
+ *         "activity": "editing",
+ *         "connections": 2,
+ *         "joinedAt": "2025-07-11T12:00:00.000Z"
+ *       }
+ *     ]
+ *   }
+ * }
+ */
+router.get('/:id/presence', 
+  [
+    param('id').isMongoId().withMessage('Invalid playlist ID'),
+    validateRequest
+  ],
+  getPlaylistPresence
+);
+
+/**
+ * @route   POST /api/playlists/:id/fork
+ * @desc    Copy a playlist and all its songs into a new playlist owned by the
+ *          current user. Settings, tags and cover are copied; collaborators,
+ *          votes and history are not
+ * @access  Private (must have access to playlist)
+ * @param   {string} id - Playlist ID (MongoDB ObjectId)
+ * @param   {Object} body - Fork options
+ * @param   {string} [body.name] - Name of the fork (defaults to the source name)
+ * @param   {boolean} [body.isPublic=false] - Whether the fork is public
+ * @returns {Object} 201 - Fork created
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 401 - Unauthorized
+ * @returns {Object} 403 - Access denied (private playlist)
+ * @returns {Object} 404 - Playlist not found
+ * @returns {Object} 500 - Server error
+ * @example
+ * // Request body:
+ * {
+ *   "name": "Road Trip (my cut)",
+ *   "isPublic": true
+ * }
+ * 
+ * // Response:
+ * {
+ *   "success": true,
+ *   "message": "Playlist forked successfully",
+ *   "data": {
+ *     "playlist": {
+ *       "_id": "fork_playlist_id",
+ *       "name": "Road Trip (my cut)",
+ *       "creator": { "_id": "user_id", "username": "johndoe" },
+ *       "forkedFrom": "playlist_id",
+ *       "songs": ["song_id"],
+ *       "revision": 0
+ *     }
+ *   }
+ * }
+ */
+router.post('/:id/fork', 
+  [
+    param('id').isMongoId().withMessage('Invalid playlist ID'),
+    body('name').optional().isLength({ min: 1, max: 100 }).trim().withMessage('Name must be 1-100 characters'),
+    body('isPublic').optional().isBoolean().withMessage('isPublic must be a boolean'),
+    validateRequest
+  ],
+  forkPlaylist
+);
+
+/**
+ * @route   GET /api/playlists/:id/forks?limit=:limit
+ * @desc    List forks of a playlist, newest first. Private forks are only
+ *          listed for their members
+ * @access  Private (must have access to playlist)
+ * @param   {string} id - Playlist ID (MongoDB ObjectId)
+ * @param   {number} [limit=20] - Maximum forks to return (1-100)
+ * @returns {Object} 200 - Total fork count and visible forks
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 401 - Unauthorized
+ * @returns {Object} 403 - Access denied (private playlist)
+ * @returns {Object} 404 - Playlist not found
+ * @returns {Object} 500 - Server error
+ * @example
+ * // Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "forkCount": 3,
+ *     "forks": [
+ *       {
+ *         "_id": "fork_playlist_id",
+ *         "name": "Road Trip (my cut)",
+ *         "creator": { "_id": "user_id", "username": "johndoe" },
+ *         "isPublic": true,
+ *         "forkCount": 0,
+ *         "songCount": 24,
+ *         "createdAt": "2025-07-11T12:00:00.000Z"
+ *       }
+ *     ]
+ *   }
+ * }
+ */
+router.get('/:id/forks', 
+  [
+    param('id').isMongoId().withMessage('Invalid playlist ID'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt(),
+    validateRequest
+  ],
+  getPlaylistForks
+);
+
+/**
+ * @route   GET /api/playlists/:id/export?format=:format
+ * @desc    Download the playlist as a file, streamed song by song.
+ *          m3u8 and xspf open in desktop players, csv in spreadsheets and
+ *          json is this API's own format (described in utils/playlistExport).
+ *          Songs link to Spotify or YouTube when they have an ID
+ * @access  Private (must have access to playlist)
+ * @param   {string} id - Playlist ID (MongoDB ObjectId)
+ * @param   {string} [format=json] - Export format ('m3u8', 'xspf', 'csv', 'json')
+ * @returns {File} 200 - Playlist file as an attachment
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 401 - Unauthorized
+ * @returns {Object} 403 - Access denied (private playlist)
+ * @returns {Object} 404 - Playlist not found
+ * @returns {Object} 500 - Server error
+ * @example
+ * // GET /api/playlists/:id/export?format=m3u8
+ * #EXTM3U
+ * #PLAYLIST:Road Trip
+ * #EXTINF:431,The Beatles - Hey Jude
+ * #EXTALB:Past Masters
+ * https://open.spotify.com/track/spotify_track_id
+ */
+router.get('/:id/export', 
+  [
+    param('id').isMongoId().withMessage('Invalid playlist ID'),
+    query('format').optional().isIn(['m3u8', 'xspf', 'csv', 'json']).withMessage('Format must be m3u8, xspf, csv or json'),
+    validateRequest
+  ],
+  exportPlaylist
+);
+
+/**
+ * @route   POST /api/playlists/:id/export/spotify
+ * @desc    Create or re-sync a copy of the playlist in the user's Spotify
+ *          account. Songs with a Spotify ID map directly; songs with an ISRC
+ *          are looked up by it (matchedBy 'isrc'); others are searched on
+ *          Spotify and matched by title, artist and duration. Matches below
+ *          the confidence threshold (0.75) are reported but left out. Each
+ *          sync replaces the copy's tracks with the playlist's current songs
+ *          in playlist order, and its name, description and visibility.
+ *          Syncs with more than 50 songs to look up run in the background:
+ *          the response is 202 with a job, and the user's room receives
+ *          spotify-sync-progress, then spotify-sync-completed or
+ *          spotify-sync-failed. The full report is on the job once complete
+ * @access  Private (must have access to playlist; Spotify account linked with
+ *          playlist-modify scopes)
+ * @param   {string} id - Playlist ID (MongoDB ObjectId)
+ * @returns {Object} 201 - Spotify playlist created and filled
+ * @returns {Object} 200 - Existing Spotify copy re-synced
+ * @returns {Object} 202 - Sync running in the background
+ * @returns {Object} 400 - Invalid playlist ID
+ * @returns {Object} 401 - Unauthorized
+ * @returns {Object} 403 - Access denied, no Spotify account linked, or account
+ *          linked without playlist-modify scopes (reconnect to grant them)
+ * @returns {Object} 404 - Playlist not found
+ * @returns {Object} 502 - Spotify request failed
+ * @example
+ * // Response:
+ * {
+ *   "success": true,
+ *   "message": "Synced 2 of 3 songs to Spotify",
+ *   "data": {
+ *     "spotify": {
+ *       "spotifyPlaylistId": "3cEYpjA9oz9GiPac4AsH4n",
+ *       "url": "https://open.spotify.com/playlist/3cEYpjA9oz9GiPac4AsH4n",
+ *       "created": false,
+ *       "syncedAt": "2025-07-11T12:00:00.000Z",
+ *       "total": 3,
+ *       "synced": 2,
+ *       "unmatched": 1,
+ *       "threshold": 0.75,
+ *       "songs": [
+ *         { "songId": "song_id", "title": "Hey Jude", "artist": "The Beatles", "spotifyId": "0aym2LBJBk9DAYuHHutrIl", "confidence": 1, "matchedBy": "spotifyId", "included": true },
+ *         { "songId": "song_id", "title": "Yesterday", "artist": "The Beatles", "spotifyId": "3BQHpFgAp4l80e1XslIjNI", "confidence": 0.94, "matchedBy": "search", "included": true, "candidate": { "name": "Yesterday - Remastered 2009", "artist": "The Beatles" } },
+ *         { "songId": "song_id", "title": "Demo Take 3", "artist": "Garage Band", "spotifyId": null, "confidence": 0, "matchedBy": "search", "included": false }
+ *       ]
+ *     }
+ *   }
+ * }
+ */
+router.post('/:id/export/spotify',
+  [
+    param('id').isMongoId().withMessage('Invalid playlist ID'),
+    validateRequest
+  ],
+  pushPlaylistToSpotify
+);
+
+/**
+ * @route   GET /api/playlists/:id/export/spotify/:jobId
+ * @desc    Get the progress of a background Spotify sync, with the sync
+ *          report once it completes. Jobs are kept for 24 hours
+ * @access  Private (the user who started the sync)
+ * @param   {string} id - Playlist ID (MongoDB ObjectId)
+ * @param   {string} jobId - Sync job ID
+ * @returns {Object} 200 - Job status ('queued', 'running', 'completed' or 'failed'),
+ *          songs matched so far and, when completed, the report in 'spotify'
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 401 - Unauthorized
+ * @returns {Object} 404 - Sync job not found
+ * @returns {Object} 500 - Server error
+ */
+router.get('/:id/export/spotify/:jobId',
+  [
+    param('id').isMongoId().withMessage('Invalid playlist ID'),
+    param('jobId').isUUID().withMessage('Invalid sync job ID'),
+    validateRequest
+  ],
+  getSpotifySyncStatus
+);
+
+/**
+ * @route   POST /api/playlists/:id/import
+ * @desc    Append songs from an uploaded M3U, M3U8, XSPF or CSV file
+ *          (multipart/form-data, file in the "file" field) to the end of the
+ *          playlist. Duplicates (unless allowed), songs over maxSongs or the
+ *          importer's contribution limit are skipped and reported. Large
+ *          files import in the background as for POST /api/playlists/import
+ * @access  Private (editor or higher; admin or higher when songs require approval)
+ * @param   {string} id - Playlist ID (MongoDB ObjectId)
+ * @param   {File} file - Playlist file (max IMPORT_MAX_FILE_SIZE_MB, default 5 MB)
+ * @returns {Object} 200 - Songs imported, with skipped songs and unreadable rows
+ * @returns {Object} 202 - Songs importing in the background
+ * @returns {Object} 400 - Missing or unsupported file, file too large, or no readable songs
+ * @returns {Object} 401 - Unauthorized
+ * @returns {Object} 403 - Not authorized to add songs
+ * @returns {Object} 404 - Playlist not found
+ * @returns {Object} 500 - Server error
+ */
+router.post('/:id/import', 
+  [
+    param('id').isMongoId().withMessage('Invalid playlist ID'),
+    validateRequest
+  ],
+  playlistFileUpload,
+  importIntoPlaylist
+);
+
+/**
+ * @route   GET /api/playlists/:id/imports/:jobId
+ * @desc    Get the progress and results of an import job. Jobs are kept
+ *          for 24 hours
+ * @access  Private (must have access to playlist)
+ * @param   {string} id - Playlist ID (MongoDB ObjectId)
+ * @param   {string} jobId - Import job ID
+ * @returns {Object} 200 - Job status ('queued', 'running', 'completed' or 'failed'),
+ *          counts, skipped songs and unreadable rows
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 401 - Unauthorized
+ * @returns {Object} 403 - Access denied (private playlist)
+ * @returns {Object} 404 - Playlist or job not found
+ * @returns {Object} 500 - Server error
+ */
+router.get('/:id/imports/:jobId', 
+  [
+    param('id').isMongoId().withMessage('Invalid playlist ID'),
+    param('jobId').isUUID().withMessage('Invalid import job ID'),
+    validateRequest
+  ],
+  getImportStatus
+);
+
+/**
+ * @route   GET /api/playlists/:id/history?limit=:limit&before=:revision
+ * @desc    List the playlist's change history, newest first: songs added,
+ *          removed, moved or reordered, metadata edits and restores
+ * @access  Private (must have access to playlist)
+ * @param   {string} id - Playlist ID (MongoDB ObjectId)
+ * @param   {number} [limit=50] - Entries per page (1-100)
+ * @param   {number} [before] - Only entries older than this revision (for paging)
+ * @returns {Object} 200 - History entries and whether more exist
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 401 - Unauthorized
+ * @returns {Object} 403 - Access denied (private playlist)
+ * @returns {Object} 404 - Playlist not found
+ * @returns {Object} 500 - Server error
+ * @example
+ * // Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "history": [
+ *       {
+ *         "revision": 14,
+ *         "action": "song-added",
+ *         "user": { "_id": "user_id", "username": "johndoe" },
+ *         "details": { "songId": "song_id", "title": "Song Title", "artist": "Artist Name" },
+ *         "createdAt": "2025-07-11T12:00:00.000Z"
+ *       }
+ *     ],
+ *     "hasMore": false
+ *   }
+ * }
+ */
+router.get('/:id/history', 
+  [
+    param('id').isMongoId().withMessage('Invalid playlist ID'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt(),
+    query('before').optional().isInt({ min: 0 }).withMessage('before must be a non-negative integer').toInt(),
+    validateRequest
+  ],
+  getHistory
+);
+
+/**
+ * @route   GET /api/playlists/:id/history/diff?from=:revision&to=:revision
+ * @desc    Compare the playlist at two recorded revisions
+ * @access  Private (must have access to playlist)
+ * @param   {string} id - Playlist ID (MongoDB ObjectId)
+ * @param   {number} from - Older revision (required)
+ * @param   {number} [to] - Newer revision (defaults to the latest recorded)
+ * @returns {Object} 200 - Metadata changes and songs added, removed and moved
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 401 - Unauthorized
+ * @returns {Object} 403 - Access denied (private playlist)
+ * @returns {Object} 404 - Playlist or revision not found
+ * @returns {Object} 500 - Server error
+ * @example
+ * // Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "from": 10,
+ *     "to": 14,
+ *     "metadata": [{ "field": "name", "from": "Road Trip", "to": "Road Trip 2025" }],
+ *     "added": [{ "songId": "song_id", "title": "Song Title", "artist": "Artist Name", "position": 3 }],
+ *     "removed": [],
+ *     "moved": [{ "songId": "song_id_2", "title": "Other Song", "artist": "Artist", "position": 0, "fromPosition": 2 }]
+ *   }
+ * }
+ */
+router.get('/:id/history/diff', 
+  [
+    param('id').isMongoId().withMessage('Invalid playlist ID'),
+    query('from').isInt({ min: 0 }).withMessage('from must be a non-negative integer').toInt(),
+    query('to').optional().isInt({ min: 0 }).withMessage('to must be a non-negative integer').toInt(),
+    validateRequest
+  ],
+  getHistoryDiff
+);
+
+/**
+ * @route   POST /api/playlists/:id/history/:revision/restore
+ * @desc    Restore the playlist's name, description and songs to a recorded
+ *          revision. Removed songs are recreated without their votes.
+ *          Connected clients receive a playlist-restored event.
+ * @access  Private (creator or admin)
+ * @param   {string} id - Playlist ID (MongoDB ObjectId)
+ * @param   {number} revision - Revision to restore
+ * @param   {number} [body.revision] - Current revision the restore is based on (or send an If-Match header)
+ * @returns {Object} 200 - Restored playlist with its new revision
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 401 - Unauthorized
+ * @returns {Object} 403 - Access denied (insufficient permissions)
+ * @returns {Object} 404 - Playlist or revision not found
+ * @returns {Object} 409 - Stale revision or song limit reached
+ * @returns {Object} 500 - Server error
+ * @example
+ * // Response:
+ * {
+ *   "success": true,
+ *   "message": "Playlist restored to revision 10",
+ *   "data": {
+ *     "playlist": { "_id": "playlist_id", "name": "Road Trip", "songs": [], "revision": 15 },
+ *     "revision": 15
+ *   }
+ * }
+ */
+router.post('/:id/history/:revision/restore', 
+  [
+    param('id').isMongoId().withMessage('Invalid playlist ID'),
+    param('revision').isInt({ min: 0 }).withMessage('Revision must be a non-negative integer').toInt(),
+    body('revision').optional().isInt({ min: 0 }).withMessage('Revision must be a non-negative integer').toInt(),
+    validateRequest
+  ],
+  restoreRevision
+);
+
+/**
+ * @route   POST /api/playlists/:id/undo
+ * @desc    Undo the caller's most recent song add, remove, move or reorder in
+ *          this playlist, within the undo window (UNDO_WINDOW_MINUTES, default
+ *          10). Repeated calls step further back. Refused when later edits
+ *          make the undo unsafe, e.g. the song was already re-added or the
+ *          songs have been reordered by someone else since.
+ * @access  Private (creator or collaborator with edit permissions)
+ * @param   {string} id - Playlist ID (MongoDB ObjectId)
+ * @returns {Object} 200 - The change that was undone and the new revision
+ * @returns {Object} 400 - Invalid playlist ID
+ * @returns {Object} 401 - Unauthorized
+ * @returns {Object} 403 - Access denied (insufficient permissions)
+ * @returns {Object} 404 - Playlist not found or nothing to undo
+ * @returns {Object} 409 - The change can no longer be undone
+ * @returns {Object} 500 - Server error
+ * @example
+ * // Response:
+ * {
+ *   "success": true,
+ *   "message": "Last change undone",
+ *   "data": {
+ *     "undone": {
+ *       "revision": 14,
+ *       "action": "song-removed",
+ *       "details": { "songId": "song_id", "title": "Song Title", "artist": "Artist Name" }
+ *     },
+ *     "revision": 16
+ *   }
+ * }
+ */
+router.post('/:id/undo', 
+  [
+    param('id').isMongoId().withMessage('Invalid playlist ID'),
+    validateRequest
+  ],
+  undoLastAction
+);
+
 /**
  * @route   POST /api/playlists/:id/collaborators
- * @desc    Add a collaborator to a playlist
- * @access  Private (creator only)
+ * @desc    Invite a user to collaborate. The user is added once they accept
+ *          through POST /api/invitations/:id/accept.
+ * @access  Private (creator for any role; admin for editor or viewer)
  * @param   {string} id - Playlist ID (MongoDB ObjectId)
- * @param   {Object} body - Collaborator data
- * @param   {string} body.userId - User ID to add as collaborator
- * @returns {Object} 200 - Success message
+ * @param   {Object} body - Invitation data (one of userId, username or email is required)
+ * @param   {string} [body.userId] - User ID to invite
+ * @param   {string} [body.username] - Username to invite
+ * @param   {string} [body.email] - Email address to invite
+ * @param   {string} [body.role=editor] - Role to grant ('admin', 'editor', 'viewer')
+ * @returns {Object} 201 - Invitation created
  * @returns {Object} 400 - Validation error or user already collaborator
  * @returns {Object} 401 - Unauthorized
- * @returns {Object} 403 - Access denied (not creator)
+ * @returns {Object} 403 - Access denied (not allowed to grant this role)
  * @returns {Object} 404 - Playlist or user not found
+ * @returns {Object} 409 - User already has a pending invitation
  * @returns {Object} 500 - Server error
  * @example
  * // Request body:
  * {
- *   "userId": "user_id_to_add"
+ *   "username": "janedoe",
+ *   "role": "viewer"
  * }
  * 
  * // Response:
  * {
- *   "message": "Collaborator added successfully"
+ *   "success": true,
+ *   "message": "Invitation sent successfully",
+ *   "data": {
+ *     "invitation": {
+ *       "_id": "invitation_id",
+ *       "playlist": "playlist_id",
+ *       "invitedBy": { "_id": "user_id", "username": "johndoe" },
+ *       "invitee": { "_id": "invitee_id", "username": "janedoe" },
+ *       "role": "viewer",
+ *       "status": "pending",
+ *       "expiresAt": "2025-07-18T12:00:00.000Z"
+ *     }
+ *   }
  * }
  */
 router.post('/:id/collaborators', 
   [
     param('id').isMongoId().withMessage('Invalid playlist ID'),
-    body('userId').isMongoId().withMessage('Valid user ID is required'),
+    body('userId').optional().isMongoId().withMessage('Invalid user ID'),
+    body('username').optional().isLength({ min: 3, max: 30 }).trim().withMessage('Username must be 3-30 characters'),
+    body('email').optional().isEmail().normalizeEmail().withMessage('Invalid email address'),
+    body('role').optional().isIn(['admin', 'editor', 'viewer']).withMessage('Role must be admin, editor or viewer'),
     validateRequest
   ],
-  async (req, res) => {
-    // ...existing code...
-    try {
-      const playlist = await Playlist.findById(req.params.id);
-      
-      if (!playlist) {
-        return res.status(404).json({ message: 'Playlist not found' });
-      }
-      
-      // Only creator can add collaborators
-      if (playlist.creator.toString() !== req.userId) {
-        return res.status(403).json({ message: 'Not authorized' });
-      }
-      
-      const { userId } = req.body;
-      
-      // Check if user exists
-      const user = await User.findById(userId);
-      if (!user) {
-        return res.status(404).json({ message: 'User not found' });
-      }
-      
-      // Check if already a collaborator
-      if (playlist.collaborators.some(collab => collab.user.toString() === userId)) {
-        return res.status(400).json({ message: 'User is already a collaborator' });
-      }
-      
-      playlist.collaborators.push({ 
-        user: userId,
-        role: 'editor',
-        joinedAt: new Date()
-      });
-      await playlist.save();
-      
-      const io = req.app.get('io');
-      io.to(`playlist-${req.params.id}`).emit('collaborator-added', { playlistId: req.params.id, userId });
-      
-      res.json({ message: 'Collaborator added successfully' });
-    } catch (error) {
-      console.error('Error adding collaborator:', error);
-      res.status(500).json({ message: 'Server error' });
-    }
-  }
+  createInvitation
+);
+
+/**
+ * @route   GET /api/playlists/:id/invitations?status=:status
+ * @desc    List invitations sent for a playlist
+ * @access  Private (creator or admin)
+ * @param   {string} id - Playlist ID (MongoDB ObjectId)
+ * @param   {string} [status=pending] - Invitation status ('pending', 'accepted', 'declined', 'expired')
+ * @returns {Object} 200 - Array of invitations, newest first
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 401 - Unauthorized
+ * @returns {Object} 403 - Access denied (not creator or admin)
+ * @returns {Object} 404 - Playlist not found
+ * @returns {Object} 500 - Server error
+ */
+router.get('/:id/invitations', 
+  [
+    param('id').isMongoId().withMessage('Invalid playlist ID'),
+    query('status').optional().isIn(['pending', 'accepted', 'declined', 'expired']).withMessage('Invalid invitation status'),
+    validateRequest
+  ],
+  getPlaylistInvitations
+);
+
+/**
+ * @route   PUT /api/playlists/:id/collaborators/:userId
+ * @desc    Change a collaborator's role
+ * @access  Private (creator for any role; admin between editor and viewer)
+ * @param   {string} id - Playlist ID (MongoDB ObjectId)
+ * @param   {string} userId - Collaborator's user ID
+ * @param   {Object} body - Role data
+ * @param   {string} body.role - New role ('admin', 'editor', 'viewer')
+ * @param   {number} [body.revision] - Revision the change is based on (or send an If-Match header)
+ * @returns {Object} 200 - Role updated, with the new revision as ETag
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 401 - Unauthorized
+ * @returns {Object} 403 - Access denied (not allowed to manage this role)
+ * @returns {Object} 404 - Playlist or collaborator not found
+ * @returns {Object} 409 - Stale revision; data holds the current playlist
+ * @returns {Object} 500 - Server error
+ * @example
+ * // Request body:
+ * {
+ *   "role": "admin",
+ *   "revision": 12
+ * }
+ * 
+ * // Response:
+ * {
+ *   "success": true,
+ *   "message": "Collaborator role updated successfully",
+ *   "data": { "userId": "user_id", "role": "admin", "previousRole": "editor", "revision": 13 }
+ * }
+ */
+router.put('/:id/collaborators/:userId', 
+  [
+    param('id').isMongoId().withMessage('Invalid playlist ID'),
+    param('userId').isMongoId().withMessage('Invalid user ID'),
+    body('role').isIn(['admin', 'editor', 'viewer']).withMessage('Role must be admin, editor or viewer'),
+    body('revision').optional().isInt({ min: 0 }).withMessage('Revision must be a non-negative integer').toInt(),
+    validateRequest
+  ],
+  updateCollaboratorRole
 );
 
 /**
  * @route   DELETE /api/playlists/:id/collaborators/:userId
  * @desc    Remove a collaborator from a playlist
- * @access  Private (creator only)
+ * @access  Private (creator for any role; admin for editors and viewers)
  * @param   {string} id - Playlist ID (MongoDB ObjectId)
  * @param   {string} userId - User ID to remove as collaborator
- * @returns {Object} 200 - Success message
+ * @param   {number} [revision] - Revision the removal is based on, as body
+ *          field or query parameter (or send an If-Match header)
+ * @returns {Object} 200 - Collaborator removed, with the new revision as ETag
  * @returns {Object} 400 - Invalid IDs
  * @returns {Object} 401 - Unauthorized
- * @returns {Object} 403 - Access denied (not creator)
- * @returns {Object} 404 - Playlist not found
+ * @returns {Object} 403 - Access denied (not allowed to remove this collaborator)
+ * @returns {Object} 404 - Playlist or collaborator not found
+ * @returns {Object} 409 - Stale revision; data holds the current playlist
  * @returns {Object} 500 - Server error
  * @example
  * // Response:
  * {
- *   "message": "Collaborator removed successfully"
+ *   "success": true,
+ *   "message": "Collaborator removed successfully",
+ *   "data": { "userId": "user_id", "revision": 14 }
  * }
  */
 router.delete('/:id/collaborators/:userId', 
   [
     param('id').isMongoId().withMessage('Invalid playlist ID'),
     param('userId').isMongoId().withMessage('Invalid user ID'),
+    body('revision').optional().isInt({ min: 0 }).withMessage('Revision must be a non-negative integer').toInt(),
+    query('revision').optional().isInt({ min: 0 }).withMessage('Revision must be a non-negative integer').toInt(),
     validateRequest
   ],
-  async (req, res) => {
-    // ...existing code...
-    try {
-      const playlist = await Playlist.findById(req.params.id);
-      
-      if (!playlist) {
-        return res.status(404).json({ message: 'Playlist not found' });
-      }
-      
-      // Only creator can remove collaborators
-      if (playlist.creator.toString() !== req.userId) {
-        return res.status(403).json({ message: 'Not authorized' });
-      }
-      
-      playlist.collaborators = playlist.collaborators.filter(
-        collab => collab.user.toString() !== req.params.userId
-      );
-      await playlist.save();
-      
-      const io = req.app.get('io');
-      io.to(`playlist-${req.params.id}`).emit('collaborator-removed', { 
-        playlistId: req.params.id, 
-        userId: req.params.userId 
-      });
-      
-      res.json({ message: 'Collaborator removed successfully' });
-    } catch (error) {
-      console.error('Error removing collaborator:', error);
-      res.status(500).json({ message: 'Server error' });
-    }
-  }
+  removeCollaborator
+);
+
+/**
+ * @route   POST /api/playlists/:id/share-links
+ * @desc    Create a signed invite link that adds whoever redeems it as a collaborator
+ * @access  Private (creator for any role; admin for editor or viewer)
+ * @param   {string} id - Playlist ID (MongoDB ObjectId)
+ * @param   {Object} body - Link options
+ * @param   {string} [body.role=viewer] - Role granted on redemption ('editor', 'viewer')
+ * @param   {number} [body.expiresInHours=168] - Hours until the link expires (1-720)
+ * @param   {number} [body.maxUses=25] - Maximum number of redemptions (1-1000)
+ * @returns {Object} 201 - Share link with token and URL
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 401 - Unauthorized
+ * @returns {Object} 403 - Access denied (not allowed to grant this role)
+ * @returns {Object} 404 - Playlist not found
+ * @returns {Object} 500 - Server error
+ * @example
+ * // Request body:
+ * {
+ *   "role": "editor",
+ *   "expiresInHours": 24,
+ *   "maxUses": 10
+ * }
+ * 
+ * // Response:
+ * {
+ *   "success": true,
+ *   "message": "Share link created successfully",
+ *   "data": {
+ *     "link": {
+ *       "id": "link_id",
+ *       "role": "editor",
+ *       "expiresAt": "2025-07-12T12:00:00.000Z",
+ *       "maxUses": 10,
+ *       "uses": 0,
+ *       "token": "link_id.signature",
+ *       "url": "http://localhost:3000/join/link_id.signature"
+ *     }
+ *   }
+ * }
+ */
+router.post('/:id/share-links', 
+  [
+    param('id').isMongoId().withMessage('Invalid playlist ID'),
+    body('role').optional().isIn(['editor', 'viewer']).withMessage('Role must be editor or viewer'),
+    body('expiresInHours').optional().isInt({ min: 1, max: 720 }).withMessage('expiresInHours must be between 1 and 720').toInt(),
+    body('maxUses').optional().isInt({ min: 1, max: 1000 }).withMessage('maxUses must be between 1 and 1000').toInt(),
+    validateRequest
+  ],
+  createShareLink
+);
+
+/**
+ * @route   GET /api/playlists/:id/share-links
+ * @desc    List active (unexpired, unrevoked, not used up) share links
+ * @access  Private (creator or admin)
+ * @param   {string} id - Playlist ID (MongoDB ObjectId)
+ * @returns {Object} 200 - Array of share links, newest first
+ * @returns {Object} 400 - Invalid playlist ID
+ * @returns {Object} 401 - Unauthorized
+ * @returns {Object} 403 - Access denied (not creator or admin)
+ * @returns {Object} 404 - Playlist not found
+ * @returns {Object} 500 - Server error
+ */
+router.get('/:id/share-links', 
+  [
+    param('id').isMongoId().withMessage('Invalid playlist ID'),
+    validateRequest
+  ],
+  getShareLinks
+);
+
+/**
+ * @route   DELETE /api/playlists/:id/share-links/:linkId
+ * @desc    Revoke a share link so it can no longer be redeemed
+ * @access  Private (creator, or the user who created the link)
+ * @param   {string} id - Playlist ID (MongoDB ObjectId)
+ * @param   {string} linkId - Share link ID (MongoDB ObjectId)
+ * @returns {Object} 200 - Success message
+ * @returns {Object} 400 - Invalid IDs
+ * @returns {Object} 401 - Unauthorized
+ * @returns {Object} 403 - Access denied
+ * @returns {Object} 404 - Playlist or share link not found
+ * @returns {Object} 500 - Server error
+ * @example
+ * // Response:
+ * {
+ *   "success": true,
+ *   "message": "Share link revoked successfully"
+ * }
+ */
+router.delete('/:id/share-links/:linkId', 
+  [
+    param('id').isMongoId().withMessage('Invalid playlist ID'),
+    param('linkId').isMongoId().withMessage('Invalid share link ID'),
+    validateRequest
+  ],
+  revokeShareLink
 );
 
 module.exports = router;
@@ -1,9 +1,19 @@
 const express = require("express");
 const router = express.Router();
-const { query, validationResult } = require("express-validator");
+const { query, param, validationResult } = require("express-validator");
 const auth = require("../middleware/auth");
-const spotifyService = require("../services/spotifyService");
-const lastfmService = require("../services/lastfmService");
+const {
+  getProvider,
+  getProviders,
+  describeProviders,
+} = require("../services/providers");
+const { groupRecordings } = require("../utils/trackMatch");
+const {
+  getSpotifyAuthUrl,
+  spotifyCallback,
+  disconnectSpotifyAccount,
+  getSpotifyPlaylists,
+} = require("../controllers/spotify.controller");
 
 /**
  * @fileoverview Search routes for external music services integration
@@ -11,8 +21,9 @@ const lastfmService = require("../services/lastfmService");
  * @requires express
  * @requires express-validator
  * @requires ../middleware/auth
- * @requires ../services/spotifyService
- * @requires ../services/lastfmService
+ * @requires ../services/providers
+ * @requires ../utils/trackMatch
+ * @requires ../controllers/spotify.controller
  */
 
 // Validation middleware
@@ -24,6 +35,46 @@ const validateRequest = (req, res, next) => {
   next();
 };
 
+// Validator for a provider name, optionally also accepting "all"
+const isProvider = (capability, { allowAll = false } = {}) => (value) =>
+  (allowAll && value === "all") || Boolean(getProvider(value, capability));
+
+/**
+ * @route   GET /api/search/spotify/callback?code=:code&state=:state
+ * @desc    Handle Spotify OAuth callback: verify the state, exchange the code
+ *          and store the user's encrypted tokens
+ * @access  Public (the one-time state identifies the user)
+ * @param   {string} state - State from GET /api/search/spotify/auth (required)
+ * @param   {string} [code] - Authorization code from Spotify
+ * @param   {string} [error] - Set by Spotify when the user denies access
+ * @returns {Object} 200 - Authorization successful, account linked
+ * @returns {Object} 400 - Invalid or expired state, missing code or access denied
+ * @returns {Object} 409 - Spotify account already linked to another user
+ * @returns {Object} 502 - Spotify token exchange failed
+ * @example
+ * // Request: GET /api/search/spotify/callback?code=authorization_code_here&state=3f9c0b6e2a8d4f1e9b7c5a3d1e0f2b4c
+ *
+ * // Response:
+ * {
+ *   "success": true,
+ *   "message": "Spotify authorization successful",
+ *   "data": {
+ *     "spotifyId": "wizzler",
+ *     "displayName": "Wizzler",
+ *     "scope": "playlist-read-private playlist-read-collaborative user-read-private",
+ *     "hasAccess": true
+ *   }
+ * }
+ */
+router.get(
+  "/spotify/callback",
+  [
+    query("state").isString().notEmpty().withMessage("State is required"),
+    validateRequest,
+  ],
+  spotifyCallback
+);
+
 // Apply auth middleware to all search routes
 router.use(auth);
 
@@ -32,9 +83,16 @@ router.use(auth);
  * @desc    Search for tracks across multiple music services
  * @access  Private
  * @param   {string} q - Search query (min 1 character, required)
- * @param   {string} [service=all] - Service to search ('spotify', 'lastfm', 'all')
+ * @param   {string} [service=all] - Provider to search, or 'all' for every
+ *          provider that supports search (see GET /api/search/providers).
+ *          'all' leaves out providers that are busy (MusicBrainz while its
+ *          requests are queued) and lists them in skipped
  * @param   {number} [limit=20] - Maximum number of results (1-50)
- * @returns {Object} 200 - Search results from specified services
+ * @returns {Object} 200 - Search results from specified services. When more
+ *          than one service is searched, recordings lists results from
+ *          different services that are the same recording: linked by MBID or
+ *          ISRC, or for results with neither (YouTube), by title, artist and
+ *          duration. Sources point into results by service and index.
  * @returns {Object} 400 - Validation error
  * @returns {Object} 401 - Unauthorized
  * @returns {Object} 500 - Server error
@@ -53,6 +111,7 @@ router.use(auth);
  *         "artists": [{ "name": "Queen" }],
  *         "album": { "name": "A Night at the Opera" },
  *         "duration_ms": 355000,
+ *         "isrc": "GBUM71029604",
  *         "preview_url": "https://p.scdn.co/mp3-preview/..."
  *       }
  *     ],
@@ -60,11 +119,37 @@ router.use(auth);
  *       {
  *         "name": "Bohemian Rhapsody",
  *         "artist": "Queen",
+ *         "mbid": "b1a9c0e9-d987-4042-ae91-78d6a3267d69",
  *         "url": "https://www.last.fm/music/Queen/_/Bohemian+Rhapsody",
  *         "listeners": "1234567"
  *       }
+ *     ],
+ *     "musicbrainz": [
+ *       {
+ *         "id": "b1a9c0e9-d987-4042-ae91-78d6a3267d69",
+ *         "mbid": "b1a9c0e9-d987-4042-ae91-78d6a3267d69",
+ *         "name": "Bohemian Rhapsody",
+ *         "artist": "Queen",
+ *         "duration": 355,
+ *         "isrc": "GBUM71029604",
+ *         "isrcs": ["GBUM71029604"],
+ *         "score": 100
+ *       }
  *     ]
- *   }
+ *   },
+ *   "recordings": [
+ *     {
+ *       "mbid": "b1a9c0e9-d987-4042-ae91-78d6a3267d69",
+ *       "isrc": "GBUM71029604",
+ *       "title": "Bohemian Rhapsody",
+ *       "artist": "Queen",
+ *       "sources": [
+ *         { "service": "musicbrainz", "index": 0, "id": "b1a9c0e9-d987-4042-ae91-78d6a3267d69" },
+ *         { "service": "lastfm", "index": 0, "id": null },
+ *         { "service": "spotify", "index": 0, "id": "4u7EnebtmKWzUH433cf5Qv" }
+ *       ]
+ *     }
+ *   ]
  * }
  */
 router.get(
@@ -73,7 +158,7 @@ router.get(
     query("q").isLength({ min: 1 }).withMessage("Search query is required"),
     query("service")
       .optional()
-      .isIn(["spotify", "lastfm", "all"])
+      .custom(isProvider("search", { allowAll: true }))
       .withMessage("Invalid service"),
     query("limit")
       .optional()
@@ -84,30 +169,43 @@ router.get(
   async (req, res) => {
     try {
       const { q: query, service = "all", limit = 20 } = req.query;
-      const results = {};
+      let providers =
+        service === "all" ? getProviders("search") : [getProvider(service)];
 
-      if (service === "spotify" || service === "all") {
-        try {
-          results.spotify = await spotifyService.searchTracks(query, limit);
-        } catch (error) {
-          console.error("Spotify search error:", error.message);
-          results.spotify = [];
-        }
-      }
+      // A busy rate-limited provider would hold up every other result
+      const skipped =
+        service === "all"
+          ? providers
+              .filter((provider) => provider.isBusy?.())
+              .map((provider) => provider.name)
+          : [];
+      providers = providers.filter(
+        (provider) => !skipped.includes(provider.name)
+      );
 
-      if (service === "lastfm" || service === "all") {
-        try {
-          results.lastfm = await lastfmService.searchTracks(query, limit);
-        } catch (error) {
-          console.error("Last.fm search error:", error.message);
-          results.lastfm = [];
-        }
-      }
+      // One failing provider shouldn't fail the whole search
+      const entries = await Promise.all(
+        providers.map(async (provider) => {
+          try {
+            return [provider.name, await provider.searchTracks(query, limit)];
+          } catch (error) {
+            console.error(
+              `${provider.displayName} search error:`,
+              error.message
+            );
+            return [provider.name, []];
+          }
+        })
+      );
+
+      const results = Object.fromEntries(entries);
 
       res.json({
         query,
         service,
         results,
+        ...(skipped.length > 0 && { skipped }),
+        ...(providers.length > 1 && { recordings: groupRecordings(results) }),
       });
     } catch (error) {
       console.error("Error searching tracks:", error);
@@ -120,13 +218,16 @@ router.get(
  * @route   GET /api/search/track/:service/:id
  * @desc    Get detailed information about a specific track
  * @access  Private
- * @param   {string} service - Music service ('spotify')
- * @param   {string} id - Track ID from the specified service
+ * @param   {string} service - Provider that supports track lookup (e.g. 'spotify')
+ * @param   {string} id - Track ID from the specified provider (for
+ *          'musicbrainz', a recording MBID or an ISRC)
  * @returns {Object} 200 - Detailed track information
  * @returns {Object} 400 - Invalid service or validation error
  * @returns {Object} 401 - Unauthorized
  * @returns {Object} 404 - Track not found
  * @returns {Object} 500 - Server error
+ * @returns {Object} 503 - Provider too busy to look the track up (MusicBrainz
+ *          requests queued); try again shortly
  * @example
  * // Request: GET /api/search/track/spotify/4u7EnebtmKWzUH433cf5Qv
  *
@@ -153,22 +254,27 @@ router.get(
 router.get(
   "/track/:service/:id",
   [
-    query("service").isIn(["spotify"]).withMessage("Invalid service"),
+    param("service")
+      .custom(isProvider("track"))
+      .withMessage("Invalid service"),
     validateRequest,
   ],
   async (req, res) => {
     try {
       const { service, id } = req.params;
 
-      let trackInfo;
-      if (service === "spotify") {
-        trackInfo = await spotifyService.getTrack(id);
-      } else {
-        return res.status(400).json({ message: "Unsupported service" });
-      }
+      const trackInfo = await getProvider(service).getTrack(id);
 
       res.json(trackInfo);
     } catch (error) {
+      if (error.notFound) {
+        return res.status(404).json({ message: "Track not found" });
+      }
+      if (error.busy) {
+        return res
+          .status(503)
+          .json({ message: "Track lookup is busy, try again shortly" });
+      }
       console.error("Error getting track info:", error);
       res.status(500).json({ message: "Failed to get track information" });
     }
@@ -180,7 +286,8 @@ router.get(
  * @desc    Get detailed information about an artist
  * @access  Private
  * @param   {string} name - Artist name (min 1 character, required)
- * @param   {string} [service=lastfm] - Music service ('lastfm')
+ * @param   {string} [service] - Provider that supports artist lookup
+ *          (defaults to the first one, currently 'lastfm')
  * @returns {Object} 200 - Artist information
  * @returns {Object} 400 - Validation error or unsupported service
  * @returns {Object} 401 - Unauthorized
@@ -215,20 +322,25 @@ router.get(
   "/artist",
   [
     query("name").isLength({ min: 1 }).withMessage("Artist name is required"),
-    query("service").optional().isIn(["lastfm"]).withMessage("Invalid service"),
+    query("service")
+      .optional()
+      .custom(isProvider("artist"))
+      .withMessage("Invalid service"),
     validateRequest,
   ],
   async (req, res) => {
     try {
-      const { name, service = "lastfm" } = req.query;
+      const { name, service } = req.query;
+      const provider = service
+        ? getProvider(service)
+        : getProviders("artist")[0];
 
-      let artistInfo;
-      if (service === "lastfm") {
-        artistInfo = await lastfmService.getArtistInfo(name);
-      } else {
+      if (!provider) {
         return res.status(400).json({ message: "Unsupported service" });
       }
 
+      const artistInfo = await provider.getArtist(name);
+
       res.json(artistInfo);
     } catch (error) {
       console.error("Error getting artist info:", error);
@@ -237,82 +349,125 @@ router.get(
   }
 );
 
+/**
+ * @route   GET /api/search/providers
+ * @desc    List the registered music providers and what each supports:
+ *          'search' (GET /tracks), 'track' (GET /track/:service/:id) and
+ *          'artist' (GET /artist)
+ * @access  Private
+ * @returns {Object} 200 - Registered providers
+ * @returns {Object} 401 - Unauthorized
+ * @example
+ * // Request: GET /api/search/providers
+ *
+ * // Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "providers": [
+ *       { "name": "lastfm", "displayName": "Last.fm", "capabilities": ["search", "artist"] },
+ *       { "name": "spotify", "displayName": "Spotify", "capabilities": ["search", "track"] }
+ *     ]
+ *   }
+ * }
+ */
+router.get("/providers", (req, res) => {
+  res.json({
+    success: true,
+    data: { providers: describeProviders() },
+  });
+});
+
 /**
  * @route   GET /api/search/spotify/auth
- * @desc    Generate Spotify OAuth authorization URL
+ * @desc    Generate a Spotify OAuth authorization URL for linking the user's account
  * @access  Private
  * @returns {Object} 200 - Authorization URL and state
  * @returns {Object} 401 - Unauthorized
- * @returns {Object} 500 - Server error
+ * @returns {Object} 503 - State could not be stored (Redis unavailable)
  * @example
  * // Request: GET /api/search/spotify/auth
  *
  * // Response:
  * {
- *   "authUrl": "https://accounts.spotify.com/authorize?client_id=...&response_type=code&redirect_uri=...&scope=...&state=abc123",
- *   "state": "abc123"
+ *   "success": true,
+ *   "data": {
+ *     "authUrl": "https://accounts.spotify.com/authorize?client_id=...&response_type=code&redirect_uri=...&scope=...&state=3f9c...",
+ *     "state": "3f9c0b6e2a8d4f1e9b7c5a3d1e0f2b4c"
+ *   }
  * }
  */
-router.get("/spotify/auth", (req, res) => {
-  try {
-    const state = Math.random().toString(36).substring(7);
-    const authURL = spotifyService.getAuthURL(state);
-
-    // Store state in session or temporary storage for verification
-    req.session = req.session || {};
-    req.session.spotifyState = state;
-
-    res.json({ authUrl: authURL, state });
-  } catch (error) {
-    console.error("Error generating Spotify auth URL:", error);
-    res.status(500).json({ message: "Failed to generate authorization URL" });
-  }
-});
+router.get("/spotify/auth", getSpotifyAuthUrl);
 
 /**
- * @route   GET /api/search/spotify/callback?code=:code&state=:state
- * @desc    Handle Spotify OAuth callback and exchange code for tokens
+ * @route   DELETE /api/search/spotify/auth
+ * @desc    Unlink the user's Spotify account and delete its stored tokens
  * @access  Private
- * @param   {string} code - Authorization code from Spotify (required)
- * @param   {string} state - State parameter for CSRF protection (required)
- * @returns {Object} 200 - Authorization successful
- * @returns {Object} 400 - Missing authorization code
+ * @returns {Object} 200 - Account disconnected
  * @returns {Object} 401 - Unauthorized
- * @returns {Object} 500 - Server error
+ * @returns {Object} 404 - No Spotify account is linked
  * @example
- * // Request: GET /api/search/spotify/callback?code=authorization_code_here&state=abc123
+ * // Request: DELETE /api/search/spotify/auth
  *
  * // Response:
  * {
- *   "message": "Spotify authorization successful",
- *   "hasAccess": true
+ *   "success": true,
+ *   "message": "Spotify account disconnected"
  * }
  */
-router.get("/spotify/callback", async (req, res) => {
-  try {
-    const { code, state } = req.query;
+router.delete("/spotify/auth", disconnectSpotifyAccount);
 
-    if (!code) {
-      return res
-        .status(400)
-        .json({ message: "Authorization code not provided" });
-    }
-
-    const tokens = await spotifyService.exchangeCodeForToken(code);
-
-    // Store tokens securely (in your user model or session)
-    // This is a simplified example
-    res.json({
-      message: "Spotify authorization successful",
-      // Don't send actual tokens to client in production
-      hasAccess: true,
-    });
-  } catch (error) {
-    console.error("Error in Spotify callback:", error);
-    res
-      .status(500)
-      .json({ message: "Failed to complete Spotify authorization" });
-  }
-});
+/**
+ * @route   GET /api/search/spotify/playlists?limit=:limit&offset=:offset
+ * @desc    List the playlists in the user's linked Spotify account
+ * @access  Private (Spotify account linked)
+ * @param   {number} [limit=20] - Playlists per page (1-50)
+ * @param   {number} [offset=0] - Playlists to skip
+ * @returns {Object} 200 - A page of Spotify playlists and the total count
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 401 - Unauthorized
+ * @returns {Object} 403 - No Spotify account linked
+ * @returns {Object} 502 - Spotify request failed
+ * @example
+ * // Request: GET /api/search/spotify/playlists?limit=2
+ *
+ * // Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "playlists": [
+ *       {
+ *         "id": "37i9dQZF1DXcBWIGoYBM5M",
+ *         "name": "Road Trip",
+ *         "description": "",
+ *         "public": false,
+ *         "collaborative": false,
+ *         "owner": "Wizzler",
+ *         "trackCount": 243,
+ *         "image": "https://i.scdn.co/image/...",
+ *         "external_urls": { "spotify": "https://open.spotify.com/playlist/37i9dQZF1DXcBWIGoYBM5M" }
+ *       }
+ *     ],
+ *     "total": 14,
+ *     "limit": 2,
+ *     "offset": 0
+ *   }
+ * }
+ */
+router.get(
+  "/spotify/playlists",
+  [
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage("Limit must be between 1 and 50"),
+    query("offset")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("Offset must be a non-negative integer"),
+    validateRequest,
+  ],
+  getSpotifyPlaylists
+);
 
 module.exports = router;
@@ -2,7 +2,20 @@ const express = require('express');
 const router = express.Router();
 const { body, param, query, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
-const { getSongs, addSong, removeSong, searchSongs, reorderSongs } = require('../controllers/song.controller');
+const {
+  getSongs,
+  addSong,
+  removeSong,
+  searchSongs,
+  reorderSongs,
+  moveSong,
+  voteSong,
+  resolveYouTubeId,
+  getSuggestions,
+  approveSuggestion,
+  rejectSuggestion
+} = require('../controllers/song.controller');
+const { normalizeIsrc, normalizeMbid } = require('../utils/trackMatch');
 
 /**
  * @fileoverview Song management routes for playlists
@@ -11,6 +24,7 @@ const { getSongs, addSong, removeSong, searchSongs, reorderSongs } = require('..
  * @requires express-validator
  * @requires ../middleware/auth
  * @requires ../controllers/song.controller
+ * @requires ../utils/trackMatch
  */
 
 // Validation middleware
@@ -26,10 +40,11 @@ const validateRequest = (req, res, next) => {
 router.use(auth);
 
 /**
- * @route   GET /api/songs?playlistId=:id
+ * @route   GET /api/songs?playlistId=:id&sort=:sort
  * @desc    Get all songs from a specific playlist
  * @access  Private (must have access to playlist)
  * @param   {string} playlistId - Playlist ID (MongoDB ObjectId, required)
+ * @param   {string} [sort=order] - Ordering ('order' for playlist order, 'score' for vote score)
  * @returns {Object} 200 - Array of songs in the playlist
  * @returns {Object} 400 - Invalid playlist ID
  * @returns {Object} 401 - Unauthorized
@@ -53,6 +68,7 @@ router.use(auth);
  *         "addedBy": { "_id": "user_id", "username": "username" },
  *         "playlist": "playlist_id",
  *         "order": 0,
+ *         "votes": [{ "user": "user_id", "type": "up" }],
  *         "addedAt": "2025-07-11T12:00:00.000Z"
  *       }
  *     ]
@@ -62,6 +78,7 @@ router.use(auth);
 router.get('/', 
   [
     query('playlistId').isMongoId().withMessage('Valid playlist ID is required'),
+    query('sort').optional().isIn(['order', 'score']).withMessage("Sort must be 'order' or 'score'"),
     validateRequest
   ],
   getSongs
@@ -111,7 +128,8 @@ router.get('/search',
 
 /**
  * @route   POST /api/songs
- * @desc    Add a new song to a playlist
+ * @desc    Add a new song to a playlist, or queue it for approval when the
+ *          playlist requires approval and the caller is an editor
  * @access  Private (creator or collaborator with edit permissions)
  * @param   {Object} body - Song data
  * @param   {string} body.playlistId - Playlist ID (MongoDB ObjectId, required)
@@ -121,11 +139,16 @@ router.get('/search',
  * @param   {number} body.duration - Duration in seconds (positive integer, required)
  * @param   {string} [body.spotifyId] - Spotify track ID
  * @param   {string} [body.youtubeId] - YouTube video ID
+ * @param   {string} [body.isrc] - ISRC (hyphens allowed, e.g. 'GB-UM7-10-29604')
+ * @param   {string} [body.mbid] - MusicBrainz recording ID
  * @returns {Object} 201 - Song added successfully
- * @returns {Object} 400 - Validation error or duplicate song
+ * @returns {Object} 202 - Song submitted for approval (data.suggestion)
+ * @returns {Object} 400 - Validation error or duplicate song (same title and
+ *          artist, or the same ISRC or MBID, unless the playlist allows duplicates)
  * @returns {Object} 401 - Unauthorized
  * @returns {Object} 403 - Access denied (insufficient permissions)
  * @returns {Object} 404 - Playlist not found
+ * @returns {Object} 409 - Song limit reached (error.validation names the limit and remaining headroom)
  * @returns {Object} 500 - Server error
  * @example
  * // Request body:
@@ -135,7 +158,9 @@ router.get('/search',
  *   "artist": "Queen",
  *   "album": "A Night at the Opera",
  *   "duration": 355,
- *   "spotifyId": "spotify_track_id"
+ *   "spotifyId": "spotify_track_id",
+ *   "isrc": "GBUM71029604",
+ *   "mbid": "b1a9c0e9-d987-4042-ae91-78d6a3267d69"
  * }
  * 
  * // Response:
@@ -166,25 +191,150 @@ router.post('/',
     body('duration').isInt({ min: 1 }).withMessage('Duration must be a positive integer'),
     body('spotifyId').optional().isString().withMessage('Spotify ID must be a string'),
     body('youtubeId').optional().isString().withMessage('YouTube ID must be a string'),
+    body('isrc').optional().custom((value) => Boolean(normalizeIsrc(value))).withMessage('Invalid ISRC').customSanitizer(normalizeIsrc),
+    body('mbid').optional().custom((value) => Boolean(normalizeMbid(value))).withMessage('Invalid MusicBrainz ID').customSanitizer(normalizeMbid),
     validateRequest
   ],
   addSong
 );
 
+/**
+ * @route   GET /api/songs/suggestions?playlistId=:id&status=:status
+ * @desc    List song suggestions for a playlist that requires approval
+ * @access  Private (creator or collaborator)
+ * @param   {string} playlistId - Playlist ID (MongoDB ObjectId, required)
+ * @param   {string} [status=pending] - Suggestion status ('pending', 'approved', 'rejected')
+ * @returns {Object} 200 - Array of suggestions, oldest first
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 401 - Unauthorized
+ * @returns {Object} 403 - Access denied (not a member of the playlist)
+ * @returns {Object} 404 - Playlist not found
+ * @returns {Object} 500 - Server error
+ * @example
+ * // Request: GET /api/songs/suggestions?playlistId=playlist_id_here
+ * 
+ * // Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "suggestions": [
+ *       {
+ *         "_id": "suggestion_id",
+ *         "title": "Bohemian Rhapsody",
+ *         "artist": "Queen",
+ *         "duration": 355,
+ *         "playlist": "playlist_id_here",
+ *         "suggestedBy": { "_id": "user_id", "username": "username" },
+ *         "status": "pending"
+ *       }
+ *     ]
+ *   }
+ * }
+ */
+router.get('/suggestions', 
+  [
+    query('playlistId').isMongoId().withMessage('Valid playlist ID is required'),
+    query('status').optional().isIn(['pending', 'approved', 'rejected']).withMessage('Invalid suggestion status'),
+    validateRequest
+  ],
+  getSuggestions
+);
+
+/**
+ * @route   POST /api/songs/suggestions/:id/approve
+ * @desc    Approve a pending suggestion, adding the song at the end of the playlist
+ * @access  Private (creator or admin collaborator)
+ * @param   {string} id - Suggestion ID (MongoDB ObjectId, required)
+ * @returns {Object} 200 - Suggestion approved with the created song
+ * @returns {Object} 400 - Invalid suggestion ID
+ * @returns {Object} 401 - Unauthorized
+ * @returns {Object} 403 - Access denied (not creator or admin)
+ * @returns {Object} 404 - Suggestion or playlist not found
+ * @returns {Object} 409 - Suggestion already reviewed, song already in playlist or playlist full
+ * @returns {Object} 500 - Server error
+ * @example
+ * // Response:
+ * {
+ *   "success": true,
+ *   "message": "Suggestion approved successfully",
+ *   "data": {
+ *     "suggestion": {
+ *       "_id": "suggestion_id",
+ *       "status": "approved",
+ *       "reviewedBy": { "_id": "user_id", "username": "username" },
+ *       "song": { "_id": "song_id", "title": "Bohemian Rhapsody", "order": 4 }
+ *     }
+ *   }
+ * }
+ */
+router.post('/suggestions/:id/approve', 
+  [
+    param('id').isMongoId().withMessage('Invalid suggestion ID'),
+    validateRequest
+  ],
+  approveSuggestion
+);
+
+/**
+ * @route   POST /api/songs/suggestions/:id/reject
+ * @desc    Reject a pending suggestion with an optional reason
+ * @access  Private (creator or admin collaborator)
+ * @param   {string} id - Suggestion ID (MongoDB ObjectId, required)
+ * @param   {Object} body - Rejection data
+ * @param   {string} [body.reason] - Reason shown to the suggester (max 500 characters)
+ * @returns {Object} 200 - Suggestion rejected
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 401 - Unauthorized
+ * @returns {Object} 403 - Access denied (not creator or admin)
+ * @returns {Object} 404 - Suggestion or playlist not found
+ * @returns {Object} 409 - Suggestion already reviewed
+ * @returns {Object} 500 - Server error
+ * @example
+ * // Request body:
+ * {
+ *   "reason": "Doesn't fit the vibe"
+ * }
+ * 
+ * // Response:
+ * {
+ *   "success": true,
+ *   "message": "Suggestion rejected successfully",
+ *   "data": {
+ *     "suggestion": {
+ *       "_id": "suggestion_id",
+ *       "status": "rejected",
+ *       "rejectionReason": "Doesn't fit the vibe"
+ *     }
+ *   }
+ * }
+ */
+router.post('/suggestions/:id/reject', 
+  [
+    param('id').isMongoId().withMessage('Invalid suggestion ID'),
+    body('reason').optional().isLength({ max: 500 }).trim().withMessage('Reason must be less than 500 characters'),
+    validateRequest
+  ],
+  rejectSuggestion
+);
+
 /**
  * @route   PUT /api/songs/reorder
- * @desc    Reorder songs within a playlist
+ * @desc    Set the order of many songs at once (bulk fallback; prefer
+ *          PUT /api/songs/:id/move for single moves)
  * @access  Private (creator or collaborator with edit permissions)
  * @param   {Object} body - Reorder data
  * @param   {string} body.playlistId - Playlist ID (MongoDB ObjectId, required)
  * @param   {Array} body.songOrders - Array of song order objects (required)
  * @param   {string} body.songOrders[].songId - Song ID (MongoDB ObjectId)
- * @param   {number} body.songOrders[].order - New order position (non-negative integer)
- * @returns {Object} 200 - Songs reordered successfully
+ * @param   {number} body.songOrders[].order - New order position (may be negative or
+ *          fractional, as orders read back from the playlist can be)
+ * @param   {number} [body.revision] - Playlist revision the order is based on (or send an If-Match header)
+ * @returns {Object} 200 - Songs reordered successfully, with the new revision
  * @returns {Object} 400 - Validation error
  * @returns {Object} 401 - Unauthorized
  * @returns {Object} 403 - Access denied (insufficient permissions)
  * @returns {Object} 404 - Playlist not found
+ * @returns {Object} 409 - Stale revision; data holds the current playlist
  * @returns {Object} 500 - Server error
  * @example
  * // Request body:
@@ -194,13 +344,15 @@ router.post('/',
  *     { "songId": "song_id_1", "order": 1 },
  *     { "songId": "song_id_2", "order": 0 },
  *     { "songId": "song_id_3", "order": 2 }
- *   ]
+ *   ],
+ *   "revision": 12
  * }
  * 
  * // Response:
  * {
  *   "success": true,
- *   "message": "Songs reordered successfully"
+ *   "message": "Songs reordered successfully",
+ *   "data": { "revision": 13 }
  * }
  */
 router.put('/reorder', 
@@ -208,37 +360,226 @@ router.put('/reorder',
     body('playlistId').isMongoId().withMessage('Valid playlist ID is required'),
     body('songOrders').isArray().withMessage('Song orders must be an array'),
     body('songOrders.*.songId').isMongoId().withMessage('Each song ID must be valid'),
-    body('songOrders.*.order').isInt({ min: 0 }).withMessage('Order must be a non-negative integer'),
+    body('songOrders.*.order').isFloat().withMessage('Order must be a number').toFloat(),
+    body('revision').optional().isInt({ min: 0 }).withMessage('Revision must be a non-negative integer').toInt(),
     validateRequest
   ],
   reorderSongs
 );
 
+/**
+ * @route   PUT /api/songs/:id/move
+ * @desc    Move a song after another song, or to the top. Only the moved song
+ *          is written; orders may become fractional until the playlist is
+ *          renumbered in the background.
+ * @access  Private (creator or collaborator with edit permissions)
+ * @param   {string} id - Song ID (MongoDB ObjectId, required)
+ * @param   {Object} body - Move data
+ * @param   {string} body.playlistId - Playlist ID (MongoDB ObjectId, required)
+ * @param   {string|null} [body.afterSongId] - Song to place it after (null or omitted for the top)
+ * @param   {number} [body.revision] - Playlist revision the move is based on (or send an If-Match header)
+ * @returns {Object} 200 - Song moved, with its new order and the playlist revision
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 401 - Unauthorized
+ * @returns {Object} 403 - Access denied (insufficient permissions)
+ * @returns {Object} 404 - Song, target song or playlist not found
+ * @returns {Object} 409 - Stale revision; data holds the current playlist
+ * @returns {Object} 500 - Server error
+ * @example
+ * // Request body:
+ * {
+ *   "playlistId": "playlist_id_here",
+ *   "afterSongId": "song_id_2",
+ *   "revision": 13
+ * }
+ * 
+ * // Response:
+ * {
+ *   "success": true,
+ *   "message": "Song moved successfully",
+ *   "data": {
+ *     "song": { "_id": "song_id_here", "order": 1.5 },
+ *     "revision": 14
+ *   }
+ * }
+ */
+router.put('/:id/move', 
+  [
+    param('id').isMongoId().withMessage('Invalid song ID'),
+    body('playlistId').isMongoId().withMessage('Valid playlist ID is required'),
+    body('afterSongId').optional({ values: 'null' }).isMongoId().withMessage('afterSongId must be a valid song ID or null'),
+    body('revision').optional().isInt({ min: 0 }).withMessage('Revision must be a non-negative integer').toInt(),
+    validateRequest
+  ],
+  moveSong
+);
+
+/**
+ * @route   POST /api/songs/:id/vote
+ * @desc    Upvote or downvote a song, replacing any previous vote by the user
+ * @access  Private (creator or collaborator)
+ * @param   {string} id - Song ID (MongoDB ObjectId, required)
+ * @param   {Object} body - Vote data
+ * @param   {string} body.playlistId - Playlist ID (MongoDB ObjectId, required)
+ * @param   {string} body.type - Vote type ('up' or 'down', required)
+ * @returns {Object} 200 - Vote recorded with updated tally
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 401 - Unauthorized
+ * @returns {Object} 403 - Access denied (not a member of the playlist)
+ * @returns {Object} 404 - Song or playlist not found
+ * @returns {Object} 500 - Server error
+ * @example
+ * // Request body:
+ * {
+ *   "playlistId": "playlist_id_here",
+ *   "type": "up"
+ * }
+ * 
+ * // Response:
+ * {
+ *   "success": true,
+ *   "message": "Vote recorded successfully",
+ *   "data": {
+ *     "songId": "song_id_here",
+ *     "votes": { "up": 3, "down": 1, "score": 2 },
+ *     "userVote": "up"
+ *   }
+ * }
+ */
+router.post('/:id/vote', 
+  [
+    param('id').isMongoId().withMessage('Invalid song ID'),
+    body('playlistId').isMongoId().withMessage('Valid playlist ID is required'),
+    body('type').isIn(['up', 'down']).withMessage("Vote type must be 'up' or 'down'"),
+    validateRequest
+  ],
+  voteSong
+);
+
+/**
+ * @route   DELETE /api/songs/:id/vote?playlistId=:playlistId
+ * @desc    Clear the current user's vote on a song
+ * @access  Private (creator or collaborator)
+ * @param   {string} id - Song ID (MongoDB ObjectId, required)
+ * @param   {string} playlistId - Playlist ID (MongoDB ObjectId, required)
+ * @returns {Object} 200 - Vote cleared with updated tally
+ * @returns {Object} 400 - Invalid IDs
+ * @returns {Object} 401 - Unauthorized
+ * @returns {Object} 403 - Access denied (not a member of the playlist)
+ * @returns {Object} 404 - Song or playlist not found
+ * @returns {Object} 500 - Server error
+ * @example
+ * // Request: DELETE /api/songs/song_id_here/vote?playlistId=playlist_id_here
+ * 
+ * // Response:
+ * {
+ *   "success": true,
+ *   "message": "Vote cleared successfully",
+ *   "data": {
+ *     "songId": "song_id_here",
+ *     "votes": { "up": 2, "down": 1, "score": 1 },
+ *     "userVote": null
+ *   }
+ * }
+ */
+router.delete('/:id/vote', 
+  [
+    param('id').isMongoId().withMessage('Invalid song ID'),
+    query('playlistId').isMongoId().withMessage('Valid playlist ID is required'),
+    validateRequest
+  ],
+  voteSong
+);
+
+/**
+ * @route   POST /api/songs/:id/resolve-youtube
+ * @desc    Set a song's YouTube video. Without a youtubeId, YouTube is
+ *          searched for the song's artist and title and the best result is
+ *          used if its confidence (title, artist and duration, 0 to 1) is at
+ *          least 0.75; otherwise the candidates are returned with a 422 so
+ *          one can be chosen and sent back as youtubeId
+ * @access  Private (creator or collaborator with edit permissions)
+ * @param   {string} id - Song ID (MongoDB ObjectId, required)
+ * @param   {Object} body - Request body
+ * @param   {string} body.playlistId - Playlist ID (MongoDB ObjectId, required)
+ * @param   {string} [body.youtubeId] - Video to use instead of searching
+ * @returns {Object} 200 - YouTube video set; song-updated is broadcast
+ * @returns {Object} 400 - Invalid IDs
+ * @returns {Object} 401 - Unauthorized
+ * @returns {Object} 403 - Access denied (insufficient permissions)
+ * @returns {Object} 404 - Song, playlist or YouTube video not found
+ * @returns {Object} 409 - Song already has a YouTube video (send youtubeId to replace it)
+ * @returns {Object} 422 - No confident match; errors lists the candidates
+ * @returns {Object} 502 - YouTube request failed
+ * @example
+ * // Request body:
+ * {
+ *   "playlistId": "playlist_id_here"
+ * }
+ *
+ * // Response:
+ * {
+ *   "success": true,
+ *   "message": "YouTube video set",
+ *   "data": {
+ *     "song": { "_id": "song_id_here", "youtubeId": "fJ9rUzIMcZQ" },
+ *     "match": {
+ *       "youtubeId": "fJ9rUzIMcZQ",
+ *       "title": "Queen – Bohemian Rhapsody (Official Video Remastered)",
+ *       "channel": "Queen Official",
+ *       "duration": 360,
+ *       "url": "https://www.youtube.com/watch?v=fJ9rUzIMcZQ",
+ *       "confidence": 0.99
+ *     },
+ *     "candidates": []
+ *   }
+ * }
+ */
+router.post('/:id/resolve-youtube',
+  [
+    param('id').isMongoId().withMessage('Invalid song ID'),
+    body('playlistId').isMongoId().withMessage('Valid playlist ID is required'),
+    body('youtubeId').optional().matches(/^[\w-]{11}$/).withMessage('Invalid YouTube video ID'),
+    validateRequest
+  ],
+  resolveYouTubeId
+);
+
 /**
  * @route   DELETE /api/songs/:id?playlistId=:playlistId
  * @desc    Remove a song from a playlist
  * @access  Private (creator or collaborator with edit permissions)
  * @param   {string} id - Song ID (MongoDB ObjectId, required)
  * @param   {string} playlistId - Playlist ID (MongoDB ObjectId, required)
- * @returns {Object} 200 - Song removed successfully
+ * @param   {number} [revision] - Revision the removal is based on, as body
+ *          field or query parameter (or send an If-Match header)
+ * @returns {Object} 200 - Song removed successfully, with the new revision
  * @returns {Object} 400 - Invalid IDs
  * @returns {Object} 401 - Unauthorized
  * @returns {Object} 403 - Access denied (insufficient permissions)
  * @returns {Object} 404 - Song or playlist not found
+ * @returns {Object} 409 - Stale revision; data holds the current playlist
  * @returns {Object} 500 - Server error
  * @example
- * // Request: DELETE /api/songs/song_id_here?playlistId=playlist_id_here
+ * // Request (If-Match: "12"): DELETE /api/songs/song_id_here?playlistId=playlist_id_here
  * 
  * // Response:
  * {
  *   "success": true,
- *   "message": "Song removed successfully"
+ *   "message": "Song removed successfully",
+ *   "data": {
+ *     "songId": "song_id_here",
+ *     "purgeAt": "2025-08-10T12:00:00.000Z",
+ *     "revision": 13
+ *   }
  * }
  */
 router.delete('/:id', 
   [
     param('id').isMongoId().withMessage('Invalid song ID'),
     query('playlistId').isMongoId().withMessage('Valid playlist ID is required'),
+    body('revision').optional().isInt({ min: 0 }).withMessage('Revision must be a non-negative integer').toInt(),
+    query('revision').optional().isInt({ min: 0 }).withMessage('Revision must be a non-negative integer').toInt(),
     validateRequest
   ],
   removeSong
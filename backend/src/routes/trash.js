@@ -0,0 +1,159 @@
+const express = require('express');
+const router = express.Router();
+const { param, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const {
+  getTrash,
+  restorePlaylist,
+  purgePlaylist
+} = require('../controllers/trash.controller');
+const {
+  restoreTrashedSong,
+  purgeTrashedSong
+} = require('../controllers/song.controller');
+
+/**
+ * @fileoverview Routes for listing, restoring and purging trashed playlists and songs
+ * @module routes/trash
+ * @requires express
+ * @requires express-validator
+ * @requires ../middleware/auth
+ * @requires ../controllers/trash.controller
+ * @requires ../controllers/song.controller
+ */
+
+// Validation middleware
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+// Apply auth middleware to all trash routes
+router.use(auth);
+
+/**
+ * @route   GET /api/trash
+ * @desc    List the current user's trashed playlists and the removed songs they can restore
+ * @access  Private
+ * @returns {Object} 200 - Trashed playlists and songs, most recently deleted first
+ * @returns {Object} 401 - Unauthorized
+ * @returns {Object} 500 - Server error
+ * @example
+ * // Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "playlists": [
+ *       {
+ *         "_id": "playlist_id",
+ *         "name": "Road Trip",
+ *         "songCount": 24,
+ *         "deletedAt": "2025-07-11T12:00:00.000Z",
+ *         "purgeAt": "2025-08-10T12:00:00.000Z"
+ *       }
+ *     ],
+ *     "songs": [
+ *       {
+ *         "_id": "song_id",
+ *         "title": "Song Title",
+ *         "artist": "Artist Name",
+ *         "playlist": "playlist_id",
+ *         "playlistName": "Summer Mix",
+ *         "deletedBy": { "_id": "user_id", "username": "johndoe" },
+ *         "deletedAt": "2025-07-11T12:00:00.000Z",
+ *         "purgeAt": "2025-08-10T12:00:00.000Z"
+ *       }
+ *     ]
+ *   }
+ * }
+ */
+router.get('/', getTrash);
+
+/**
+ * @route   POST /api/trash/playlists/:id/restore
+ * @desc    Restore a trashed playlist with its songs and history
+ * @access  Private (owner only)
+ * @param   {string} id - Playlist ID (MongoDB ObjectId)
+ * @returns {Object} 200 - Playlist restored
+ * @returns {Object} 400 - Invalid playlist ID
+ * @returns {Object} 401 - Unauthorized
+ * @returns {Object} 403 - Not the playlist owner
+ * @returns {Object} 404 - Playlist not found in trash
+ * @returns {Object} 500 - Server error
+ */
+router.post('/playlists/:id/restore',
+  [
+    param('id').isMongoId().withMessage('Invalid playlist ID'),
+    validateRequest
+  ],
+  restorePlaylist
+);
+
+/**
+ * @route   DELETE /api/trash/playlists/:id
+ * @desc    Permanently delete a trashed playlist with its songs and history
+ * @access  Private (owner only)
+ * @param   {string} id - Playlist ID (MongoDB ObjectId)
+ * @returns {Object} 200 - Playlist permanently deleted
+ * @returns {Object} 400 - Invalid playlist ID
+ * @returns {Object} 401 - Unauthorized
+ * @returns {Object} 403 - Not the playlist owner
+ * @returns {Object} 404 - Playlist not found in trash
+ * @returns {Object} 500 - Server error
+ */
+router.delete('/playlists/:id',
+  [
+    param('id').isMongoId().withMessage('Invalid playlist ID'),
+    validateRequest
+  ],
+  purgePlaylist
+);
+
+/**
+ * @route   POST /api/trash/songs/:id/restore
+ * @desc    Put a removed song back in its playlist, in its old position where possible.
+ *          When the playlist requires approval, an editor's restore is queued as
+ *          a suggestion instead and the song stays in the trash.
+ * @access  Private (playlist admin, or the editor who removed it)
+ * @param   {string} id - Song ID (MongoDB ObjectId)
+ * @returns {Object} 200 - Song restored
+ * @returns {Object} 202 - Song submitted for approval
+ * @returns {Object} 400 - Invalid song ID
+ * @returns {Object} 401 - Unauthorized
+ * @returns {Object} 403 - Not authorized to restore this song
+ * @returns {Object} 404 - Song not in trash, or its playlist is trashed
+ * @returns {Object} 409 - Duplicate or pending song, Spotify ID in use or song limit reached
+ * @returns {Object} 500 - Server error
+ */
+router.post('/songs/:id/restore',
+  [
+    param('id').isMongoId().withMessage('Invalid song ID'),
+    validateRequest
+  ],
+  restoreTrashedSong
+);
+
+/**
+ * @route   DELETE /api/trash/songs/:id
+ * @desc    Permanently delete a removed song
+ * @access  Private (playlist admin, or the editor who removed it)
+ * @param   {string} id - Song ID (MongoDB ObjectId)
+ * @returns {Object} 200 - Song permanently deleted
+ * @returns {Object} 400 - Invalid song ID
+ * @returns {Object} 401 - Unauthorized
+ * @returns {Object} 403 - Not authorized to purge this song
+ * @returns {Object} 404 - Song not in trash, or its playlist is trashed
+ * @returns {Object} 500 - Server error
+ */
+router.delete('/songs/:id',
+  [
+    param('id').isMongoId().withMessage('Invalid song ID'),
+    validateRequest
+  ],
+  purgeTrashedSong
+);
+
+module.exports = router;
@@ -37,7 +37,13 @@ class CacheService {
       songSearch: (playlistId, query) => `search:${playlistId}:${Buffer.from(query).toString('base64')}`,
       userAuth: (userId) => `auth:${userId}`,
       spotifyTrack: (trackId) => `spotify:track:${trackId}`,
-      lastfmArtist: (artistName) => `lastfm:artist:${Buffer.from(artistName).toString('base64')}`
+      lastfmArtist: (artistName) => `lastfm:artist:${Buffer.from(artistName).toString('base64')}`,
+      playlistPresence: (playlistId) => `presence:${playlistId}`,
+      playlistEvents: (playlistId) => `events:${playlistId}`,
+      importJob: (jobId) => `import:${jobId}`,
+      spotifyAuthState: (state) => `spotify:state:${state}`,
+      spotifyMatch: (trackId) => `spotify:match:${trackId}`,
+      spotifySyncJob: (jobId) => `spotify:sync:${jobId}`
     };
   }
 
@@ -241,6 +247,131 @@ class CacheService {
     }
   }
 
+  /**
+   * Set a field in a hash, refreshing the hash TTL
+   * @param {string} key - Hash key
+   * @param {string} field - Field name
+   * @param {any} value - Data to store in the field
+   * @param {number} ttl - Time to live of the whole hash in seconds (default: 1 day)
+   * @returns {Promise<boolean>} Success status
+   */
+  async hashSet(key, field, value, ttl = 86400) {
+    if (!this.isConnected || !this.client) {
+      return false;
+    }
+
+    try {
+      await this.client
+        .multi()
+        .hSet(key, field, JSON.stringify(value))
+        .expire(key, ttl)
+        .exec();
+      this.metrics.sets++;
+      return true;
+    } catch (error) {
+      console.error(`❌ Cache HSET error for key "${key}":`, error.message);
+      this.metrics.errors++;
+      return false;
+    }
+  }
+
+  /**
+   * Delete a field from a hash
+   * @param {string} key - Hash key
+   * @param {string} field - Field name
+   * @returns {Promise<boolean>} Success status
+   */
+  async hashDel(key, field) {
+    if (!this.isConnected || !this.client) {
+      return false;
+    }
+
+    try {
+      const result = await this.client.hDel(key, field);
+      this.metrics.deletes++;
+      return result > 0;
+    } catch (error) {
+      console.error(`❌ Cache HDEL error for key "${key}":`, error.message);
+      this.metrics.errors++;
+      return false;
+    }
+  }
+
+  /**
+   * Get all fields of a hash
+   * @param {string} key - Hash key
+   * @returns {Promise<Object>} Parsed field values keyed by field name
+   */
+  async hashGetAll(key) {
+    if (!this.isConnected || !this.client) {
+      return {};
+    }
+
+    try {
+      const data = await this.client.hGetAll(key);
+      return Object.fromEntries(
+        Object.entries(data).map(([field, value]) => [field, JSON.parse(value)])
+      );
+    } catch (error) {
+      console.error(`❌ Cache HGETALL error for key "${key}":`, error.message);
+      this.metrics.errors++;
+      return {};
+    }
+  }
+
+  /**
+   * Add a scored entry to a sorted set, keeping only the highest-scored entries
+   * @param {string} key - Sorted set key
+   * @param {number} score - Entry score
+   * @param {any} value - Data to store
+   * @param {number} maxSize - Maximum number of entries to keep
+   * @param {number} ttl - Time to live of the whole set in seconds (default: 1 day)
+   * @returns {Promise<boolean>} Success status
+   */
+  async sortedSetAdd(key, score, value, maxSize, ttl = 86400) {
+    if (!this.isConnected || !this.client) {
+      return false;
+    }
+
+    try {
+      await this.client
+        .multi()
+        .zAdd(key, { score, value: JSON.stringify(value) })
+        .zRemRangeByRank(key, 0, -(maxSize + 1))
+        .expire(key, ttl)
+        .exec();
+      this.metrics.sets++;
+      return true;
+    } catch (error) {
+      console.error(`❌ Cache ZADD error for key "${key}":`, error.message);
+      this.metrics.errors++;
+      return false;
+    }
+  }
+
+  /**
+   * Get all entries of a sorted set in ascending score order
+   * @param {string} key - Sorted set key
+   * @returns {Promise<Array<{score: number, value: any}>>} Parsed entries
+   */
+  async sortedSetGetAll(key) {
+    if (!this.isConnected || !this.client) {
+      return [];
+    }
+
+    try {
+      const entries = await this.client.zRangeWithScores(key, 0, -1);
+      return entries.map(({ score, value }) => ({
+        score,
+        value: JSON.parse(value),
+      }));
+    } catch (error) {
+      console.error(`❌ Cache ZRANGE error for key "${key}":`, error.message);
+      this.metrics.errors++;
+      return [];
+    }
+  }
+
   /**
    * Get cache statistics
    * @returns {Promise<Object>} Cache statistics
@@ -29,7 +29,8 @@ class LastFmService {
             name: track.name,
             artist: track.artist,
             album: track.album || "Unknown Album",
-            mbid: track.mbid,
+            // Last.fm sends an empty string when it has no MusicBrainz ID
+            mbid: track.mbid || null,
             url: track.url,
             image:
               track.image?.find((img) => img.size === "medium")?.["#text"] ||
@@ -0,0 +1,139 @@
+const axios = require("axios");
+const config = require("../config/index");
+
+// MusicBrainz allows one request per second from each client
+const REQUEST_INTERVAL_MS = 1000;
+// Requests beyond this are refused rather than left waiting for half a minute
+const MAX_QUEUED_REQUESTS = 30;
+
+class MusicBrainzService {
+  constructor() {
+    // Configurable so tests can run against recorded responses
+    this.baseUrl = config.musicbrainz.apiUrl;
+    this.userAgent = config.musicbrainz.userAgent;
+    this.queue = Promise.resolve();
+    this.queued = 0;
+    this.lastRequestAt = 0;
+  }
+
+  // Whether requests made now would wait behind others
+  isBusy() {
+    return this.queued > 0;
+  }
+
+  // Wait for this instance's next request slot; slots go out in call order
+  waitForSlot() {
+    if (this.queued >= MAX_QUEUED_REQUESTS) {
+      const failure = new Error("Too many MusicBrainz requests queued");
+      failure.busy = true;
+      return Promise.reject(failure);
+    }
+
+    this.queued++;
+    this.queue = this.queue.then(async () => {
+      const wait = this.lastRequestAt + REQUEST_INTERVAL_MS - Date.now();
+      if (wait > 0) {
+        await new Promise((resolve) => setTimeout(resolve, wait));
+      }
+      this.lastRequestAt = Date.now();
+      this.queued--;
+    });
+    return this.queue;
+  }
+
+  async request(path, params = {}, retried = false) {
+    await this.waitForSlot();
+
+    try {
+      const response = await axios.get(`${this.baseUrl}${path}`, {
+        params: { ...params, fmt: "json" },
+        headers: { "User-Agent": this.userAgent, Accept: "application/json" },
+        timeout: 10000,
+      });
+      return response.data;
+    } catch (error) {
+      // 503 means the rate limit was hit anyway; take one more slot
+      if (error.response?.status === 503 && !retried) {
+        return this.request(path, params, true);
+      }
+      throw error;
+    }
+  }
+
+  formatRecording(recording) {
+    const credits = recording["artist-credit"] || [];
+    const isrcs = recording.isrcs || [];
+
+    return {
+      id: recording.id,
+      mbid: recording.id,
+      name: recording.title,
+      // Join phrases keep credits like "Queen & David Bowie" as written
+      artist: credits
+        .map((credit) => `${credit.name}${credit.joinphrase || ""}`)
+        .join("")
+        .trim(),
+      artists: credits.map((credit) => credit.name),
+      album: recording.releases?.[0]?.title || "",
+      duration: recording.length ? Math.round(recording.length / 1000) : null,
+      isrc: isrcs[0] || null,
+      isrcs,
+      url: `https://musicbrainz.org/recording/${recording.id}`,
+    };
+  }
+
+  async searchTracks(query, limit = 20) {
+    try {
+      const data = await this.request("/recording", { query, limit });
+
+      return data.recordings.map((recording) => ({
+        ...this.formatRecording(recording),
+        score: recording.score,
+      }));
+    } catch (error) {
+      console.error("Error searching MusicBrainz recordings:", error.message);
+      throw new Error("Failed to search tracks on MusicBrainz");
+    }
+  }
+
+  async getRecording(mbid) {
+    let recording;
+    try {
+      recording = await this.request(
+        `/recording/${encodeURIComponent(mbid)}`,
+        { inc: "artist-credits+releases+isrcs" }
+      );
+    } catch (error) {
+      console.error("Error getting MusicBrainz recording:", error.message);
+      const failure = new Error("Failed to get recording from MusicBrainz");
+      // MusicBrainz answers 400 for IDs that aren't MBIDs
+      failure.notFound = [400, 404].includes(error.response?.status);
+      failure.busy = Boolean(error.busy);
+      throw failure;
+    }
+
+    return this.formatRecording(recording);
+  }
+
+  // Recordings released under an ISRC; usually one
+  async getRecordingsByIsrc(isrc) {
+    let data;
+    try {
+      data = await this.request(`/isrc/${encodeURIComponent(isrc)}`, {
+        inc: "artist-credits+releases+isrcs",
+      });
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return [];
+      }
+      console.error("Error getting MusicBrainz ISRC:", error.message);
+      const failure = new Error("Failed to look up ISRC on MusicBrainz");
+      failure.busy = Boolean(error.busy);
+      throw failure;
+    }
+
+    return data.recordings.map((recording) => this.formatRecording(recording));
+  }
+}
+
+module.exports = new MusicBrainzService();
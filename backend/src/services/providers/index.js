@@ -0,0 +1,125 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @fileoverview Music provider registry
+ * @module services/providers
+ * @requires fs
+ * @requires path
+ * @description Every `*.provider.js` module in this directory is registered
+ * when the registry is first loaded, so adding a music source means adding
+ * one module. A provider is an object with:
+ *
+ * - `name` - Lowercase key used in routes and results (e.g. "spotify")
+ * - `displayName` - Human readable name
+ * - `searchTracks(query, limit)` - Optional; resolves to an array of tracks
+ * - `getTrack(id)` - Optional; resolves to one track by the provider's ID
+ * - `getArtist(name)` - Optional; resolves to artist information
+ * - `isBusy()` - Optional; while it returns true, searches of every provider
+ *   (`service=all`) leave this one out rather than wait for it
+ *
+ * The methods a provider implements are its capabilities. Result shapes are
+ * the provider's own. Providers are kept in file name order.
+ */
+
+/**
+ * Provider methods, keyed by the capability they give
+ * @type {Object<string, string>}
+ */
+const CAPABILITIES = {
+  search: "searchTracks",
+  track: "getTrack",
+  artist: "getArtist",
+};
+
+const providers = new Map();
+
+/**
+ * Add a provider to the registry
+ * @param {Object} provider - Provider implementing at least one capability
+ * @returns {Object} The provider
+ * @throws {Error} If the provider is malformed or its name is taken
+ */
+const registerProvider = (provider) => {
+  if (!provider || !/^[a-z0-9-]+$/.test(provider.name || "")) {
+    throw new Error("Music providers need a lowercase name");
+  }
+  if (provider.name === "all") {
+    throw new Error('"all" is reserved and can\'t name a music provider');
+  }
+  if (providers.has(provider.name)) {
+    throw new Error(`Music provider "${provider.name}" is already registered`);
+  }
+  if (
+    !Object.values(CAPABILITIES).some(
+      (method) => typeof provider[method] === "function"
+    )
+  ) {
+    throw new Error(
+      `Music provider "${provider.name}" implements no capabilities`
+    );
+  }
+
+  providers.set(provider.name, provider);
+  return provider;
+};
+
+/**
+ * Check whether a provider supports a capability
+ * @param {Object} provider - Registered provider
+ * @param {string} capability - Key of CAPABILITIES
+ * @returns {boolean}
+ */
+const supports = (provider, capability) =>
+  typeof provider?.[CAPABILITIES[capability]] === "function";
+
+/**
+ * Get a provider by name, optionally only if it supports a capability
+ * @param {string} name - Provider name
+ * @param {string} [capability] - Required capability
+ * @returns {Object|null} Provider, or null
+ */
+const getProvider = (name, capability) => {
+  const provider = providers.get(name) || null;
+  if (capability && !supports(provider, capability)) {
+    return null;
+  }
+  return provider;
+};
+
+/**
+ * List registered providers, optionally only those with a capability
+ * @param {string} [capability] - Required capability
+ * @returns {Array<Object>} Providers in registration order
+ */
+const getProviders = (capability) =>
+  [...providers.values()].filter(
+    (provider) => !capability || supports(provider, capability)
+  );
+
+/**
+ * Describe registered providers for clients
+ * @returns {Array<Object>} { name, displayName, capabilities }
+ */
+const describeProviders = () =>
+  getProviders().map((provider) => ({
+    name: provider.name,
+    displayName: provider.displayName || provider.name,
+    capabilities: Object.keys(CAPABILITIES).filter((capability) =>
+      supports(provider, capability)
+    ),
+  }));
+
+// Register the provider modules next to this file
+fs.readdirSync(__dirname)
+  .filter((file) => file.endsWith(".provider.js"))
+  .sort()
+  .forEach((file) => registerProvider(require(path.join(__dirname, file))));
+
+module.exports = {
+  CAPABILITIES,
+  registerProvider,
+  getProvider,
+  getProviders,
+  describeProviders,
+};
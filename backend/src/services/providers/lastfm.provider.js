@@ -0,0 +1,16 @@
+const lastfmService = require("../lastfmService");
+
+/**
+ * @fileoverview Last.fm music provider
+ * @module services/providers/lastfm
+ * @requires ../lastfmService
+ * @description Track search and artist information (bio, stats, similar
+ * artists and tags).
+ */
+
+module.exports = {
+  name: "lastfm",
+  displayName: "Last.fm",
+  searchTracks: (query, limit) => lastfmService.searchTracks(query, limit),
+  getArtist: (name) => lastfmService.getArtistInfo(name),
+};
@@ -0,0 +1,36 @@
+const musicbrainzService = require("../musicbrainzService");
+const { normalizeIsrc } = require("../../utils/trackMatch");
+
+/**
+ * @fileoverview MusicBrainz music provider
+ * @module services/providers/musicbrainz
+ * @requires ../musicbrainzService
+ * @requires ../../utils/trackMatch
+ * @description Recording search and lookup. Results carry the recording's
+ * MBID and ISRCs, which link results from the other providers to the same
+ * recording. Requests are queued to one per second.
+ */
+
+// Look a track up by MBID, or by ISRC
+const getTrack = async (id) => {
+  const isrc = normalizeIsrc(id);
+  if (!isrc) {
+    return musicbrainzService.getRecording(id);
+  }
+
+  const [recording] = await musicbrainzService.getRecordingsByIsrc(isrc);
+  if (!recording) {
+    const failure = new Error("No MusicBrainz recording has this ISRC");
+    failure.notFound = true;
+    throw failure;
+  }
+  return recording;
+};
+
+module.exports = {
+  name: "musicbrainz",
+  displayName: "MusicBrainz",
+  searchTracks: (query, limit) => musicbrainzService.searchTracks(query, limit),
+  getTrack,
+  isBusy: () => musicbrainzService.isBusy(),
+};
@@ -0,0 +1,16 @@
+const spotifyService = require("../spotifyService");
+
+/**
+ * @fileoverview Spotify music provider
+ * @module services/providers/spotify
+ * @requires ../spotifyService
+ * @description Track search and lookup by Spotify track ID, using the app's
+ * client credentials.
+ */
+
+module.exports = {
+  name: "spotify",
+  displayName: "Spotify",
+  searchTracks: (query, limit) => spotifyService.searchTracks(query, limit),
+  getTrack: (id) => spotifyService.getTrack(id),
+};
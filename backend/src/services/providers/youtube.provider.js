@@ -0,0 +1,16 @@
+const youtubeService = require("../youtubeService");
+
+/**
+ * @fileoverview YouTube music provider
+ * @module services/providers/youtube
+ * @requires ../youtubeService
+ * @description Search of music videos and lookup by video ID, with title,
+ * channel and duration.
+ */
+
+module.exports = {
+  name: "youtube",
+  displayName: "YouTube",
+  searchTracks: (query, limit) => youtubeService.searchTracks(query, limit),
+  getTrack: (id) => youtubeService.getVideo(id),
+};
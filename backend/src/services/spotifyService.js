@@ -1,15 +1,19 @@
 const SpotifyWebApi = require("spotify-web-api-node");
 const axios = require("axios");
+const config = require("../config/index");
 
 class SpotifyService {
   constructor() {
     this.spotifyApi = new SpotifyWebApi({
-      clientId: process.env.SPOTIFY_CLIENT_ID,
-      clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
-      redirectUri: process.env.SPOTIFY_REDIRECT_URI,
+      clientId: config.spotify.clientId,
+      clientSecret: config.spotify.clientSecret,
+      redirectUri: config.spotify.redirectUri,
     });
     this.accessToken = null;
     this.tokenExpiresAt = null;
+    // User authorization goes through these so it can run against a mock server
+    this.accountsUrl = config.spotify.accountsUrl;
+    this.apiUrl = config.spotify.apiUrl;
   }
 
   async getClientCredentialsToken() {
@@ -46,6 +50,7 @@ class SpotifyService {
         artist: track.artists.map((artist) => artist.name).join(", "),
         album: track.album.name,
         duration: Math.floor(track.duration_ms / 1000),
+        isrc: track.external_ids?.isrc || null,
         preview_url: track.preview_url,
         external_urls: track.external_urls,
         image: track.album.images[0]?.url || null,
@@ -69,13 +74,17 @@ class SpotifyService {
         artist: track.artists.map((artist) => artist.name).join(", "),
         album: track.album.name,
         duration: Math.floor(track.duration_ms / 1000),
+        isrc: track.external_ids?.isrc || null,
         preview_url: track.preview_url,
         external_urls: track.external_urls,
         image: track.album.images[0]?.url || null,
       };
     } catch (error) {
       console.error("Error getting Spotify track:", error);
-      throw new Error("Failed to get track from Spotify");
+      const failure = new Error("Failed to get track from Spotify");
+      // Spotify answers 400 for IDs that aren't track IDs
+      failure.notFound = [400, 404].includes(error.statusCode);
+      throw failure;
     }
   }
 
@@ -83,22 +92,291 @@ class SpotifyService {
     const scopes = [
       "playlist-read-private",
       "playlist-read-collaborative",
+      "playlist-modify-private",
+      "playlist-modify-public",
       "user-read-private",
     ];
-    return this.spotifyApi.createAuthorizeURL(scopes, state);
+    const params = new URLSearchParams({
+      client_id: config.spotify.clientId || "",
+      response_type: "code",
+      redirect_uri: config.spotify.redirectUri || "",
+      scope: scopes.join(" "),
+      state,
+    });
+    return `${this.accountsUrl}/authorize?${params}`;
+  }
+
+  // Call the token endpoint with the app's client credentials
+  async requestUserToken(params) {
+    const credentials = Buffer.from(
+      `${config.spotify.clientId}:${config.spotify.clientSecret}`
+    ).toString("base64");
+
+    const response = await axios.post(
+      `${this.accountsUrl}/api/token`,
+      new URLSearchParams(params).toString(),
+      {
+        headers: {
+          Authorization: `Basic ${credentials}`,
+          "Content-Type": "application/x-www-form-urlencoded",
+        },
+        timeout: 10000,
+      }
+    );
+
+    return {
+      access_token: response.data.access_token,
+      // Spotify only sometimes rotates the refresh token
+      refresh_token: response.data.refresh_token || null,
+      expires_in: response.data.expires_in,
+      scope: response.data.scope || "",
+    };
   }
 
   async exchangeCodeForToken(code) {
     try {
-      const data = await this.spotifyApi.authorizationCodeGrant(code);
+      return await this.requestUserToken({
+        grant_type: "authorization_code",
+        code,
+        redirect_uri: config.spotify.redirectUri,
+      });
+    } catch (error) {
+      console.error("Error exchanging code for token:", error.message);
+      throw new Error("Failed to exchange code for token");
+    }
+  }
+
+  async refreshAccessToken(refreshToken) {
+    try {
+      return await this.requestUserToken({
+        grant_type: "refresh_token",
+        refresh_token: refreshToken,
+      });
+    } catch (error) {
+      console.error("Error refreshing Spotify token:", error.message);
+      const failure = new Error("Failed to refresh Spotify token");
+      // invalid_grant means the user revoked access or the token expired for good
+      failure.revoked = error.response?.data?.error === "invalid_grant";
+      throw failure;
+    }
+  }
+
+  // Call the Web API as a user, waiting out one rate limit response
+  async userRequest(accessToken, path, options = {}, retried = false) {
+    const { method = "get", params, data } = options;
+    try {
+      const response = await axios.request({
+        method,
+        url: `${this.apiUrl}${path}`,
+        headers: { Authorization: `Bearer ${accessToken}` },
+        params,
+        data,
+        timeout: 10000,
+      });
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 429 && !retried) {
+        const seconds = parseInt(error.response.headers["retry-after"], 10) || 1;
+        await new Promise((resolve) =>
+          setTimeout(resolve, Math.min(seconds, 30) * 1000)
+        );
+        return this.userRequest(accessToken, path, options, true);
+      }
+      throw error;
+    }
+  }
+
+  async getCurrentUser(accessToken) {
+    try {
+      const data = await this.userRequest(accessToken, "/me");
       return {
-        access_token: data.body.access_token,
-        refresh_token: data.body.refresh_token,
-        expires_in: data.body.expires_in,
+        id: data.id,
+        displayName: data.display_name || data.id,
       };
     } catch (error) {
-      console.error("Error exchanging code for token:", error);
-      throw new Error("Failed to exchange code for token");
+      console.error("Error getting Spotify profile:", error.message);
+      throw new Error("Failed to get Spotify profile");
+    }
+  }
+
+  formatPlaylist(playlist) {
+    return {
+      id: playlist.id,
+      name: playlist.name,
+      description: playlist.description || "",
+      public: playlist.public,
+      collaborative: playlist.collaborative,
+      owner: playlist.owner?.display_name || playlist.owner?.id || null,
+      trackCount: playlist.tracks?.total ?? 0,
+      image: playlist.images?.[0]?.url || null,
+      external_urls: playlist.external_urls,
+    };
+  }
+
+  async getUserPlaylists(accessToken, limit = 20, offset = 0) {
+    try {
+      const data = await this.userRequest(accessToken, "/me/playlists", {
+        params: { limit, offset },
+      });
+      return {
+        playlists: data.items.filter(Boolean).map((playlist) =>
+          this.formatPlaylist(playlist)
+        ),
+        total: data.total,
+        limit: data.limit,
+        offset: data.offset,
+      };
+    } catch (error) {
+      console.error("Error getting Spotify playlists:", error.message);
+      throw new Error("Failed to get playlists from Spotify");
+    }
+  }
+
+  async getPlaylist(accessToken, playlistId) {
+    try {
+      const data = await this.userRequest(
+        accessToken,
+        `/playlists/${encodeURIComponent(playlistId)}`,
+        {
+          params: {
+            fields:
+              "id,name,description,public,collaborative,owner(id,display_name),tracks(total),images,external_urls",
+          },
+        }
+      );
+      return this.formatPlaylist(data);
+    } catch (error) {
+      console.error("Error getting Spotify playlist:", error.message);
+      const failure = new Error("Failed to get playlist from Spotify");
+      failure.notFound = error.response?.status === 404;
+      throw failure;
+    }
+  }
+
+  // Yields a playlist's items a page (up to 100) at a time
+  async *getPlaylistTracks(accessToken, playlistId) {
+    const limit = 100;
+    let offset = 0;
+    let total = Infinity;
+
+    while (offset < total) {
+      let data;
+      try {
+        data = await this.userRequest(
+          accessToken,
+          `/playlists/${encodeURIComponent(playlistId)}/tracks`,
+          {
+            params: {
+              limit,
+              offset,
+              fields:
+                "total,items(is_local,track(id,type,name,duration_ms,is_local,external_ids(isrc),artists(name),album(name)))",
+            },
+          }
+        );
+      } catch (error) {
+        console.error("Error getting Spotify playlist tracks:", error.message);
+        throw new Error("Failed to get playlist tracks from Spotify");
+      }
+
+      total = data.total;
+      if (data.items.length === 0) {
+        return;
+      }
+
+      yield data.items.map((item) => {
+        const track = item.track;
+        if (!track) {
+          return null;
+        }
+        return {
+          id: track.is_local || item.is_local ? null : track.id,
+          type: track.type || "track",
+          name: track.name,
+          artist: (track.artists || [])
+            .map((artist) => artist.name)
+            .filter(Boolean)
+            .join(", "),
+          album: track.album?.name || "",
+          duration: Math.round((track.duration_ms || 0) / 1000),
+          isrc: track.external_ids?.isrc || null,
+        };
+      });
+      offset += data.items.length;
+    }
+  }
+
+  // Search with the user's token, so matching runs against the same API host
+  async searchTracksAsUser(accessToken, query, limit = 5) {
+    try {
+      const data = await this.userRequest(accessToken, "/search", {
+        params: { q: query, type: "track", limit },
+      });
+      return data.tracks.items.map((track) => ({
+        id: track.id,
+        name: track.name,
+        artist: track.artists.map((artist) => artist.name).join(", "),
+        artists: track.artists.map((artist) => artist.name),
+        album: track.album?.name || "",
+        duration: Math.floor(track.duration_ms / 1000),
+        isrc: track.external_ids?.isrc || null,
+      }));
+    } catch (error) {
+      console.error("Error searching Spotify tracks:", error.message);
+      throw new Error("Failed to search tracks on Spotify");
+    }
+  }
+
+  async createPlaylist(accessToken, spotifyUserId, details) {
+    try {
+      const data = await this.userRequest(
+        accessToken,
+        `/users/${encodeURIComponent(spotifyUserId)}/playlists`,
+        { method: "post", data: details }
+      );
+      return this.formatPlaylist(data);
+    } catch (error) {
+      console.error("Error creating Spotify playlist:", error.message);
+      throw new Error("Failed to create playlist on Spotify");
+    }
+  }
+
+  async updatePlaylistDetails(accessToken, playlistId, details) {
+    try {
+      await this.userRequest(
+        accessToken,
+        `/playlists/${encodeURIComponent(playlistId)}`,
+        { method: "put", data: details }
+      );
+    } catch (error) {
+      console.error("Error updating Spotify playlist:", error.message);
+      const failure = new Error("Failed to update playlist on Spotify");
+      // The playlist was deleted, or belongs to another account
+      failure.notFound = [403, 404].includes(error.response?.status);
+      throw failure;
+    }
+  }
+
+  // Set a playlist's tracks to exactly these URIs, in order
+  async replacePlaylistTracks(accessToken, playlistId, uris) {
+    const path = `/playlists/${encodeURIComponent(playlistId)}/tracks`;
+    const chunkSize = 100;
+    try {
+      // Replacing accepts 100 URIs; the rest are appended in order
+      let result = await this.userRequest(accessToken, path, {
+        method: "put",
+        data: { uris: uris.slice(0, chunkSize) },
+      });
+      for (let start = chunkSize; start < uris.length; start += chunkSize) {
+        result = await this.userRequest(accessToken, path, {
+          method: "post",
+          data: { uris: uris.slice(start, start + chunkSize) },
+        });
+      }
+      return result.snapshot_id;
+    } catch (error) {
+      console.error("Error replacing Spotify playlist tracks:", error.message);
+      throw new Error("Failed to update playlist tracks on Spotify");
     }
   }
 }
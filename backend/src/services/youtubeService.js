@@ -0,0 +1,146 @@
+const axios = require("axios");
+const config = require("../config/index");
+
+// Named entities YouTube uses in snippet titles
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+};
+
+class YouTubeService {
+  constructor() {
+    this.apiKey = config.youtube.apiKey;
+    // Configurable so tests can run against recorded responses
+    this.baseUrl = config.youtube.apiUrl;
+  }
+
+  // Convert an ISO-8601 duration (e.g. "PT1H2M3S") to seconds
+  parseDuration(value) {
+    const match = String(value || "").match(
+      /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/
+    );
+    if (!match || value === "P" || value.endsWith("T")) {
+      return null;
+    }
+    const [, weeks, days, hours, minutes, seconds] = match.map(
+      (part) => Number(part) || 0
+    );
+    return Math.round(
+      ((weeks * 7 + days) * 24 + hours) * 3600 + minutes * 60 + seconds
+    );
+  }
+
+  decodeEntities(text = "") {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] === "#") {
+        const point =
+          code[1].toLowerCase() === "x"
+            ? parseInt(code.slice(2), 16)
+            : parseInt(code.slice(1), 10);
+        return point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+      }
+      return ENTITIES[code.toLowerCase()] ?? entity;
+    });
+  }
+
+  formatVideo(video) {
+    const title = this.decodeEntities(video.snippet.title);
+    const channel = this.decodeEntities(video.snippet.channelTitle || "");
+    // Music uploads are usually titled "Artist - Title"; otherwise the
+    // channel stands in for the artist (auto-generated ones end in " - Topic")
+    const split = title.match(/^(.+?)\s+[-\u2013\u2014]\s+(.+)$/);
+
+    return {
+      id: video.id,
+      name: split ? split[2].trim() : title,
+      artist: split
+        ? split[1].trim()
+        : channel.replace(/\s+-\s+Topic$/, "").replace(/VEVO$/, "").trim(),
+      title,
+      channel,
+      channelId: video.snippet.channelId,
+      duration: this.parseDuration(video.contentDetails?.duration),
+      publishedAt: video.snippet.publishedAt,
+      url: `https://www.youtube.com/watch?v=${video.id}`,
+      image:
+        video.snippet.thumbnails?.medium?.url ||
+        video.snippet.thumbnails?.default?.url ||
+        null,
+    };
+  }
+
+  async getVideos(ids) {
+    if (!this.apiKey) {
+      throw new Error("YouTube API key not configured");
+    }
+
+    const response = await axios.get(`${this.baseUrl}/videos`, {
+      params: {
+        part: "snippet,contentDetails",
+        id: ids.join(","),
+        key: this.apiKey,
+      },
+      timeout: 10000,
+    });
+
+    return response.data.items.map((video) => this.formatVideo(video));
+  }
+
+  async searchTracks(query, limit = 20) {
+    try {
+      if (!this.apiKey) {
+        throw new Error("YouTube API key not configured");
+      }
+
+      const response = await axios.get(`${this.baseUrl}/search`, {
+        params: {
+          part: "snippet",
+          type: "video",
+          // Music category
+          videoCategoryId: "10",
+          q: query,
+          maxResults: limit,
+          key: this.apiKey,
+        },
+        timeout: 10000,
+      });
+
+      const ids = response.data.items
+        .map((item) => item.id?.videoId)
+        .filter(Boolean);
+      if (ids.length === 0) {
+        return [];
+      }
+
+      // Search results carry no duration, so look the videos up
+      const videos = await this.getVideos(ids);
+      const byId = new Map(videos.map((video) => [video.id, video]));
+      return ids.map((id) => byId.get(id)).filter(Boolean);
+    } catch (error) {
+      console.error("Error searching YouTube videos:", error.message);
+      throw new Error("Failed to search tracks on YouTube");
+    }
+  }
+
+  async getVideo(videoId) {
+    let videos;
+    try {
+      videos = await this.getVideos([videoId]);
+    } catch (error) {
+      console.error("Error getting YouTube video:", error.message);
+      throw new Error("Failed to get video from YouTube");
+    }
+
+    if (videos.length === 0) {
+      const failure = new Error("YouTube video not found");
+      failure.notFound = true;
+      throw failure;
+    }
+    return videos[0];
+  }
+}
+
+module.exports = new YouTubeService();
@@ -0,0 +1,208 @@
+const mongoose = require("mongoose");
+const Playlist = require("../models/Playlist");
+const User = require("../models/User");
+const socketAuth = require("../middleware/socketAuth");
+const { canView } = require("../utils/playlistAccess");
+const { getEventsSince } = require("./playlistEvents");
+const {
+  addPresence,
+  setActivity,
+  removePresence,
+  broadcastPresence,
+} = require("./presence");
+
+/**
+ * @fileoverview Socket.IO connection handling and playlist rooms
+ * @module socket
+ * @requires mongoose
+ * @requires ../models/Playlist
+ * @requires ../models/User
+ * @requires ../middleware/socketAuth
+ * @requires ../utils/playlistAccess
+ * @requires ./playlistEvents
+ * @requires ./presence
+ */
+
+const playlistRoom = (playlistId) => `playlist-${playlistId}`;
+const userRoom = (userId) => `user-${userId}`;
+
+/**
+ * Attach authentication and playlist room handlers to a Socket.IO server
+ * @param {import("socket.io").Server} io - Socket.IO server
+ */
+const setupSocket = (io) => {
+  io.use(socketAuth);
+
+  io.on("connection", (socket) => {
+    const { userId } = socket.data;
+    console.log(`New client connected: user ${userId}`);
+
+    // Personal room for events addressed to this user on any tab
+    socket.join(userRoom(userId));
+
+    // Accepts a playlist ID, or { playlistId, sinceRevision } to replay missed events
+    socket.on("join-playlist", async (options, ack) => {
+      const reply = typeof ack === "function" ? ack : () => {};
+      const { playlistId, sinceRevision } =
+        typeof options === "object" && options !== null
+          ? options
+          : { playlistId: options };
+
+      try {
+        if (!mongoose.isValidObjectId(playlistId)) {
+          return reply({ success: false, message: "Invalid playlist ID" });
+        }
+
+        // Same access rules as getPlaylistById
+        const playlist = await Playlist.findById(playlistId)
+          .select("creator collaborators isPublic revision")
+          .lean();
+
+        if (!playlist) {
+          return reply({ success: false, message: "Playlist not found" });
+        }
+
+        if (!canView(playlist, userId)) {
+          return reply({
+            success: false,
+            message: "Access denied: This playlist is private",
+          });
+        }
+
+        // Username is looked up once per connection for presence
+        if (!socket.data.username) {
+          const user = await User.findById(userId).select("username").lean();
+          if (!user) {
+            return reply({ success: false, message: "User not found" });
+          }
+          socket.data.username = user.username;
+        }
+
+        // Join before reading the log so no event falls between the two;
+        // clients drop duplicates by revision
+        socket.join(playlistRoom(playlistId));
+        await addPresence(playlistId, socket);
+        await broadcastPresence(io, playlistId);
+
+        if (Number.isInteger(sinceRevision)) {
+          const replay = await getEventsSince(playlistId, sinceRevision);
+
+          if (replay.resyncRequired) {
+            socket.emit("resync-required", {
+              playlistId,
+              revision: replay.revision,
+            });
+          } else {
+            replay.events.forEach(({ event, payload }) => {
+              socket.emit(event, payload);
+            });
+          }
+
+          return reply({
+            success: true,
+            revision: replay.revision,
+            replayed: replay.events.length,
+            resyncRequired: replay.resyncRequired,
+          });
+        }
+
+        reply({ success: true, revision: playlist.revision || 0 });
+      } catch (error) {
+        console.error("Error joining playlist room:", error.message);
+        reply({ success: false, message: "Failed to join playlist" });
+      }
+    });
+
+    socket.on("leave-playlist", async (playlistId) => {
+      try {
+        if (!mongoose.isValidObjectId(playlistId)) {
+          return;
+        }
+        socket.leave(playlistRoom(playlistId));
+        await removePresence(playlistId, socket.id);
+        await broadcastPresence(io, playlistId);
+      } catch (error) {
+        console.error("Error leaving playlist room:", error.message);
+      }
+    });
+
+    // Clients report whether the user is just viewing or actively editing
+    socket.on("presence-activity", async (options) => {
+      try {
+        if (typeof options !== "object" || options === null) {
+          return;
+        }
+        const { playlistId, activity } = options;
+        if (!socket.rooms.has(playlistRoom(playlistId))) {
+          return;
+        }
+        if (await setActivity(playlistId, socket, activity)) {
+          await broadcastPresence(io, playlistId);
+        }
+      } catch (error) {
+        console.error("Error updating presence activity:", error.message);
+      }
+    });
+
+    // Rooms are still known while disconnecting, but not after
+    socket.on("disconnecting", async () => {
+      const playlistIds = [...socket.rooms]
+        .filter((room) => room.startsWith("playlist-"))
+        .map((room) => room.slice("playlist-".length));
+
+      for (const playlistId of playlistIds) {
+        try {
+          await removePresence(playlistId, socket.id);
+          await broadcastPresence(io, playlistId);
+        } catch (error) {
+          console.error("Error removing presence:", error.message);
+        }
+      }
+    });
+
+    socket.on("disconnect", () => {
+      console.log(`Client disconnected: user ${userId}`);
+    });
+  });
+};
+
+/**
+ * Remove sockets from a playlist room when their user can no longer view it
+ * @param {import("socket.io").Server} io - Socket.IO server
+ * @param {Object} playlist - Playlist with creator, collaborators and isPublic,
+ *   or null when the playlist was deleted
+ * @param {string} playlistId - Playlist ID
+ * @returns {Promise<number>} Number of sockets evicted
+ */
+const evictUnauthorized = async (io, playlist, playlistId) => {
+  if (!io) {
+    return 0;
+  }
+
+  const sockets = await io.in(playlistRoom(playlistId)).fetchSockets();
+  let evicted = 0;
+
+  for (const socket of sockets) {
+    if (playlist && canView(playlist, socket.data.userId)) {
+      continue;
+    }
+
+    socket.emit("playlist-access-revoked", { playlistId });
+    socket.leave(playlistRoom(playlistId));
+    await removePresence(playlistId, socket.id);
+    evicted++;
+  }
+
+  if (evicted > 0) {
+    await broadcastPresence(io, playlistId);
+  }
+
+  return evicted;
+};
+
+module.exports = {
+  setupSocket,
+  evictUnauthorized,
+  playlistRoom,
+  userRoom,
+};
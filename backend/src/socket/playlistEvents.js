@@ -0,0 +1,102 @@
+const Playlist = require("../models/Playlist");
+const cacheService = require("../services/cacheService");
+
+/**
+ * @fileoverview Revisioned playlist events with a bounded replay log
+ * @module socket/playlistEvents
+ * @requires ../models/Playlist
+ * @requires ../services/cacheService
+ * @description Every broadcast change bumps Playlist.revision and is kept in
+ * a per-playlist Redis sorted set, so reconnecting clients can catch up.
+ */
+
+// Events kept per playlist; older gaps require a full resync
+const MAX_EVENTS = 100;
+
+/**
+ * Bump a playlist's revision, record the event and broadcast it to the room
+ * @param {import("socket.io").Server} io - Socket.IO server (may be undefined)
+ * @param {string} playlistId - Playlist ID
+ * @param {string} event - Event name, e.g. 'song-added'
+ * @param {Object} payload - Event payload (documents are serialized)
+ * @param {number} [claimedRevision] - Revision already claimed by a guarded
+ * write (see utils/revision); skips the increment
+ * @returns {Promise<number|null>} New revision, or null if the playlist is gone
+ */
+const publishPlaylistEvent = async (
+  io,
+  playlistId,
+  event,
+  payload,
+  claimedRevision
+) => {
+  let revision = claimedRevision;
+
+  if (revision === undefined) {
+    const playlist = await Playlist.findByIdAndUpdate(
+      playlistId,
+      { $inc: { revision: 1 } },
+      { new: true, projection: { revision: 1 } }
+    ).lean();
+
+    if (!playlist) {
+      return null;
+    }
+
+    revision = playlist.revision;
+  }
+
+  const data = { ...JSON.parse(JSON.stringify(payload)), revision };
+
+  await cacheService.sortedSetAdd(
+    cacheService.keys.playlistEvents(playlistId),
+    revision,
+    { event, payload: data },
+    MAX_EVENTS
+  );
+
+  if (io) {
+    io.to(`playlist-${playlistId}`).emit(event, data);
+  }
+
+  return revision;
+};
+
+/**
+ * Get the events a client missed since a known revision
+ * @param {string} playlistId - Playlist ID
+ * @param {number} sinceRevision - Last revision the client applied
+ * @returns {Promise<Object>} { revision, events, resyncRequired }
+ */
+const getEventsSince = async (playlistId, sinceRevision) => {
+  const playlist = await Playlist.findById(playlistId)
+    .select("revision")
+    .lean();
+  const revision = playlist?.revision || 0;
+
+  if (sinceRevision >= revision) {
+    return { revision, events: [], resyncRequired: false };
+  }
+
+  const entries = await cacheService.sortedSetGetAll(
+    cacheService.keys.playlistEvents(playlistId)
+  );
+  const missed = entries.filter((entry) => entry.score > sinceRevision);
+
+  // The log must cover every revision after sinceRevision without holes
+  const resyncRequired =
+    missed.length === 0 ||
+    missed.some((entry, index) => entry.score !== sinceRevision + 1 + index);
+
+  return {
+    revision,
+    events: resyncRequired ? [] : missed.map((entry) => entry.value),
+    resyncRequired,
+  };
+};
+
+module.exports = {
+  MAX_EVENTS,
+  publishPlaylistEvent,
+  getEventsSince,
+};
@@ -0,0 +1,108 @@
+const cacheService = require("../services/cacheService");
+
+/**
+ * @fileoverview Playlist room presence stored in Redis
+ * @module socket/presence
+ * @requires ../services/cacheService
+ * @description Each socket in a playlist room is one hash field, so several
+ * tabs from the same user and sockets on other server instances all count.
+ */
+
+const ACTIVITIES = ["viewing", "editing"];
+
+/**
+ * Record a socket as present in a playlist room
+ * @param {string} playlistId - Playlist ID
+ * @param {Object} socket - Socket with data.userId and data.username
+ * @param {string} [activity=viewing] - 'viewing' or 'editing'
+ * @returns {Promise<boolean>} Success status
+ */
+const addPresence = (playlistId, socket, activity = "viewing") =>
+  cacheService.hashSet(cacheService.keys.playlistPresence(playlistId), socket.id, {
+    userId: socket.data.userId,
+    username: socket.data.username,
+    activity: ACTIVITIES.includes(activity) ? activity : "viewing",
+    joinedAt: new Date().toISOString(),
+  });
+
+/**
+ * Update what a present socket is doing, keeping its join time
+ * @param {string} playlistId - Playlist ID
+ * @param {Object} socket - Socket already present in the room
+ * @param {string} activity - 'viewing' or 'editing'
+ * @returns {Promise<boolean>} Success status
+ */
+const setActivity = async (playlistId, socket, activity) => {
+  const key = cacheService.keys.playlistPresence(playlistId);
+  const entries = await cacheService.hashGetAll(key);
+  const entry = entries[socket.id];
+
+  if (!entry || !ACTIVITIES.includes(activity)) {
+    return false;
+  }
+
+  return cacheService.hashSet(key, socket.id, { ...entry, activity });
+};
+
+/**
+ * Remove a socket from a playlist room's presence
+ * @param {string} playlistId - Playlist ID
+ * @param {string} socketId - Socket ID
+ * @returns {Promise<boolean>} Success status
+ */
+const removePresence = (playlistId, socketId) =>
+  cacheService.hashDel(cacheService.keys.playlistPresence(playlistId), socketId);
+
+/**
+ * Get the users present in a playlist room, one entry per user
+ * @param {string} playlistId - Playlist ID
+ * @returns {Promise<Array>} Users with activity, connection count and join time
+ */
+const getPresence = async (playlistId) => {
+  const entries = await cacheService.hashGetAll(
+    cacheService.keys.playlistPresence(playlistId)
+  );
+  const users = new Map();
+
+  Object.values(entries).forEach((entry) => {
+    const existing = users.get(entry.userId);
+
+    if (!existing) {
+      users.set(entry.userId, { ...entry, connections: 1 });
+      return;
+    }
+
+    // Any tab editing means the user is editing; keep the earliest join time
+    existing.connections++;
+    if (entry.activity === "editing") {
+      existing.activity = "editing";
+    }
+    if (entry.joinedAt < existing.joinedAt) {
+      existing.joinedAt = entry.joinedAt;
+    }
+  });
+
+  return [...users.values()];
+};
+
+/**
+ * Broadcast the current presence of a playlist room to its members
+ * @param {import("socket.io").Server} io - Socket.IO server
+ * @param {string} playlistId - Playlist ID
+ * @returns {Promise<void>}
+ */
+const broadcastPresence = async (io, playlistId) => {
+  const users = await getPresence(playlistId);
+  io.to(`playlist-${playlistId}`).emit("presence-updated", {
+    playlistId,
+    users,
+  });
+};
+
+module.exports = {
+  addPresence,
+  setActivity,
+  removePresence,
+  getPresence,
+  broadcastPresence,
+};
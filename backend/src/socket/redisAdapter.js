@@ -0,0 +1,65 @@
+const redis = require("redis");
+const { createAdapter } = require("@socket.io/redis-adapter");
+const config = require("../config/index");
+
+/**
+ * @fileoverview Redis pub/sub adapter so room broadcasts reach every server instance
+ * @module socket/redisAdapter
+ * @requires redis
+ * @requires @socket.io/redis-adapter
+ * @requires ../config/index
+ */
+
+/**
+ * Attach the Redis adapter to a Socket.IO server. If Redis is unreachable
+ * the server keeps the default in-memory adapter and only broadcasts locally.
+ * @param {import("socket.io").Server} io - Socket.IO server
+ * @param {Object} [redisConfig=config.redis] - Redis connection settings
+ * @returns {Promise<Function|null>} Function that closes the Redis clients, or null
+ */
+const attachRedisAdapter = async (io, redisConfig = config.redis) => {
+  // Give up on the first connection quickly, but keep reconnecting afterwards
+  let connected = false;
+  const pubClient = redis.createClient({
+    socket: {
+      host: redisConfig?.host || "localhost",
+      port: redisConfig?.port || 6379,
+      reconnectStrategy: (retries) =>
+        !connected && retries >= 5
+          ? new Error("Redis is unreachable")
+          : Math.min(retries * 50, 500),
+    },
+    password: redisConfig?.password,
+    database: redisConfig?.db || 0,
+  });
+  const subClient = pubClient.duplicate();
+
+  const onError = (err) => {
+    console.error("❌ Socket.IO Redis adapter error:", err.message);
+  };
+  pubClient.on("error", onError);
+  subClient.on("error", onError);
+
+  try {
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+    connected = true;
+  } catch (error) {
+    console.error(
+      "💥 Socket.IO Redis adapter unavailable, broadcasting locally only:",
+      error.message
+    );
+    [pubClient, subClient]
+      .filter((client) => client.isOpen)
+      .forEach((client) => client.destroy());
+    return null;
+  }
+
+  io.adapter(createAdapter(pubClient, subClient));
+  console.log("✅ Socket.IO Redis adapter attached");
+
+  return async () => {
+    await Promise.allSettled([pubClient.quit(), subClient.quit()]);
+  };
+};
+
+module.exports = { attachRedisAdapter };
@@ -0,0 +1,392 @@
+const crypto = require("crypto");
+const Playlist = require("../models/Playlist");
+const Song = require("../models/Song");
+const SongSuggestion = require("../models/SongSuggestion");
+const cacheService = require("../services/cacheService");
+const { publishPlaylistEvent } = require("../socket/playlistEvents");
+const { recordChange } = require("./playlistHistory");
+const { claimRevision } = require("./revision");
+const { SONG_ORDER_SORT } = require("./songOrder");
+const { findOrCreateTrack, getEntryFields } = require("./trackCatalog");
+
+/**
+ * @fileoverview Playlist import jobs
+ * @module utils/importJobs
+ * @requires crypto
+ * @requires ../models/Playlist
+ * @requires ../models/Song
+ * @requires ../models/SongSuggestion
+ * @requires ../services/cacheService
+ * @requires ../socket/playlistEvents
+ * @requires ./playlistHistory
+ * @requires ./revision
+ * @requires ./songOrder
+ * @requires ./trackCatalog
+ * @description Adds parsed songs to a playlist in batches. Each batch is one
+ * revisioned `songs-imported` event, and the playlist room gets
+ * `import-progress` updates. Songs come from an uploaded file or, for
+ * deferred jobs, are fetched first (e.g. from Spotify). Job state is kept on
+ * this instance and in Redis so any instance can report it.
+ */
+
+// Songs written (and broadcast) per batch
+const IMPORT_BATCH_SIZE = 100;
+// Imports with more songs than this run in the background
+const IMPORT_SYNC_LIMIT = 200;
+const JOB_TTL_SECONDS = 24 * 60 * 60;
+
+// Jobs started on this instance
+const jobs = new Map();
+
+const songKey = ({ artist, title }) => `${artist}\u0000${title}`;
+
+// A song's recording IDs, prefixed so an MBID can't collide with an ISRC
+const recordingKeys = ({ mbid, isrc }) => [
+  ...(mbid ? [`mbid:${mbid}`] : []),
+  ...(isrc ? [`isrc:${isrc}`] : []),
+];
+
+/**
+ * Store a job's current state
+ * @param {Object} job - Import job
+ * @returns {Promise<void>}
+ */
+const saveJob = async (job) => {
+  jobs.set(job.id, job);
+  await cacheService.set(
+    cacheService.keys.importJob(job.id),
+    job,
+    JOB_TTL_SECONDS
+  );
+};
+
+/**
+ * Get an import job by ID
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Job, or null if unknown or expired
+ */
+const getImportJob = async (jobId) =>
+  jobs.get(jobId) || (await cacheService.get(cacheService.keys.importJob(jobId)));
+
+/**
+ * Decide which parsed songs to add, applying the playlist's duplicate rule,
+ * its song limit and the importer's contribution quota
+ * @param {Object} playlist - Playlist document
+ * @param {Array<Object>} songs - Parsed songs (with row numbers)
+ * @param {string} userId - Importing user
+ * @returns {Promise<Object>} { accepted, skipped }
+ */
+const planImport = async (playlist, songs, userId) => {
+  const { allowDuplicates, maxSongs, maxSongsPerCollaborator } =
+    playlist.settings;
+
+  const [existing, pending] = await Promise.all([
+    Song.find({ playlist: playlist._id })
+      .select("title artist spotifyId isrc mbid addedBy")
+      .lean(),
+    SongSuggestion.find({ playlist: playlist._id, status: "pending" })
+      .select("title artist isrc mbid suggestedBy")
+      .lean(),
+  ]);
+
+  const names = new Set(
+    allowDuplicates ? [] : [...existing, ...pending].map(songKey)
+  );
+  // Songs with the same MBID or ISRC are the same recording under any title
+  const recordingIds = new Set(
+    allowDuplicates ? [] : [...existing, ...pending].flatMap(recordingKeys)
+  );
+  // ...as are songs with the same Spotify ID
+  const spotifyIds = new Set(
+    allowDuplicates
+      ? []
+      : existing.map((song) => song.spotifyId).filter(Boolean)
+  );
+
+  let room = Math.max(maxSongs - existing.length, 0);
+  let limitReason = `Playlist song limit reached (${maxSongs} songs)`;
+
+  // The creator is not subject to the per-collaborator quota
+  if (maxSongsPerCollaborator && playlist.creator.toString() !== userId) {
+    const used =
+      existing.filter((song) => song.addedBy?.toString() === userId).length +
+      pending.filter((song) => song.suggestedBy?.toString() === userId).length;
+    const quota = Math.max(maxSongsPerCollaborator - used, 0);
+    if (quota < room) {
+      room = quota;
+      limitReason = `Contribution limit reached (${maxSongsPerCollaborator} songs per collaborator)`;
+    }
+  }
+
+  const accepted = [];
+  const skipped = [];
+  songs.forEach((song) => {
+    const skip = (reason) =>
+      skipped.push({
+        row: song.row,
+        entry: `${song.artist} - ${song.title}`,
+        reason,
+      });
+
+    if (
+      !allowDuplicates &&
+      (names.has(songKey(song)) ||
+        recordingKeys(song).some((key) => recordingIds.has(key)) ||
+        spotifyIds.has(song.spotifyId))
+    ) {
+      return skip("Song already exists in playlist");
+    }
+    if (accepted.length >= room) {
+      return skip(limitReason);
+    }
+
+    accepted.push(song);
+    if (!allowDuplicates) {
+      names.add(songKey(song));
+      recordingKeys(song).forEach((key) => recordingIds.add(key));
+      if (song.spotifyId) {
+        spotifyIds.add(song.spotifyId);
+      }
+    }
+  });
+
+  return { accepted, skipped };
+};
+
+/**
+ * Create an import job for a planned import
+ * @param {Object} options - Job details
+ * @param {string} options.playlistId - Target playlist
+ * @param {string} options.userId - Importing user
+ * @param {string} [options.source=file] - Where the songs come from ("file" or "spotify")
+ * @param {string} [options.fileName] - Uploaded file name
+ * @param {string} [options.sourceId] - ID of the source playlist, for non-file imports
+ * @param {string} options.format - File format, or the source for non-file imports
+ * @param {Array<Object>} [options.songs] - Songs that will be added (empty for deferred jobs)
+ * @param {Array<Object>} [options.skipped] - Songs that won't be added, and why
+ * @param {Array<Object>} [options.errors] - Entries that could not be read
+ * @returns {Promise<Object>} The queued job
+ */
+const createImportJob = async ({
+  playlistId,
+  userId,
+  source = "file",
+  fileName = null,
+  sourceId = null,
+  format,
+  songs = [],
+  skipped = [],
+  errors = [],
+}) => {
+  const job = {
+    id: crypto.randomUUID(),
+    playlistId: playlistId.toString(),
+    userId,
+    source,
+    fileName,
+    sourceId,
+    format,
+    status: "queued",
+    total: songs.length,
+    processed: 0,
+    added: 0,
+    skipped,
+    errors,
+    createdAt: new Date(),
+    finishedAt: null,
+    error: null,
+  };
+
+  await saveJob(job);
+  // Keep finished jobs in memory only as long as Redis would
+  setTimeout(() => jobs.delete(job.id), JOB_TTL_SECONDS * 1000).unref();
+
+  return job;
+};
+
+// Append one batch of songs at the end of the playlist
+const insertBatch = async (io, job, batch) => {
+  const { playlistId } = job;
+
+  const lastSong = await Song.findOne({ playlist: playlistId }).sort({
+    order: -1,
+  });
+  const firstOrder = lastSong ? Math.floor(lastSong.order) + 1 : 0;
+
+  const tracks = [];
+  for (const song of batch) {
+    tracks.push(await findOrCreateTrack(song));
+  }
+
+  const saved = await Song.insertMany(
+    batch.map((song, index) => ({
+      ...getEntryFields(tracks[index]),
+      addedBy: job.userId,
+      playlist: playlistId,
+      order: firstOrder + index,
+    }))
+  );
+  const songIds = saved.map((song) => song._id);
+
+  await Playlist.updateOne(
+    { _id: playlistId },
+    { $push: { songs: { $each: songIds } }, updatedAt: Date.now() }
+  );
+
+  const songs = await Song.find({ _id: { $in: songIds } })
+    .populate("addedBy", "username")
+    .sort(SONG_ORDER_SORT);
+
+  // Claim the revision before clearing the caches, so a read in between
+  // can't cache the batch under the old revision
+  const revision = await claimRevision(playlistId, null);
+  if (revision === null) {
+    throw new Error("Playlist was deleted during the import");
+  }
+
+  // Invalidate relevant caches
+  await cacheService.invalidate(cacheService.keys.playlistSongs(playlistId));
+  await cacheService.invalidate(cacheService.keys.playlist(playlistId));
+
+  await publishPlaylistEvent(
+    io,
+    playlistId,
+    "songs-imported",
+    { playlistId, jobId: job.id, songs },
+    revision
+  );
+
+  await recordChange(playlistId, {
+    revision,
+    action: "songs-imported",
+    user: job.userId,
+    details: {
+      jobId: job.id,
+      source: job.source,
+      fileName: job.fileName,
+      sourceId: job.sourceId,
+      count: songs.length,
+      songIds: songIds.map((id) => id.toString()),
+    },
+  });
+
+  return saved.length;
+};
+
+// Send a job update to the playlist room
+const emitJobEvent = (io, job, event, payload) => {
+  if (io) {
+    io.to(`playlist-${job.playlistId}`).emit(event, {
+      playlistId: job.playlistId,
+      jobId: job.id,
+      ...payload,
+    });
+  }
+};
+
+// Record a job failure and tell the playlist room
+const failJob = async (io, job, error) => {
+  job.status = "failed";
+  job.error = error.message;
+  job.finishedAt = new Date();
+  await saveJob(job);
+
+  emitJobEvent(io, job, "import-failed", {
+    added: job.added,
+    error: error.message,
+  });
+  console.error(`❌ Import ${job.id} failed:`, error.message);
+};
+
+/**
+ * Add a job's songs to its playlist, reporting progress to the playlist room.
+ * Never throws: failures are recorded on the job.
+ * @param {import("socket.io").Server} io - Socket.IO server (may be undefined)
+ * @param {Object} job - Job from createImportJob
+ * @param {Array<Object>} songs - Songs to add
+ * @returns {Promise<Object>} The finished job
+ */
+const runImportJob = async (io, job, songs) => {
+  const emit = (event, payload) => emitJobEvent(io, job, event, payload);
+
+  job.status = "running";
+  await saveJob(job);
+
+  try {
+    for (let start = 0; start < songs.length; start += IMPORT_BATCH_SIZE) {
+      const batch = songs.slice(start, start + IMPORT_BATCH_SIZE);
+      job.added += await insertBatch(io, job, batch);
+      job.processed += batch.length;
+      await saveJob(job);
+
+      emit("import-progress", {
+        processed: job.processed,
+        total: job.total,
+        added: job.added,
+      });
+    }
+
+    job.status = "completed";
+    job.finishedAt = new Date();
+    await saveJob(job);
+
+    emit("import-completed", {
+      added: job.added,
+      skipped: job.skipped.length,
+      errors: job.errors.length,
+    });
+    console.log(
+      `📥 Import ${job.id} completed: ${job.added} songs added to playlist ${job.playlistId}`
+    );
+  } catch (error) {
+    await failJob(io, job, error);
+  }
+
+  return job;
+};
+
+/**
+ * Fetch a deferred job's songs, plan them against the playlist and add them.
+ * While fetching, the job's status is "fetching" and `import-progress`
+ * events carry `fetched` instead of `processed`. Never throws.
+ * @param {import("socket.io").Server} io - Socket.IO server (may be undefined)
+ * @param {Object} job - Job from createImportJob, created without songs
+ * @param {Object} playlist - Target playlist document
+ * @param {Function} loadSongs - Called with an onProgress(fetched, total)
+ *   callback; resolves to { songs, errors } like parsePlaylistFile
+ * @returns {Promise<Object>} The finished job
+ */
+const runDeferredImportJob = async (io, job, playlist, loadSongs) => {
+  let accepted;
+
+  try {
+    job.status = "fetching";
+    await saveJob(job);
+
+    const { songs, errors } = await loadSongs(async (fetched, total) => {
+      job.fetched = fetched;
+      await saveJob(job);
+      emitJobEvent(io, job, "import-progress", { fetched, total });
+    });
+
+    const plan = await planImport(playlist, songs, job.userId);
+    accepted = plan.accepted;
+    job.total = accepted.length;
+    job.skipped = plan.skipped;
+    job.errors = errors;
+  } catch (error) {
+    await failJob(io, job, error);
+    return job;
+  }
+
+  return runImportJob(io, job, accepted);
+};
+
+module.exports = {
+  IMPORT_SYNC_LIMIT,
+  planImport,
+  createImportJob,
+  runImportJob,
+  runDeferredImportJob,
+  getImportJob,
+};
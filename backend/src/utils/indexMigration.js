@@ -2,6 +2,11 @@ const mongoose = require('mongoose');
 const User = require('../models/User');
 const Playlist = require('../models/Playlist');
 const Song = require('../models/Song');
+const Track = require('../models/Track');
+const SongSuggestion = require('../models/SongSuggestion');
+const Invitation = require('../models/Invitation');
+const ShareLink = require('../models/ShareLink');
+const PlaylistRevision = require('../models/PlaylistRevision');
 
 /**
  * @fileoverview Database index migration utility
@@ -29,6 +34,26 @@ const createIndexes = async () => {
     console.log('📊 Creating Song model indexes...');
     await Song.createIndexes();
 
+    // Create Track indexes
+    console.log('📊 Creating Track model indexes...');
+    await Track.createIndexes();
+
+    // Create SongSuggestion indexes
+    console.log('📊 Creating SongSuggestion model indexes...');
+    await SongSuggestion.createIndexes();
+
+    // Create Invitation indexes
+    console.log('📊 Creating Invitation model indexes...');
+    await Invitation.createIndexes();
+
+    // Create ShareLink indexes
+    console.log('📊 Creating ShareLink model indexes...');
+    await ShareLink.createIndexes();
+
+    // Create PlaylistRevision indexes
+    console.log('📊 Creating PlaylistRevision model indexes...');
+    await PlaylistRevision.createIndexes();
+
     console.log('✅ All database indexes created successfully');
   } catch (error) {
     console.error('❌ Error creating database indexes:', error);
@@ -36,6 +61,46 @@ const createIndexes = async () => {
   }
 };
 
+// Indexes from earlier versions that the current ones replace. Mongo won't
+// change an existing index's options, so these are dropped by a one-off
+// migration rather than on every start.
+const LEGACY_INDEXES = [
+  // Linked Spotify accounts are now unique, under spotifyId_linked
+  { model: User, name: 'spotifyId_1' },
+  // Spotify IDs were unique across all songs; they are now checked per
+  // playlist, following its allowDuplicates setting
+  { model: Song, name: 'spotifyId_1' }
+];
+
+/**
+ * Drop indexes left over from earlier versions. Run once when upgrading;
+ * indexes that are already gone are skipped, so running it again is safe.
+ * @returns {Promise<void>}
+ */
+const dropLegacyIndexes = async () => {
+  try {
+    console.log('🔧 Dropping legacy indexes...');
+
+    for (const { model, name } of LEGACY_INDEXES) {
+      const collection = model.collection.collectionName;
+      try {
+        await model.collection.dropIndex(name);
+        console.log(`🗑️  Dropped ${collection}.${name}`);
+      } catch (error) {
+        if (error.codeName !== 'IndexNotFound' && error.codeName !== 'NamespaceNotFound') {
+          throw error;
+        }
+        console.log(`⏭️  ${collection}.${name} not found, skipping`);
+      }
+    }
+
+    console.log('✅ Legacy indexes dropped');
+  } catch (error) {
+    console.error('❌ Error dropping legacy indexes:', error);
+    throw error;
+  }
+};
+
 /**
  * Get index information for all collections
  * @returns {Promise<Object>} Index information for all models
@@ -45,11 +110,21 @@ const getIndexInfo = async () => {
     const userIndexes = await User.collection.getIndexes();
     const playlistIndexes = await Playlist.collection.getIndexes();
     const songIndexes = await Song.collection.getIndexes();
+    const trackIndexes = await Track.collection.getIndexes();
+    const songSuggestionIndexes = await SongSuggestion.collection.getIndexes();
+    const invitationIndexes = await Invitation.collection.getIndexes();
+    const shareLinkIndexes = await ShareLink.collection.getIndexes();
+    const playlistRevisionIndexes = await PlaylistRevision.collection.getIndexes();
 
     return {
       users: userIndexes,
       playlists: playlistIndexes,
-      songs: songIndexes
+      songs: songIndexes,
+      tracks: trackIndexes,
+      songSuggestions: songSuggestionIndexes,
+      invitations: invitationIndexes,
+      shareLinks: shareLinkIndexes,
+      playlistRevisions: playlistRevisionIndexes
     };
   } catch (error) {
     console.error('❌ Error getting index information:', error);
@@ -68,6 +143,11 @@ const recreateIndexes = async () => {
     await User.collection.dropIndexes();
     await Playlist.collection.dropIndexes();
     await Song.collection.dropIndexes();
+    await Track.collection.dropIndexes();
+    await SongSuggestion.collection.dropIndexes();
+    await Invitation.collection.dropIndexes();
+    await ShareLink.collection.dropIndexes();
+    await PlaylistRevision.collection.dropIndexes();
 
     console.log('🔧 Recreating indexes...');
     await createIndexes();
@@ -81,6 +161,7 @@ const recreateIndexes = async () => {
 
 module.exports = {
   createIndexes,
+  dropLegacyIndexes,
   getIndexInfo,
   recreateIndexes
 };
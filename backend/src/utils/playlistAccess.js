@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Playlist role and access checks
+ * @module utils/playlistAccess
+ * @description Single place to decide what a user may do with a playlist.
+ * Works with both Mongoose documents and plain (cached or populated) objects.
+ */
+
+// Roles ordered from least to most privileged
+const ROLE_RANK = {
+  viewer: 1,
+  editor: 2,
+  admin: 3,
+  owner: 4,
+};
+
+// Normalize an ObjectId, populated document or string to a string ID
+const toId = (ref) => (ref && ref._id ? ref._id : ref)?.toString();
+
+/**
+ * Get a user's role on a playlist
+ * @param {Object} playlist - Playlist document or plain object
+ * @param {string} userId - User ID
+ * @returns {string|null} 'owner', 'admin', 'editor', 'viewer' or null
+ */
+const getRole = (playlist, userId) => {
+  if (!playlist || !userId) {
+    return null;
+  }
+
+  if (toId(playlist.creator) === userId.toString()) {
+    return "owner";
+  }
+
+  const collaborator = (playlist.collaborators || []).find(
+    (collab) => toId(collab.user) === userId.toString()
+  );
+
+  return collaborator ? collaborator.role : null;
+};
+
+/**
+ * Check whether a user holds at least the given role on a playlist
+ * @param {Object} playlist - Playlist document or plain object
+ * @param {string} userId - User ID
+ * @param {string} minRole - Minimum role required
+ * @returns {boolean}
+ */
+const hasRole = (playlist, userId, minRole) => {
+  const role = getRole(playlist, userId);
+  return Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[minRole];
+};
+
+/**
+ * Check whether a user can read a playlist
+ * @param {Object} playlist - Playlist document or plain object
+ * @param {string} userId - User ID
+ * @returns {boolean}
+ */
+const canView = (playlist, userId) =>
+  Boolean(playlist.isPublic) || hasRole(playlist, userId, "viewer");
+
+/**
+ * Check whether a manager may assign, change or remove a given role.
+ * Owners manage every role; admins manage editors and viewers only.
+ * @param {Object} playlist - Playlist document or plain object
+ * @param {string} userId - ID of the user making the change
+ * @param {string} targetRole - Role being granted or revoked
+ * @returns {boolean}
+ */
+const canManageRole = (playlist, userId, targetRole) => {
+  const role = getRole(playlist, userId);
+  if (role === "owner") {
+    return true;
+  }
+  return role === "admin" && ROLE_RANK[targetRole] < ROLE_RANK.admin;
+};
+
+module.exports = {
+  ROLE_RANK,
+  getRole,
+  hasRole,
+  canView,
+  canManageRole,
+};
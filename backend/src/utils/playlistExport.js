@@ -0,0 +1,282 @@
+/**
+ * @fileoverview Playlist export formats
+ * @module utils/playlistExport
+ * @description Renders a playlist as M3U8, XSPF, CSV or JSON, one song at a
+ * time so large playlists can be streamed. Songs link to Spotify or YouTube
+ * when they have an ID.
+ *
+ * The JSON format is:
+ * {
+ *   "format": "collaborative-playlist",
+ *   "version": 1,
+ *   "exportedAt": "2025-07-11T12:00:00.000Z",
+ *   "playlist": { "id", "name", "description", "tags", "creator" },
+ *   "songs": [
+ *     { "title", "artist", "album", "duration", "spotifyId", "youtubeId",
+ *       "isrc", "mbid", "addedBy", "addedAt" }
+ *   ]
+ * }
+ * Durations are in seconds; fields a song doesn't have are null.
+ */
+
+const JSON_FORMAT_VERSION = 1;
+
+const CSV_COLUMNS = [
+  "title",
+  "artist",
+  "album",
+  "duration",
+  "spotifyId",
+  "youtubeId",
+  "isrc",
+  "mbid",
+  "addedBy",
+  "addedAt",
+];
+
+/**
+ * Get a link to a song on Spotify or YouTube
+ * @param {Object} song - Song document
+ * @returns {string|null} Track URL, or null when the song has no external ID
+ */
+const getSongUrl = (song) => {
+  if (song.spotifyId) {
+    return `https://open.spotify.com/track/${encodeURIComponent(song.spotifyId)}`;
+  }
+  if (song.youtubeId) {
+    return `https://www.youtube.com/watch?v=${encodeURIComponent(song.youtubeId)}`;
+  }
+  return null;
+};
+
+// Flatten a song into the fields every format exports
+const toExportSong = (song) => ({
+  title: song.title,
+  artist: song.artist,
+  album: song.album || null,
+  duration: song.duration ?? null,
+  spotifyId: song.spotifyId || null,
+  youtubeId: song.youtubeId || null,
+  isrc: song.isrc || null,
+  mbid: song.mbid || null,
+  addedBy: song.addedBy?.username || null,
+  addedAt: song.addedAt ? new Date(song.addedAt).toISOString() : null,
+});
+
+// M3U lines end at a newline, so titles must stay on one line
+const oneLine = (value) => String(value ?? "").replace(/[\r\n]+/g, " ");
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+// Quote CSV fields and keep spreadsheets from running them as formulas
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const xmlElement = (name, value) =>
+  value === null || value === undefined || value === ""
+    ? ""
+    : `      <${name}>${escapeXml(value)}</${name}>\n`;
+
+/**
+ * Export formats. Each renders a header, one chunk per song and a footer.
+ * @type {Object<string, Object>}
+ */
+const EXPORT_FORMATS = {
+  m3u8: {
+    contentType: "audio/x-mpegurl; charset=utf-8",
+    extension: "m3u8",
+    header: (playlist) => `#EXTM3U\n#PLAYLIST:${oneLine(playlist.name)}\n`,
+    // Songs without a link get "Artist - Title" so players can match local files
+    song: (song) => {
+      const item = toExportSong(song);
+      const lines = [
+        `#EXTINF:${Math.round(item.duration ?? -1)},${oneLine(
+          `${item.artist} - ${item.title}`
+        )}`,
+      ];
+      if (item.album) {
+        lines.push(`#EXTALB:${oneLine(item.album)}`);
+      }
+      lines.push(oneLine(getSongUrl(song) || `${item.artist} - ${item.title}`));
+      return `${lines.join("\n")}\n`;
+    },
+    footer: () => "",
+  },
+
+  xspf: {
+    contentType: "application/xspf+xml; charset=utf-8",
+    extension: "xspf",
+    header: (playlist) =>
+      '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<playlist version="1" xmlns="http://xspf.org/ns/0/">\n' +
+      `  <title>${escapeXml(playlist.name)}</title>\n` +
+      (playlist.creator?.username
+        ? `  <creator>${escapeXml(playlist.creator.username)}</creator>\n`
+        : "") +
+      (playlist.description
+        ? `  <annotation>${escapeXml(playlist.description)}</annotation>\n`
+        : "") +
+      `  <date>${new Date().toISOString()}</date>\n` +
+      "  <trackList>\n",
+    song: (song) => {
+      const item = toExportSong(song);
+      return (
+        "    <track>\n" +
+        xmlElement("location", getSongUrl(song)) +
+        xmlElement(
+          "identifier",
+          item.spotifyId ? `spotify:track:${item.spotifyId}` : null
+        ) +
+        xmlElement(
+          "identifier",
+          item.mbid ? `https://musicbrainz.org/recording/${item.mbid}` : null
+        ) +
+        xmlElement("title", item.title) +
+        xmlElement("creator", item.artist) +
+        xmlElement("album", item.album) +
+        // XSPF durations are in milliseconds
+        xmlElement(
+          "duration",
+          item.duration === null ? null : Math.round(item.duration * 1000)
+        ) +
+        "    </track>\n"
+      );
+    },
+    footer: () => "  </trackList>\n</playlist>\n",
+  },
+
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    extension: "csv",
+    // The byte order mark makes Excel read the file as UTF-8
+    header: () => `\uFEFF${CSV_COLUMNS.join(",")}\r\n`,
+    song: (song) => {
+      const item = toExportSong(song);
+      return `${CSV_COLUMNS.map((column) => escapeCsv(item[column])).join(",")}\r\n`;
+    },
+    footer: () => "",
+  },
+
+  json: {
+    contentType: "application/json; charset=utf-8",
+    extension: "json",
+    header: (playlist) => {
+      const head = JSON.stringify(
+        {
+          format: "collaborative-playlist",
+          version: JSON_FORMAT_VERSION,
+          exportedAt: new Date().toISOString(),
+          playlist: {
+            id: playlist._id,
+            name: playlist.name,
+            description: playlist.description || "",
+            tags: playlist.tags || [],
+            creator: playlist.creator?.username || null,
+          },
+        },
+        null,
+        2
+      );
+      // Reopen the object to stream the songs array into it
+      return `${head.slice(0, -2)},\n  "songs": [`;
+    },
+    song: (song, index) =>
+      `${index === 0 ? "" : ","}\n    ${JSON.stringify(toExportSong(song))}`,
+    footer: (count) => `${count === 0 ? "" : "\n  "}]\n}\n`,
+  },
+};
+
+/**
+ * Build a safe attachment file name for a playlist export
+ * @param {Object} playlist - Playlist document
+ * @param {string} format - Export format key
+ * @returns {string} File name with extension
+ */
+const getExportFileName = (playlist, format) => {
+  const base =
+    playlist.name
+      .replace(/[^\p{L}\p{N} _.-]+/gu, "")
+      .trim()
+      .replace(/\s+/g, " ")
+      .slice(0, 80) || "playlist";
+  return `${base}.${EXPORT_FORMATS[format].extension}`;
+};
+
+/**
+ * Stream a playlist export to an HTTP response
+ * @param {import("express").Response} res - Response to write to
+ * @param {string} format - Export format key
+ * @param {Object} playlist - Playlist document (creator populated)
+ * @param {AsyncIterable<Object>} songs - Songs in playlist order
+ * @returns {Promise<number>} Number of songs written
+ */
+const streamExport = async (res, format, playlist, songs) => {
+  const exporter = EXPORT_FORMATS[format];
+  const fileName = getExportFileName(playlist, format);
+
+  res.set({
+    "Content-Type": exporter.contentType,
+    "Content-Disposition": `attachment; filename="${fileName.replace(
+      /[^\x20-\x7e]|"/g,
+      "_"
+    )}"; filename*=UTF-8''${encodeURIComponent(fileName)}`,
+  });
+
+  // Wait for the client to catch up rather than buffering the playlist
+  const write = async (chunk) => {
+    if (!chunk || res.write(chunk)) {
+      return;
+    }
+    await new Promise((resolve) => {
+      const done = () => {
+        res.off("drain", done);
+        res.off("close", done);
+        resolve();
+      };
+      res.on("drain", done);
+      res.on("close", done);
+    });
+  };
+
+  let count = 0;
+  try {
+    await write(exporter.header(playlist));
+    for await (const song of songs) {
+      // Stop reading songs once the client has gone away
+      if (res.destroyed) {
+        return count;
+      }
+      await write(exporter.song(song, count));
+      count++;
+    }
+    await write(exporter.footer(count));
+    res.end();
+  } catch (error) {
+    // Headers are already sent, so cut the download short instead
+    console.error("❌ Playlist export failed:", error.message);
+    res.destroy(error);
+  }
+
+  return count;
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  getSongUrl,
+  getExportFileName,
+  streamExport,
+};
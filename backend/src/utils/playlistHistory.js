@@ -0,0 +1,418 @@
+const Playlist = require("../models/Playlist");
+const PlaylistRevision = require("../models/PlaylistRevision");
+const Song = require("../models/Song");
+const { SONG_ORDER_SORT } = require("./songOrder");
+
+/**
+ * @fileoverview Playlist change log with snapshots for diff and restore
+ * @module utils/playlistHistory
+ * @requires ../models/Playlist
+ * @requires ../models/PlaylistRevision
+ * @requires ../models/Song
+ * @requires ./songOrder
+ * @description Controllers record a history entry after each content change.
+ * Entries are written in the background, one at a time per playlist. Every
+ * CHECKPOINT_INTERVAL-th entry keeps a full snapshot of the playlist's name,
+ * description and ordered songs; the entries between store only what changed
+ * since the entry before them. Snapshots at any recorded revision are rebuilt
+ * from the nearest checkpoint, so they can be compared or restored. An entry
+ * whose revision was overtaken by another change before it could be read is
+ * kept without a snapshot: it can still be undone, but not compared or
+ * restored.
+ */
+
+// Entries kept per playlist; older ones are pruned as new ones arrive
+const MAX_HISTORY = 200;
+
+// Entries per full snapshot; the rest store changes against the entry before
+const CHECKPOINT_INTERVAL = 20;
+
+// Entries that hold a playlist state, as a snapshot or as changes
+const RECORDED_STATE = {
+  $or: [{ "snapshot.songs": { $exists: true } }, { changes: { $exists: true } }],
+};
+
+// Recording queue per playlist: `tail` settles when the newest queued entry is
+// written, and `last` is the state it recorded, so a burst of changes doesn't
+// rebuild each base from the checkpoint
+const recordQueues = new Map();
+
+// Metadata fields compared between snapshots
+const METADATA_FIELDS = ["name", "description"];
+
+// Song fields kept in snapshots, in a fixed order so songs can be compared
+const SONG_FIELDS = [
+  "title",
+  "artist",
+  "album",
+  "duration",
+  "spotifyId",
+  "youtubeId",
+  "isrc",
+  "mbid",
+  "addedBy",
+  "addedAt",
+];
+
+/**
+ * Capture a playlist's name, description and ordered songs at a revision
+ * @param {string} playlistId - Playlist ID
+ * @param {number} revision - Revision the snapshot should show
+ * @returns {Promise<Object|null>} Snapshot, or null if the playlist is gone
+ * or another change moved it past the revision
+ */
+const takeSnapshot = async (playlistId, revision) => {
+  const playlist = await Playlist.findById(playlistId)
+    .select("name description revision")
+    .lean();
+
+  if (!playlist || playlist.revision !== revision) {
+    return null;
+  }
+
+  const songs = await Song.find({ playlist: playlistId })
+    .sort(SONG_ORDER_SORT)
+    .select(SONG_FIELDS.join(" "))
+    .lean();
+
+  // A change that landed while the songs were read may show in them
+  const current = await Playlist.findById(playlistId).select("revision").lean();
+  if (current?.revision !== revision) {
+    return null;
+  }
+
+  return {
+    name: playlist.name,
+    description: playlist.description,
+    songs: songs.map(({ _id, ...song }) => ({ song: _id, ...song })),
+  };
+};
+
+// Indexes of the longest increasing subsequence, i.e. the songs that kept
+// their relative order; everything else counts as moved
+const longestIncreasingRun = (values) => {
+  const tails = [];
+  const previous = new Array(values.length);
+
+  values.forEach((value, index) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (values[tails[mid]] < value) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    previous[index] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = index;
+  });
+
+  const kept = new Set();
+  let index = tails.length ? tails[tails.length - 1] : -1;
+  while (index >= 0) {
+    kept.add(index);
+    index = previous[index];
+  }
+  return kept;
+};
+
+// Comparable form of a snapshot song's fields
+const songKey = (song) =>
+  JSON.stringify(SONG_FIELDS.map((field) => song[field] ?? null));
+
+/**
+ * Work out the changes that turn one snapshot into another, as stored
+ * between checkpoints
+ * @param {Object} from - Snapshot at the base entry
+ * @param {Object} to - Snapshot being recorded
+ * @returns {Object} { name, description, removed, songs, moves }
+ */
+const computeChanges = (from, to) => {
+  const fromSongs = new Map(
+    from.songs.map((song, position) => [song.song.toString(), { song, position }])
+  );
+  const toIds = new Set(to.songs.map((song) => song.song.toString()));
+
+  // Added songs and songs whose fields changed are stored in full
+  const songs = [];
+  const common = [];
+  to.songs.forEach((song, position) => {
+    const previous = fromSongs.get(song.song.toString());
+    if (!previous || songKey(previous.song) !== songKey(song)) {
+      songs.push(song);
+    }
+    if (previous) {
+      common.push({ position, fromPosition: previous.position });
+    }
+  });
+
+  // Songs that kept their relative order stay put; the rest are placed
+  // after the song before them
+  const kept = longestIncreasingRun(common.map((entry) => entry.fromPosition));
+  const keptPositions = new Set(
+    common.filter((entry, index) => kept.has(index)).map((entry) => entry.position)
+  );
+  const moves = to.songs
+    .map((song, position) => ({
+      song: song.song,
+      after: position > 0 ? to.songs[position - 1].song : null,
+      position,
+    }))
+    .filter(({ position }) => !keptPositions.has(position))
+    .map(({ song, after }) => ({ song, after }));
+
+  const removed = from.songs
+    .filter((song) => !toIds.has(song.song.toString()))
+    .map((song) => song.song);
+
+  return {
+    name: to.name,
+    description: to.description,
+    removed,
+    songs,
+    moves,
+  };
+};
+
+// Apply stored changes to the snapshot they were computed against
+const applyChanges = (snapshot, changes) => {
+  const songsById = new Map(
+    snapshot.songs.map((song) => [song.song.toString(), song])
+  );
+  changes.songs.forEach((song) => songsById.set(song.song.toString(), song));
+
+  const placed = new Set(
+    [...changes.removed, ...changes.moves.map(({ song }) => song)].map(String)
+  );
+  const songs = snapshot.songs
+    .filter((song) => !placed.has(song.song.toString()))
+    .map((song) => songsById.get(song.song.toString()));
+
+  // Moves are in playlist order, so the song before each one is in place
+  changes.moves.forEach(({ song, after }) => {
+    const index = after
+      ? songs.findIndex((entry) => entry.song.toString() === after.toString()) +
+        1
+      : 0;
+    songs.splice(index, 0, songsById.get(song.toString()));
+  });
+
+  return { name: changes.name, description: changes.description, songs };
+};
+
+/**
+ * Rebuild a playlist's snapshot at a recorded revision from the checkpoint
+ * it builds on
+ * @param {string} playlistId - Playlist ID
+ * @param {number} revision - Recorded revision
+ * @returns {Promise<Object|null>} { snapshot, depth } where depth counts the
+ * entries since the checkpoint, or null if the revision isn't recorded
+ */
+const loadSnapshot = async (playlistId, revision) => {
+  const chain = [];
+  let entry = await PlaylistRevision.findOne({ playlist: playlistId, revision })
+    .select("snapshot changes")
+    .lean();
+  while (entry?.changes) {
+    chain.push(entry.changes);
+    entry = await PlaylistRevision.findOne({
+      playlist: playlistId,
+      revision: entry.changes.base,
+    })
+      .select("snapshot changes")
+      .lean();
+  }
+
+  if (!entry?.snapshot) {
+    return null;
+  }
+
+  return {
+    snapshot: chain.reduceRight(applyChanges, entry.snapshot),
+    depth: chain.length,
+  };
+};
+
+// Drop entries beyond the retention limit. Kept entries still need the
+// checkpoint they build on, so pruning stops at the newest checkpoint at or
+// before the oldest kept entry
+const pruneHistory = async (playlistId) => {
+  const oldestKept = await PlaylistRevision.findOne({ playlist: playlistId })
+    .sort({ revision: -1 })
+    .skip(MAX_HISTORY - 1)
+    .select("revision")
+    .lean();
+  if (!oldestKept) {
+    return;
+  }
+
+  const checkpoint = await PlaylistRevision.findOne({
+    playlist: playlistId,
+    revision: { $lte: oldestKept.revision },
+    "snapshot.songs": { $exists: true },
+  })
+    .sort({ revision: -1 })
+    .select("revision")
+    .lean();
+  if (checkpoint) {
+    await PlaylistRevision.deleteMany({
+      playlist: playlistId,
+      revision: { $lt: checkpoint.revision },
+    });
+  }
+};
+
+// Write a history entry, storing changes against the latest entry with a
+// state, or a full snapshot when that entry can't be rebuilt or is the last one
+// a checkpoint covers. Checkpoints also prune the history.
+const writeEntry = async (playlistId, queue, { revision, action, user, details }) => {
+  try {
+    const snapshot = await takeSnapshot(playlistId, revision);
+
+    let content = {};
+    if (snapshot) {
+      const latest = await PlaylistRevision.findOne({
+        playlist: playlistId,
+        revision: { $lt: revision },
+        ...RECORDED_STATE,
+      })
+        .sort({ revision: -1 })
+        .select("revision")
+        .lean();
+      const base =
+        latest &&
+        (queue.last?.revision === latest.revision
+          ? queue.last
+          : await loadSnapshot(playlistId, latest.revision));
+
+      if (base && base.depth + 1 < CHECKPOINT_INTERVAL) {
+        content = {
+          changes: {
+            base: latest.revision,
+            ...computeChanges(base.snapshot, snapshot),
+          },
+        };
+        queue.last = { revision, snapshot, depth: base.depth + 1 };
+      } else {
+        content = { snapshot };
+        queue.last = { revision, snapshot, depth: 0 };
+      }
+    }
+
+    const entry = await PlaylistRevision.create({
+      playlist: playlistId,
+      revision,
+      action,
+      user,
+      details,
+      ...content,
+    });
+
+    if (content.snapshot) {
+      await pruneHistory(playlistId);
+    }
+
+    return entry;
+  } catch (error) {
+    console.error(
+      `❌ Failed to record ${action} in playlist ${playlistId} history:`,
+      error.message
+    );
+    return null;
+  }
+};
+
+/**
+ * Record a change in a playlist's history. The entry is written in the
+ * background after earlier entries for the playlist, so request handlers
+ * needn't wait for it. Failures are logged, never thrown, so a history
+ * problem can't fail a change that was already made.
+ * @param {string} playlistId - Playlist ID
+ * @param {Object} change - Change to record
+ * @param {number|null} change.revision - Revision produced by the change
+ * @param {string} change.action - Action, e.g. 'song-added'
+ * @param {string} change.user - ID of the user who made the change
+ * @param {Object} [change.details] - What changed
+ * @returns {Promise<Object|null>} Settles with the created entry, or null
+ */
+const recordChange = (playlistId, change) => {
+  if (change.revision === null || change.revision === undefined) {
+    return Promise.resolve(null);
+  }
+
+  const key = playlistId.toString();
+  const queue = recordQueues.get(key) || { tail: Promise.resolve(), last: null };
+  const written = queue.tail.then(() => writeEntry(key, queue, change));
+
+  queue.tail = written;
+  recordQueues.set(key, queue);
+  written.then(() => {
+    if (queue.tail === written) {
+      recordQueues.delete(key);
+    }
+  });
+
+  return written;
+};
+
+// Summary of a snapshot song for diff output
+const describeSong = (song, position) => ({
+  songId: song.song.toString(),
+  title: song.title,
+  artist: song.artist,
+  position,
+});
+
+/**
+ * Compare two playlist snapshots
+ * @param {Object} from - Older snapshot
+ * @param {Object} to - Newer snapshot
+ * @returns {Object} { metadata, added, removed, moved }
+ */
+const diffSnapshots = (from, to) => {
+  const metadata = METADATA_FIELDS.filter(
+    (field) => (from[field] || "") !== (to[field] || "")
+  ).map((field) => ({ field, from: from[field], to: to[field] }));
+
+  const fromIndex = new Map(
+    from.songs.map((song, position) => [song.song.toString(), position])
+  );
+  const toIds = new Set(to.songs.map((song) => song.song.toString()));
+
+  const added = [];
+  const common = [];
+  to.songs.forEach((song, position) => {
+    const songId = song.song.toString();
+    if (fromIndex.has(songId)) {
+      common.push({ song, position, fromPosition: fromIndex.get(songId) });
+    } else {
+      added.push(describeSong(song, position));
+    }
+  });
+
+  const removed = from.songs
+    .map((song, position) => describeSong(song, position))
+    .filter(({ songId }) => !toIds.has(songId));
+
+  const kept = longestIncreasingRun(common.map((entry) => entry.fromPosition));
+  const moved = common
+    .filter((entry, index) => !kept.has(index))
+    .map(({ song, position, fromPosition }) => ({
+      ...describeSong(song, position),
+      fromPosition,
+    }));
+
+  return { metadata, added, removed, moved };
+};
+
+module.exports = {
+  MAX_HISTORY,
+  CHECKPOINT_INTERVAL,
+  RECORDED_STATE,
+  takeSnapshot,
+  loadSnapshot,
+  recordChange,
+  diffSnapshots,
+};
@@ -0,0 +1,457 @@
+const path = require("path");
+const { normalizeIsrc, normalizeMbid } = require("./trackMatch");
+
+/**
+ * @fileoverview Playlist file parsers
+ * @module utils/playlistImport
+ * @requires path
+ * @requires ./trackMatch
+ * @description Reads M3U/M3U8, XSPF and CSV playlist files into song fields
+ * (title, artist, album, duration, spotifyId, youtubeId, isrc, mbid). Entries that can't
+ * be read are returned as errors with their row number rather than failing
+ * the whole file. Files written by our own export read back unchanged.
+ */
+
+const IMPORT_FORMATS = ["m3u", "m3u8", "xspf", "csv"];
+
+// CSV headers accepted for each song field, compared in lower case
+const CSV_HEADERS = {
+  title: ["title", "name", "track", "track name", "song"],
+  artist: ["artist", "artist name", "artist name(s)", "artists", "creator"],
+  album: ["album", "album name"],
+  duration: ["duration", "length", "time", "duration (s)", "seconds"],
+  durationMs: ["duration_ms", "duration (ms)", "track duration (ms)"],
+  spotifyId: ["spotifyid", "spotify id", "spotify_id", "spotify uri", "track uri"],
+  youtubeId: ["youtubeid", "youtube id", "youtube_id"],
+  isrc: ["isrc"],
+  mbid: ["mbid", "musicbrainz id", "musicbrainz_id", "recording mbid"],
+};
+
+/**
+ * Pick the import format from the file name, falling back to its contents
+ * @param {string} fileName - Uploaded file name
+ * @param {string} text - File contents
+ * @returns {string|null} Format key, or null if unrecognised
+ */
+const detectFormat = (fileName = "", text = "") => {
+  const extension = path.extname(fileName).slice(1).toLowerCase();
+  if (IMPORT_FORMATS.includes(extension)) {
+    return extension;
+  }
+
+  const start = text.trimStart().slice(0, 200);
+  if (start.startsWith("#EXTM3U")) {
+    return "m3u8";
+  }
+  if (/^<\?xml[^>]*>\s*<playlist/i.test(start) || start.startsWith("<playlist")) {
+    return "xspf";
+  }
+  return null;
+};
+
+/**
+ * Pull a Spotify or YouTube track ID, or a MusicBrainz recording ID, out of
+ * a link or URI
+ * @param {string} location - URL, URI or file path
+ * @returns {Object} { spotifyId, youtubeId, mbid } (any may be undefined)
+ */
+const parseLocation = (location = "") => {
+  const spotify =
+    location.match(/open\.spotify\.com\/(?:intl-[a-z-]+\/)?track\/([A-Za-z0-9]+)/) ||
+    location.match(/^spotify:track:([A-Za-z0-9]+)$/);
+  if (spotify) {
+    return { spotifyId: spotify[1] };
+  }
+
+  const youtube =
+    location.match(/(?:youtube\.com\/watch\?(?:.*&)?v=|youtu\.be\/)([\w-]{11})/);
+  if (youtube) {
+    return { youtubeId: youtube[1] };
+  }
+
+  const musicbrainz = location.match(
+    /musicbrainz\.org\/recording\/([0-9a-f-]{36})/i
+  );
+  if (musicbrainz) {
+    return { mbid: musicbrainz[1] };
+  }
+
+  return {};
+};
+
+// Split "Artist - Title" as written by most players
+const splitArtistTitle = (text) => {
+  const separator = text.indexOf(" - ");
+  if (separator === -1) {
+    return { title: text.trim() };
+  }
+  return {
+    artist: text.slice(0, separator).trim(),
+    title: text.slice(separator + 3).trim(),
+  };
+};
+
+/**
+ * Read a duration in seconds, "m:ss" or "h:mm:ss"
+ * @param {string|number} value - Duration
+ * @returns {number|null} Seconds, or null if missing or invalid
+ */
+const parseDuration = (value) => {
+  const text = String(value ?? "").trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Number(text);
+  }
+  if (/^\d+(:[0-5]\d){1,2}$/.test(text)) {
+    return text.split(":").reduce((total, part) => total * 60 + Number(part), 0);
+  }
+  return null;
+};
+
+/**
+ * Check a parsed entry has what a song needs
+ * @param {Object} song - Parsed song fields
+ * @returns {string|null} Reason the entry can't be imported, or null
+ */
+const validateSong = (song) => {
+  if (!song.title) {
+    return "Missing title";
+  }
+  if (!song.artist) {
+    return "Missing artist";
+  }
+  if (!(song.duration > 0)) {
+    return "Missing or invalid duration";
+  }
+  return null;
+};
+
+/**
+ * Collect a parsed entry as a song or a row error
+ * @param {Object} result - { songs, errors } to add to
+ * @param {number} row - Row number reported with errors
+ * @param {Object} fields - Song fields read from the entry
+ */
+const collectSong = (result, row, fields) => {
+  const song = {
+    title: fields.title?.trim(),
+    artist: fields.artist?.trim(),
+    album: fields.album?.trim() || "",
+    // Songs added through the API have whole-second durations; files often
+    // carry milliseconds or fractions
+    duration:
+      fields.duration > 0
+        ? Math.max(1, Math.round(fields.duration))
+        : fields.duration,
+    spotifyId: fields.spotifyId || undefined,
+    youtubeId: fields.youtubeId || undefined,
+    // Malformed recording IDs are dropped rather than failing the entry
+    isrc: normalizeIsrc(fields.isrc) || undefined,
+    mbid: normalizeMbid(fields.mbid) || undefined,
+  };
+
+  const reason = validateSong(song);
+  if (reason) {
+    result.errors.push({
+      row,
+      reason,
+      entry: [song.artist, song.title].filter(Boolean).join(" - ") || null,
+    });
+  } else {
+    result.songs.push({ ...song, row });
+  }
+};
+
+// File URLs escape spaces and the like; keep names that aren't valid escapes
+const decodeFileName = (name) => {
+  try {
+    return decodeURIComponent(name);
+  } catch (error) {
+    return name;
+  }
+};
+
+/**
+ * Parse an M3U or M3U8 playlist. Rows are the entries' location lines.
+ * @param {string} text - File contents
+ * @returns {Object} { name, songs, errors }
+ */
+const parseM3U = (text) => {
+  const result = { name: null, songs: [], errors: [] };
+  let info = {};
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    const row = index + 1;
+
+    if (line === "" || line === "#EXTM3U") {
+      return;
+    }
+
+    if (line.startsWith("#PLAYLIST:")) {
+      result.name = line.slice("#PLAYLIST:".length).trim() || null;
+      return;
+    }
+
+    if (line.startsWith("#EXTINF:")) {
+      const body = line.slice("#EXTINF:".length);
+      const comma = body.indexOf(",");
+      if (comma === -1) {
+        result.errors.push({ row, reason: "Malformed #EXTINF line", entry: line });
+        info = {};
+        return;
+      }
+      // Durations may be followed by attributes, e.g. tvg-id="..."
+      const seconds = parseFloat(body.slice(0, comma));
+      info = {
+        duration: seconds > 0 ? seconds : null,
+        ...splitArtistTitle(body.slice(comma + 1)),
+      };
+      return;
+    }
+
+    if (line.startsWith("#EXTALB:")) {
+      info.album = line.slice("#EXTALB:".length).trim();
+      return;
+    }
+
+    if (line.startsWith("#EXTART:")) {
+      info.artist = info.artist || line.slice("#EXTART:".length).trim();
+      return;
+    }
+
+    // Other directives and comments
+    if (line.startsWith("#")) {
+      return;
+    }
+
+    // A location line ends the entry; without #EXTINF, fall back to the file name
+    const ids = parseLocation(line);
+    if (!info.title && !ids.spotifyId && !ids.youtubeId) {
+      const base = path.basename(line.replace(/\\/g, "/"), path.extname(line));
+      info = { ...info, ...splitArtistTitle(decodeFileName(base)) };
+    }
+
+    collectSong(result, row, { ...info, ...ids });
+    info = {};
+  });
+
+  return result;
+};
+
+const decodeXml = (value) =>
+  value
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+
+// Text of the first matching child element, or undefined
+const xmlText = (xml, name) => {
+  const match = xml.match(
+    new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, "i")
+  );
+  return match ? decodeXml(match[1]).trim() : undefined;
+};
+
+/**
+ * Parse an XSPF playlist. Rows are track numbers, counting from 1.
+ * @param {string} text - File contents
+ * @returns {Object} { name, songs, errors }
+ */
+const parseXSPF = (text) => {
+  const result = { name: null, songs: [], errors: [] };
+
+  if (!/<playlist[\s>]/i.test(text) || !/<trackList[\s>]/i.test(text)) {
+    result.errors.push({ row: 0, reason: "Not an XSPF playlist", entry: null });
+    return result;
+  }
+
+  // The playlist title comes before the track list
+  const head = text.slice(0, text.search(/<trackList[\s>]/i));
+  result.name = xmlText(head, "title") || null;
+
+  const tracks = text.match(/<track(?:\s[^>]*)?>[\s\S]*?<\/track>/gi) || [];
+  tracks.forEach((track, index) => {
+    const locations = (track.match(/<location>[\s\S]*?<\/location>/gi) || [])
+      .map((location) => xmlText(location, "location"));
+    const identifiers = (track.match(/<identifier>[\s\S]*?<\/identifier>/gi) || [])
+      .map((identifier) => xmlText(identifier, "identifier"));
+    const ids = [...identifiers, ...locations].reduce(
+      (found, location) => ({ ...parseLocation(location), ...found }),
+      {}
+    );
+
+    // XSPF durations are in milliseconds
+    const milliseconds = parseDuration(xmlText(track, "duration"));
+
+    collectSong(result, index + 1, {
+      title: xmlText(track, "title"),
+      artist: xmlText(track, "creator"),
+      album: xmlText(track, "album"),
+      duration: milliseconds ? milliseconds / 1000 : null,
+      ...ids,
+    });
+  });
+
+  return result;
+};
+
+/**
+ * Split CSV text into rows of fields (RFC 4180 quoting)
+ * @param {string} text - CSV contents
+ * @returns {Array<Array<string>>} Rows
+ */
+const splitCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+// Undo the formula guard our export puts in front of values like "=..."
+const unguard = (value = "") =>
+  /^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value;
+
+/**
+ * Parse a CSV file with a header row. Rows are line numbers in the file,
+ * counting the header as row 1.
+ * @param {string} text - File contents
+ * @returns {Object} { name, songs, errors }
+ */
+const parseCSV = (text) => {
+  const result = { name: null, songs: [], errors: [] };
+  const [header = [], ...rows] = splitCsv(text.replace(/^\uFEFF/, ""));
+
+  const columns = {};
+  header.forEach((name, index) => {
+    const key = name.trim().toLowerCase();
+    Object.entries(CSV_HEADERS).forEach(([field, names]) => {
+      if (columns[field] === undefined && names.includes(key)) {
+        columns[field] = index;
+      }
+    });
+  });
+
+  if (columns.title === undefined || columns.artist === undefined) {
+    result.errors.push({
+      row: 1,
+      reason: "CSV header must include title and artist columns",
+      entry: header.join(","),
+    });
+    return result;
+  }
+
+  rows.forEach((values, index) => {
+    // Skip blank lines
+    if (values.every((value) => value.trim() === "")) {
+      return;
+    }
+
+    const value = (field) =>
+      columns[field] === undefined
+        ? undefined
+        : unguard(values[columns[field]]?.trim());
+
+    const milliseconds = parseDuration(value("durationMs"));
+    const spotify = value("spotifyId");
+
+    collectSong(result, index + 2, {
+      title: value("title"),
+      artist: value("artist"),
+      album: value("album"),
+      duration:
+        parseDuration(value("duration")) ??
+        (milliseconds ? milliseconds / 1000 : null),
+      spotifyId: spotify?.includes(":") || spotify?.includes("/")
+        ? parseLocation(spotify).spotifyId
+        : spotify,
+      youtubeId: value("youtubeId"),
+      isrc: value("isrc"),
+      mbid: value("mbid"),
+    });
+  });
+
+  return result;
+};
+
+/**
+ * Read an uploaded file as text. UTF-8 is expected; plain .m3u files from
+ * older players are often Latin-1, so invalid UTF-8 falls back to that.
+ * @param {Buffer} buffer - File contents
+ * @returns {string} Text without a byte order mark
+ */
+const decodeUpload = (buffer) => {
+  let text;
+  try {
+    text = new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+  } catch (error) {
+    text = buffer.toString("latin1");
+  }
+  return text.replace(/^\uFEFF/, "");
+};
+
+const PARSERS = {
+  m3u: parseM3U,
+  m3u8: parseM3U,
+  xspf: parseXSPF,
+  csv: parseCSV,
+};
+
+/**
+ * Parse an uploaded playlist file
+ * @param {string} format - Format key from detectFormat
+ * @param {string} text - File contents
+ * @returns {Object} { name, songs, errors }; songs carry their row number
+ */
+const parsePlaylistFile = (format, text) => PARSERS[format](text);
+
+module.exports = {
+  IMPORT_FORMATS,
+  detectFormat,
+  decodeUpload,
+  parseDuration,
+  parseLocation,
+  collectSong,
+  parsePlaylistFile,
+};
@@ -0,0 +1,98 @@
+const Playlist = require("../models/Playlist");
+const { AppError } = require("../middleware/errorHandler");
+
+/**
+ * @fileoverview Optimistic concurrency helpers built on Playlist.revision
+ * @module utils/revision
+ * @requires ../models/Playlist
+ * @requires ../middleware/errorHandler
+ * @description Clients send the revision they last saw as an `If-Match`
+ * header or a `revision` body field. Writes against an older revision are
+ * rejected with 409 and the current playlist so the client can rebase.
+ */
+
+/**
+ * Format a playlist revision as an ETag header value
+ * @param {number} revision - Playlist revision
+ * @returns {string} Strong ETag, e.g. "12"
+ */
+const formatETag = (revision) => `"${revision || 0}"`;
+
+/**
+ * Read the revision a client expects to be writing against
+ * @param {Object} req - Express request
+ * @returns {number|null} Expected revision, or null when the client sent none
+ * @throws {AppError} 400 when If-Match is not a playlist revision
+ */
+const getExpectedRevision = (req) => {
+  const ifMatch = req.get("If-Match");
+
+  if (ifMatch && ifMatch.trim() !== "*") {
+    const match = ifMatch.trim().match(/^(?:W\/)?"(\d+)"$/);
+    if (!match) {
+      throw new AppError("If-Match must be a playlist revision ETag", 400);
+    }
+    return Number(match[1]);
+  }
+
+  const revision = req.body?.revision ?? req.query?.revision;
+  return revision === undefined || revision === null ? null : Number(revision);
+};
+
+/**
+ * Build a revision filter for conditional updates
+ * @param {number|null} expectedRevision - Revision from getExpectedRevision
+ * @returns {Object} Mongo filter fragment (empty when no revision was sent)
+ */
+const revisionFilter = (expectedRevision) =>
+  expectedRevision === null ? {} : { revision: expectedRevision };
+
+/**
+ * Atomically claim the next revision of a playlist
+ * @param {string} playlistId - Playlist ID
+ * @param {number|null} expectedRevision - Revision the client wrote against
+ * @returns {Promise<number|null>} New revision, or null if the write is stale
+ */
+const claimRevision = async (playlistId, expectedRevision) => {
+  const playlist = await Playlist.findOneAndUpdate(
+    { _id: playlistId, ...revisionFilter(expectedRevision) },
+    { $inc: { revision: 1 } },
+    { new: true, projection: { revision: 1 } }
+  ).lean();
+
+  return playlist ? playlist.revision : null;
+};
+
+/**
+ * Create the 409 error for a stale write, carrying the current playlist
+ * @param {string} playlistId - Playlist ID
+ * @returns {Promise<AppError>} Error with data.playlist and data.revision
+ */
+const staleRevisionError = async (playlistId) => {
+  const playlist = await Playlist.findById(playlistId)
+    .populate("creator", "username")
+    .populate("collaborators.user", "username")
+    .populate({
+      path: "songs",
+      populate: {
+        path: "addedBy",
+        select: "username",
+      },
+      options: { sort: { order: 1, addedAt: 1 } },
+    });
+
+  const error = new AppError(
+    "Playlist has changed since your last read; rebase on the current revision",
+    409
+  );
+  error.data = { revision: playlist?.revision ?? null, playlist };
+  return error;
+};
+
+module.exports = {
+  formatETag,
+  getExpectedRevision,
+  revisionFilter,
+  claimRevision,
+  staleRevisionError,
+};
@@ -0,0 +1,299 @@
+const Song = require("../models/Song");
+const Playlist = require("../models/Playlist");
+const cacheService = require("../services/cacheService");
+const { publishPlaylistEvent } = require("../socket/playlistEvents");
+const { claimRevision } = require("./revision");
+
+/**
+ * @fileoverview Fractional song ordering with background renumbering
+ * @module utils/songOrder
+ * @requires ../models/Song
+ * @requires ../models/Playlist
+ * @requires ../services/cacheService
+ * @requires ../socket/playlistEvents
+ * @requires ./revision
+ * @description Moving a song gives it an order halfway between its new
+ * neighbours, so a move writes one document. When gaps get small the
+ * playlist is renumbered to 0..n-1 in the background.
+ */
+
+// Gaps below this schedule a renumber; doubles allow ~50 halvings in total
+const RENUMBER_GAP = 1e-4;
+const RENUMBER_DELAY_MS = 5000;
+
+// Playlist order with deterministic tie-breaks for neighbours and renumbering
+const SONG_ORDER_SORT = { order: 1, addedAt: 1, _id: 1 };
+
+const pendingRenumbers = new Map();
+
+/**
+ * Pick an order value between two neighbours
+ * @param {number|null} before - Order of the song before, or null at the top
+ * @param {number|null} after - Order of the song after, or null at the end
+ * @returns {number} Order strictly between the neighbours when possible
+ */
+const orderBetween = (before, after) => {
+  if (before === null && after === null) {
+    return 0;
+  }
+  if (before === null) {
+    return after - 1;
+  }
+  if (after === null) {
+    return before + 1;
+  }
+  return before + (after - before) / 2;
+};
+
+/**
+ * Get the orders a song would sit between if moved after another song
+ * @param {string} playlistId - Playlist ID
+ * @param {string} songId - Song being moved
+ * @param {Object|null} afterSong - Song to move after, or null for the top
+ * @returns {Promise<Object>} { before, after } orders (null at either end)
+ */
+const getNeighbourOrders = async (playlistId, songId, afterSong) => {
+  const filter = { playlist: playlistId, _id: { $ne: songId } };
+  if (afterSong) {
+    filter.order = { $gt: afterSong.order };
+  }
+
+  const next = await Song.findOne(filter)
+    .sort(SONG_ORDER_SORT)
+    .select("order")
+    .lean();
+
+  return {
+    before: afterSong ? afterSong.order : null,
+    after: next ? next.order : null,
+  };
+};
+
+/**
+ * Work out the orders that renumber a playlist's songs to 0..n-1
+ * @param {string} playlistId - Playlist ID
+ * @returns {Promise<Array>} { songId, order } for the songs whose order changes
+ */
+const getRenumberedOrders = async (playlistId) => {
+  const songs = await Song.find({ playlist: playlistId })
+    .sort(SONG_ORDER_SORT)
+    .select("order")
+    .lean();
+
+  return songs
+    .map((song, index) => ({ songId: song._id.toString(), order: index }))
+    .filter(({ order }, index) => songs[index].order !== order);
+};
+
+/**
+ * Write new song orders
+ * @param {string} playlistId - Playlist ID
+ * @param {Array} songOrders - { songId, order } pairs
+ * @returns {Promise<void>}
+ */
+const writeSongOrders = async (playlistId, songOrders) => {
+  await Song.bulkWrite(
+    songOrders.map(({ songId, order }) => ({
+      updateOne: {
+        filter: { _id: songId, playlist: playlistId },
+        update: { $set: { order } },
+      },
+    }))
+  );
+};
+
+/**
+ * Renumber a playlist's songs to 0..n-1 and broadcast the new orders.
+ * Skipped if the playlist changes while the songs are being read.
+ * @param {import("socket.io").Server} io - Socket.IO server (may be undefined)
+ * @param {string} playlistId - Playlist ID
+ * @returns {Promise<number|null>} Songs renumbered, or null if it was skipped
+ */
+const renumberSongs = async (io, playlistId) => {
+  const playlist = await Playlist.findById(playlistId).select("revision").lean();
+  if (!playlist) {
+    return 0;
+  }
+
+  const songOrders = await getRenumberedOrders(playlistId);
+
+  if (songOrders.length === 0) {
+    return 0;
+  }
+
+  const revision = await claimRevision(playlistId, playlist.revision);
+  if (revision === null) {
+    return null;
+  }
+
+  await writeSongOrders(playlistId, songOrders);
+
+  await cacheService.invalidate(cacheService.keys.playlistSongs(playlistId));
+  await cacheService.invalidate(cacheService.keys.playlist(playlistId));
+
+  await publishPlaylistEvent(
+    io,
+    playlistId,
+    "songs-reordered",
+    { playlistId, songOrders },
+    revision
+  );
+
+  return songOrders.length;
+};
+
+/**
+ * Renumber a playlist's songs shortly, once per burst of moves
+ * @param {import("socket.io").Server} io - Socket.IO server (may be undefined)
+ * @param {string} playlistId - Playlist ID
+ * @returns {void}
+ */
+const scheduleRenumber = (io, playlistId) => {
+  if (pendingRenumbers.has(playlistId)) {
+    return;
+  }
+
+  const timer = setTimeout(async () => {
+    pendingRenumbers.delete(playlistId);
+
+    try {
+      const renumbered = await renumberSongs(io, playlistId);
+      if (renumbered === null) {
+        // The playlist changed mid-read; try again after things settle
+        scheduleRenumber(io, playlistId);
+      } else if (renumbered > 0) {
+        console.log(`🔢 Renumbered ${renumbered} songs in playlist: ${playlistId}`);
+      }
+    } catch (error) {
+      console.error(`❌ Renumbering playlist ${playlistId} failed:`, error.message);
+    }
+  }, RENUMBER_DELAY_MS);
+
+  // Never keep the process alive just for a renumber
+  timer.unref();
+  pendingRenumbers.set(playlistId, timer);
+};
+
+/**
+ * Check whether an order is too close to its neighbours
+ * @param {number} order - New order
+ * @param {Object} neighbours - { before, after } from getNeighbourOrders
+ * @returns {boolean}
+ */
+const isCrowded = (order, { before, after }) =>
+  (before !== null && order - before < RENUMBER_GAP) ||
+  (after !== null && after - order < RENUMBER_GAP);
+
+/**
+ * Get the order between a song's new neighbours
+ * @param {string} playlistId - Playlist ID
+ * @param {string} songId - Song being placed
+ * @param {string|null} afterSongId - Song to place it after, or null for the top
+ * @returns {Promise<Object>} { neighbours, order }
+ */
+const placeAfter = async (playlistId, songId, afterSongId) => {
+  const afterSong = afterSongId
+    ? await Song.findOne({ _id: afterSongId, playlist: playlistId })
+        .select("order")
+        .lean()
+    : null;
+  const neighbours = await getNeighbourOrders(playlistId, songId, afterSong);
+  return {
+    neighbours,
+    order: orderBetween(neighbours.before, neighbours.after),
+  };
+};
+
+/**
+ * Check whether an order failed to land strictly between its neighbours
+ * @param {number} order - New order
+ * @param {Object} neighbours - { before, after } from getNeighbourOrders
+ * @returns {boolean}
+ */
+const isOutOfPrecision = (order, { before, after }) =>
+  (before !== null && order <= before) || (after !== null && order >= after);
+
+/**
+ * Work out the order that places a song right after another one. Renumbers
+ * straight away if the neighbours are out of precision, and schedules a
+ * background renumber when they are getting close.
+ * @param {import("socket.io").Server} io - Socket.IO server (may be undefined)
+ * @param {string} playlistId - Playlist ID
+ * @param {string} songId - Song being placed
+ * @param {string|null} afterSongId - Song to place it after, or null for the top
+ * @returns {Promise<number>} Order to give the song
+ */
+const orderAfter = async (io, playlistId, songId, afterSongId) => {
+  let { neighbours, order } = await placeAfter(playlistId, songId, afterSongId);
+
+  if (isOutOfPrecision(order, neighbours)) {
+    await renumberSongs(io, playlistId);
+    ({ neighbours, order } = await placeAfter(playlistId, songId, afterSongId));
+  }
+
+  if (isCrowded(order, neighbours)) {
+    scheduleRenumber(io, playlistId);
+  }
+
+  return order;
+};
+
+/**
+ * Like orderAfter, for a write that has already claimed its revision. A
+ * renumber needed to place the song is written as part of that write rather
+ * than under a revision of its own, and returned for the caller to broadcast.
+ * @param {import("socket.io").Server} io - Socket.IO server (may be undefined)
+ * @param {string} playlistId - Playlist ID
+ * @param {string} songId - Song being placed
+ * @param {string|null} afterSongId - Song to place it after, or null for the top
+ * @returns {Promise<Object>} { order, songOrders }, songOrders listing the
+ * other songs renumbered (empty unless a renumber was needed)
+ */
+const orderAfterClaimed = async (io, playlistId, songId, afterSongId) => {
+  let { neighbours, order } = await placeAfter(playlistId, songId, afterSongId);
+  let songOrders = [];
+
+  if (isOutOfPrecision(order, neighbours)) {
+    songOrders = await getRenumberedOrders(playlistId);
+    await writeSongOrders(playlistId, songOrders);
+    ({ neighbours, order } = await placeAfter(playlistId, songId, afterSongId));
+    songOrders = songOrders.filter((entry) => entry.songId !== songId.toString());
+  }
+
+  if (isCrowded(order, neighbours)) {
+    scheduleRenumber(io, playlistId);
+  }
+
+  return { order, songOrders };
+};
+
+/**
+ * Find the song just before a song in playlist order
+ * @param {string} playlistId - Playlist ID
+ * @param {Object} song - Song with _id and order
+ * @returns {Promise<string|null>} Previous song's ID, or null at the top
+ */
+const findPreviousSongId = async (playlistId, song) => {
+  const previous = await Song.findOne({
+    playlist: playlistId,
+    _id: { $ne: song._id },
+    order: { $lt: song.order },
+  })
+    .sort({ order: -1, addedAt: -1, _id: -1 })
+    .select("_id")
+    .lean();
+
+  return previous ? previous._id.toString() : null;
+};
+
+module.exports = {
+  SONG_ORDER_SORT,
+  orderBetween,
+  getNeighbourOrders,
+  isCrowded,
+  orderAfter,
+  orderAfterClaimed,
+  findPreviousSongId,
+  renumberSongs,
+  scheduleRenumber,
+};
@@ -0,0 +1,198 @@
+const crypto = require("crypto");
+const User = require("../models/User");
+const { AppError } = require("../middleware/errorHandler");
+const cacheService = require("../services/cacheService");
+const spotifyService = require("../services/spotifyService");
+const { encryptToken, decryptToken } = require("./tokenCrypto");
+
+/**
+ * @fileoverview Linked Spotify accounts
+ * @module utils/spotifyAccount
+ * @requires crypto
+ * @requires ../models/User
+ * @requires ../middleware/errorHandler
+ * @requires ../services/cacheService
+ * @requires ../services/spotifyService
+ * @requires ./tokenCrypto
+ * @description OAuth state handling and token storage for users who link
+ * Spotify. The state is kept in Redis so the callback can be verified on any
+ * instance. Tokens are stored encrypted on the user and refreshed when they
+ * expire.
+ */
+
+// How long a user has to finish authorizing on Spotify
+const AUTH_STATE_TTL_SECONDS = 10 * 60;
+// Refresh a little early so a token doesn't expire mid-request
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+const TOKEN_FIELDS = "+spotifyAuth.accessToken +spotifyAuth.refreshToken";
+
+// Refreshes in flight on this instance, so concurrent requests share one
+const refreshes = new Map();
+
+/**
+ * Create a one-time OAuth state for a user
+ * @param {string} userId - User starting the authorization
+ * @returns {Promise<string|null>} State, or null if it couldn't be stored
+ */
+const createAuthState = async (userId) => {
+  const state = crypto.randomBytes(16).toString("hex");
+  const stored = await cacheService.set(
+    cacheService.keys.spotifyAuthState(state),
+    { userId },
+    AUTH_STATE_TTL_SECONDS
+  );
+  return stored ? state : null;
+};
+
+/**
+ * Verify and use up an OAuth state
+ * @param {string} state - State returned by Spotify
+ * @returns {Promise<string|null>} User who created the state, or null if it
+ *   is unknown, expired or already used
+ */
+const consumeAuthState = async (state) => {
+  if (typeof state !== "string" || !/^[a-f0-9]{32}$/.test(state)) {
+    return null;
+  }
+
+  const key = cacheService.keys.spotifyAuthState(state);
+  const entry = await cacheService.get(key);
+  // Only the request that deletes the state may use it
+  if (!entry || !(await cacheService.del(key))) {
+    return null;
+  }
+  return entry.userId;
+};
+
+/**
+ * Store a user's Spotify account and tokens
+ * @param {string} userId - User to link
+ * @param {string} spotifyId - Spotify user ID
+ * @param {Object} tokens - Tokens from spotifyService
+ * @returns {Promise<Object|null>} Updated user, or null if not found
+ */
+const saveSpotifyAccount = (userId, spotifyId, tokens) =>
+  User.findByIdAndUpdate(
+    userId,
+    {
+      spotifyId,
+      spotifyAuth: {
+        accessToken: encryptToken(tokens.access_token),
+        refreshToken: encryptToken(tokens.refresh_token),
+        expiresAt: new Date(Date.now() + tokens.expires_in * 1000),
+        scope: tokens.scope,
+        connectedAt: new Date(),
+      },
+    },
+    { new: true }
+  ).select("-password");
+
+/**
+ * Unlink a user's Spotify account and delete its tokens
+ * @param {string} userId - User to unlink
+ * @returns {Promise<boolean>} Whether an account was linked
+ */
+const disconnectSpotify = async (userId) => {
+  const result = await User.updateOne(
+    { _id: userId, spotifyId: { $type: "string" } },
+    { $set: { spotifyId: null }, $unset: { spotifyAuth: 1 } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Swap the refresh token for a new access token and store both
+const refreshTokens = async (user) => {
+  const refreshToken = decryptToken(user.spotifyAuth.refreshToken);
+  if (!refreshToken) {
+    await disconnectSpotify(user._id);
+    return null;
+  }
+
+  let tokens;
+  try {
+    tokens = await spotifyService.refreshAccessToken(refreshToken);
+  } catch (error) {
+    if (error.revoked) {
+      console.log(`🔌 Spotify access revoked for user ${user._id}`);
+      await disconnectSpotify(user._id);
+      return null;
+    }
+    throw error;
+  }
+
+  const update = {
+    "spotifyAuth.accessToken": encryptToken(tokens.access_token),
+    "spotifyAuth.expiresAt": new Date(Date.now() + tokens.expires_in * 1000),
+  };
+  if (tokens.refresh_token) {
+    update["spotifyAuth.refreshToken"] = encryptToken(tokens.refresh_token);
+  }
+  if (tokens.scope) {
+    update["spotifyAuth.scope"] = tokens.scope;
+  }
+  await User.updateOne({ _id: user._id }, { $set: update });
+
+  return tokens.access_token;
+};
+
+/**
+ * Get a usable Spotify access token for a user, refreshing it if expired.
+ * A refresh token Spotify rejects unlinks the account.
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>} Access token, or null if Spotify isn't linked
+ */
+const getSpotifyAccessToken = async (userId) => {
+  const user = await User.findById(userId).select(`spotifyId ${TOKEN_FIELDS}`);
+  if (!user?.spotifyId || !user.spotifyAuth?.refreshToken) {
+    return null;
+  }
+
+  const { accessToken, expiresAt } = user.spotifyAuth;
+  if (accessToken && expiresAt?.getTime() - REFRESH_MARGIN_MS > Date.now()) {
+    const token = decryptToken(accessToken);
+    if (token) {
+      return token;
+    }
+  }
+
+  const key = user._id.toString();
+  if (!refreshes.has(key)) {
+    refreshes.set(
+      key,
+      refreshTokens(user).finally(() => refreshes.delete(key))
+    );
+  }
+  return refreshes.get(key);
+};
+
+/**
+ * Get a user's Spotify access token for a request that needs one
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { accessToken }, or { error } with a 403 when
+ *   Spotify isn't linked and a 502 when the token can't be refreshed
+ */
+const requireSpotifyToken = async (userId) => {
+  try {
+    const accessToken = await getSpotifyAccessToken(userId);
+    if (!accessToken) {
+      return {
+        error: new AppError("Link your Spotify account first", 403),
+      };
+    }
+    return { accessToken };
+  } catch (error) {
+    return {
+      error: new AppError("Could not authorize with Spotify", 502),
+    };
+  }
+};
+
+module.exports = {
+  createAuthState,
+  consumeAuthState,
+  saveSpotifyAccount,
+  disconnectSpotify,
+  getSpotifyAccessToken,
+  requireSpotifyToken,
+};
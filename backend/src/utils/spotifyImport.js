@@ -0,0 +1,71 @@
+const spotifyService = require("../services/spotifyService");
+const { collectSong } = require("./playlistImport");
+
+/**
+ * @fileoverview Spotify playlist imports
+ * @module utils/spotifyImport
+ * @requires ../services/spotifyService
+ * @requires ./playlistImport
+ * @description Reads a Spotify playlist a page at a time and maps its tracks
+ * to songs in the same shape as parsed playlist files, so they go through the
+ * regular import jobs. Rows are positions in the Spotify playlist.
+ */
+
+/**
+ * Read every track of a Spotify playlist as importable songs
+ * @param {string} accessToken - User's Spotify access token
+ * @param {Object} spotifyPlaylist - Playlist from spotifyService.getPlaylist
+ * @param {Function} [onProgress] - Called with (fetched, total) after each page
+ * @returns {Promise<Object>} { songs, errors }
+ */
+const loadSpotifyPlaylistSongs = async (
+  accessToken,
+  spotifyPlaylist,
+  onProgress
+) => {
+  const result = { songs: [], errors: [] };
+  let row = 0;
+
+  for await (const page of spotifyService.getPlaylistTracks(
+    accessToken,
+    spotifyPlaylist.id
+  )) {
+    page.forEach((track) => {
+      row++;
+      if (!track) {
+        result.errors.push({
+          row,
+          reason: "Track is no longer available on Spotify",
+          entry: null,
+        });
+        return;
+      }
+      if (track.type !== "track") {
+        result.errors.push({
+          row,
+          reason: "Only music tracks can be imported",
+          entry: track.name || null,
+        });
+        return;
+      }
+
+      // Local files have no Spotify ID and are matched by artist and title
+      collectSong(result, row, {
+        title: track.name,
+        artist: track.artist,
+        album: track.album,
+        duration: track.duration,
+        spotifyId: track.id,
+        isrc: track.isrc,
+      });
+    });
+
+    if (onProgress) {
+      await onProgress(row, spotifyPlaylist.trackCount);
+    }
+  }
+
+  return result;
+};
+
+module.exports = { loadSpotifyPlaylistSongs };
@@ -0,0 +1,413 @@
+const crypto = require("crypto");
+const Playlist = require("../models/Playlist");
+const Song = require("../models/Song");
+const cacheService = require("../services/cacheService");
+const spotifyService = require("../services/spotifyService");
+const { userRoom } = require("../socket");
+const { SONG_ORDER_SORT } = require("./songOrder");
+const { getFingerprint } = require("./trackCatalog");
+const { MATCH_THRESHOLD, scoreMatch } = require("./trackMatch");
+
+/**
+ * @fileoverview Pushing playlists to Spotify
+ * @module utils/spotifySync
+ * @requires crypto
+ * @requires ../models/Playlist
+ * @requires ../models/Song
+ * @requires ../services/cacheService
+ * @requires ../services/spotifyService
+ * @requires ../socket
+ * @requires ./songOrder
+ * @requires ./trackCatalog
+ * @requires ./trackMatch
+ * @description Keeps a copy of a playlist in a user's Spotify account. Songs
+ * with a Spotify ID map directly; songs with an ISRC are looked up by it; the
+ * rest are searched for and matched by title, artist and duration (see
+ * utils/trackMatch). Matches below the
+ * threshold are reported but left out of the copy. Each sync replaces the
+ * Spotify copy's tracks, so it follows our order, additions and removals.
+ * Syncs that need many searches run as jobs, reporting progress to the
+ * syncing user's room; job state is kept like import jobs (see
+ * utils/importJobs).
+ */
+
+const MATCH_CANDIDATES = 5;
+// Searches run at the same time during a sync
+const SEARCH_CONCURRENCY = 4;
+const MATCH_TTL_SECONDS = 7 * 24 * 60 * 60;
+const NO_MATCH_TTL_SECONDS = 24 * 60 * 60;
+// Syncs that need more searches than this run in the background
+const SYNC_SEARCH_LIMIT = 50;
+// Songs matched between progress updates
+const SYNC_PROGRESS_INTERVAL = 25;
+const JOB_TTL_SECONDS = 24 * 60 * 60;
+
+// Sync jobs started on this instance
+const jobs = new Map();
+
+const matchKey = (song) =>
+  cacheService.keys.spotifyMatch(
+    song.track
+      ? song.track.toString()
+      : Buffer.from(getFingerprint(song)).toString("base64")
+  );
+
+/**
+ * Find the Spotify track for a song without a Spotify ID
+ * @param {string} accessToken - User's Spotify access token
+ * @param {Object} song - Song (title, artist, duration, isrc, track)
+ * @returns {Promise<Object>} { spotifyId, name, artist, confidence, matchedBy }
+ *   for the best candidate; spotifyId is null when nothing was found
+ */
+const findSpotifyMatch = async (accessToken, song) => {
+  const key = matchKey(song);
+  const cached = await cacheService.get(key);
+  if (cached) {
+    return cached;
+  }
+
+  let matchedBy = "isrc";
+  let candidates = song.isrc
+    ? await spotifyService.searchTracksAsUser(
+        accessToken,
+        `isrc:${song.isrc}`,
+        MATCH_CANDIDATES
+      )
+    : [];
+
+  if (candidates.length === 0) {
+    matchedBy = "search";
+    // Quotes would end Spotify's field filters early
+    const clean = (value) => value.replace(/"/g, " ");
+    candidates = await spotifyService.searchTracksAsUser(
+      accessToken,
+      `track:"${clean(song.title)}" artist:"${clean(song.artist)}"`,
+      MATCH_CANDIDATES
+    );
+  }
+
+  let best = {
+    spotifyId: null,
+    name: null,
+    artist: null,
+    confidence: 0,
+    matchedBy,
+  };
+  candidates.forEach((candidate) => {
+    const confidence = scoreMatch(song, candidate);
+    if (confidence > best.confidence) {
+      best = {
+        spotifyId: candidate.id,
+        name: candidate.name,
+        artist: candidate.artist,
+        confidence,
+        matchedBy,
+      };
+    }
+  });
+
+  await cacheService.set(
+    key,
+    best,
+    best.spotifyId ? MATCH_TTL_SECONDS : NO_MATCH_TTL_SECONDS
+  );
+  return best;
+};
+
+// Match every song, a few searches at a time, keeping playlist order
+const matchSongs = async (accessToken, songs, onProgress) => {
+  const results = new Array(songs.length);
+  let next = 0;
+  let matched = 0;
+
+  const worker = async () => {
+    while (next < songs.length) {
+      const index = next++;
+      const song = songs[index];
+      results[index] = song.spotifyId
+        ? { spotifyId: song.spotifyId, confidence: 1, matchedBy: "spotifyId" }
+        : {
+            matchedBy: "search",
+            ...(await findSpotifyMatch(accessToken, song)),
+          };
+
+      matched++;
+      if (
+        onProgress &&
+        (matched % SYNC_PROGRESS_INTERVAL === 0 || matched === songs.length)
+      ) {
+        await onProgress(matched, songs.length);
+      }
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(SEARCH_CONCURRENCY, songs.length) }, worker)
+  );
+  return results;
+};
+
+// Details the Spotify copy takes from our playlist
+const getSpotifyDetails = (playlist) => ({
+  name: playlist.name,
+  description: (playlist.description || "").replace(/[\r\n]+/g, " "),
+  public: playlist.isPublic,
+});
+
+/**
+ * Load a playlist's songs in the order the Spotify copy gets them
+ * @param {string} playlistId - Playlist ID
+ * @returns {Promise<Array<Object>>} Songs with the fields used for matching
+ */
+const loadSyncSongs = (playlistId) =>
+  Song.find({ playlist: playlistId })
+    .select("title artist duration spotifyId isrc mbid track")
+    .sort(SONG_ORDER_SORT)
+    .lean();
+
+/**
+ * Check whether syncing these songs needs enough searches to run in the
+ * background
+ * @param {Array<Object>} songs - Songs from loadSyncSongs
+ * @returns {boolean} True when more than SYNC_SEARCH_LIMIT songs lack a Spotify ID
+ */
+const needsSyncJob = (songs) =>
+  songs.filter((song) => !song.spotifyId).length > SYNC_SEARCH_LIMIT;
+
+/**
+ * Create or update a user's Spotify copy of a playlist
+ * @param {Object} options - Sync options
+ * @param {Object} options.playlist - Playlist document (with spotifyExports selected)
+ * @param {string} options.userId - User whose Spotify account gets the copy
+ * @param {string} options.spotifyUserId - That user's Spotify ID
+ * @param {string} options.accessToken - That user's Spotify access token
+ * @param {Array<Object>} [options.songs] - Songs from loadSyncSongs (loaded if omitted)
+ * @param {Function} [options.onProgress] - Called with (matched, total) as songs are matched
+ * @returns {Promise<Object>} Sync report: the Spotify playlist, whether it
+ *   was created, and each song's match with its confidence
+ */
+const syncPlaylistToSpotify = async ({
+  playlist,
+  userId,
+  spotifyUserId,
+  accessToken,
+  songs,
+  onProgress,
+}) => {
+  if (!songs) {
+    songs = await loadSyncSongs(playlist._id);
+  }
+
+  const matches = await matchSongs(accessToken, songs, onProgress);
+
+  const report = songs.map((song, index) => {
+    const match = matches[index];
+    return {
+      songId: song._id,
+      title: song.title,
+      artist: song.artist,
+      spotifyId: match.spotifyId,
+      confidence: match.confidence,
+      matchedBy: match.matchedBy,
+      included: Boolean(match.spotifyId) && match.confidence >= MATCH_THRESHOLD,
+      ...(match.matchedBy !== "spotifyId" && match.spotifyId
+        ? { candidate: { name: match.name, artist: match.artist } }
+        : {}),
+    };
+  });
+  const uris = report
+    .filter((entry) => entry.included)
+    .map((entry) => `spotify:track:${entry.spotifyId}`);
+
+  const details = getSpotifyDetails(playlist);
+  const existing = (playlist.spotifyExports || []).find(
+    (link) =>
+      link.user.toString() === userId &&
+      link.spotifyUserId === spotifyUserId
+  );
+
+  let spotifyPlaylistId = existing?.spotifyPlaylistId || null;
+  if (spotifyPlaylistId) {
+    try {
+      await spotifyService.updatePlaylistDetails(
+        accessToken,
+        spotifyPlaylistId,
+        details
+      );
+    } catch (error) {
+      // The copy was deleted on Spotify; make a new one
+      if (!error.notFound) {
+        throw error;
+      }
+      spotifyPlaylistId = null;
+    }
+  }
+
+  const created = !spotifyPlaylistId;
+  if (created) {
+    const spotifyPlaylist = await spotifyService.createPlaylist(
+      accessToken,
+      spotifyUserId,
+      details
+    );
+    spotifyPlaylistId = spotifyPlaylist.id;
+  }
+
+  const snapshotId = await spotifyService.replacePlaylistTracks(
+    accessToken,
+    spotifyPlaylistId,
+    uris
+  );
+
+  const link = {
+    user: userId,
+    spotifyUserId,
+    spotifyPlaylistId,
+    snapshotId,
+    syncedAt: new Date(),
+  };
+  await Playlist.updateOne(
+    { _id: playlist._id },
+    { $pull: { spotifyExports: { user: userId } } }
+  );
+  await Playlist.updateOne(
+    { _id: playlist._id },
+    { $push: { spotifyExports: link } }
+  );
+
+  return {
+    spotifyPlaylistId,
+    url: `https://open.spotify.com/playlist/${spotifyPlaylistId}`,
+    created,
+    syncedAt: link.syncedAt,
+    total: songs.length,
+    synced: uris.length,
+    unmatched: report.filter((entry) => !entry.included).length,
+    threshold: MATCH_THRESHOLD,
+    songs: report,
+  };
+};
+
+/**
+ * Store a sync job's current state
+ * @param {Object} job - Sync job
+ * @returns {Promise<void>}
+ */
+const saveJob = async (job) => {
+  jobs.set(job.id, job);
+  await cacheService.set(
+    cacheService.keys.spotifySyncJob(job.id),
+    job,
+    JOB_TTL_SECONDS
+  );
+};
+
+/**
+ * Get a sync job by ID
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Job, or null if unknown or expired
+ */
+const getSyncJob = async (jobId) =>
+  jobs.get(jobId) ||
+  (await cacheService.get(cacheService.keys.spotifySyncJob(jobId)));
+
+/**
+ * Create a job for a sync that runs in the background
+ * @param {Object} options - Job details
+ * @param {string} options.playlistId - Playlist being synced
+ * @param {string} options.userId - User whose Spotify account gets the copy
+ * @param {number} options.total - Songs to match
+ * @returns {Promise<Object>} The queued job
+ */
+const createSyncJob = async ({ playlistId, userId, total }) => {
+  const job = {
+    id: crypto.randomUUID(),
+    playlistId: playlistId.toString(),
+    userId,
+    status: "queued",
+    total,
+    matched: 0,
+    spotify: null,
+    createdAt: new Date(),
+    finishedAt: null,
+    error: null,
+  };
+
+  await saveJob(job);
+  // Keep finished jobs in memory only as long as Redis would
+  setTimeout(() => jobs.delete(job.id), JOB_TTL_SECONDS * 1000).unref();
+
+  return job;
+};
+
+/**
+ * Run a sync as a job, sending `spotify-sync-progress` and then
+ * `spotify-sync-completed` or `spotify-sync-failed` to the user's room.
+ * Never throws: failures are recorded on the job.
+ * @param {import("socket.io").Server} io - Socket.IO server (may be undefined)
+ * @param {Object} job - Job from createSyncJob
+ * @param {Object} options - Options for syncPlaylistToSpotify
+ * @returns {Promise<Object>} The finished job
+ */
+const runSyncJob = async (io, job, options) => {
+  const emit = (event, payload) => {
+    if (io) {
+      io.to(userRoom(job.userId)).emit(event, {
+        playlistId: job.playlistId,
+        jobId: job.id,
+        ...payload,
+      });
+    }
+  };
+
+  job.status = "running";
+  await saveJob(job);
+
+  try {
+    const report = await syncPlaylistToSpotify({
+      ...options,
+      onProgress: async (matched, total) => {
+        job.matched = matched;
+        await saveJob(job);
+        emit("spotify-sync-progress", { matched, total });
+      },
+    });
+
+    job.status = "completed";
+    job.spotify = report;
+    job.finishedAt = new Date();
+    await saveJob(job);
+
+    emit("spotify-sync-completed", {
+      spotifyPlaylistId: report.spotifyPlaylistId,
+      url: report.url,
+      created: report.created,
+      total: report.total,
+      synced: report.synced,
+      unmatched: report.unmatched,
+    });
+    console.log(
+      `🎧 Spotify sync ${job.id} completed: ${report.synced}/${report.total} songs to Spotify playlist ${report.spotifyPlaylistId}`
+    );
+  } catch (error) {
+    job.status = "failed";
+    job.error = error.message;
+    job.finishedAt = new Date();
+    await saveJob(job);
+
+    emit("spotify-sync-failed", { error: error.message });
+    console.error(`❌ Spotify sync ${job.id} failed:`, error.message);
+  }
+
+  return job;
+};
+
+module.exports = {
+  findSpotifyMatch,
+  loadSyncSongs,
+  needsSyncJob,
+  syncPlaylistToSpotify,
+  createSyncJob,
+  runSyncJob,
+  getSyncJob,
+};
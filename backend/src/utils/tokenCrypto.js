@@ -0,0 +1,74 @@
+const crypto = require("crypto");
+const config = require("../config/index");
+
+/**
+ * @fileoverview Encryption for stored OAuth tokens
+ * @module utils/tokenCrypto
+ * @requires crypto
+ * @requires ../config/index
+ * @description Encrypts tokens with AES-256-GCM under a key derived from
+ * config.tokenEncryptionKey. Stored values look like
+ * `v1.<iv>.<auth tag>.<ciphertext>`, each part base64url encoded, so the key
+ * scheme can change later without breaking existing values.
+ */
+
+const ALGORITHM = "aes-256-gcm";
+const VERSION = "v1";
+const IV_BYTES = 12;
+
+// Derive a 32-byte key so any secret string can be configured
+const getKey = () => {
+  if (!config.tokenEncryptionKey) {
+    throw new Error("TOKEN_ENCRYPTION_KEY is not configured");
+  }
+  return crypto.createHash("sha256").update(config.tokenEncryptionKey).digest();
+};
+
+/**
+ * Encrypt a token for storage
+ * @param {string} plaintext - Token to encrypt
+ * @returns {string} Encrypted token
+ */
+const encryptToken = (plaintext) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(plaintext, "utf8"),
+    cipher.final(),
+  ]);
+
+  return [VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => (typeof part === "string" ? part : part.toString("base64url")))
+    .join(".");
+};
+
+/**
+ * Decrypt a stored token
+ * @param {string} value - Value from encryptToken
+ * @returns {string|null} Token, or null if the value can't be decrypted
+ *   (tampered with, or encrypted under a different key)
+ */
+const decryptToken = (value) => {
+  const [version, iv, tag, ciphertext] = String(value || "").split(".");
+  if (version !== VERSION || !iv || !tag || !ciphertext) {
+    return null;
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(
+      ALGORITHM,
+      getKey(),
+      Buffer.from(iv, "base64url")
+    );
+    decipher.setAuthTag(Buffer.from(tag, "base64url"));
+    return Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, "base64url")),
+      decipher.final(),
+    ]).toString("utf8");
+  } catch (error) {
+    console.error("❌ Could not decrypt stored token:", error.message);
+    return null;
+  }
+};
+
+module.exports = { encryptToken, decryptToken };
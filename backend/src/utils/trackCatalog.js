@@ -0,0 +1,175 @@
+const Track = require("../models/Track");
+
+/**
+ * @fileoverview Shared track catalog lookups
+ * @module utils/trackCatalog
+ * @requires ../models/Track
+ * @description A Track is one recording, shared by every playlist entry
+ * (Song) that features it. Tracks are matched by MusicBrainz recording ID
+ * (MBID), Spotify or YouTube ID first, then by ISRC, then by normalized
+ * artist and title. Entries keep a copy of the track's fields so listings
+ * and search don't need a join.
+ */
+
+// Track fields copied onto each playlist entry
+const ENTRY_FIELDS = [
+  "title",
+  "artist",
+  "album",
+  "duration",
+  "spotifyId",
+  "youtubeId",
+  "isrc",
+  "mbid",
+  "metadata",
+];
+
+const normalize = (value = "") =>
+  value.toString().trim().toLowerCase().replace(/\s+/g, " ");
+
+/**
+ * Build the catalog fingerprint for a track
+ * @param {Object} fields - Track fields
+ * @param {string} fields.artist - Artist name
+ * @param {string} fields.title - Track title
+ * @returns {string} Normalized "artist / title"
+ */
+const getFingerprint = ({ artist, title }) =>
+  `${normalize(artist)} / ${normalize(title)}`;
+
+const isDuplicateKey = (error) => error?.code === 11000;
+
+/**
+ * Build query conditions matching the same recording by MBID or ISRC
+ * @param {Object} fields - Track or song fields
+ * @param {string} [fields.mbid] - MusicBrainz recording ID
+ * @param {string} [fields.isrc] - ISRC
+ * @returns {Array<Object>} Conditions for an $or (empty without either ID)
+ */
+const getRecordingConditions = ({ mbid, isrc }) => [
+  ...(mbid ? [{ mbid }] : []),
+  ...(isrc ? [{ isrc }] : []),
+];
+
+/**
+ * Find the catalog track for a song, adding it to the catalog if it is new.
+ * A track matched by ISRC or by artist and title that carries a different
+ * external ID is treated as another recording. ISRCs and MBIDs are expected
+ * normalized (see utils/trackMatch).
+ * @param {Object} fields - Song fields (title, artist, album, duration,
+ *   spotifyId, youtubeId, isrc, mbid, metadata)
+ * @returns {Promise<Object>} Track document
+ */
+const findOrCreateTrack = async (fields) => {
+  const { spotifyId, youtubeId, isrc, mbid } = fields;
+  const fingerprint = getFingerprint(fields);
+
+  // IDs that belong to one catalog track each
+  const byExternalId = [];
+  if (mbid) {
+    byExternalId.push({ mbid });
+  }
+  if (spotifyId) {
+    byExternalId.push({ spotifyId });
+  }
+  if (youtubeId) {
+    byExternalId.push({ youtubeId });
+  }
+
+  let track =
+    byExternalId.length > 0
+      ? await Track.findOne({ $or: byExternalId })
+      : null;
+
+  // Tracks already holding another of these IDs are other recordings
+  const unclaimed = {
+    ...(mbid && { mbid: null }),
+    ...(spotifyId && { spotifyId: null }),
+    ...(youtubeId && { youtubeId: null }),
+  };
+
+  if (!track && isrc) {
+    track = await Track.findOne({ isrc, ...unclaimed });
+  }
+
+  if (!track) {
+    track = await Track.findOne({
+      fingerprint,
+      ...unclaimed,
+      ...(isrc && { isrc: null }),
+    });
+  }
+
+  if (track) {
+    // Learn external IDs the catalog didn't have yet
+    const missing = {};
+    if (spotifyId && !track.spotifyId) {
+      missing.spotifyId = spotifyId;
+    }
+    if (youtubeId && !track.youtubeId) {
+      missing.youtubeId = youtubeId;
+    }
+    if (isrc && !track.isrc) {
+      missing.isrc = isrc;
+    }
+    if (mbid && !track.mbid) {
+      missing.mbid = mbid;
+    }
+    if (Object.keys(missing).length > 0) {
+      try {
+        track.set(missing);
+        await track.save();
+      } catch (error) {
+        // Another request linked the ID to a track first
+        if (!isDuplicateKey(error)) {
+          throw error;
+        }
+        return Track.findById(track._id);
+      }
+    }
+    return track;
+  }
+
+  try {
+    return await Track.create({
+      title: fields.title,
+      artist: fields.artist,
+      album: fields.album,
+      duration: fields.duration,
+      spotifyId,
+      youtubeId,
+      isrc,
+      mbid,
+      metadata: fields.metadata,
+      fingerprint,
+    });
+  } catch (error) {
+    // Another request added the same track first
+    if (isDuplicateKey(error)) {
+      return Track.findOne({ $or: byExternalId });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Get the fields a playlist entry stores for a track
+ * @param {Object} track - Track document
+ * @returns {Object} Track reference and copied fields
+ */
+const getEntryFields = (track) => {
+  const fields = { track: track._id };
+  ENTRY_FIELDS.forEach((field) => {
+    if (track[field] !== undefined) {
+      fields[field] = track[field];
+    }
+  });
+  return fields;
+};
+
+module.exports = {
+  getFingerprint,
+  getRecordingConditions,
+  findOrCreateTrack,
+  getEntryFields,
+};
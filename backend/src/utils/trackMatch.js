@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Matching tracks across music services
+ * @module utils/trackMatch
+ * @description Scores how likely a search result from another service is
+ * the same recording as one of our songs. A shared MusicBrainz recording ID
+ * (MBID) or ISRC settles it; otherwise the score comes from title, artist and
+ * duration. Scores run from 0 to 1; results at or above MATCH_THRESHOLD are
+ * treated as the same recording.
+ */
+
+/**
+ * Lowest confidence accepted as a match
+ * @type {number}
+ */
+const MATCH_THRESHOLD = 0.75;
+
+const ISRC_PATTERN = /^[A-Z]{2}[A-Z0-9]{3}\d{7}$/;
+const MBID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Normalize an ISRC, which is often written with hyphens ("GB-EMI-75-00010")
+ * @param {string} value - ISRC
+ * @returns {string|null} Upper case ISRC without separators, or null if invalid
+ */
+const normalizeIsrc = (value) => {
+  const isrc = String(value ?? "")
+    .replace(/[\s-]/g, "")
+    .toUpperCase();
+  return ISRC_PATTERN.test(isrc) ? isrc : null;
+};
+
+/**
+ * Normalize a MusicBrainz ID
+ * @param {string} value - MBID
+ * @returns {string|null} Lower case MBID, or null if invalid
+ */
+const normalizeMbid = (value) => {
+  const mbid = String(value ?? "")
+    .trim()
+    .toLowerCase();
+  return MBID_PATTERN.test(mbid) ? mbid : null;
+};
+
+/**
+ * Check whether two tracks share a recording ID. MBIDs are compared when
+ * both have one, since a recording can be released under several ISRCs.
+ * @param {Object} a - Track with optional mbid and isrc
+ * @param {Object} b - Track with optional mbid and isrc
+ * @returns {boolean} Whether they are known to be the same recording
+ */
+const sameRecording = (a, b) => {
+  const mbids = [normalizeMbid(a.mbid), normalizeMbid(b.mbid)];
+  if (mbids[0] && mbids[1]) {
+    return mbids[0] === mbids[1];
+  }
+  const isrc = normalizeIsrc(a.isrc);
+  return Boolean(isrc) && isrc === normalizeIsrc(b.isrc);
+};
+
+// Lowercase, drop accents, bracketed notes ("(Remastered 2011)") and punctuation
+const simplify = (text = "") =>
+  text
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/\s*[([][^)\]]*[)\]]/g, "")
+    .replace(/\s+-\s+.*\b(remaster(ed)?|version|live|edit|mix)\b.*$/, "")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+
+// Dice coefficient over the words of two strings
+const similarity = (a, b) => {
+  const left = new Set(simplify(a).split(" ").filter(Boolean));
+  const right = new Set(simplify(b).split(" ").filter(Boolean));
+  if (left.size === 0 || right.size === 0) {
+    return 0;
+  }
+  const shared = [...left].filter((word) => right.has(word)).length;
+  return (2 * shared) / (left.size + right.size);
+};
+
+/**
+ * Score how likely a search result is the same recording as a song
+ * @param {Object} song - Song (title, artist, duration in seconds, optional
+ *   mbid and isrc)
+ * @param {Object} candidate - Result with name, artist, optional artists
+ *   (each credited artist), duration in seconds and optional mbid and isrc
+ * @returns {number} Confidence from 0 to 1, rounded to two decimals
+ */
+const scoreMatch = (song, candidate) => {
+  if (sameRecording(song, candidate)) {
+    return 1;
+  }
+
+  const title = similarity(song.title, candidate.name);
+  // Our artist may name only the main artist, or all of them
+  const artist = Math.max(
+    similarity(song.artist, candidate.artist),
+    ...(candidate.artists || []).map((name) => similarity(song.artist, name))
+  );
+  const difference = Math.abs((song.duration || 0) - (candidate.duration || 0));
+  const duration = difference <= 3 ? 1 : Math.max(0, 1 - (difference - 3) / 30);
+
+  return Math.round((0.5 * title + 0.3 * artist + 0.2 * duration) * 100) / 100;
+};
+
+/**
+ * Group search results from several services by recording. Results sharing
+ * an MBID or ISRC are one recording; results with neither (such as YouTube
+ * videos) join the recording they score best against, if at or above
+ * MATCH_THRESHOLD.
+ * @param {Object<string, Array<Object>>} results - Tracks keyed by service
+ * @returns {Array<Object>} Recordings found on more than one service:
+ *   { mbid, isrc, title, artist, sources: [{ service, index, id }] }, where
+ *   index is the track's position in that service's results
+ */
+const groupRecordings = (results) => {
+  const entries = Object.entries(results).flatMap(([service, tracks]) =>
+    tracks.map((track, index) => ({
+      service,
+      index,
+      track,
+      mbid: normalizeMbid(track.mbid),
+      isrc: normalizeIsrc(track.isrc),
+    }))
+  );
+  const identified = entries.filter((entry) => entry.mbid || entry.isrc);
+  // Results with both IDs go first so they can link the others
+  identified.sort(
+    (a, b) =>
+      Number(Boolean(b.mbid && b.isrc)) - Number(Boolean(a.mbid && a.isrc))
+  );
+
+  const groups = [];
+  identified.forEach((entry) => {
+    const group = groups.find((candidate) => sameRecording(candidate, entry));
+    if (group) {
+      group.mbid = group.mbid || entry.mbid;
+      group.isrc = group.isrc || entry.isrc;
+      group.entries.push(entry);
+    } else {
+      groups.push({ mbid: entry.mbid, isrc: entry.isrc, entries: [entry] });
+    }
+  });
+
+  entries
+    .filter((entry) => !entry.mbid && !entry.isrc)
+    .forEach((entry) => {
+      let best = null;
+      let bestScore = MATCH_THRESHOLD;
+      groups.forEach((group) => {
+        const { track } = group.entries[0];
+        const score = scoreMatch(
+          { title: track.name, artist: track.artist, duration: track.duration },
+          entry.track
+        );
+        if (score >= bestScore) {
+          best = group;
+          bestScore = score;
+        }
+      });
+      if (best) {
+        best.entries.push(entry);
+      }
+    });
+
+  return groups
+    .filter(
+      (group) => new Set(group.entries.map((entry) => entry.service)).size > 1
+    )
+    .map((group) => ({
+      mbid: group.mbid,
+      isrc: group.isrc,
+      title: group.entries[0].track.name,
+      artist: group.entries[0].track.artist,
+      sources: group.entries.map(({ service, index, track }) => ({
+        service,
+        index,
+        id: track.id || null,
+      })),
+    }));
+};
+
+module.exports = {
+  MATCH_THRESHOLD,
+  normalizeIsrc,
+  normalizeMbid,
+  sameRecording,
+  scoreMatch,
+  groupRecordings,
+};
@@ -0,0 +1,99 @@
+const mongoose = require("mongoose");
+const Song = require("../models/Song");
+const Track = require("../models/Track");
+const config = require("../config/index");
+const { findOrCreateTrack } = require("./trackCatalog");
+
+/**
+ * @fileoverview Track catalog migration
+ * @module utils/trackMigration
+ * @requires mongoose
+ * @requires ../models/Song
+ * @requires ../models/Track
+ * @requires ../config/index
+ * @requires ./trackCatalog
+ * @description Links songs created before the track catalog existed to a
+ * Track, adding tracks to the catalog as needed. Safe to run more than once:
+ * songs that already reference a track are skipped. A song that can't be
+ * linked (e.g. a legacy song missing a required field) is logged and left
+ * for a later run; the rest are still linked.
+ */
+
+/**
+ * Link every song without a track, including songs in the trash
+ * @returns {Promise<Object>} { songs, tracks, failed } linked songs, new
+ * tracks and songs that couldn't be linked
+ */
+const migrateSongsToTracks = async () => {
+  await Track.createIndexes();
+  const tracksBefore = await Track.countDocuments();
+
+  // The raw collection skips the soft-delete filter so trashed songs are linked
+  const cursor = Song.collection.find(
+    { track: { $exists: false } },
+    {
+      projection: {
+        title: 1,
+        artist: 1,
+        album: 1,
+        duration: 1,
+        spotifyId: 1,
+        youtubeId: 1,
+        metadata: 1,
+      },
+    }
+  );
+
+  let songs = 0;
+  let failed = 0;
+  for await (const song of cursor) {
+    try {
+      const track = await findOrCreateTrack(song);
+      await Song.collection.updateOne(
+        { _id: song._id },
+        { $set: { track: track._id } }
+      );
+    } catch (error) {
+      failed++;
+      console.error(`❌ Could not link song ${song._id}:`, error.message);
+      continue;
+    }
+
+    songs++;
+    if (songs % 500 === 0) {
+      console.log(`🔄 Linked ${songs} songs...`);
+    }
+  }
+
+  const tracks = (await Track.countDocuments()) - tracksBefore;
+  return { songs, tracks, failed };
+};
+
+// Run the migration when invoked directly
+if (require.main === module) {
+  (async () => {
+    try {
+      await mongoose.connect(config.mongoUri);
+      console.log("🔗 Connected to MongoDB");
+
+      const { songs, tracks, failed } = await migrateSongsToTracks();
+      console.log(
+        `✅ Track migration completed: ${songs} songs linked, ${tracks} tracks added`
+      );
+      if (failed > 0) {
+        console.log(
+          `⚠️  ${failed} songs could not be linked; fix them and run the migration again`
+        );
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error("❌ Track migration failed:", error);
+      process.exitCode = 1;
+    } finally {
+      await mongoose.connection.close();
+      console.log("🔌 Database connection closed");
+    }
+  })();
+}
+
+module.exports = { migrateSongsToTracks };
@@ -0,0 +1,164 @@
+const Playlist = require("../models/Playlist");
+const Song = require("../models/Song");
+const SongSuggestion = require("../models/SongSuggestion");
+const Invitation = require("../models/Invitation");
+const ShareLink = require("../models/ShareLink");
+const PlaylistRevision = require("../models/PlaylistRevision");
+const config = require("../config/index");
+const { orderAfter, findPreviousSongId } = require("./songOrder");
+
+/**
+ * @fileoverview Trash helpers and the background purge job
+ * @module utils/trash
+ * @requires ../models/Playlist
+ * @requires ../models/Song
+ * @requires ../models/SongSuggestion
+ * @requires ../models/Invitation
+ * @requires ../models/ShareLink
+ * @requires ../models/PlaylistRevision
+ * @requires ../config/index
+ * @requires ./songOrder
+ * @description Deleted playlists and removed songs are soft deleted and kept
+ * for config.trashRetentionDays, after which the purge job removes them.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Get when a trashed item will be purged
+ * @param {Date} deletedAt - When the item was trashed
+ * @returns {Date} Purge date
+ */
+const getPurgeDate = (deletedAt) =>
+  new Date(new Date(deletedAt).getTime() + config.trashRetentionDays * DAY_MS);
+
+/**
+ * Move a song to the trash, remembering its position
+ * @param {Object} song - Song document (live)
+ * @param {string} userId - User trashing the song
+ * @returns {Promise<Object>} The trashed song
+ */
+const trashSong = async (song, userId) => {
+  const playlistId = song.playlist.toString();
+  const previousSongId = await findPreviousSongId(playlistId, song);
+
+  song.deletedAt = new Date();
+  song.deletedBy = userId;
+  song.deletedAfter = previousSongId;
+  await song.save();
+
+  await Playlist.updateOne(
+    { _id: playlistId },
+    { $pull: { songs: song._id }, updatedAt: Date.now() }
+  );
+
+  return song;
+};
+
+/**
+ * Bring a song back from the trash, in its old position where possible:
+ * after the song it used to follow, or at its old order if that one is gone
+ * @param {import("socket.io").Server} io - Socket.IO server (may be undefined)
+ * @param {Object} song - Song document (trashed)
+ * @returns {Promise<Object>} The restored song
+ */
+const untrashSong = async (io, song) => {
+  const playlistId = song.playlist.toString();
+  const afterSongId = song.deletedAfter ? song.deletedAfter.toString() : null;
+
+  const canFollow =
+    afterSongId === null ||
+    (await Song.exists({ _id: afterSongId, playlist: playlistId }));
+  if (canFollow) {
+    song.order = await orderAfter(io, playlistId, song._id, afterSongId);
+  }
+
+  song.deletedAt = null;
+  song.deletedBy = undefined;
+  song.deletedAfter = undefined;
+  await song.save();
+
+  await Playlist.updateOne(
+    { _id: playlistId },
+    { $addToSet: { songs: song._id }, updatedAt: Date.now() }
+  );
+
+  return song;
+};
+
+/**
+ * Permanently delete a trashed playlist with its songs and related records
+ * @param {string} playlistId - Playlist ID
+ * @returns {Promise<void>}
+ */
+const purgePlaylist = async (playlistId) => {
+  await Promise.all([
+    Song.deleteMany({ playlist: playlistId, deletedAt: null }),
+    Song.deleteMany({ playlist: playlistId, deletedAt: { $ne: null } }),
+    SongSuggestion.deleteMany({ playlist: playlistId }),
+    Invitation.deleteMany({ playlist: playlistId }),
+    ShareLink.deleteMany({ playlist: playlistId }),
+    PlaylistRevision.deleteMany({ playlist: playlistId }),
+  ]);
+
+  await Playlist.deleteOne({ _id: playlistId, deletedAt: { $ne: null } });
+};
+
+/**
+ * Purge every trashed playlist and song past the retention period
+ * @returns {Promise<Object>} { playlists, songs } purged counts
+ */
+const purgeExpired = async () => {
+  const cutoff = new Date(Date.now() - config.trashRetentionDays * DAY_MS);
+
+  const playlists = await Playlist.find({ deletedAt: { $lte: cutoff } })
+    .select("_id")
+    .lean();
+  for (const playlist of playlists) {
+    await purgePlaylist(playlist._id);
+  }
+
+  const { deletedCount } = await Song.deleteMany({
+    deletedAt: { $lte: cutoff },
+  });
+
+  return { playlists: playlists.length, songs: deletedCount };
+};
+
+/**
+ * Start purging expired trash every hour
+ * @returns {Function} Stops the job
+ */
+const startTrashPurgeJob = () => {
+  const run = async () => {
+    try {
+      const purged = await purgeExpired();
+      if (purged.playlists > 0 || purged.songs > 0) {
+        console.log(
+          `🗑️  Purged ${purged.playlists} playlists and ${purged.songs} songs from the trash`
+        );
+      }
+    } catch (error) {
+      console.error("❌ Trash purge failed:", error.message);
+    }
+  };
+
+  const timer = setInterval(run, PURGE_INTERVAL_MS);
+  timer.unref();
+
+  console.log(
+    `🗑️  Trash purge scheduled (retention ${config.trashRetentionDays} days)`
+  );
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  getPurgeDate,
+  trashSong,
+  untrashSong,
+  purgePlaylist,
+  purgeExpired,
+  startTrashPurgeJob,
+};
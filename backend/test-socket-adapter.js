@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+
+/**
+ * Integration test for the Socket.IO Redis adapter
+ * Starts two in-process servers against a local Redis and checks that room
+ * broadcasts and socket lookups reach clients connected to the other node.
+ */
+
+const http = require('http');
+const { Server } = require('socket.io');
+const { io: ioClient } = require('socket.io-client');
+const jwt = require('jsonwebtoken');
+const config = require('./src/config/index');
+const socketAuth = require('./src/middleware/socketAuth');
+const { attachRedisAdapter } = require('./src/socket/redisAdapter');
+const { playlistRoom } = require('./src/socket');
+
+const PLAYLIST_ID = 'adapter-test-playlist';
+const TIMEOUT_MS = 5000;
+
+// Colors for console output
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m'
+};
+
+const log = {
+  success: (msg) => console.log(`${colors.green}✅ ${msg}${colors.reset}`),
+  error: (msg) => console.log(`${colors.red}❌ ${msg}${colors.reset}`),
+  info: (msg) => console.log(`${colors.blue}ℹ️  ${msg}${colors.reset}`)
+};
+
+// Start a Socket.IO node on a random port with the Redis adapter attached
+async function startNode(name) {
+  const server = http.createServer();
+  const io = new Server(server);
+
+  const closeAdapter = await attachRedisAdapter(io);
+  if (!closeAdapter) {
+    throw new Error(`Redis adapter could not be attached on ${name}`);
+  }
+
+  io.use(socketAuth);
+  io.on('connection', (socket) => {
+    socket.join(playlistRoom(PLAYLIST_ID));
+  });
+
+  await new Promise((resolve) => server.listen(0, resolve));
+  const { port } = server.address();
+  log.info(`${name} listening on port ${port}`);
+
+  return {
+    io,
+    port,
+    close: async () => {
+      io.close();
+      await closeAdapter();
+    }
+  };
+}
+
+// Connect an authenticated client to a node
+function connectClient(port, userId) {
+  const token = jwt.sign({ userId }, config.jwtSecret, { expiresIn: '5m' });
+  const socket = ioClient(`http://localhost:${port}`, {
+    auth: { token },
+    transports: ['websocket'],
+    reconnection: false
+  });
+
+  return new Promise((resolve, reject) => {
+    socket.on('connect', () => resolve(socket));
+    socket.on('connect_error', reject);
+  });
+}
+
+// Resolve with the first payload of an event, or reject after a timeout
+function waitForEvent(socket, event) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(
+      () => reject(new Error(`Timed out waiting for "${event}"`)),
+      TIMEOUT_MS
+    );
+    socket.once(event, (payload) => {
+      clearTimeout(timer);
+      resolve(payload);
+    });
+  });
+}
+
+async function testSocketAdapter() {
+  log.info('Starting Socket.IO Redis adapter tests...\n');
+
+  const nodes = [];
+  const clients = [];
+  let failures = 0;
+
+  try {
+    const nodeA = await startNode('Node A');
+    const nodeB = await startNode('Node B');
+    nodes.push(nodeA, nodeB);
+
+    const clientOnA = await connectClient(nodeA.port, 'user-a');
+    const clientOnB = await connectClient(nodeB.port, 'user-b');
+    clients.push(clientOnA, clientOnB);
+
+    // Give the adapters a moment to finish subscribing
+    await new Promise((resolve) => setTimeout(resolve, 200));
+
+    const tests = [
+      {
+        name: 'song-added from Node A reaches a client on Node B',
+        test: async () => {
+          const received = waitForEvent(clientOnB, 'song-added');
+          nodeA.io.to(playlistRoom(PLAYLIST_ID)).emit('song-added', {
+            playlistId: PLAYLIST_ID,
+            song: { title: 'Bohemian Rhapsody' }
+          });
+          const payload = await received;
+          return payload.song.title === 'Bohemian Rhapsody';
+        }
+      },
+      {
+        name: 'playlist-updated from Node B reaches a client on Node A',
+        test: async () => {
+          const received = waitForEvent(clientOnA, 'playlist-updated');
+          nodeB.io.to(playlistRoom(PLAYLIST_ID)).emit('playlist-updated', {
+            _id: PLAYLIST_ID,
+            name: 'Road Trip'
+          });
+          const payload = await received;
+          return payload.name === 'Road Trip';
+        }
+      },
+      {
+        name: 'fetchSockets on Node A sees sockets connected to Node B',
+        test: async () => {
+          const sockets = await nodeA.io
+            .in(playlistRoom(PLAYLIST_ID))
+            .fetchSockets();
+          const userIds = sockets.map((socket) => socket.data.userId).sort();
+          return userIds.join(',') === 'user-a,user-b';
+        }
+      }
+    ];
+
+    for (const { name, test } of tests) {
+      try {
+        if (await test()) {
+          log.success(name);
+        } else {
+          failures++;
+          log.error(`${name}: unexpected result`);
+        }
+      } catch (error) {
+        failures++;
+        log.error(`${name}: ${error.message}`);
+      }
+    }
+  } catch (error) {
+    failures++;
+    log.error(`Setup failed: ${error.message}`);
+  } finally {
+    clients.forEach((client) => client.disconnect());
+    for (const node of nodes) {
+      await node.close();
+    }
+  }
+
+  console.log('');
+  if (failures > 0) {
+    log.error(`${failures} test(s) failed`);
+    process.exit(1);
+  }
+  log.success('All Socket.IO adapter tests passed!');
+  process.exit(0);
+}
+
+testSocketAdapter();
@@ -0,0 +1,579 @@
+/**
+ * Playlist file parsing, import planning and export → import round trips.
+ * Parsers and exporters are pure; planImport reads the playlist's songs and
+ * pending suggestions through mocked models.
+ */
+
+// Thenable query chain resolving to a fixed value
+const query = (value) => {
+  const chain = {
+    select: () => chain,
+    populate: () => chain,
+    sort: () => chain,
+    lean: () => Promise.resolve(value),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return chain;
+};
+
+jest.mock("../src/models/Song", () => ({ find: jest.fn() }));
+jest.mock("../src/models/SongSuggestion", () => ({ find: jest.fn() }));
+jest.mock("../src/services/cacheService", () => ({
+  get: jest.fn(),
+  set: jest.fn(),
+  invalidate: jest.fn(),
+  keys: {},
+}));
+jest.mock("../src/socket/playlistEvents", () => ({
+  publishPlaylistEvent: jest.fn(),
+}));
+jest.mock("../src/utils/playlistHistory", () => ({ recordChange: jest.fn() }));
+
+const Song = require("../src/models/Song");
+const SongSuggestion = require("../src/models/SongSuggestion");
+const {
+  detectFormat,
+  decodeUpload,
+  parseDuration,
+  parsePlaylistFile,
+} = require("../src/utils/playlistImport");
+const { EXPORT_FORMATS } = require("../src/utils/playlistExport");
+const { planImport } = require("../src/utils/importJobs");
+
+const CREATOR_ID = "64b000000000000000000001";
+const EDITOR_ID = "64b000000000000000000002";
+const PLAYLIST_ID = "64b000000000000000000003";
+
+describe("detectFormat", () => {
+  it("goes by the file extension", () => {
+    expect(detectFormat("Road Trip.M3U", "")).toBe("m3u");
+    expect(detectFormat("mix.m3u8", "")).toBe("m3u8");
+    expect(detectFormat("mix.xspf", "")).toBe("xspf");
+    expect(detectFormat("mix.csv", "")).toBe("csv");
+  });
+
+  it("falls back to the contents", () => {
+    expect(detectFormat("upload", "\n#EXTM3U\n")).toBe("m3u8");
+    expect(
+      detectFormat("upload", '<?xml version="1.0"?>\n<playlist version="1">')
+    ).toBe("xspf");
+    expect(detectFormat("upload.txt", "title,artist")).toBeNull();
+  });
+});
+
+describe("decodeUpload", () => {
+  it("strips a UTF-8 byte order mark", () => {
+    expect(decodeUpload(Buffer.from("\uFEFFtitle,artist", "utf8"))).toBe(
+      "title,artist"
+    );
+  });
+
+  it("reads invalid UTF-8 as Latin-1", () => {
+    expect(decodeUpload(Buffer.from("Beyonc\xe9", "latin1"))).toBe("Beyoncé");
+  });
+});
+
+describe("parseDuration", () => {
+  it("reads seconds, m:ss and h:mm:ss", () => {
+    expect(parseDuration("245")).toBe(245);
+    expect(parseDuration(245.5)).toBe(245.5);
+    expect(parseDuration("4:05")).toBe(245);
+    expect(parseDuration("1:02:03")).toBe(3723);
+  });
+
+  it("returns null for anything else", () => {
+    expect(parseDuration("")).toBeNull();
+    expect(parseDuration(undefined)).toBeNull();
+    expect(parseDuration("4:65")).toBeNull();
+    expect(parseDuration("four minutes")).toBeNull();
+  });
+});
+
+describe("parsePlaylistFile with M3U", () => {
+  it("reads #EXTINF entries, links and bare file names", () => {
+    const { name, songs, errors } = parsePlaylistFile(
+      "m3u8",
+      [
+        "#EXTM3U",
+        "#PLAYLIST:Road Trip",
+        "#EXTINF:354,Queen - Bohemian Rhapsody",
+        "#EXTALB:A Night at the Opera",
+        "https://open.spotify.com/track/4u7EnebtmKWzUH433cf5Qv?si=abc",
+        '#EXTINF:213 tvg-id="x",Rick Astley - Never Gonna Give You Up',
+        "https://www.youtube.com/watch?v=dQw4w9WgXcQ",
+        "#EXTINF:200.6,Daft Punk - One More Time",
+        "C:\\Music\\Daft Punk - One More Time.mp3",
+      ].join("\r\n")
+    );
+
+    expect(name).toBe("Road Trip");
+    expect(errors).toEqual([]);
+    expect(songs).toEqual([
+      expect.objectContaining({
+        row: 5,
+        title: "Bohemian Rhapsody",
+        artist: "Queen",
+        album: "A Night at the Opera",
+        duration: 354,
+        spotifyId: "4u7EnebtmKWzUH433cf5Qv",
+      }),
+      expect.objectContaining({
+        row: 7,
+        title: "Never Gonna Give You Up",
+        artist: "Rick Astley",
+        album: "",
+        duration: 213,
+        youtubeId: "dQw4w9WgXcQ",
+      }),
+      // Fractional durations are rounded to whole seconds
+      expect.objectContaining({
+        row: 9,
+        title: "One More Time",
+        artist: "Daft Punk",
+        duration: 201,
+      }),
+    ]);
+  });
+
+  it("reports entries it can't import by their location line", () => {
+    const { songs, errors } = parsePlaylistFile(
+      "m3u",
+      [
+        "#EXTM3U",
+        "#EXTINF:-1,Unknown Artist - Stream",
+        "http://radio.example/stream",
+        "#EXTINF:180",
+        "song.mp3",
+        "/music/Untitled.mp3",
+      ].join("\n")
+    );
+
+    expect(songs).toEqual([]);
+    expect(errors).toEqual([
+      {
+        row: 3,
+        reason: "Missing or invalid duration",
+        entry: "Unknown Artist - Stream",
+      },
+      { row: 4, reason: "Malformed #EXTINF line", entry: "#EXTINF:180" },
+      { row: 5, reason: "Missing artist", entry: "song" },
+      { row: 6, reason: "Missing artist", entry: "Untitled" },
+    ]);
+  });
+});
+
+describe("parsePlaylistFile with XSPF", () => {
+  it("reads tracks, identifiers and millisecond durations", () => {
+    const { name, songs, errors } = parsePlaylistFile(
+      "xspf",
+      `<?xml version="1.0" encoding="UTF-8"?>
+<playlist version="1" xmlns="http://xspf.org/ns/0/">
+  <title>Rock &amp; Roll</title>
+  <trackList>
+    <track>
+      <location>file:///music/01.flac</location>
+      <identifier>spotify:track:4u7EnebtmKWzUH433cf5Qv</identifier>
+      <title>Bohemian Rhapsody</title>
+      <creator>Queen</creator>
+      <album><![CDATA[A Night at the Opera]]></album>
+      <duration>354320</duration>
+    </track>
+    <track>
+      <title>Caf&#xe9; del Mar</title>
+      <creator>Energy 52</creator>
+    </track>
+  </trackList>
+</playlist>`
+    );
+
+    expect(name).toBe("Rock & Roll");
+    expect(songs).toEqual([
+      expect.objectContaining({
+        row: 1,
+        title: "Bohemian Rhapsody",
+        artist: "Queen",
+        album: "A Night at the Opera",
+        duration: 354,
+        spotifyId: "4u7EnebtmKWzUH433cf5Qv",
+      }),
+    ]);
+    expect(errors).toEqual([
+      {
+        row: 2,
+        reason: "Missing or invalid duration",
+        entry: "Energy 52 - Café del Mar",
+      },
+    ]);
+  });
+
+  it("rejects files without a track list", () => {
+    const { songs, errors } = parsePlaylistFile("xspf", "<html></html>");
+
+    expect(songs).toEqual([]);
+    expect(errors).toEqual([
+      { row: 0, reason: "Not an XSPF playlist", entry: null },
+    ]);
+  });
+
+  it("reads MusicBrainz recording links", () => {
+    const { songs } = parsePlaylistFile(
+      "xspf",
+      `<playlist version="1" xmlns="http://xspf.org/ns/0/"><trackList>
+  <track>
+    <identifier>https://musicbrainz.org/recording/B1A9C0E9-D987-4042-AE91-78D6A3267D69</identifier>
+    <title>Bohemian Rhapsody</title>
+    <creator>Queen</creator>
+    <duration>354000</duration>
+  </track>
+</trackList></playlist>`
+    );
+
+    expect(songs[0].mbid).toBe("b1a9c0e9-d987-4042-ae91-78d6a3267d69");
+  });
+});
+
+describe("parsePlaylistFile with CSV", () => {
+  it("matches common headers and reads quoted fields", () => {
+    const { songs, errors } = parsePlaylistFile(
+      "csv",
+      [
+        "Track Name,Artist Name(s),Album Name,Track Duration (ms),Track URI",
+        '"Hello, Goodbye",The Beatles,Magical Mystery Tour,208000,spotify:track:0KOE1hat4SIer491XKk4Pa',
+        '"She Said ""Yeah""",The Rolling Stones,,"125000",',
+        "",
+        "Untitled,,,100000,",
+      ].join("\n")
+    );
+
+    expect(songs).toEqual([
+      expect.objectContaining({
+        row: 2,
+        title: "Hello, Goodbye",
+        artist: "The Beatles",
+        album: "Magical Mystery Tour",
+        duration: 208,
+        spotifyId: "0KOE1hat4SIer491XKk4Pa",
+      }),
+      expect.objectContaining({
+        row: 3,
+        title: 'She Said "Yeah"',
+        artist: "The Rolling Stones",
+        album: "",
+        duration: 125,
+      }),
+    ]);
+    // Blank lines are skipped but still count as rows
+    expect(errors).toEqual([
+      { row: 5, reason: "Missing artist", entry: "Untitled" },
+    ]);
+  });
+
+  it("prefers a seconds column and reads m:ss", () => {
+    const { songs } = parsePlaylistFile(
+      "csv",
+      "title,artist,duration,duration_ms\nCreep,Radiohead,3:58,1000\n"
+    );
+
+    expect(songs[0].duration).toBe(238);
+  });
+
+  it("requires title and artist columns", () => {
+    const { songs, errors } = parsePlaylistFile(
+      "csv",
+      "name,length\nSong,3:00"
+    );
+
+    expect(songs).toEqual([]);
+    expect(errors).toEqual([
+      {
+        row: 1,
+        reason: "CSV header must include title and artist columns",
+        entry: "name,length",
+      },
+    ]);
+  });
+
+  it("normalizes recording IDs and drops malformed ones", () => {
+    const { songs, errors } = parsePlaylistFile(
+      "csv",
+      [
+        "title,artist,duration,isrc,musicbrainz id",
+        "Creep,Radiohead,238,gb-aye-92-00001,B1A9C0E9-D987-4042-AE91-78D6A3267D69",
+        "Yellow,Coldplay,269,not an isrc,12345",
+      ].join("\n")
+    );
+
+    expect(errors).toEqual([]);
+    expect(songs[0]).toMatchObject({
+      isrc: "GBAYE9200001",
+      mbid: "b1a9c0e9-d987-4042-ae91-78d6a3267d69",
+    });
+    expect(songs[1].isrc).toBeUndefined();
+    expect(songs[1].mbid).toBeUndefined();
+  });
+});
+
+describe("planImport", () => {
+  const playlist = (settings) => ({
+    _id: PLAYLIST_ID,
+    creator: CREATOR_ID,
+    settings: {
+      allowDuplicates: false,
+      maxSongs: 100,
+      maxSongsPerCollaborator: null,
+      ...settings,
+    },
+  });
+
+  const parsed = (title, artist, fields = {}) => ({
+    title,
+    artist,
+    album: "",
+    duration: 200,
+    ...fields,
+  });
+
+  const withRows = (songs) =>
+    songs.map((song, index) => ({ ...song, row: index + 2 }));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Song.find.mockImplementation(() =>
+      query([
+        {
+          title: "Creep",
+          artist: "Radiohead",
+          spotifyId: "creep",
+          isrc: "GBAYE9200001",
+          addedBy: CREATOR_ID,
+        },
+        { title: "Yellow", artist: "Coldplay", addedBy: EDITOR_ID },
+      ])
+    );
+    SongSuggestion.find.mockImplementation(() =>
+      query([
+        {
+          title: "Clocks",
+          artist: "Coldplay",
+          mbid: "b1a9c0e9-d987-4042-ae91-78d6a3267d69",
+          suggestedBy: EDITOR_ID,
+        },
+      ])
+    );
+  });
+
+  it("skips songs already in the playlist, awaiting approval or repeated", async () => {
+    const songs = withRows([
+      parsed("Creep", "Radiohead"),
+      parsed("Clocks", "Coldplay"),
+      parsed("Karma Police", "Radiohead"),
+      parsed("Karma Police", "Radiohead"),
+      parsed("Creep (Acoustic)", "Radiohead", { spotifyId: "creep" }),
+    ]);
+
+    const { accepted, skipped } = await planImport(
+      playlist(),
+      songs,
+      CREATOR_ID
+    );
+
+    expect(accepted.map((song) => song.row)).toEqual([4]);
+    expect(skipped).toEqual([
+      {
+        row: 2,
+        entry: "Radiohead - Creep",
+        reason: "Song already exists in playlist",
+      },
+      {
+        row: 3,
+        entry: "Coldplay - Clocks",
+        reason: "Song already exists in playlist",
+      },
+      {
+        row: 5,
+        entry: "Radiohead - Karma Police",
+        reason: "Song already exists in playlist",
+      },
+      {
+        row: 6,
+        entry: "Radiohead - Creep (Acoustic)",
+        reason: "Song already exists in playlist",
+      },
+    ]);
+  });
+
+  it("treats songs with the same ISRC or MBID as the same recording", async () => {
+    const songs = withRows([
+      parsed("Creep (Radio Edit)", "Radiohead", { isrc: "GBAYE9200001" }),
+      parsed("Clocks - Live", "Coldplay", {
+        mbid: "b1a9c0e9-d987-4042-ae91-78d6a3267d69",
+      }),
+      parsed("Fix You", "Coldplay", { isrc: "GBAYE0500001" }),
+      parsed("Fix You (Live)", "Coldplay", { isrc: "GBAYE0500001" }),
+      // An MBID and an ISRC never match each other
+      parsed("Viva la Vida", "Coldplay", { mbid: "gbaye9200001" }),
+    ]);
+
+    const { accepted, skipped } = await planImport(
+      playlist(),
+      songs,
+      CREATOR_ID
+    );
+
+    expect(accepted.map((song) => song.title)).toEqual([
+      "Fix You",
+      "Viva la Vida",
+    ]);
+    expect(skipped.map((entry) => entry.row)).toEqual([2, 3, 5]);
+  });
+
+  it("keeps duplicates when the playlist allows them", async () => {
+    const songs = withRows([
+      parsed("Creep", "Radiohead", { spotifyId: "creep" }),
+      parsed("Creep", "Radiohead", { spotifyId: "creep" }),
+    ]);
+
+    const { accepted, skipped } = await planImport(
+      playlist({ allowDuplicates: true }),
+      songs,
+      CREATOR_ID
+    );
+
+    expect(accepted).toHaveLength(2);
+    expect(skipped).toEqual([]);
+  });
+
+  it("stops at the playlist's song limit", async () => {
+    const songs = withRows([
+      parsed("One", "U2"),
+      parsed("Two", "U2"),
+      parsed("Three", "U2"),
+    ]);
+
+    const { accepted, skipped } = await planImport(
+      playlist({ maxSongs: 3 }),
+      songs,
+      CREATOR_ID
+    );
+
+    expect(accepted.map((song) => song.title)).toEqual(["One"]);
+    expect(skipped.map(({ row, reason }) => ({ row, reason }))).toEqual([
+      { row: 3, reason: "Playlist song limit reached (3 songs)" },
+      { row: 4, reason: "Playlist song limit reached (3 songs)" },
+    ]);
+  });
+
+  it("counts an editor's songs and suggestions against their quota", async () => {
+    const songs = withRows([
+      parsed("One", "U2"),
+      parsed("Two", "U2"),
+      parsed("Three", "U2"),
+    ]);
+    const settings = { maxSongsPerCollaborator: 3 };
+
+    const editor = await planImport(playlist(settings), songs, EDITOR_ID);
+    const creator = await planImport(playlist(settings), songs, CREATOR_ID);
+
+    expect(editor.accepted.map((song) => song.title)).toEqual(["One"]);
+    expect(editor.skipped.map((entry) => entry.reason)).toEqual([
+      "Contribution limit reached (3 songs per collaborator)",
+      "Contribution limit reached (3 songs per collaborator)",
+    ]);
+    // The creator is not subject to the quota
+    expect(creator.accepted).toHaveLength(3);
+  });
+});
+
+describe("export → import round trips", () => {
+  const playlist = {
+    _id: PLAYLIST_ID,
+    name: "Mixed & Matched",
+    description: "",
+    creator: { username: "listener" },
+  };
+
+  const songs = [
+    {
+      title: "Bohemian Rhapsody",
+      artist: "Queen",
+      album: "A Night at the Opera",
+      duration: 354,
+      spotifyId: "4u7EnebtmKWzUH433cf5Qv",
+      isrc: "GBUM71029604",
+    },
+    {
+      title: "Never Gonna Give You Up",
+      artist: "Rick Astley",
+      album: "",
+      duration: 213,
+      youtubeId: "dQw4w9WgXcQ",
+    },
+    {
+      title: 'Hello, Goodbye (Remastered 2009) - "Mono"',
+      artist: "The Beatles",
+      album: "Magical Mystery Tour",
+      duration: 208,
+    },
+    {
+      title: "=SUM(A1:A2)",
+      artist: "+Spreadsheet <Band> & Co",
+      album: "-Formulas-",
+      duration: 61,
+    },
+    {
+      title: "Café del Mar",
+      artist: "Energy 52",
+      album: "Café del Mar, Vol. 1",
+      duration: 443,
+      mbid: "b1a9c0e9-d987-4042-ae91-78d6a3267d69",
+    },
+  ];
+
+  // Fields every format carries
+  const readable = (song) => ({
+    title: song.title,
+    artist: song.artist,
+    album: song.album,
+    duration: song.duration,
+    spotifyId: song.spotifyId,
+    youtubeId: song.youtubeId,
+  });
+
+  const render = (format) => {
+    const exporter = EXPORT_FORMATS[format];
+    return [
+      exporter.header(playlist),
+      ...songs.map((song, index) => exporter.song(song, index)),
+      exporter.footer(songs.length),
+    ].join("");
+  };
+
+  it.each(["m3u8", "xspf", "csv"])(
+    "reads %s exports back unchanged",
+    (format) => {
+      const text = decodeUpload(Buffer.from(render(format), "utf8"));
+      const fileName = `playlist.${EXPORT_FORMATS[format].extension}`;
+
+      const result = parsePlaylistFile(detectFormat(fileName, text), text);
+
+      expect(result.errors).toEqual([]);
+      expect(result.songs.map(readable)).toEqual(songs.map(readable));
+      if (format !== "csv") {
+        expect(result.name).toBe(playlist.name);
+      }
+    }
+  );
+
+  it.each([
+    ["xspf", ["mbid"]],
+    ["csv", ["isrc", "mbid"]],
+  ])("keeps recording IDs in %s exports", (format, fields) => {
+    const text = decodeUpload(Buffer.from(render(format), "utf8"));
+
+    const result = parsePlaylistFile(format, text);
+
+    const ids = (song) =>
+      Object.fromEntries(fields.map((field) => [field, song[field]]));
+    expect(result.songs.map(ids)).toEqual(songs.map(ids));
+  });
+});
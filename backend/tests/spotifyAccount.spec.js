@@ -0,0 +1,293 @@
+const http = require("http");
+const express = require("express");
+const request = require("supertest");
+
+/**
+ * Linking Spotify accounts against a mocked token endpoint reached through
+ * SPOTIFY_ACCOUNTS_URL (and a profile endpoint through SPOTIFY_API_URL).
+ * OAuth states live in an in-memory stand-in for the cache; the User model
+ * is mocked.
+ */
+
+jest.mock("../src/models/User", () => ({
+  exists: jest.fn(),
+  findById: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+}));
+jest.mock("../src/services/cacheService", () => {
+  const entries = new Map();
+  return {
+    entries,
+    get: jest.fn(async (key) => entries.get(key) ?? null),
+    set: jest.fn(async (key, value) => {
+      entries.set(key, value);
+      return true;
+    }),
+    del: jest.fn(async (key) => entries.delete(key)),
+    keys: { spotifyAuthState: (state) => `spotify:auth:${state}` },
+  };
+});
+
+const USER_ID = "64b000000000000000000001";
+const SPOTIFY_USER_ID = "spotify-listener";
+
+let server;
+let requests;
+let tokenResponse;
+let app;
+let User;
+let cacheService;
+let createAuthState;
+let getSpotifyAccessToken;
+let requireSpotifyToken;
+let encryptToken;
+let decryptToken;
+
+// Token endpoint answers with tokenResponse; /me with a fixed profile
+const stub = (req, res) => {
+  let body = "";
+  req.on("data", (chunk) => {
+    body += chunk;
+  });
+  req.on("end", () => {
+    const url = new URL(req.url, "http://localhost");
+    requests.push({
+      path: url.pathname,
+      authorization: req.headers.authorization,
+      form: Object.fromEntries(new URLSearchParams(body)),
+    });
+
+    let status = 404;
+    let payload = { error: "not_found" };
+    if (url.pathname === "/api/token") {
+      ({ status, body: payload } = tokenResponse);
+    } else if (url.pathname === "/me") {
+      status = 200;
+      payload = { id: SPOTIFY_USER_ID, display_name: "Listener" };
+    }
+
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(payload));
+  });
+};
+
+const tokenRequests = () =>
+  requests.filter((entry) => entry.path === "/api/token");
+
+// A linked user whose access token expires at the given time
+const linkedUser = (expiresAt) => ({
+  _id: USER_ID,
+  spotifyId: SPOTIFY_USER_ID,
+  spotifyAuth: {
+    accessToken: encryptToken("stored-access-token"),
+    refreshToken: encryptToken("stored-refresh-token"),
+    expiresAt,
+  },
+});
+
+beforeAll(async () => {
+  server = http.createServer(stub);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const stubUrl = `http://127.0.0.1:${server.address().port}`;
+  process.env.SPOTIFY_ACCOUNTS_URL = stubUrl;
+  process.env.SPOTIFY_API_URL = stubUrl;
+  process.env.SPOTIFY_CLIENT_ID = "client-id";
+  process.env.SPOTIFY_CLIENT_SECRET = "client-secret";
+  process.env.SPOTIFY_REDIRECT_URI = "http://localhost:5001/callback";
+
+  // Required after the stub is listening so the service picks up its URLs
+  ({
+    createAuthState,
+    getSpotifyAccessToken,
+    requireSpotifyToken,
+  } = require("../src/utils/spotifyAccount"));
+  ({ encryptToken, decryptToken } = require("../src/utils/tokenCrypto"));
+  const { spotifyCallback } = require("../src/controllers/spotify.controller");
+  const { errorHandler } = require("../src/middleware/errorHandler");
+  User = require("../src/models/User");
+  cacheService = require("../src/services/cacheService");
+
+  app = express();
+  app.get("/api/search/spotify/callback", spotifyCallback);
+  app.use(errorHandler);
+
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+  requests = [];
+  cacheService.entries.clear();
+  jest.clearAllMocks();
+
+  tokenResponse = {
+    status: 200,
+    body: {
+      access_token: "new-access-token",
+      token_type: "Bearer",
+      scope: "playlist-read-private user-read-private",
+      expires_in: 3600,
+      refresh_token: "new-refresh-token",
+    },
+  };
+  User.exists.mockResolvedValue(null);
+  User.findByIdAndUpdate.mockImplementation((id, update) => ({
+    select: async () => ({ _id: id, username: "listener", ...update }),
+  }));
+  User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+});
+
+describe("GET /api/search/spotify/callback", () => {
+  const callback = (state) =>
+    request(app)
+      .get("/api/search/spotify/callback")
+      .query({ code: "authorization-code", state });
+
+  it("exchanges the code with the app's credentials", async () => {
+    const state = await createAuthState(USER_ID);
+
+    const response = await callback(state);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({
+      spotifyId: SPOTIFY_USER_ID,
+      displayName: "Listener",
+    });
+    expect(tokenRequests()).toEqual([
+      {
+        path: "/api/token",
+        authorization: `Basic ${Buffer.from(
+          "client-id:client-secret"
+        ).toString("base64")}`,
+        form: {
+          grant_type: "authorization_code",
+          code: "authorization-code",
+          redirect_uri: "http://localhost:5001/callback",
+        },
+      },
+    ]);
+  });
+
+  it("accepts a state only once", async () => {
+    const state = await createAuthState(USER_ID);
+
+    expect((await callback(state)).status).toBe(200);
+    const reused = await callback(state);
+
+    expect(reused.status).toBe(400);
+    expect(reused.body.error.message).toBe(
+      "Invalid or expired authorization state"
+    );
+    expect(tokenRequests()).toHaveLength(1);
+  });
+
+  it("rejects a state that wasn't issued", async () => {
+    await createAuthState(USER_ID);
+
+    const unknown = await callback("0123456789abcdef0123456789abcdef");
+    const malformed = await callback("not-a-state");
+
+    expect(unknown.status).toBe(400);
+    expect(malformed.status).toBe(400);
+    expect(requests).toHaveLength(0);
+    expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it("stores the tokens encrypted", async () => {
+    const state = await createAuthState(USER_ID);
+
+    await callback(state);
+
+    expect(User.findByIdAndUpdate).toHaveBeenCalledTimes(1);
+    const [userId, update] = User.findByIdAndUpdate.mock.calls[0];
+    expect(userId).toBe(USER_ID);
+    expect(update.spotifyId).toBe(SPOTIFY_USER_ID);
+
+    const { accessToken, refreshToken } = update.spotifyAuth;
+    const stored = JSON.stringify(update);
+    expect(stored).not.toContain("new-access-token");
+    expect(stored).not.toContain("new-refresh-token");
+    expect(decryptToken(accessToken)).toBe("new-access-token");
+    expect(decryptToken(refreshToken)).toBe("new-refresh-token");
+  });
+});
+
+describe("getSpotifyAccessToken", () => {
+  const findUser = (user) =>
+    User.findById.mockReturnValue({ select: async () => user });
+
+  it("uses the stored token until it expires", async () => {
+    findUser(linkedUser(new Date(Date.now() + 30 * 60 * 1000)));
+
+    expect(await getSpotifyAccessToken(USER_ID)).toBe("stored-access-token");
+    expect(requests).toHaveLength(0);
+  });
+
+  it("refreshes an expired token and stores the new ones encrypted", async () => {
+    findUser(linkedUser(new Date(Date.now() - 1000)));
+
+    expect(await getSpotifyAccessToken(USER_ID)).toBe("new-access-token");
+
+    expect(tokenRequests().map((entry) => entry.form)).toEqual([
+      { grant_type: "refresh_token", refresh_token: "stored-refresh-token" },
+    ]);
+    expect(User.updateOne).toHaveBeenCalledTimes(1);
+    const [filter, { $set: update }] = User.updateOne.mock.calls[0];
+    expect(filter).toEqual({ _id: USER_ID });
+    const stored = JSON.stringify(update);
+    expect(stored).not.toContain("new-access-token");
+    expect(stored).not.toContain("new-refresh-token");
+    expect(decryptToken(update["spotifyAuth.accessToken"])).toBe(
+      "new-access-token"
+    );
+    expect(decryptToken(update["spotifyAuth.refreshToken"])).toBe(
+      "new-refresh-token"
+    );
+    expect(update["spotifyAuth.expiresAt"].getTime()).toBeGreaterThan(
+      Date.now() + 3500 * 1000
+    );
+  });
+
+  it("refreshes a token about to expire", async () => {
+    findUser(linkedUser(new Date(Date.now() + 30 * 1000)));
+
+    expect(await getSpotifyAccessToken(USER_ID)).toBe("new-access-token");
+    expect(tokenRequests()).toHaveLength(1);
+  });
+
+  it("unlinks the account when Spotify rejects the refresh token", async () => {
+    findUser(linkedUser(new Date(Date.now() - 1000)));
+    tokenResponse = {
+      status: 400,
+      body: {
+        error: "invalid_grant",
+        error_description: "Refresh token revoked",
+      },
+    };
+
+    expect(await getSpotifyAccessToken(USER_ID)).toBeNull();
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: USER_ID, spotifyId: { $type: "string" } },
+      { $set: { spotifyId: null }, $unset: { spotifyAuth: 1 } }
+    );
+
+    const { error } = await requireSpotifyToken(USER_ID);
+    expect(error.statusCode).toBe(403);
+  });
+
+  it("keeps the account when a refresh fails for another reason", async () => {
+    findUser(linkedUser(new Date(Date.now() - 1000)));
+    tokenResponse = { status: 503, body: { error: "server_error" } };
+
+    const { error } = await requireSpotifyToken(USER_ID);
+
+    expect(error.statusCode).toBe(502);
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,361 @@
+const http = require("http");
+
+/**
+ * Spotify playlist imports read from a stub of the Web API reached through
+ * SPOTIFY_API_URL. Models, the cache, history and socket events are mocked.
+ */
+
+// Thenable query chain resolving to a fixed value
+const query = (value) => {
+  const chain = {
+    select: () => chain,
+    populate: () => chain,
+    sort: () => chain,
+    lean: () => Promise.resolve(value),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return chain;
+};
+
+jest.mock("../src/models/Playlist", () => ({
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+}));
+jest.mock("../src/models/Song", () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  insertMany: jest.fn(),
+}));
+jest.mock("../src/models/SongSuggestion", () => ({ find: jest.fn() }));
+jest.mock("../src/services/cacheService", () => ({
+  get: jest.fn(),
+  set: jest.fn(),
+  invalidate: jest.fn(),
+  keys: {
+    importJob: (id) => `import:${id}`,
+    playlist: (id) => `playlist:${id}`,
+    playlistSongs: (id) => `playlist:${id}:songs`,
+  },
+}));
+jest.mock("../src/socket/playlistEvents", () => ({
+  publishPlaylistEvent: jest.fn(),
+}));
+jest.mock("../src/utils/playlistHistory", () => ({ recordChange: jest.fn() }));
+jest.mock("../src/utils/trackCatalog", () => ({
+  findOrCreateTrack: jest.fn(async (fields) => ({ _id: "track", ...fields })),
+  getEntryFields: ({ _id, ...fields }) => ({ track: _id, ...fields }),
+}));
+
+const USER_ID = "64b000000000000000000001";
+const PLAYLIST_ID = "64b000000000000000000002";
+const SPOTIFY_PLAYLIST_ID = "37i9dQZF1DXcBWIGoYBM5M";
+const TRACK_COUNT = 230;
+
+// Positions (0-based) of the items that aren't ordinary tracks
+const REMOVED_TRACK = 3;
+const EPISODE = 105;
+const LOCAL_FILE = 150;
+
+// The playlist's items as the Web API returns them
+const playlistItem = (index) => {
+  if (index === REMOVED_TRACK) {
+    return { added_at: "2024-01-01T00:00:00Z", is_local: false, track: null };
+  }
+  if (index === EPISODE) {
+    return {
+      added_at: "2024-01-01T00:00:00Z",
+      is_local: false,
+      track: {
+        id: "512ojhOuo1ktJprKbVcKyQ",
+        type: "episode",
+        name: "A podcast episode",
+        duration_ms: 3600000,
+      },
+    };
+  }
+  if (index === LOCAL_FILE) {
+    return {
+      added_at: "2024-01-01T00:00:00Z",
+      is_local: true,
+      track: {
+        id: null,
+        type: "track",
+        name: "Demo Tape",
+        duration_ms: 185000,
+        is_local: true,
+        artists: [{ name: "Local Band" }],
+        album: { name: "" },
+      },
+    };
+  }
+  return {
+    added_at: "2024-01-01T00:00:00Z",
+    is_local: false,
+    track: {
+      id: `spotifytrack${String(index).padStart(10, "0")}`,
+      type: "track",
+      name: `Song ${index}`,
+      duration_ms: 200000 + index * 7,
+      is_local: false,
+      external_ids: { isrc: `USRC1${String(index).padStart(7, "0")}` },
+      artists: [{ name: "Artist" }, { name: `Guest ${index}` }],
+      album: { name: "Album" },
+    },
+  };
+};
+
+let server;
+let requests;
+let spotifyService;
+let loadSpotifyPlaylistSongs;
+let runDeferredImportJob;
+let createImportJob;
+let getImportJob;
+let Playlist;
+let Song;
+let SongSuggestion;
+
+// Serve /playlists/:id/tracks a page at a time, like the Web API
+const stub = (req, res) => {
+  const url = new URL(req.url, "http://localhost");
+  requests.push({
+    path: url.pathname,
+    query: Object.fromEntries(url.searchParams),
+    authorization: req.headers.authorization,
+  });
+
+  if (url.pathname !== `/playlists/${SPOTIFY_PLAYLIST_ID}/tracks`) {
+    res.writeHead(404, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ error: { status: 404, message: "Not found" } }));
+    return;
+  }
+
+  const limit = Number(url.searchParams.get("limit"));
+  const offset = Number(url.searchParams.get("offset"));
+  const end = Math.min(offset + limit, TRACK_COUNT);
+  const items = [];
+  for (let index = offset; index < end; index++) {
+    items.push(playlistItem(index));
+  }
+
+  res.writeHead(200, { "Content-Type": "application/json" });
+  res.end(JSON.stringify({ total: TRACK_COUNT, limit, offset, items }));
+};
+
+const spotifyPlaylist = {
+  id: SPOTIFY_PLAYLIST_ID,
+  name: "Imported",
+  trackCount: TRACK_COUNT,
+};
+
+beforeAll(async () => {
+  server = http.createServer(stub);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  process.env.SPOTIFY_API_URL = `http://127.0.0.1:${server.address().port}`;
+
+  // Required after the stub is listening so the service picks up its URL
+  spotifyService = require("../src/services/spotifyService");
+  ({ loadSpotifyPlaylistSongs } = require("../src/utils/spotifyImport"));
+  ({
+    runDeferredImportJob,
+    createImportJob,
+    getImportJob,
+  } = require("../src/utils/importJobs"));
+  Playlist = require("../src/models/Playlist");
+  Song = require("../src/models/Song");
+  SongSuggestion = require("../src/models/SongSuggestion");
+
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+  requests = [];
+  jest.clearAllMocks();
+});
+
+describe("spotifyService.getPlaylistTracks", () => {
+  it("reads the playlist 100 items at a time", async () => {
+    const pages = [];
+    for await (const page of spotifyService.getPlaylistTracks(
+      "user-token",
+      SPOTIFY_PLAYLIST_ID
+    )) {
+      pages.push(page);
+    }
+
+    expect(pages.map((page) => page.length)).toEqual([100, 100, 30]);
+    expect(requests.map((entry) => entry.query.offset)).toEqual([
+      "0",
+      "100",
+      "200",
+    ]);
+    requests.forEach((entry) => {
+      expect(entry.query.limit).toBe("100");
+      expect(entry.authorization).toBe("Bearer user-token");
+    });
+
+    const items = pages.flat();
+    expect(items[0]).toEqual({
+      id: "spotifytrack0000000000",
+      type: "track",
+      name: "Song 0",
+      artist: "Artist, Guest 0",
+      album: "Album",
+      duration: 200,
+      isrc: "USRC10000000",
+    });
+    expect(items[REMOVED_TRACK]).toBeNull();
+    expect(items[EPISODE].type).toBe("episode");
+    expect(items[LOCAL_FILE]).toMatchObject({ id: null, name: "Demo Tape" });
+  });
+
+  it("reports a failed page", async () => {
+    const pages = spotifyService.getPlaylistTracks("user-token", "missing");
+
+    await expect(pages.next()).rejects.toThrow(
+      "Failed to get playlist tracks from Spotify"
+    );
+  });
+});
+
+describe("loadSpotifyPlaylistSongs", () => {
+  it("collects tracks, reporting removed tracks and episodes by row", async () => {
+    const onProgress = jest.fn();
+
+    const { songs, errors } = await loadSpotifyPlaylistSongs(
+      "user-token",
+      spotifyPlaylist,
+      onProgress
+    );
+
+    expect(songs).toHaveLength(TRACK_COUNT - 2);
+    expect(errors).toEqual([
+      {
+        row: REMOVED_TRACK + 1,
+        reason: "Track is no longer available on Spotify",
+        entry: null,
+      },
+      {
+        row: EPISODE + 1,
+        reason: "Only music tracks can be imported",
+        entry: "A podcast episode",
+      },
+    ]);
+
+    // Local files have no Spotify ID
+    const localFile = songs.find((song) => song.row === LOCAL_FILE + 1);
+    expect(localFile).toMatchObject({
+      title: "Demo Tape",
+      artist: "Local Band",
+      duration: 185,
+    });
+    expect(localFile.spotifyId).toBeUndefined();
+
+    expect(songs[songs.length - 1]).toMatchObject({
+      row: TRACK_COUNT,
+      spotifyId: `spotifytrack${String(TRACK_COUNT - 1).padStart(10, "0")}`,
+      isrc: `USRC1${String(TRACK_COUNT - 1).padStart(7, "0")}`,
+    });
+
+    expect(onProgress.mock.calls).toEqual([
+      [100, TRACK_COUNT],
+      [200, TRACK_COUNT],
+      [TRACK_COUNT, TRACK_COUNT],
+    ]);
+  });
+});
+
+describe("runDeferredImportJob with a Spotify playlist", () => {
+  it("reports fetch progress on the job, then adds the songs", async () => {
+    let revision = 1;
+    Song.find.mockImplementation(() => query([]));
+    Song.findOne.mockImplementation(() => query(null));
+    Song.insertMany.mockImplementation(async (songs) =>
+      songs.map((song, index) => ({ _id: `song${song.order}${index}` }))
+    );
+    SongSuggestion.find.mockImplementation(() => query([]));
+    Playlist.findOneAndUpdate.mockImplementation(() => ({
+      lean: async () => ({ _id: PLAYLIST_ID, revision: ++revision }),
+    }));
+
+    const job = await createImportJob({
+      playlistId: PLAYLIST_ID,
+      userId: USER_ID,
+      source: "spotify",
+      sourceId: SPOTIFY_PLAYLIST_ID,
+      format: "spotify",
+    });
+
+    // Note the job's state as each event goes out
+    const events = [];
+    const io = {
+      to: (room) => ({
+        emit: (event, payload) =>
+          events.push({
+            room,
+            event,
+            payload,
+            status: job.status,
+            fetched: job.fetched,
+          }),
+      }),
+    };
+
+    const playlist = {
+      _id: PLAYLIST_ID,
+      creator: USER_ID,
+      settings: {
+        allowDuplicates: true,
+        maxSongs: 1000,
+        maxSongsPerCollaborator: null,
+      },
+    };
+
+    await runDeferredImportJob(io, job, playlist, (onProgress) =>
+      loadSpotifyPlaylistSongs("user-token", spotifyPlaylist, onProgress)
+    );
+
+    const fetching = events.filter(
+      ({ event, payload }) => event === "import-progress" && "fetched" in payload
+    );
+    expect(fetching.map(({ payload }) => payload)).toEqual(
+      [100, 200, TRACK_COUNT].map((fetched) => ({
+        playlistId: PLAYLIST_ID,
+        jobId: job.id,
+        fetched,
+        total: TRACK_COUNT,
+      }))
+    );
+    fetching.forEach(({ room, status, fetched, payload }) => {
+      expect(room).toBe(`playlist-${PLAYLIST_ID}`);
+      expect(status).toBe("fetching");
+      expect(fetched).toBe(payload.fetched);
+    });
+
+    const adding = events.filter(
+      ({ event, payload }) => event === "import-progress" && "processed" in payload
+    );
+    expect(adding.map(({ payload }) => payload.processed)).toEqual([
+      100,
+      200,
+      TRACK_COUNT - 2,
+    ]);
+    expect(events[events.length - 1]).toMatchObject({
+      event: "import-completed",
+      payload: { added: TRACK_COUNT - 2, skipped: 0, errors: 2 },
+    });
+
+    expect(await getImportJob(job.id)).toMatchObject({
+      status: "completed",
+      fetched: TRACK_COUNT,
+      total: TRACK_COUNT - 2,
+      added: TRACK_COUNT - 2,
+    });
+  });
+});
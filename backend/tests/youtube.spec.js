@@ -0,0 +1,270 @@
+const http = require("http");
+const path = require("path");
+const express = require("express");
+const request = require("supertest");
+
+/**
+ * YouTube lookups replayed from recorded Data API responses. A local server
+ * stands in for the API through YOUTUBE_API_URL; models, the cache and
+ * socket events are mocked.
+ */
+
+jest.mock("../src/models/Playlist", () => ({
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+}));
+jest.mock("../src/models/Song", () => ({ findOne: jest.fn() }));
+jest.mock("../src/models/Track", () => ({ updateOne: jest.fn() }));
+jest.mock("../src/services/cacheService", () => ({
+  invalidate: jest.fn(),
+  keys: {
+    playlist: (id) => `playlist:${id}`,
+    playlistSongs: (id) => `playlist:${id}:songs`,
+  },
+}));
+jest.mock("../src/socket/playlistEvents", () => ({
+  publishPlaylistEvent: jest.fn(),
+}));
+
+const fixtures = path.join(__dirname, "fixtures", "youtube");
+const searchResponse = require(path.join(fixtures, "search.json"));
+const videosResponse = require(path.join(fixtures, "videos.json"));
+
+const USER_ID = "64b000000000000000000001";
+const PLAYLIST_ID = "64b000000000000000000002";
+const SONG_ID = "64b000000000000000000003";
+const TRACK_ID = "64b000000000000000000004";
+
+let server;
+let requests;
+let youtubeService;
+let app;
+let Playlist;
+let Song;
+let Track;
+let publishPlaylistEvent;
+
+// Serve the recorded responses; videos are filtered by the requested IDs
+const replay = (req, res) => {
+  const url = new URL(req.url, "http://localhost");
+  requests.push({
+    path: url.pathname,
+    query: Object.fromEntries(url.searchParams),
+  });
+
+  let body = { error: { code: 404, message: "Not found" } };
+  if (url.pathname === "/search") {
+    body = searchResponse;
+  } else if (url.pathname === "/videos") {
+    const ids = url.searchParams.get("id").split(",");
+    body = {
+      ...videosResponse,
+      items: videosResponse.items.filter((video) => ids.includes(video.id)),
+    };
+  }
+
+  res.writeHead(body.error ? 404 : 200, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+const songDocument = (fields) => ({
+  _id: SONG_ID,
+  playlist: PLAYLIST_ID,
+  track: TRACK_ID,
+  youtubeId: null,
+  save: jest.fn().mockResolvedValue(),
+  ...fields,
+});
+
+beforeAll(async () => {
+  server = http.createServer(replay);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  process.env.YOUTUBE_API_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.YOUTUBE_API_KEY = "test-key";
+
+  // Required after the stub is listening so the service picks up its URL
+  youtubeService = require("../src/services/youtubeService");
+  const { resolveYouTubeId } = require("../src/controllers/song.controller");
+  const { errorHandler } = require("../src/middleware/errorHandler");
+  Playlist = require("../src/models/Playlist");
+  Song = require("../src/models/Song");
+  Track = require("../src/models/Track");
+  ({ publishPlaylistEvent } = require("../src/socket/playlistEvents"));
+
+  app = express();
+  app.use(express.json());
+  app.post(
+    "/api/songs/:id/resolve-youtube",
+    (req, res, next) => {
+      req.userId = USER_ID;
+      next();
+    },
+    resolveYouTubeId
+  );
+  app.use(errorHandler);
+
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+  requests = [];
+  jest.clearAllMocks();
+  Playlist.findById.mockResolvedValue({
+    _id: PLAYLIST_ID,
+    creator: USER_ID,
+    collaborators: [],
+  });
+  Playlist.findOneAndUpdate.mockReturnValue({
+    lean: async () => ({ _id: PLAYLIST_ID, revision: 8 }),
+  });
+  Track.updateOne.mockResolvedValue({ modifiedCount: 1 });
+});
+
+describe("youtubeService.parseDuration", () => {
+  it("reads hours, minutes and seconds", () => {
+    expect(youtubeService.parseDuration("PT1H2M3S")).toBe(3723);
+  });
+
+  it("reads seconds alone", () => {
+    expect(youtubeService.parseDuration("PT45S")).toBe(45);
+  });
+
+  it("returns null for missing or invalid durations", () => {
+    expect(youtubeService.parseDuration(undefined)).toBeNull();
+    expect(youtubeService.parseDuration("")).toBeNull();
+    expect(youtubeService.parseDuration("P")).toBeNull();
+    expect(youtubeService.parseDuration("PT")).toBeNull();
+    expect(youtubeService.parseDuration("4:08")).toBeNull();
+  });
+});
+
+describe("youtubeService.searchTracks", () => {
+  it("looks up durations for search results, keeping search order", async () => {
+    const videos = await youtubeService.searchTracks("Daft Punk Get Lucky", 3);
+
+    expect(requests.map((entry) => entry.path)).toEqual(["/search", "/videos"]);
+    expect(requests[0].query).toMatchObject({
+      q: "Daft Punk Get Lucky",
+      type: "video",
+      maxResults: "3",
+      key: "test-key",
+    });
+    expect(requests[1].query.id).toBe("h5EofwRzit0,5NV6Rdv1a3I,wsGRYgW0vSY");
+
+    expect(videos.map((video) => [video.id, video.duration])).toEqual([
+      ["h5EofwRzit0", 370],
+      ["5NV6Rdv1a3I", 248],
+      ["wsGRYgW0vSY", 481],
+    ]);
+    // Auto-generated channels stand in for the artist
+    expect(videos[0]).toMatchObject({ name: "Get Lucky", artist: "Daft Punk" });
+    expect(videos[1]).toMatchObject({
+      artist: "Daft Punk",
+      name: "Get Lucky (Official Audio) [feat. Pharrell Williams & Nile Rodgers]",
+    });
+  });
+});
+
+describe("POST /api/songs/:id/resolve-youtube", () => {
+  const resolve = (body = {}) =>
+    request(app)
+      .post(`/api/songs/${SONG_ID}/resolve-youtube`)
+      .send({ playlistId: PLAYLIST_ID, ...body });
+
+  it("sets the best match when it is confident", async () => {
+    const song = songDocument({
+      title: "Get Lucky",
+      artist: "Daft Punk",
+      duration: 248,
+    });
+    Song.findOne.mockResolvedValue(song);
+
+    const response = await resolve();
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.match).toMatchObject({
+      youtubeId: "5NV6Rdv1a3I",
+      duration: 248,
+      confidence: 1,
+    });
+    expect(response.body.data.candidates.map((match) => match.youtubeId)).toEqual(
+      ["5NV6Rdv1a3I", "h5EofwRzit0", "wsGRYgW0vSY"]
+    );
+    expect(requests[0].query.q).toBe("Daft Punk Get Lucky");
+
+    expect(song.youtubeId).toBe("5NV6Rdv1a3I");
+    expect(song.save).toHaveBeenCalled();
+    expect(Track.updateOne).toHaveBeenCalledWith(
+      { _id: TRACK_ID, youtubeId: null },
+      { youtubeId: "5NV6Rdv1a3I" }
+    );
+    expect(publishPlaylistEvent).toHaveBeenCalledWith(
+      undefined,
+      PLAYLIST_ID,
+      "song-updated",
+      expect.objectContaining({ changes: { youtubeId: "5NV6Rdv1a3I" } }),
+      8
+    );
+  });
+
+  it("returns the candidates with a 422 when no match is confident", async () => {
+    const song = songDocument({
+      title: "Creep",
+      artist: "Radiohead",
+      duration: 238,
+    });
+    Song.findOne.mockResolvedValue(song);
+
+    const response = await resolve();
+
+    expect(response.status).toBe(422);
+    const candidates = response.body.error.validation;
+    expect(candidates).toHaveLength(3);
+    candidates.forEach((candidate) =>
+      expect(candidate.confidence).toBeLessThan(0.75)
+    );
+
+    expect(song.save).not.toHaveBeenCalled();
+    expect(publishPlaylistEvent).not.toHaveBeenCalled();
+  });
+
+  it("refuses to search again when the song already has a video", async () => {
+    const song = songDocument({
+      title: "Get Lucky",
+      artist: "Daft Punk",
+      duration: 248,
+      youtubeId: "h5EofwRzit0",
+    });
+    Song.findOne.mockResolvedValue(song);
+
+    const response = await resolve();
+
+    expect(response.status).toBe(409);
+    expect(response.body.error.message).toBe("Song already has a YouTube video");
+    expect(requests).toHaveLength(0);
+    expect(song.save).not.toHaveBeenCalled();
+  });
+
+  it("replaces an existing video with one chosen by ID", async () => {
+    const song = songDocument({
+      title: "Get Lucky",
+      artist: "Daft Punk",
+      duration: 248,
+      youtubeId: "h5EofwRzit0",
+    });
+    Song.findOne.mockResolvedValue(song);
+
+    const response = await resolve({ youtubeId: "wsGRYgW0vSY" });
+
+    expect(response.status).toBe(200);
+    expect(requests.map((entry) => entry.path)).toEqual(["/videos"]);
+    expect(song.youtubeId).toBe("wsGRYgW0vSY");
+    expect(response.body.data.match.duration).toBe(481);
+  });
+});